@@ -1,6 +1,7 @@
 import * as esbuild from 'esbuild';
-import { copyFile, mkdir, cp, readFile, writeFile } from 'fs/promises';
+import { copyFile, mkdir, cp, readFile, readdir, writeFile } from 'fs/promises';
 import { execSync } from 'child_process';
+import { labelLanguagesEsbuildPlugin } from './scripts/label-languages.js';
 
 const isWatch = process.argv.includes('--watch');
 const isDev = isWatch || process.env.NODE_ENV === 'development';
@@ -57,6 +58,8 @@ const buildOptions = {
   target: ['chrome90', 'firefox90'],
   sourcemap: true,
   minify: !isWatch,
+  // data/labels/*.json, found at build time (see scripts/label-languages.js)
+  plugins: [labelLanguagesEsbuildPlugin()],
 };
 
 // Copy static files to a specific browser directory
@@ -189,7 +192,7 @@ async function copyStaticFilesForSafari() {
   await cp('_locales', `${distDir}/_locales`, { recursive: true });
 
   // Replace extension name for Safari (Apple requires different name)
-  const locales = ['en', 'zh_TW', 'zh_CN', 'ja', 'ko'];
+  const locales = await readdir('_locales');
   for (const locale of locales) {
     const messagesPath = `${distDir}/_locales/${locale}/messages.json`;
     try {
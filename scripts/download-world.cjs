@@ -26,7 +26,13 @@ const LANGUAGES = {
   zh_TW: 'zh-tw',
   zh_CN: 'zh',
   ja: 'ja',
-  ko: 'ko'
+  ko: 'ko',
+  es: 'es',
+  pt: 'pt',
+  fr: 'fr',
+  de: 'de',
+  th: 'th',
+  vi: 'vi'
 };
 
 // Check if --dry flag is present
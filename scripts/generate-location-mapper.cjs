@@ -5,9 +5,10 @@
  *
  * This script:
  * 1. Reads raw world data from data/world-raw/
- * 2. Applies custom overrides and aliases from data/world-custom.json
- * 3. Converts ISO codes to flag emojis
- * 4. Generates location-flags.json with all world data (249 territories)
+ * 2. Adds CLDR country names (Intl.DisplayNames) for the languages listed in CLDR_LOCALES
+ * 3. Applies custom overrides and aliases from data/world-custom.json
+ * 4. Converts ISO codes to flag emojis
+ * 5. Generates location-flags.json with all world data (249 territories)
  */
 
 const fs = require('fs');
@@ -18,6 +19,20 @@ const RAW_DIR = path.join(DATA_DIR, 'world-raw');
 const CUSTOM_FILE = path.join(DATA_DIR, 'world-custom.json');
 const OUTPUT_DATA_FILE = path.join(DATA_DIR, 'location-flags.json');
 
+// Locale keys written to location-flags.json (en is the base every other language is merged into)
+const LANGUAGES = ['en', 'zh_TW', 'zh_CN', 'ja', 'ko', 'es', 'pt', 'fr', 'de', 'th', 'vi'];
+
+// Languages that also get CLDR names, the ones browsers and Threads itself use.
+// Their world-raw files are optional; regional variants (es-419, pt-PT) are merged in.
+const CLDR_LOCALES = {
+  es: ['es', 'es-419'],
+  pt: ['pt', 'pt-PT'],
+  fr: ['fr'],
+  de: ['de'],
+  th: ['th'],
+  vi: ['vi']
+};
+
 // Convert ISO 3166-1 alpha-2 code to flag emoji
 function isoToFlag(code) {
   if (!code || typeof code !== 'string') {
@@ -40,26 +55,28 @@ function normalizeLocaleKey(locale) {
     'zh-tw': 'zh_TW',
     'zh': 'zh_CN',
     'ja': 'ja',
-    'ko': 'ko'
+    'ko': 'ko',
+    'es': 'es',
+    'pt': 'pt',
+    'fr': 'fr',
+    'de': 'de',
+    'th': 'th',
+    'vi': 'vi'
   };
   return map[locale.toLowerCase()] || locale;
 }
 
 // Load all raw world files
 function loadRawWorld() {
-  const languages = ['en', 'zh_TW', 'zh_CN', 'ja', 'ko'];
-  const fileMap = {
-    'en': 'world-en.json',
-    'zh_TW': 'world-zh_TW.json',
-    'zh_CN': 'world-zh_CN.json',
-    'ja': 'world-ja.json',
-    'ko': 'world-ko.json'
-  };
-
   const countryData = {};
 
-  for (const lang of languages) {
-    const filepath = path.join(RAW_DIR, fileMap[lang]);
+  for (const lang of LANGUAGES) {
+    const filepath = path.join(RAW_DIR, `world-${lang}.json`);
+
+    if (!fs.existsSync(filepath) && CLDR_LOCALES[lang]) {
+      console.warn(`   ⚠️  No ${path.basename(filepath)}, using CLDR names only for ${lang}`);
+      continue;
+    }
 
     if (!fs.existsSync(filepath)) {
       console.error(`❌ Missing file: ${filepath}`);
@@ -87,9 +104,9 @@ function mergeCountries(countryData) {
   }
 
   // Add other languages
-  const langKeys = ['zh_TW', 'zh_CN', 'ja', 'ko'];
+  const langKeys = LANGUAGES.filter(lang => lang !== 'en');
   for (const langKey of langKeys) {
-    for (const country of countryData[langKey]) {
+    for (const country of countryData[langKey] || []) {
       const alpha2 = country.alpha2.toUpperCase();
       if (merged[alpha2]) {
         if (!merged[alpha2][langKey]) {
@@ -103,6 +120,33 @@ function mergeCountries(countryData) {
   return merged;
 }
 
+// Add CLDR names (long and short forms, e.g. "RAE de Hong Kong (China)" and "Hong Kong")
+function addCldrNames(merged) {
+  if (typeof Intl.DisplayNames !== 'function') {
+    console.error('❌ Intl.DisplayNames is not available; use Node.js 14 or newer with full ICU');
+    process.exit(1);
+  }
+
+  for (const [langKey, locales] of Object.entries(CLDR_LOCALES)) {
+    const displayNames = locales.flatMap(locale => ['long', 'short'].map(style =>
+      new Intl.DisplayNames([locale], { type: 'region', style, fallback: 'none' })
+    ));
+
+    for (const [alpha2, translations] of Object.entries(merged)) {
+      for (const names of displayNames) {
+        const name = names.of(alpha2);
+        if (!name) continue;
+        if (!translations[langKey]) {
+          translations[langKey] = [];
+        }
+        translations[langKey].push(name.toLowerCase());
+      }
+    }
+  }
+
+  return merged;
+}
+
 // Apply custom overrides and aliases
 function applyCustomData(merged) {
   if (!fs.existsSync(CUSTOM_FILE)) {
@@ -199,12 +243,17 @@ function main() {
   let merged = mergeCountries(worldData);
   console.log(`   ✓ Merged ${Object.keys(merged).length} territories\n`);
 
-  // Step 3: Apply custom data
+  // Step 3: Add CLDR names
+  console.log('🌐 Adding CLDR names...');
+  merged = addCldrNames(merged);
+  console.log(`   ✓ Added names for ${Object.keys(CLDR_LOCALES).join(', ')}\n`);
+
+  // Step 4: Apply custom data
   console.log('⚙️  Applying custom overrides and aliases...');
   merged = applyCustomData(merged);
   console.log(`   ✓ Applied customizations\n`);
 
-  // Step 4: Generate location-flags.json
+  // Step 5: Generate location-flags.json
   console.log('📝 Generating location-flags.json...');
   const data = generateLocationFlagsData(merged);
   const jsonOutput = JSON.stringify(data, null, 2);
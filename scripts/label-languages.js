@@ -0,0 +1,70 @@
+/**
+ * Build-time module listing every data/labels/<locale>.json
+ *
+ * src/lib/labelRegistry.js imports 'virtual:label-languages'; esbuild
+ * (esbuild.config.js) and vitest (vitest.config.js) both resolve it to a
+ * module generated here from the files on disk, so a new language is picked
+ * up by dropping its file into data/labels.
+ */
+
+import { readdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const LABEL_LANGUAGES_MODULE = 'virtual:label-languages';
+export const LABELS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'labels');
+
+/**
+ * Generate the module source: a default export of { locale: labels }
+ * @returns {Promise<{contents: string, files: Array<string>}>} Source and the files it imports
+ */
+export async function generateLabelLanguages() {
+  const files = (await readdir(LABELS_DIR))
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => path.join(LABELS_DIR, file));
+
+  const imports = files.map((file, i) => `import labels${i} from ${JSON.stringify(file)};`);
+  const entries = files.map((file, i) => `  ${JSON.stringify(path.basename(file, '.json'))}: labels${i}`);
+  const contents = `${imports.join('\n')}\n\nexport default {\n${entries.join(',\n')}\n};\n`;
+  return { contents, files };
+}
+
+/**
+ * esbuild plugin serving the module
+ * @returns {Object}
+ */
+export function labelLanguagesEsbuildPlugin() {
+  return {
+    name: 'label-languages',
+    setup(build) {
+      build.onResolve({ filter: /^virtual:label-languages$/ }, args => ({
+        path: args.path,
+        namespace: 'label-languages'
+      }));
+      build.onLoad({ filter: /.*/, namespace: 'label-languages' }, async () => {
+        const { contents, files } = await generateLabelLanguages();
+        // Rebuild in watch mode when a label file is added or edited
+        return { contents, loader: 'js', resolveDir: LABELS_DIR, watchDirs: [LABELS_DIR], watchFiles: files };
+      });
+    }
+  };
+}
+
+/**
+ * Vite/vitest plugin serving the module
+ * @returns {Object}
+ */
+export function labelLanguagesVitePlugin() {
+  const resolvedId = `\0${LABEL_LANGUAGES_MODULE}`;
+  return {
+    name: 'label-languages',
+    resolveId(id) {
+      return id === LABEL_LANGUAGES_MODULE ? resolvedId : null;
+    },
+    async load(id) {
+      if (id !== resolvedId) return null;
+      return (await generateLabelLanguages()).contents;
+    }
+  };
+}
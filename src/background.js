@@ -5,46 +5,428 @@ const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
 // Import version utilities
 import { compareVersions, shouldShowOnboarding } from './lib/versionUtils.js';
+import {
+  getProfile,
+  getProfileByUserId,
+  getProfilesFor,
+  getAllProfiles,
+  getProfilesByLocation,
+  getAllUserIds,
+  touchProfiles,
+  clearProfileStore,
+  applyWriteBatch,
+  importProfiles,
+  migrateLegacyCache
+} from './lib/profileStore.js';
+import { parseProfileExport, IMPORT_CONFLICT_POLICIES, DEFAULT_IMPORT_POLICY } from './lib/profileImport.js';
+import { createWriteQueue } from './lib/writeQueue.js';
+import { createFetchCoordinator } from './lib/fetchCoordinator.js';
+import { createRateLimiter, normalizeRateLimitSettings, RATE_LIMIT_SETTINGS_KEY } from './lib/rateLimiter.js';
+import {
+  createFetchBudget,
+  normalizeFetchBudget,
+  FETCH_BUDGET_SETTINGS_KEY,
+  FETCH_BUDGET_USAGE_KEY
+} from './lib/fetchBudget.js';
+import { FETCH_ERRORS } from './lib/fetchErrors.js';
+import { ENDPOINT_STORAGE_KEY } from './lib/endpointDescriptor.js';
+import { SCHEMA_DRIFT_KEY, recordDriftReport } from './lib/schemaDrift.js';
+import { loadTtlSettings, createTtlChecker } from './lib/ttlPolicy.js';
+import {
+  MAINTENANCE_ALARM,
+  MAINTENANCE_PERIOD_MINUTES,
+  runCacheMaintenance,
+  getCacheReport
+} from './lib/cacheMaintenance.js';
 
-const USER_ID_CACHE_MAX_AGE = 60 * 24 * 60 * 60 * 1000; // 60 days for user ID mapping
-const PROFILE_WITH_LOCATION_MAX_AGE = 21 * 24 * 60 * 60 * 1000; // 21 days for profiles with location
-const PROFILE_NO_LOCATION_MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours (1 day) for profiles without location
+// Move the legacy storage.local cache into IndexedDB before serving any requests
+const profileStoreReady = migrateLegacyCache(browserAPI.storage.local).then((result) => {
+  if (result.migrated) {
+    console.log(`[Threads Extractor] Migrated ${result.profiles} profiles (${result.pending} kept by username until their ID is known) and ${result.userIds} user IDs to IndexedDB`);
+  }
+}).catch((err) => {
+  console.error('[Threads Extractor] Profile cache migration failed:', err);
+});
+
+// All profile and user ID writes go through one queue so concurrent tabs cannot drop each other's entries
+const writeQueue = createWriteQueue((batch) => profileStoreReady.then(() => applyWriteBatch(batch)));
+
+// Resolve once the store is migrated and every queued write has landed
+function storeSettled() {
+  return profileStoreReady.then(() => writeQueue.idle());
+}
+
+// Token bucket and 429 backoff shared by every tab's auto-fetches
+const rateLimiter = createRateLimiter();
+
+// Hourly/daily lookup counts; auto-fetch stops when either budget is used up
+const fetchBudget = createFetchBudget();
+const BUDGET_SAVE_DELAY_MS = 2000;
+let budgetSaveTimer = null;
+
+function saveBudgetUsage() {
+  if (budgetSaveTimer) return;
+  budgetSaveTimer = setTimeout(() => {
+    budgetSaveTimer = null;
+    browserAPI.storage.local.set({ [FETCH_BUDGET_USAGE_KEY]: fetchBudget.getUsage() }).catch((err) => {
+      console.warn('[Threads Extractor] Failed to save fetch budget usage:', err);
+    });
+  }, BUDGET_SAVE_DELAY_MS);
+}
+
+// rateLimitedUntil is stored by the tab that hit the limit, so a backoff outlives a browser restart
+browserAPI.storage.local.get([
+  RATE_LIMIT_SETTINGS_KEY,
+  'rateLimitedUntil',
+  FETCH_BUDGET_SETTINGS_KEY,
+  FETCH_BUDGET_USAGE_KEY
+]).then((result) => {
+  rateLimiter.configure(normalizeRateLimitSettings(result[RATE_LIMIT_SETTINGS_KEY]));
+  rateLimiter.restore({ backoffUntil: result.rateLimitedUntil || 0 });
+  fetchBudget.configure(normalizeFetchBudget(result[FETCH_BUDGET_SETTINGS_KEY]));
+  fetchBudget.restore(result[FETCH_BUDGET_USAGE_KEY]);
+});
+
+browserAPI.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (changes[RATE_LIMIT_SETTINGS_KEY]) {
+    rateLimiter.configure(normalizeRateLimitSettings(changes[RATE_LIMIT_SETTINGS_KEY].newValue));
+    fetchCoordinator.wake();
+  }
+  if (changes[FETCH_BUDGET_SETTINGS_KEY]) {
+    fetchBudget.configure(normalizeFetchBudget(changes[FETCH_BUDGET_SETTINGS_KEY].newValue));
+    fetchCoordinator.wake();
+  }
+});
+
+// One auto-fetch queue for every Threads tab; jobs run in a tab that asked for them
+const fetchCoordinator = createFetchCoordinator({
+  dispatch: (tabId, job) => browserAPI.tabs.sendMessage(tabId, { type: 'FETCH_QUEUE_RUN', job }),
+  notify: (tabId, message) => {
+    browserAPI.tabs.sendMessage(tabId, message).catch(() => {
+      // Ignore errors if tab doesn't have content script loaded
+    });
+  },
+  getFocusedTabId: () => browserAPI.tabs.query({ active: true, lastFocusedWindow: true })
+    .then((tabs) => tabs[0]?.id ?? null),
+  // Session storage survives worker restarts but not the browser; Safari (MV2) lacks it
+  storageArea: browserAPI.storage.session || browserAPI.storage.local,
+  rateLimiter,
+  fetchBudget,
+  findKnownProfiles
+});
+
+fetchCoordinator.restore().catch((err) => {
+  console.warn('[Threads Extractor] Failed to restore fetch queue:', err);
+});
+
+// Latest session-token health and about-this-profile endpoint state reported by each Threads tab, for the popup
+const tokenHealthByTab = new Map();
+const endpointStateByTab = new Map();
+
+browserAPI.tabs.onRemoved.addListener((tabId) => {
+  fetchCoordinator.removeTab(tabId);
+  tokenHealthByTab.delete(tabId);
+  endpointStateByTab.delete(tabId);
+});
+
+// Keep the newest request shape that returned a profile, so new pages start from it
+async function saveLastGoodEndpoint(lastGood) {
+  const { [ENDPOINT_STORAGE_KEY]: stored } = await browserAPI.storage.local.get(ENDPOINT_STORAGE_KEY);
+  if (stored?.at >= lastGood.at) return;
+  await browserAPI.storage.local.set({ [ENDPOINT_STORAGE_KEY]: lastGood });
+}
+
+// Drift reports are read, merged and written back one at a time so none are lost
+let driftWrites = Promise.resolve();
+
+function saveDriftReport(report) {
+  driftWrites = driftWrites.then(async () => {
+    const { [SCHEMA_DRIFT_KEY]: reports } = await browserAPI.storage.local.get(SCHEMA_DRIFT_KEY);
+    const version = browserAPI.runtime.getManifest().version;
+    await browserAPI.storage.local.set({ [SCHEMA_DRIFT_KEY]: recordDriftReport(reports, { ...report, version }) });
+  }).catch((err) => {
+    console.warn('[Threads Extractor] Failed to save schema drift report:', err);
+  });
+}
+
+// The focused Threads tab's report from a per-tab map, or the last one to report
+async function getFocusedTabReport(reportsByTab) {
+  const tabs = await browserAPI.tabs.query({ active: true, lastFocusedWindow: true });
+  const latest = [...reportsByTab.values()].sort((a, b) => b.reportedAt - a.reportedAt)[0];
+  return reportsByTab.get(tabs[0]?.id) || latest || null;
+}
+
+// Send a message to every open Threads tab, optionally skipping the one it came from
+function broadcastToThreadsTabs(message, exceptTabId) {
+  browserAPI.tabs.query({ url: 'https://www.threads.com/*' }).then((tabs) => {
+    for (const tab of tabs) {
+      if (tab.id === exceptTabId) continue;
+      browserAPI.tabs.sendMessage(tab.id, message).catch(() => {
+        // Ignore errors if tab doesn't have content script loaded
+      });
+    }
+  });
+}
+
+// Build a freshness checker from the user's current TTL policy and pinned users
+async function loadTtlChecker() {
+  const { policy, pinnedUsers } = await loadTtlSettings(browserAPI.storage.local);
+  return createTtlChecker(policy, pinnedUsers);
+}
+
+// Fresh stored profiles for users about to be looked up, keyed by the username asked for
+// ([{ username, userId }] -> { username: profile }); the rest still need a lookup
+async function findKnownProfiles(users) {
+  await storeSettled();
+  const ttl = await loadTtlChecker();
+  const found = await getProfilesFor(users);
+  return Object.fromEntries(Object.entries(found).filter(([, profile]) => ttl.isProfileFresh(profile)));
+}
 
 // Handle async message responses for both Chrome and Firefox
 function handleAsyncMessage(message, sender, sendResponse) {
   if (message.type === 'PROFILE_INFO_EXTRACTED') {
     console.log('[Threads Extractor] Profile info received:', message.data);
 
-    // Store the profile info
-    browserAPI.storage.local.get(['profileCache']).then((result) => {
-      const cache = result.profileCache || {};
-      const username = message.data.username;
-      if (username) {
-        cache[username] = {
-          ...message.data,
-          timestamp: Date.now()
-        };
-        browserAPI.storage.local.set({ profileCache: cache });
-      }
+    // Store the profile info (batched and serialized by the write queue)
+    writeQueue.enqueueProfile(message.data);
+
+    // Hand it to any other tab that queued the same user
+    fetchCoordinator.resolve(message.data, sender.tab?.id);
+    return false;
+  }
+
+  // A page hit a 429: back off every tab and tell the page for how long
+  if (message.type === 'RATE_LIMIT_HIT') {
+    sendResponse({ rateLimitedUntil: fetchCoordinator.reportRateLimit() });
+    return false;
+  }
+
+  // A tab stored a new rate limit: pause the other tabs too (the popup hears it directly)
+  if (message.type === 'RATE_LIMITED') {
+    broadcastToThreadsTabs(message, sender.tab?.id);
+    return false;
+  }
+
+  // "Resume now" from the popup: lift the backoff for the queue and every tab
+  if (message.type === 'RATE_LIMIT_CLEARED') {
+    fetchCoordinator.resume();
+    broadcastToThreadsTabs(message);
+    return false;
+  }
+
+  // A page made an about-this-profile request
+  if (message.type === 'RECORD_LOOKUP') {
+    fetchBudget.recordLookup({ rateLimited: !!message.rateLimited });
+    saveBudgetUsage();
+    return false;
+  }
+
+  // A lookup failed; counted by reason for the Usage tab
+  if (message.type === 'RECORD_FETCH_FAILURE') {
+    if (FETCH_ERRORS.includes(message.reason)) {
+      fetchBudget.recordFailure(message.reason);
+      saveBudgetUsage();
+    }
+    return false;
+  }
+
+  // Whether a manual lookup is within the budget (always true unless manual lookups are capped too)
+  if (message.type === 'CHECK_FETCH_BUDGET') {
+    sendResponse({ allowed: fetchBudget.isManualAllowed() });
+    return false;
+  }
+
+  // Budget usage and hourly histogram for the popup
+  if (message.type === 'GET_FETCH_BUDGET_REPORT') {
+    sendResponse(fetchBudget.getReport());
+    return false;
+  }
+
+  // A tab's session tokens changed (see tokenManager.js)
+  if (message.type === 'TOKEN_HEALTH') {
+    if (sender.tab?.id !== undefined) {
+      tokenHealthByTab.set(sender.tab.id, { ...message.health, reportedAt: Date.now() });
+    }
+    return false;
+  }
+
+  // Session-token health of the focused Threads tab, or the last one to report
+  if (message.type === 'GET_TOKEN_HEALTH') {
+    getFocusedTabReport(tokenHealthByTab).then(sendResponse).catch(() => sendResponse(null));
+    return true;
+  }
+
+  // A tab's about-this-profile request shape or status changed (see endpointDescriptor.js)
+  if (message.type === 'ENDPOINT_STATE') {
+    if (sender.tab?.id !== undefined) {
+      endpointStateByTab.set(sender.tab.id, { ...message.state, reportedAt: Date.now() });
+    }
+    if (message.state?.lastGood?.at) {
+      saveLastGoodEndpoint(message.state.lastGood).catch((err) => {
+        console.warn('[Threads Extractor] Failed to save the endpoint:', err);
+      });
+    }
+    return false;
+  }
+
+  // Endpoint state of the focused Threads tab, or the last one to report
+  if (message.type === 'GET_ENDPOINT_STATE') {
+    getFocusedTabReport(endpointStateByTab).then(sendResponse).catch(() => sendResponse(null));
+    return true;
+  }
+
+  // A profile response parsed to nothing despite having content (see schemaDrift.js)
+  if (message.type === 'SCHEMA_DRIFT') {
+    if (message.report?.fingerprint) saveDriftReport(message.report);
+    return false;
+  }
+
+  // Stored drift reports for the popup
+  if (message.type === 'GET_SCHEMA_DRIFT') {
+    driftWrites.then(() => browserAPI.storage.local.get(SCHEMA_DRIFT_KEY)).then((result) => {
+      sendResponse(result[SCHEMA_DRIFT_KEY] || []);
+    }).catch(() => sendResponse([]));
+    return true;
+  }
+
+  // "Clear" in the popup once the reports were passed on
+  if (message.type === 'CLEAR_SCHEMA_DRIFT') {
+    const clearing = driftWrites.then(() => browserAPI.storage.local.remove(SCHEMA_DRIFT_KEY));
+    driftWrites = clearing.catch(() => {});
+    clearing.then(() => sendResponse({ success: true })).catch((err) => {
+      sendResponse({ success: false, error: err.message });
     });
+    return true;
+  }
+
+  // The last request shape that returned a profile, for a page that just loaded
+  if (message.type === 'GET_LAST_GOOD_ENDPOINT') {
+    browserAPI.storage.local.get(ENDPOINT_STORAGE_KEY).then((result) => {
+      sendResponse(result[ENDPOINT_STORAGE_KEY] || null);
+    }).catch(() => sendResponse(null));
+    return true;
+  }
+
+  // Request rate and backoff state for the popup
+  if (message.type === 'GET_RATE_LIMIT_STATS') {
+    sendResponse(rateLimiter.getStats());
     return false;
   }
 
-  if (message.type === 'GET_CACHED_PROFILES') {
-    browserAPI.storage.local.get(['profileCache']).then((result) => {
-      const cache = result.profileCache || {};
-      const now = Date.now();
-      const validCache = {};
+  // Queue an auto-fetch or manual lookup for the sending tab
+  if (message.type === 'FETCH_QUEUE_SUBMIT') {
+    if (sender.tab?.id !== undefined) {
+      fetchCoordinator.submit(sender.tab.id, message.job);
+    }
+    return false;
+  }
 
-      // Filter out expired entries based on different TTLs
-      for (const [username, data] of Object.entries(cache)) {
-        const maxAge = data.location ? PROFILE_WITH_LOCATION_MAX_AGE : PROFILE_NO_LOCATION_MAX_AGE;
-        if (now - data.timestamp < maxAge) {
-          validCache[username] = data;
-        }
+  // Profiles a tab can show without a lookup (e.g. a followers list it just loaded)
+  if (message.type === 'FIND_KNOWN_PROFILES') {
+    findKnownProfiles(message.users || []).then((known) => {
+      fetchBudget.recordSavedLookups(Object.keys(known).length);
+      saveBudgetUsage();
+      sendResponse(known);
+    }).catch((err) => {
+      console.error('[Threads Extractor] Failed to look up known profiles:', err);
+      sendResponse({});
+    });
+    return true; // Keep channel open for async response
+  }
+
+  // The sending tab no longer needs a queued job (its post scrolled out of view)
+  if (message.type === 'FETCH_QUEUE_CANCEL') {
+    if (sender.tab?.id !== undefined) {
+      fetchCoordinator.cancel(sender.tab.id, message);
+    }
+    return false;
+  }
+
+  // Get all cached profiles ({ username: profile }), skipping expired ones unless asked.
+  // With includeStale, profiles past their TTL are included too, each tagged
+  // with _staleAt so the page can mark them and refetch them when visible.
+  if (message.type === 'GET_PROFILES') {
+    storeSettled().then(async () => {
+      if (message.includeExpired) return getAllProfiles();
+      const ttl = await loadTtlChecker();
+      if (!message.includeStale) return getAllProfiles(ttl.isProfileFresh);
+
+      const profiles = await getAllProfiles((data) => !ttl.isProfileExpired(data));
+      for (const profile of Object.values(profiles)) {
+        profile._staleAt = ttl.getStaleAt(profile);
       }
+      return profiles;
+    }).then(sendResponse).catch((err) => {
+      console.error('[Threads Extractor] Failed to load profiles:', err);
+      sendResponse({});
+    });
+    return true; // Keep channel open for async response
+  }
 
-      sendResponse(validCache);
+  // Get a single cached profile by userId, or by current/former username
+  if (message.type === 'GET_PROFILE') {
+    storeSettled().then(() => (
+      message.userId ? getProfileByUserId(message.userId) : getProfile(message.username)
+    )).then(sendResponse).catch((err) => {
+      console.error('[Threads Extractor] Failed to load profile:', err);
+      sendResponse(null);
+    });
+    return true; // Keep channel open for async response
+  }
+
+  // Get all cached profiles with an exact location
+  if (message.type === 'GET_PROFILES_BY_LOCATION') {
+    storeSettled().then(() => getProfilesByLocation(message.location)).then(sendResponse).catch((err) => {
+      console.error('[Threads Extractor] Failed to query profiles:', err);
+      sendResponse([]);
+    });
+    return true; // Keep channel open for async response
+  }
+
+  // Clear both profiles and user ID mappings
+  if (message.type === 'CLEAR_PROFILE_CACHE') {
+    storeSettled().then(() => clearProfileStore()).then(() => {
+      sendResponse({ success: true });
+    }).catch((err) => {
+      console.error('[Threads Extractor] Failed to clear profile cache:', err);
+      sendResponse({ success: false, error: err.message });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  // Import profiles from exported JSON text
+  if (message.type === 'IMPORT_PROFILES') {
+    const policy = IMPORT_CONFLICT_POLICIES.includes(message.policy) ? message.policy : DEFAULT_IMPORT_POLICY;
+    storeSettled().then(async () => {
+      const { profiles, invalid } = parseProfileExport(message.text);
+      const counts = await importProfiles(profiles, policy);
+      console.log(`[Threads Extractor] Imported profiles: ${counts.added} added, ${counts.updated} updated, ${counts.skipped} skipped, ${invalid} invalid`);
+      sendResponse({ success: true, ...counts, invalid });
+    }).catch((err) => {
+      console.error('[Threads Extractor] Failed to import profiles:', err);
+      sendResponse({ success: false, error: err.message });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  // Record which cached profiles a page used, for LRU eviction
+  if (message.type === 'TOUCH_PROFILES') {
+    // Each one is a profile shown without a lookup
+    fetchBudget.recordCacheHits(message.userIds?.length || 0);
+    saveBudgetUsage();
+    profileStoreReady.then(() => touchProfiles(message.userIds || [])).catch((err) => {
+      console.error('[Threads Extractor] Failed to record profile access:', err);
+    });
+    return false;
+  }
+
+  // Storage usage breakdown for the popup
+  if (message.type === 'GET_CACHE_REPORT') {
+    storeSettled().then(() => getCacheReport(browserAPI.storage.local)).then(sendResponse).catch((err) => {
+      console.error('[Threads Extractor] Failed to build cache report:', err);
+      sendResponse(null);
     });
     return true; // Keep channel open for async response
   }
@@ -52,23 +434,15 @@ function handleAsyncMessage(message, sender, sendResponse) {
   // Store user ID mappings (username -> userId)
   if (message.type === 'STORE_USER_IDS') {
     const userIds = message.data; // { username: userId, ... }
-    browserAPI.storage.local.get(['userIdCache']).then((result) => {
-      const cache = result.userIdCache || {};
-      const now = Date.now();
-      for (const [username, userId] of Object.entries(userIds)) {
-        if (!cache[username]) {
-          cache[username] = { userId, timestamp: now };
-        }
-      }
-      browserAPI.storage.local.set({ userIdCache: cache });
-    });
+    writeQueue.enqueueUserIds(userIds);
     return false;
   }
 
   // Get cached user IDs
   if (message.type === 'GET_USER_ID_CACHE') {
-    browserAPI.storage.local.get(['userIdCache']).then((result) => {
-      sendResponse(result.userIdCache || {});
+    storeSettled().then(() => getAllUserIds()).then(sendResponse).catch((err) => {
+      console.error('[Threads Extractor] Failed to load user IDs:', err);
+      sendResponse({});
     });
     return true; // Keep channel open for async response
   }
@@ -152,33 +526,29 @@ browserAPI.runtime.onInstalled.addListener((details) => {
   }
 });
 
-// Clean up old cache entries on startup
-browserAPI.runtime.onStartup.addListener(() => {
-  const now = Date.now();
-
-  // Clean profile cache with different TTLs based on location data
-  browserAPI.storage.local.get(['profileCache']).then((result) => {
-    const cache = result.profileCache || {};
-    const cleanedCache = {};
-    for (const [username, data] of Object.entries(cache)) {
-      // Use different max age depending on whether location exists
-      const maxAge = data.location ? PROFILE_WITH_LOCATION_MAX_AGE : PROFILE_NO_LOCATION_MAX_AGE;
-      if (now - data.timestamp < maxAge) {
-        cleanedCache[username] = data;
-      }
-    }
-    browserAPI.storage.local.set({ profileCache: cleanedCache });
-  });
+// Prune expired entries and enforce the size limit
+async function maintainCache() {
+  try {
+    await storeSettled();
+    const result = await runCacheMaintenance(browserAPI.storage.local);
+    console.log('[Threads Extractor] Cache maintenance:', result);
+  } catch (err) {
+    console.error('[Threads Extractor] Cache maintenance failed:', err);
+  }
+}
 
-  // Clean user ID cache (30 days)
-  browserAPI.storage.local.get(['userIdCache']).then((result) => {
-    const cache = result.userIdCache || {};
-    const cleanedCache = {};
-    for (const [username, data] of Object.entries(cache)) {
-      if (now - data.timestamp < USER_ID_CACHE_MAX_AGE) {
-        cleanedCache[username] = data;
-      }
-    }
-    browserAPI.storage.local.set({ userIdCache: cleanedCache });
-  });
+// Schedule periodic maintenance; keep an existing alarm so worker restarts don't push it back
+browserAPI.alarms.get(MAINTENANCE_ALARM).then((alarm) => {
+  if (!alarm) {
+    browserAPI.alarms.create(MAINTENANCE_ALARM, { periodInMinutes: MAINTENANCE_PERIOD_MINUTES });
+  }
 });
+
+browserAPI.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === MAINTENANCE_ALARM) {
+    maintainCache();
+  }
+});
+
+// Also clean up on browser startup
+browserAPI.runtime.onStartup.addListener(maintainCache);
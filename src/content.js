@@ -1,12 +1,24 @@
 // Content script for Threads Profile Info Extractor
 import { findPostContainer, detectActiveTab, isUserListContext, findFollowButtonContainer, findUsernameFromTimeElement } from './lib/domHelpers.js';
 import { injectLocationUIForUser, createLocationBadge } from './lib/friendshipsUI.js';
-import { displayProfileInfo, autoFetchProfile, createProfileBadge } from './lib/postUI.js';
+import { displayProfileInfo, createProfileBadge } from './lib/postUI.js';
 import { isSingleUserNotification, findIconElement, extractIconColor } from './lib/notificationDetector.js';
-import { fetchProfileByUserId, getUserIdByUsername, updateButtonWithFetchResult } from './lib/profileFetcher.js';
-import { showRateLimitToast, showLoginRequiredBanner } from './lib/notifications.js';
-import { queueFetch, processFetchQueue, processFollowersFetchQueue } from './lib/queueManager.js';
-import { createFeedVisibilityObserver, createFollowersVisibilityObserver } from './lib/autoFetchObservers.js';
+import {
+  getUserIdByUsername,
+  updateButtonWithFetchResult,
+  fetchProfileManually,
+  isManualFetchAllowed,
+  showBudgetExhausted,
+  showFetchError,
+  pageRpc
+} from './lib/profileFetcher.js';
+import { isFetchError } from './lib/fetchErrors.js';
+import { LABEL_OVERRIDES_KEY } from './lib/labelRegistry.js';
+import { showRateLimitToast, hideRateLimitToast, showLoginRequiredBanner } from './lib/notifications.js';
+import { createTabFetchQueue } from './lib/queueManager.js';
+import { createFeedVisibilityObserver, createFollowersVisibilityObserver, createStaleRefreshObserver } from './lib/autoFetchObservers.js';
+import { createProfileCache } from './lib/profileCache.js';
+import { replaceStaleBadges, STALE_BADGE_CLASS } from './lib/staleBadge.js';
 import { polyfillCountryFlagEmojis } from 'country-flag-emoji-polyfill';
 
 'use strict';
@@ -20,26 +32,39 @@ const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 // Use local font to avoid CSP issues with CDN
 polyfillCountryFlagEmojis("Twemoji Country Flags", browserAPI.runtime.getURL('fonts/TwemojiCountryFlags.woff2'));
 
-// Store extracted profiles
-const profileCache = new Map();
+// Profiles used on this page since the last report, for LRU eviction in the background store
+const TOUCH_FLUSH_DELAY_MS = 5000;
+const touchedUserIds = new Set();
+let touchFlushTimer = null;
+
+function recordProfileAccess(userId) {
+  touchedUserIds.add(userId);
+  if (touchFlushTimer) return;
+  touchFlushTimer = setTimeout(() => {
+    touchFlushTimer = null;
+    const userIds = [...touchedUserIds];
+    touchedUserIds.clear();
+    browserAPI.runtime.sendMessage({ type: 'TOUCH_PROFILES', userIds }).catch(() => {
+      // Extension reloaded - nothing to record
+    });
+  }, TOUCH_FLUSH_DELAY_MS);
+}
+
+// Store extracted profiles (keyed by userId, looked up by username)
+const profileCache = createProfileCache({ onAccess: recordProfileAccess });
 
-// Auto-fetch queue and throttling
-const fetchQueue = [];
-const followersFetchQueue = [];
+// Auto-fetch visibility tracking (the queue itself lives in the background worker)
 const pendingVisibility = new Map(); // Track posts waiting to be queued
 const pendingFollowersVisibility = new Map(); // Track followers waiting to be queued
+const pendingRefreshVisibility = new Map(); // Track stale badges waiting to be queued
 
 // Constants
-const FETCH_DELAY_MS = 800; // Delay between auto-fetches to avoid rate limiting
 const INITIAL_DELAY_MS = 2000; // Wait for bulk-route-definitions to load
-const RATE_LIMIT_COOLDOWN_MS = 60 * 60 * 1000; // 60 minutes (1 hour) cooldown
-const MAX_QUEUE_SIZE = 10; // Maximum number of posts in queue
+const RATE_LIMIT_COOLDOWN_MS = 60 * 60 * 1000; // Fallback cooldown when the background worker is unreachable
 const VISIBILITY_DELAY_MS = 500; // How long a post must be visible before queuing
 
 // Shared state object for queue manager and observers
 const state = {
-  isFetching: false,
-  isFetchingFollowers: false,
   autoFetchReady: false, // Wait for initial data to load
   autoQueryEnabled: true, // User preference for auto-query
   autoQueryFollowersEnabled: false, // User preference for auto-query followers (default off)
@@ -51,34 +76,120 @@ const state = {
 function injectScript() {
   const script = document.createElement('script');
   script.src = browserAPI.runtime.getURL('injected.js');
+  // injected.js takes this off the tag as it starts and sends it back to open the bridge
+  script.dataset.rpcSecret = pageRpc.secret;
   script.onload = function() {
+    // injected.js is listening now; give it its private end of the bridge
+    pageRpc.handOverPort();
     this.remove();
   };
   (document.head || document.documentElement).appendChild(script);
 }
 
+/**
+ * Cache a freshly fetched profile and update its badges
+ * @param {Object} profileInfo - Profile info fetched by this or another tab
+ * @returns {Object} The merged record now in the cache
+ */
+function showFetchedProfile(profileInfo) {
+  // Extend the in-page history the same way the background store does,
+  // so badges can show what changed without waiting for a reload
+  const merged = profileCache.merge(profileInfo.username, { ...profileInfo, timestamp: Date.now() });
+
+  // Update UI with new profile info
+  displayProfileInfo(merged, profileCache);
+
+  // Swap out any stale badges for this user
+  replaceStaleBadges(merged, '.threads-profile-info-badge', createProfileBadge);
+  replaceStaleBadges(merged, '.threads-friendships-location-badge', createLocationBadge);
+  return merged;
+}
+
+/**
+ * Show a stored profile the queue found instead of looking it up
+ * It keeps its original fetch time, and may be stored under an older username.
+ * @param {string} username - Username the job was queued for
+ * @param {Object} profile - Stored profile record
+ * @returns {Object} The profile under the queued username
+ */
+function showKnownProfile(username, profile) {
+  profileCache.set(username, profile);
+  const profileInfo = { ...profile, username };
+  displayProfileInfo(profileInfo, profileCache);
+  replaceStaleBadges(profileInfo, '.threads-profile-info-badge', createProfileBadge);
+  replaceStaleBadges(profileInfo, '.threads-friendships-location-badge', createLocationBadge);
+  return profileInfo;
+}
+
+/**
+ * Load stored profiles for a list of users in one request before their rows get buttons
+ * The user IDs come from the intercepted followers/following response, so
+ * renamed users and profiles fetched by other tabs since this page loaded are
+ * found without a lookup.
+ * @param {Array<{pk: string, username: string}>} users
+ */
+async function loadKnownProfiles(users) {
+  const unknown = users.filter(user => user.username && !profileCache.has(user.username));
+  if (unknown.length === 0) return;
+
+  const known = await browserAPI.runtime.sendMessage({
+    type: 'FIND_KNOWN_PROFILES',
+    users: unknown.map(user => ({ username: user.username, userId: user.pk ? String(user.pk) : null }))
+  }).catch(() => null);
+  const found = Object.entries(known || {});
+  for (const [username, profile] of found) {
+    profileCache.set(username, profile);
+  }
+  if (found.length > 0) {
+    console.log(`[Threads Extractor] ${found.length} of ${unknown.length} listed users already known - lookups saved`);
+  }
+}
+
 // Listen for profile data from injected script
-window.addEventListener('threads-profile-extracted', (event) => {
-  const profileInfo = event.detail;
+pageRpc.on('profileExtracted', (profileInfo) => {
   if (profileInfo && profileInfo.username) {
-    profileCache.set(profileInfo.username, profileInfo);
-
     // Send to background script for persistent storage
     browserAPI.runtime.sendMessage({
       type: 'PROFILE_INFO_EXTRACTED',
       data: profileInfo
     });
 
-    // Update UI with new profile info
-    displayProfileInfo(profileInfo, profileCache);
+    showFetchedProfile(profileInfo);
   }
 });
 
+/**
+ * Pause auto-fetch in this tab until a rate limit ends
+ * @param {number} rateLimitedUntil - Time the backoff ends
+ */
+function applyRateLimit(rateLimitedUntil) {
+  if (rateLimitedUntil <= Date.now()) return;
+  state.rateLimitedUntil = Math.max(state.rateLimitedUntil, rateLimitedUntil);
+
+  const cooldownMs = state.rateLimitedUntil - Date.now();
+  console.warn(`[Threads Extractor] Rate limited! Pausing auto-fetch for ${Math.ceil(cooldownMs / 60000)} minutes.`);
+  showRateLimitToast(cooldownMs);
+}
+
 // Listen for rate limit events
-window.addEventListener('threads-rate-limited', () => {
-  console.warn('[Threads Extractor] Rate limited! Pausing auto-fetch for 1 hour.');
-  state.rateLimitedUntil = Date.now() + RATE_LIMIT_COOLDOWN_MS;
-  showRateLimitToast(RATE_LIMIT_COOLDOWN_MS);
+// The background rate limiter picks the backoff (longer after repeated 429s); storing it
+// keeps this tab paused across reloads, and the broadcast pauses the other tabs and the popup
+pageRpc.on('rateLimited', async () => {
+  const response = await browserAPI.runtime.sendMessage({ type: 'RATE_LIMIT_HIT' }).catch(() => null);
+  const rateLimitedUntil = response?.rateLimitedUntil || Date.now() + RATE_LIMIT_COOLDOWN_MS;
+  applyRateLimit(rateLimitedUntil);
+
+  await browserAPI.storage.local.set({ rateLimitedUntil: state.rateLimitedUntil });
+  browserAPI.runtime.sendMessage({ type: 'RATE_LIMITED', rateLimitedUntil: state.rateLimitedUntil }).catch(() => {
+    // Extension reloaded - nothing to notify
+  });
+});
+
+// Count every about-this-profile request against the hourly/daily budget
+pageRpc.on('lookup', (lookup) => {
+  browserAPI.runtime.sendMessage({ type: 'RECORD_LOOKUP', rateLimited: !!lookup?.rateLimited }).catch(() => {
+    // Extension reloaded - nothing to record
+  });
 });
 
 // Listen for login required events
@@ -100,26 +211,38 @@ document.addEventListener('keydown', (event) => {
 });
 
 // Listen for login state changes from injected script
-window.addEventListener('message', (event) => {
-  if (event.data?.type === 'threads-login-state') {
-    const wasLoggedIn = state.isUserLoggedIn;
-    state.isUserLoggedIn = event.data.isLoggedIn;
+pageRpc.on('loginState', ({ isLoggedIn }) => {
+  state.isUserLoggedIn = isLoggedIn;
 
-    console.log(`[Threads Extractor] Login state changed: ${state.isUserLoggedIn ? 'LOGGED IN' : 'LOGGED OUT'}`);
+  // Once logged out, queued jobs dispatched here report loginRequired and are dropped
+  console.log(`[Threads Extractor] Login state changed: ${state.isUserLoggedIn ? 'LOGGED IN' : 'LOGGED OUT'}`);
+});
 
-    // If user just logged out, clear any pending fetches
-    if (wasLoggedIn === true && state.isUserLoggedIn === false) {
-      fetchQueue.length = 0;
-      state.isFetching = false;
-    }
-  }
+// Pass session-token health on to the background for the popup
+pageRpc.on('tokenHealth', (health) => {
+  browserAPI.runtime.sendMessage({ type: 'TOKEN_HEALTH', health }).catch(() => {
+    // Extension reloaded - nothing to report to
+  });
+});
 
-  // Listen for new user ID discoveries from injected script and persist them
-  if (event.data?.type === 'threads-new-user-ids') {
-    const newUserIds = event.data.data;
-    if (newUserIds && Object.keys(newUserIds).length > 0) {
-      browserAPI.runtime.sendMessage({ type: 'STORE_USER_IDS', data: newUserIds });
-    }
+// Pass the about-this-profile request shape on to the background, which keeps the last known good one
+pageRpc.on('endpointState', (endpointState) => {
+  browserAPI.runtime.sendMessage({ type: 'ENDPOINT_STATE', state: endpointState }).catch(() => {
+    // Extension reloaded - nothing to report to
+  });
+});
+
+// Keep reports of profile responses the parser no longer understands (see schemaDrift.js)
+pageRpc.on('schemaDrift', (report) => {
+  browserAPI.runtime.sendMessage({ type: 'SCHEMA_DRIFT', report }).catch(() => {
+    // Extension reloaded - nothing to report to
+  });
+});
+
+// Listen for new user ID discoveries from injected script and persist them
+pageRpc.on('newUserIds', (newUserIds) => {
+  if (newUserIds && Object.keys(newUserIds).length > 0) {
+    browserAPI.runtime.sendMessage({ type: 'STORE_USER_IDS', data: newUserIds });
   }
 });
 
@@ -130,8 +253,8 @@ let lastFollowingList = [];
 let lastFriendshipsList = []; // Fallback for when we can't determine which
 
 // Listen for followers/following list loaded from injected script
-window.addEventListener('threads-friendships-list-loaded', (event) => {
-  const users = event.detail?.users || [];
+pageRpc.on('friendshipsListLoaded', async (list) => {
+  const users = list?.users || [];
   console.log(`[Threads Extractor] Friendships list loaded with ${users.length} users`);
 
   // Always update the fallback list
@@ -160,6 +283,7 @@ window.addEventListener('threads-friendships-list-loaded', (event) => {
   }, 100);
 
   // Use MutationObserver to wait for DOM to render
+  await loadKnownProfiles(users);
   waitForFriendshipsDOM(users);
 });
 
@@ -209,29 +333,59 @@ function injectLocationBadgesIntoFriendshipsList(users) {
 // Declare observers first (will be initialized after queue functions are defined)
 let visibilityObserver;
 let followersVisibilityObserver;
+let staleRefreshObserver;
+
+// Jobs are queued with the background coordinator, which dispatches them back to a tab
+const tabFetchQueue = createTabFetchQueue(state, profileCache, getLaneObserver);
 
-// Wrapper functions for queue management
 function queueFeedFetch(username, btn) {
-  queueFetch(username, btn, fetchQueue, visibilityObserver,
-    () => processFetchQueue(fetchQueue, state, profileCache, FETCH_DELAY_MS),
-    state.autoFetchReady, profileCache, MAX_QUEUE_SIZE);
+  tabFetchQueue.queueFetch('feed', username, btn);
+}
+
+function cancelFeedFetch(username) {
+  tabFetchQueue.cancel('feed', username);
+}
+
+function queueStaleRefresh(username, userId, badge) {
+  tabFetchQueue.queueFetch('refresh', username, badge, userId);
 }
 
 function queueFollowersFetch(username, btn) {
-  queueFetch(username, btn, followersFetchQueue, followersVisibilityObserver,
-    () => processFollowersFetchQueue(followersFetchQueue, state, profileCache, FETCH_DELAY_MS),
-    true, profileCache, MAX_QUEUE_SIZE);
+  tabFetchQueue.queueFetch('followers', username, btn, btn.getAttribute('data-userid'));
+}
+
+function cancelFollowersFetch(username) {
+  tabFetchQueue.cancel('followers', username);
+}
+
+// Observer that re-queues each lane's elements when the coordinator drops them
+function getLaneObserver(lane) {
+  if (lane === 'followers') return followersVisibilityObserver;
+  if (lane === 'refresh') return staleRefreshObserver;
+  return visibilityObserver;
 }
 
 // Initialize IntersectionObservers using factory functions
 visibilityObserver = createFeedVisibilityObserver(
-  queueFeedFetch, pendingVisibility, profileCache, state, VISIBILITY_DELAY_MS
+  queueFeedFetch, cancelFeedFetch, pendingVisibility, profileCache, state, VISIBILITY_DELAY_MS
 );
 
 followersVisibilityObserver = createFollowersVisibilityObserver(
-  queueFollowersFetch, pendingFollowersVisibility, profileCache, state, VISIBILITY_DELAY_MS
+  queueFollowersFetch, cancelFollowersFetch, pendingFollowersVisibility, profileCache, state, VISIBILITY_DELAY_MS
 );
 
+staleRefreshObserver = createStaleRefreshObserver(
+  queueStaleRefresh, pendingRefreshVisibility, state, VISIBILITY_DELAY_MS
+);
+
+// Watch newly inserted stale badges so they refresh once visible
+function observeStaleBadges() {
+  document.querySelectorAll(`.${STALE_BADGE_CLASS}:not([data-refresh-observed])`).forEach(badge => {
+    badge.setAttribute('data-refresh-observed', 'true');
+    staleRefreshObserver.observe(badge);
+  });
+}
+
 // Detect if we're on an activity page (replies, follows, etc.)
 function isActivityPage() {
   const path = window.location.pathname;
@@ -403,14 +557,21 @@ function addFetchButtons() {
       btn.disabled = true;
       btn.textContent = '⏳';
 
+      if (!await isManualFetchAllowed()) {
+        showBudgetExhausted(btn);
+        return;
+      }
+
       // Request user ID lookup using shared utility
       const userId = await getUserIdByUsername(username);
 
       if (userId) {
-        // Request profile fetch using shared utility
-        const result = await fetchProfileByUserId(userId);
+        // Request profile fetch ahead of queued auto-fetches
+        const result = await fetchProfileManually(username, userId);
 
-        if (result) {
+        if (isFetchError(result)) {
+          showFetchError(btn, result);
+        } else if (result) {
           if (result._loginRequired) {
             // Login required - show lock icon and banner
             btn.textContent = '🔒';
@@ -458,6 +619,7 @@ function observeFeed() {
     clearTimeout(observer._timeout);
     observer._timeout = setTimeout(() => {
       addFetchButtons();
+      observeStaleBadges();
 
       // Check if friendships dialog is open
       const dialogOpen = document.querySelector('[role="dialog"]');
@@ -606,6 +768,36 @@ window.addEventListener('beforeunload', () => {
 }, { once: true });
 
 // Initialize
+// Load cached profiles from storage (stale ones are shown and refreshed when visible)
+function loadCachedProfiles() {
+  return browserAPI.runtime.sendMessage({ type: 'GET_PROFILES', includeStale: true }).then((cachedProfiles) => {
+    if (cachedProfiles) {
+      for (const [username, data] of Object.entries(cachedProfiles)) {
+        profileCache.set(username, data);
+      }
+    }
+  }).catch((err) => {
+    console.warn('[Threads Extractor] Failed to load cached profiles:', err);
+  });
+}
+
+// Reload the cache after an import and show badges for newly known users
+async function refreshImportedProfiles() {
+  await loadCachedProfiles();
+
+  // Buttons for users the import just filled in
+  const pendingButtons = document.querySelectorAll('.threads-fetch-btn[data-username]');
+  for (const btn of pendingButtons) {
+    const username = btn.getAttribute('data-username');
+    if (btn.style.display !== 'none' && profileCache.has(username)) {
+      displayProfileInfo(profileCache.get(username), profileCache);
+    }
+  }
+
+  // Existing badges may now have newer data
+  updateBadgesForFlagsChange();
+}
+
 function init() {
   console.log('[Threads Extractor] Content script loaded');
 
@@ -622,15 +814,7 @@ function init() {
   observeFeed();
 
   // Load cached profiles from storage
-  browserAPI.runtime.sendMessage({ type: 'GET_CACHED_PROFILES' }).then((cachedProfiles) => {
-    if (cachedProfiles) {
-      for (const [username, data] of Object.entries(cachedProfiles)) {
-        profileCache.set(username, data);
-      }
-    }
-  }).catch((err) => {
-    console.warn('[Threads Extractor] Failed to load cached profiles:', err);
-  });
+  loadCachedProfiles();
 
   // Load cached user IDs and pass to injected script
   browserAPI.runtime.sendMessage({ type: 'GET_USER_ID_CACHE' }).then((cachedUserIds) => {
@@ -640,24 +824,37 @@ function init() {
         userIdMap[username] = data.userId;
       }
       // Pass to injected script
-      window.postMessage({ type: 'threads-load-userid-cache', data: userIdMap }, '*');
+      pageRpc.notify('loadUserIdCache', userIdMap);
     }
   }).catch((err) => {
     console.warn('[Threads Extractor] Failed to load cached user IDs:', err);
   });
 
+  // The user's own About-this-profile labels (see labelRegistry.js)
+  browserAPI.storage.local.get(LABEL_OVERRIDES_KEY).then((result) => {
+    if (result[LABEL_OVERRIDES_KEY]) pageRpc.notify('loadLabelOverrides', result[LABEL_OVERRIDES_KEY]);
+  });
+
+  // Start lookups from the last request shape that worked, in case Threads rotated it since the build
+  browserAPI.runtime.sendMessage({ type: 'GET_LAST_GOOD_ENDPOINT' }).then((lastGood) => {
+    if (lastGood) pageRpc.notify('loadEndpoint', lastGood);
+  }).catch((err) => {
+    console.warn('[Threads Extractor] Failed to load the saved endpoint:', err);
+  });
+
   // Enable auto-fetch after initial delay (wait for bulk-route-definitions to load)
   setTimeout(() => {
     state.autoFetchReady = true;
     console.log('[Threads Extractor] Auto-fetch enabled');
-    processFetchQueue(fetchQueue, state, profileCache, FETCH_DELAY_MS); // Process any queued items
+    tabFetchQueue.flush(); // Submit anything queued while loading
   }, INITIAL_DELAY_MS);
 }
 
-// Load auto-query settings from storage
-browserAPI.storage.local.get(['autoQueryEnabled', 'autoQueryFollowersEnabled']).then((result) => {
+// Load auto-query settings (and a rate limit that outlived the last page load) from storage
+browserAPI.storage.local.get(['autoQueryEnabled', 'autoQueryFollowersEnabled', 'rateLimitedUntil']).then((result) => {
   state.autoQueryEnabled = result.autoQueryEnabled !== false;
   state.autoQueryFollowersEnabled = result.autoQueryFollowersEnabled === true; // Default off
+  state.rateLimitedUntil = Math.max(state.rateLimitedUntil, result.rateLimitedUntil || 0);
 });
 
 /**
@@ -716,16 +913,38 @@ async function updateBadgesForFlagsChange() {
 }
 
 // Listen for setting changes from popup
-browserAPI.runtime.onMessage.addListener((message) => {
+browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'AUTO_QUERY_CHANGED') {
     state.autoQueryEnabled = message.enabled;
     console.log('[Threads Extractor] Auto-query', state.autoQueryEnabled ? 'enabled' : 'disabled');
     if (state.autoQueryEnabled) {
-      processFetchQueue(fetchQueue, state, profileCache, FETCH_DELAY_MS);
+      tabFetchQueue.flush();
     }
   } else if (message.type === 'AUTO_QUERY_FOLLOWERS_CHANGED') {
     state.autoQueryFollowersEnabled = message.enabled;
     console.log('[Threads Extractor] Auto-query followers', state.autoQueryFollowersEnabled ? 'enabled' : 'disabled');
+    if (state.autoQueryFollowersEnabled) {
+      tabFetchQueue.flush();
+    }
+  } else if (message.type === 'RATE_LIMITED') {
+    // Another tab was rate limited
+    applyRateLimit(message.rateLimitedUntil);
+  } else if (message.type === 'RATE_LIMIT_CLEARED') {
+    // Resumed from the popup
+    console.log('[Threads Extractor] Rate limit cleared, resuming auto-fetch');
+    state.rateLimitedUntil = 0;
+    hideRateLimitToast();
+  } else if (message.type === 'FETCH_QUEUE_RUN') {
+    // The coordinator picked this tab to run a queued fetch
+    tabFetchQueue.run(message.job).then(sendResponse);
+    return true; // Keep channel open for async response
+  } else if (message.type === 'FETCH_QUEUE_DROPPED') {
+    tabFetchQueue.drop(message.lane, message.usernames);
+  } else if (message.type === 'FETCH_QUEUE_PROFILE' && message.profile?.username) {
+    // Another tab fetched a profile this tab was waiting for, or the store already had it
+    tabFetchQueue.deliver(message.known
+      ? showKnownProfile(message.username, message.profile)
+      : showFetchedProfile(message.profile));
   } else if (message.type === 'SHOW_FLAGS_CHANGED') {
     console.log('[Threads Extractor] Show flags', message.enabled ? 'enabled' : 'disabled');
     // Update all existing badges on the page
@@ -734,6 +953,12 @@ browserAPI.runtime.onMessage.addListener((message) => {
     console.log('[Threads Extractor] Custom emojis changed, refreshing badges');
     // Update all existing badges to show new custom emojis
     updateBadgesForFlagsChange();
+  } else if (message.type === 'LABEL_OVERRIDES_CHANGED') {
+    // Label edits from the popup; used for the next responses parsed in the page
+    pageRpc.notify('loadLabelOverrides', message.overrides || {});
+  } else if (message.type === 'PROFILES_IMPORTED') {
+    console.log('[Threads Extractor] Profiles imported, refreshing badges');
+    refreshImportedProfiles();
   }
 });
 
@@ -1,8 +1,20 @@
 // Injected script to intercept fetch/XHR responses for profile data
-import { parseProfileResponse } from './lib/profileParser.js';
+import { analyzeProfileResponse } from './lib/profileParser.js';
+import { placeholderUsername } from './lib/profileHistory.js';
+import { createRpcBridge } from './lib/rpcBridge.js';
+import { fetchError, classifyFailedResponse } from './lib/fetchErrors.js';
+import { createTokenManager, TOKEN_WAIT_MS } from './lib/tokenManager.js';
+import { createEndpointTracker } from './lib/endpointDescriptor.js';
+import { createLabelRegistry, defaultLabelRegistry, normalizeLabelOverrides } from './lib/labelRegistry.js';
 
 'use strict';
 
+// Bridge to the content script, over the port it hands us once we have loaded;
+// the secret on our <script> tag proves to it that we are the script it injected
+const scriptTag = document.currentScript;
+const rpc = createRpcBridge({ side: 'page', secret: scriptTag?.dataset.rpcSecret });
+delete scriptTag?.dataset.rpcSecret;
+
 // Note: Font polyfill is loaded by content.js (same document, different context)
 // No need to load it again here
 
@@ -73,10 +85,14 @@ function logResponse(type, url, responseText) {
 }
 
 // ========== SESSION TOKENS ==========
-let sessionTokens = null;
+// Tracks which tokens we have and how fresh they are; the content script relays health to the popup
+const tokenManager = createTokenManager({
+  onChange: (health) => rpc.notify('tokenHealth', health)
+});
 let lastLoginState = null; // Track login state to detect changes
 
 function isLoggedIn() {
+  const sessionTokens = tokenManager.get();
   if (!sessionTokens) return false;
   if (!sessionTokens.fb_dtsg) return false;
   if (!sessionTokens.__user || sessionTokens.__user === '0') return false;
@@ -87,7 +103,7 @@ function broadcastLoginState() {
   const currentState = isLoggedIn();
   if (currentState !== lastLoginState) {
     lastLoginState = currentState;
-    window.postMessage({ type: 'threads-login-state', isLoggedIn: currentState }, '*');
+    rpc.notify('loginState', { isLoggedIn: currentState });
     console.log(`%c[Threads Extractor] Login state: ${currentState ? 'LOGGED IN' : 'LOGGED OUT'}`, 'color: #3b82f6; font-weight: bold;');
   }
 }
@@ -97,9 +113,9 @@ function captureSessionTokens(bodyParsed) {
     // Preserve existing __user if the captured one is '0' (not logged in indicator)
     const preservedUser = (bodyParsed.__user && bodyParsed.__user !== '0')
       ? bodyParsed.__user
-      : (sessionTokens?.__user || '0');
+      : (tokenManager.get()?.__user || '0');
 
-    sessionTokens = {
+    tokenManager.update({
       fb_dtsg: bodyParsed.fb_dtsg,
       lsd: bodyParsed.lsd,
       jazoest: bodyParsed.jazoest,
@@ -118,35 +134,43 @@ function captureSessionTokens(bodyParsed) {
       __spin_t: bodyParsed.__spin_t,
       dpr: bodyParsed.dpr,
       __d: bodyParsed.__d
-    };
+    }, 'request');
 
     console.log('%c[Threads Extractor] Session tokens captured!', 'color: #10b981; font-weight: bold;');
 
-    window.__threadsExtractorTokens = sessionTokens;
+    window.__threadsExtractorTokens = tokenManager.get();
     broadcastLoginState();
   }
 }
 
+// ========== ABOUT-THIS-PROFILE ENDPOINT ==========
+// Request shape for lookups, kept current from the site's own calls; the content script persists the last known good one
+const endpoint = createEndpointTracker({
+  onChange: (state) => rpc.notify('endpointState', state)
+});
+
+rpc.on('loadEndpoint', (stored) => {
+  endpoint.load(stored);
+});
+rpc.notify('endpointState', endpoint.getState());
+
 // ========== USER ID MAPPING ==========
 const userIdMap = new Map();
 window.__threadsUserIdMap = userIdMap;
 let pendingNewUserIds = {}; // Buffer for new discoveries to broadcast
 
 // Listen for cached user IDs from content script
-window.addEventListener('message', (event) => {
-  if (event.data?.type === 'threads-load-userid-cache') {
-    const cachedUserIds = event.data.data;
-    let loadedCount = 0;
-    for (const [username, userId] of Object.entries(cachedUserIds)) {
-      if (!userIdMap.has(username)) {
-        userIdMap.set(username, userId);
-        loadedCount++;
-      }
-    }
-    if (loadedCount > 0) {
-      console.log(`%c[Threads Extractor] Loaded ${loadedCount} user IDs from cache`, 'color: #22c55e; font-weight: bold;');
+rpc.on('loadUserIdCache', (cachedUserIds) => {
+  let loadedCount = 0;
+  for (const [username, userId] of Object.entries(cachedUserIds || {})) {
+    if (!userIdMap.has(username)) {
+      userIdMap.set(username, userId);
+      loadedCount++;
     }
   }
+  if (loadedCount > 0) {
+    console.log(`%c[Threads Extractor] Loaded ${loadedCount} user IDs from cache`, 'color: #22c55e; font-weight: bold;');
+  }
 });
 
 // Broadcast new user IDs to content script (debounced)
@@ -155,7 +179,7 @@ function broadcastNewUserIds() {
   if (broadcastTimeout) clearTimeout(broadcastTimeout);
   broadcastTimeout = setTimeout(() => {
     if (Object.keys(pendingNewUserIds).length > 0) {
-      window.postMessage({ type: 'threads-new-user-ids', data: pendingNewUserIds }, '*');
+      rpc.notify('newUserIds', pendingNewUserIds);
       pendingNewUserIds = {};
     }
   }, 1000); // Debounce 1 second
@@ -218,7 +242,29 @@ function extractUserIds(obj, source = 'unknown') {
 }
 
 // ========== PARSE PROFILE RESPONSE ==========
-// parseProfileResponse is imported from lib/profileParser.js
+// analyzeProfileResponse is imported from lib/profileParser.js
+const reportedDriftFingerprints = new Set(); // Fingerprints whose sample was already sent
+let labelRegistry = defaultLabelRegistry; // Registered languages plus the user's own labels
+
+rpc.on('loadLabelOverrides', (overrides) => {
+  labelRegistry = createLabelRegistry({ overrides: normalizeLabelOverrides(overrides) });
+});
+
+// Parse an about-this-profile response; responses the parser no longer understands
+// are reported to the content script (with an anonymized sample the first time)
+function parseAndCheckResponse(text) {
+  const { profile, diagnostics } = analyzeProfileResponse(text, labelRegistry);
+  if (diagnostics?.drifted) {
+    console.warn(`[Threads Extractor] ⚠️ Profile response changed shape (${diagnostics.fingerprint}: ${diagnostics.reasons.join(', ')})`);
+    const { sample, ...report } = diagnostics;
+    const firstTime = !reportedDriftFingerprints.has(diagnostics.fingerprint);
+    reportedDriftFingerprints.add(diagnostics.fingerprint);
+    rpc.notify('schemaDrift', firstTime ? { ...report, sample } : report);
+  } else if (diagnostics) {
+    console.log(`[Threads Extractor] Response shape ${diagnostics.fingerprint}, confidence ${diagnostics.confidence}`);
+  }
+  return profile;
+}
 
 // ========== FETCH INTERCEPTOR ==========
 const originalFetch = window.fetch;
@@ -257,6 +303,9 @@ window.fetch = async function(...args) {
 
   if (typeof url === 'string' && url.includes('about_this_profile_async_action')) {
     logRequest('FETCH', url, options);
+    if (endpoint.observe({ url, friendlyName, body: options.body })) {
+      console.log('%c[Threads Extractor] 🧭 About-this-profile request shape updated from site traffic', 'color: #f59e0b; font-weight: bold;');
+    }
   }
 
   const response = await originalFetch.apply(this, args);
@@ -328,16 +377,14 @@ window.fetch = async function(...args) {
 
           if (edges.length > 0) {
             console.log(`%c[Threads Extractor] Found ${edges.length} users in list`, 'color: #3b82f6;');
-            // Dispatch event to content script to handle location injection
-            window.dispatchEvent(new CustomEvent('threads-friendships-list-loaded', {
-              detail: {
-                users: edges.map(edge => ({
-                  pk: edge.node.pk,
-                  username: edge.node.username,
-                  full_name: edge.node.full_name
-                }))
-              }
-            }));
+            // Let the content script inject locations into the list
+            rpc.notify('friendshipsListLoaded', {
+              users: edges.map(edge => ({
+                pk: edge.node.pk,
+                username: edge.node.username,
+                full_name: edge.node.full_name
+              }))
+            });
           } else {
             console.log('%c[Threads Extractor] ⚠️ Matched followers/following query but no edges found', 'color: #f59e0b;');
             console.log('Response data structure:', data);
@@ -359,13 +406,13 @@ window.fetch = async function(...args) {
       const clone = response.clone();
       const text = await clone.text();
       logResponse('FETCH', url, text);
-      const profileInfo = parseProfileResponse(text);
+      const profileInfo = parseAndCheckResponse(text);
       if (profileInfo && profileInfo.username) {
         delete profileInfo._pairs;
         delete profileInfo._currentLabel;
         delete profileInfo._pairsProcessed;
         console.log('[Threads Extractor] Extracted profile info:', profileInfo);
-        window.dispatchEvent(new CustomEvent('threads-profile-extracted', { detail: profileInfo }));
+        rpc.notify('profileExtracted', profileInfo);
       }
     } catch (e) {
       console.error('[Threads Extractor] Error processing response:', e);
@@ -476,16 +523,14 @@ XMLHttpRequest.prototype.send = function(...args) {
 
         if (edges.length > 0) {
           console.log(`%c[Threads Extractor] Found ${edges.length} users in list`, 'color: #3b82f6;');
-          // Dispatch event to content script to handle location injection
-          window.dispatchEvent(new CustomEvent('threads-friendships-list-loaded', {
-            detail: {
-              users: edges.map(edge => ({
-                pk: edge.node.pk,
-                username: edge.node.username,
-                full_name: edge.node.full_name
-              }))
-            }
-          }));
+          // Let the content script inject locations into the list
+          rpc.notify('friendshipsListLoaded', {
+            users: edges.map(edge => ({
+              pk: edge.node.pk,
+              username: edge.node.username,
+              full_name: edge.node.full_name
+            }))
+          });
         } else {
           console.log('%c[Threads Extractor] ⚠️ Matched followers/following query but no edges found', 'color: #f59e0b;');
           console.log('Response data structure:', data);
@@ -503,17 +548,22 @@ XMLHttpRequest.prototype.send = function(...args) {
       headers: this._threadsHeaders,
       body: args[0]
     });
+    const xhrFriendlyName = Object.entries(xhrHeaders)
+      .find(([name]) => name.toLowerCase() === 'x-fb-friendly-name')?.[1];
+    if (endpoint.observe({ url: xhrUrl, friendlyName: xhrFriendlyName, body: requestBody })) {
+      console.log('%c[Threads Extractor] 🧭 About-this-profile request shape updated from site traffic (XHR)', 'color: #f59e0b; font-weight: bold;');
+    }
 
     this.addEventListener('load', function() {
       try {
         logResponse('XHR', xhrUrl, this.responseText);
-        const profileInfo = parseProfileResponse(this.responseText);
+        const profileInfo = parseAndCheckResponse(this.responseText);
         if (profileInfo && profileInfo.username) {
           delete profileInfo._pairs;
           delete profileInfo._currentLabel;
           delete profileInfo._pairsProcessed;
           console.log('[Threads Extractor] Extracted profile info (XHR):', profileInfo);
-          window.dispatchEvent(new CustomEvent('threads-profile-extracted', { detail: profileInfo }));
+          rpc.notify('profileExtracted', profileInfo);
         }
       } catch (e) {
         console.error('[Threads Extractor] Error processing XHR response:', e);
@@ -525,12 +575,28 @@ XMLHttpRequest.prototype.send = function(...args) {
 
 // ========== FETCH PROFILE INFO ==========
 async function fetchProfileInfo(targetUserId) {
+  // Read the page again if tokens are missing or haven't been seen for a while
+  if (tokenManager.getMissing().length > 0 || tokenManager.isStale()) {
+    scanPageForSessionTokens();
+  }
+  // Never send a lookup with empty tokens: wait for the site's own requests to bring
+  // them, then give up (the queue retries missingToken). A fully scanned page
+  // without fb_dtsg means the user is logged out.
+  if (!tokenManager.hasScanned() || isLoggedIn()) {
+    if (!await tokenManager.waitForRequired(TOKEN_WAIT_MS)) {
+      const missing = tokenManager.getMissing();
+      console.warn(`[Threads Extractor] Session tokens missing (${missing.join(', ')}). Cannot fetch profile info yet.`);
+      return fetchError('missingToken', { missing });
+    }
+  }
   if (!isLoggedIn()) {
     console.warn('[Threads Extractor] User is not logged in. Cannot fetch profile info.');
     return { _loginRequired: true };
   }
 
-  const url = '/async/wbloks/fetch/?appid=com.bloks.www.text_post_app.about_this_profile_async_action&type=app&__bkv=22713cafbb647b89c4e9c1acdea97d89c8c2046e2f4b18729760e9b1ae0724f7';
+  const sessionTokens = tokenManager.get();
+  const descriptor = endpoint.get();
+  const url = endpoint.getUrl();
 
   const params = new URLSearchParams();
   params.append('__user', '0');  // Always send 0 - auth comes from cookies, not __user param
@@ -553,37 +619,37 @@ async function fetchProfileInfo(targetUserId) {
   params.append('__spin_t', sessionTokens.__spin_t || '');
   params.append('params', JSON.stringify({
     atpTriggerSessionID: crypto.randomUUID(),
-    referer_type: 'TextPostAppProfileOverflow',
+    referer_type: descriptor.refererType,
     target_user_id: String(targetUserId)
   }));
   params.append('__d', sessionTokens.__d || 'www');
 
   console.log('[Threads Extractor] Fetching profile info for user ID:', targetUserId);
-  if (!sessionTokens.fb_dtsg) {
-    console.warn('[Threads Extractor] Warning: fb_dtsg token missing, request may fail');
-  }
 
   try {
     const response = await originalFetch(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8',
-        'X-FB-Friendly-Name': 'BarcelonaProfileAboutThisProfileAsyncActionQuery'
+        'X-FB-Friendly-Name': descriptor.friendlyName
       },
       body: params,
       credentials: 'include'
     });
 
+    // Count the request against the fetch budget (content script forwards it)
+    rpc.notify('lookup', { rateLimited: response.status === 429 });
+
     // Check for rate limiting
     if (response.status === 429) {
       console.warn('[Threads Extractor] ⚠️ Rate limited (429)! Notifying content script...');
-      window.dispatchEvent(new CustomEvent('threads-rate-limited'));
+      rpc.notify('rateLimited');
       return { _rateLimited: true };
     }
 
     const text = await response.text();
 
-    const profileInfo = parseProfileResponse(text);
+    const profileInfo = parseAndCheckResponse(text);
     console.log('[Threads Extractor] Parsed profile info:', profileInfo);
 
     // If we got profile data but no username, use the target user ID to look up username
@@ -602,22 +668,31 @@ async function fetchProfileInfo(targetUserId) {
       delete profileInfo._pairs;
       delete profileInfo._currentLabel;
       delete profileInfo._pairsProcessed;
+      // The numeric user ID is stable across renames, so it keys the cache
+      profileInfo.userId = String(targetUserId);
       // If still no username, mark it with the user ID
       if (!profileInfo.username) {
-        profileInfo.username = `user_${targetUserId}`;
+        profileInfo.username = placeholderUsername(targetUserId);
         profileInfo._userIdOnly = true;
       }
       console.log('[Threads Extractor] Fetched profile info:', profileInfo);
-      window.dispatchEvent(new CustomEvent('threads-profile-extracted', { detail: profileInfo }));
+      endpoint.recordSuccess();
+      rpc.notify('profileExtracted', profileInfo);
       return profileInfo;
-    } else {
-      console.warn('[Threads Extractor] Could not extract profile info from response. Raw profileInfo:', profileInfo);
     }
+
+    const failure = classifyFailedResponse({ status: response.status, url: response.url, text, parsed: profileInfo });
+    console.warn(`[Threads Extractor] Could not extract profile info from response (${failure._error}). Raw profileInfo:`, profileInfo);
+    // Repeated bad responses mean the request shape no longer works (after falling back to the last good one)
+    if (endpoint.recordFailure(failure)) {
+      console.warn(`[Threads Extractor] About-this-profile endpoint looks outdated (__bkv ${descriptor.bkv.substring(0, 12)}...)`);
+      return fetchError('endpointOutdated', failure.status ? { status: failure.status } : {});
+    }
+    return failure;
   } catch (e) {
     console.error('[Threads Extractor] Error fetching profile info:', e);
+    return fetchError('network');
   }
-
-  return null;
 }
 
 // ========== SCAN PAGE FOR SESSION TOKENS ==========
@@ -637,6 +712,10 @@ function scanPageForSessionTokens() {
       /name="lsd"\s+value="([^"]+)"/,
       /"LSD"[^}]*"token"\s*:\s*"([^"]+)"/
     ],
+    __hs: [
+      /"haste_session"\s*:\s*"([^"]+)"/,
+      /"__hs"\s*:\s*"([^"]+)"/
+    ],
     jazoest: [
       /"jazoest"\s*:\s*"?(\d+)"?/,
       /name="jazoest"\s+value="(\d+)"/
@@ -691,24 +770,25 @@ function scanPageForSessionTokens() {
   });
 
   if (foundTokens.fb_dtsg) {
-    // Merge with existing session tokens or create new
-    sessionTokens = {
-      ...sessionTokens,
-      fb_dtsg: foundTokens.fb_dtsg,
-      lsd: foundTokens.lsd || sessionTokens?.lsd || '',
-      jazoest: foundTokens.jazoest || sessionTokens?.jazoest || '',
+    // Merge with existing session tokens (empty values keep what we had)
+    const sessionTokens = tokenManager.get();
+    tokenManager.update({
+      ...foundTokens,
       __user: foundTokens.__user || sessionTokens?.__user || '0',
       __a: sessionTokens?.__a || '1',
       __comet_req: sessionTokens?.__comet_req || '29',
       __d: sessionTokens?.__d || 'www'
-    };
-    window.__threadsExtractorTokens = sessionTokens;
+    }, 'page');
+    window.__threadsExtractorTokens = tokenManager.get();
     console.log('%c  ✅ Session tokens updated from page!', 'color: #22c55e; font-weight: bold;');
     broadcastLoginState();
   } else {
+    tokenManager.update(foundTokens, 'page');
     console.log('%c  ❌ Could not find fb_dtsg on page', 'color: #ef4444;');
     broadcastLoginState(); // Still broadcast - might be logged out
   }
+  // Only a finished page tells us a token is really absent
+  if (document.readyState === 'complete') tokenManager.markScanned();
 
   return foundTokens;
 }
@@ -780,52 +860,41 @@ function scanPageForUserIds() {
   return Object.fromEntries(userIdMap);
 }
 
-// ========== MESSAGE HANDLERS FOR CONTENT SCRIPT ==========
-window.addEventListener('message', async (event) => {
-  if (event.source !== window) return;
-
-  // Handle user ID lookup request
-  if (event.data?.type === 'threads-userid-request') {
-    const { requestId, username } = event.data;
-    const userId = userIdMap.get(username) || null;
-    console.log(`[Threads Extractor] User ID lookup for @${username}: ${userId}`);
-    window.postMessage({
-      type: 'threads-userid-response',
-      requestId: requestId,
-      userId: userId
-    }, '*');
-  }
+// ========== RPC HANDLERS FOR CONTENT SCRIPT ==========
+rpc.handle('getUserId', ({ username }) => {
+  const userId = userIdMap.get(username) || null;
+  console.log(`[Threads Extractor] User ID lookup for @${username}: ${userId}`);
+  return userId;
+});
 
-  // Handle profile fetch request
-  if (event.data?.type === 'threads-fetch-request') {
-    const { requestId, userId } = event.data;
-    console.log(`[Threads Extractor] Profile fetch request for user ID: ${userId}`);
-    const result = await fetchProfileInfo(userId);
-    window.postMessage({
-      type: 'threads-fetch-response',
-      requestId: requestId,
-      result: result
-    }, '*');
-  }
+rpc.handle('fetchProfile', ({ userId }) => {
+  console.log(`[Threads Extractor] Profile fetch request for user ID: ${userId}`);
+  return fetchProfileInfo(userId);
+});
 
-  // Handle scan request (triggered on scroll) - disabled for performance
-  // User IDs are captured from API responses automatically
-  if (event.data?.type === 'threads-scan-request') {
-    // Do nothing - API interception handles new users
-  }
+// Token health only - the values stay in the page
+rpc.handle('getTokens', () => ({ isLoggedIn: isLoggedIn(), ...tokenManager.getHealth() }));
+
+// On demand only; user IDs are captured from API responses automatically
+rpc.handle('scan', () => {
+  scanPageForSessionTokens();
+  scanPageForUserIds();
+  return { isLoggedIn: isLoggedIn(), userCount: userIdMap.size };
 });
 
 // ========== EXPOSE FUNCTIONS ==========
 window.__threadsFetchProfileInfo = fetchProfileInfo;
 window.__threadsGetUserIdMap = () => Object.fromEntries(userIdMap);
-window.__threadsGetSessionTokens = () => sessionTokens;
+window.__threadsGetSessionTokens = () => tokenManager.get();
+window.__threadsGetTokenHealth = () => tokenManager.getHealth();
+window.__threadsGetEndpointState = () => endpoint.getState();
 window.__threadsIsLoggedIn = isLoggedIn;
 window.__threadsScanPage = scanPageForUserIds;
 window.__threadsScanTokens = scanPageForSessionTokens;
 window.__threadsScanAll = () => {
   scanPageForSessionTokens();
   scanPageForUserIds();
-  return { tokens: sessionTokens, users: Object.fromEntries(userIdMap), isLoggedIn: isLoggedIn() };
+  return { tokens: tokenManager.get(), users: Object.fromEntries(userIdMap), isLoggedIn: isLoggedIn() };
 };
 
 console.log('[Threads Extractor] Network interceptor injected');
@@ -833,6 +902,8 @@ console.log('[Threads Extractor] Available functions:');
 console.log('  - window.__threadsFetchProfileInfo(userId) - Fetch profile info by user ID');
 console.log('  - window.__threadsGetUserIdMap() - Get all discovered username -> userId mappings');
 console.log('  - window.__threadsGetSessionTokens() - Get captured session tokens');
+console.log('  - window.__threadsGetTokenHealth() - Which tokens are present and when they were last seen');
+console.log('  - window.__threadsGetEndpointState() - About-this-profile request shape and whether it still works');
 console.log('  - window.__threadsIsLoggedIn() - Check if user is logged in');
 console.log('  - window.__threadsScanPage() - Scan page for embedded user data');
 console.log('  - window.__threadsScanTokens() - Scan page for session tokens');
@@ -850,3 +921,19 @@ if (document.readyState === 'complete') {
   scanPageForUserIds();
 }, 1000));
 }
+
+// Rescan for tokens after SPA navigation; Threads swaps routes without a page load
+let navigationScanTimeout = null;
+function scheduleNavigationScan() {
+  clearTimeout(navigationScanTimeout);
+  navigationScanTimeout = setTimeout(scanPageForSessionTokens, 1500);
+}
+for (const method of ['pushState', 'replaceState']) {
+  const original = history[method];
+  history[method] = function(...args) {
+    const result = original.apply(this, args);
+    scheduleNavigationScan();
+    return result;
+  };
+}
+window.addEventListener('popstate', scheduleNavigationScan);
@@ -8,13 +8,14 @@ const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 /**
  * Create IntersectionObserver for feed posts
  * @param {Function} queueFeedFetch - Function to queue feed fetches
+ * @param {Function} cancelFeedFetch - Function to cancel a queued fetch that hasn't started
  * @param {Map} pendingVisibility - Map tracking pending visibility timers
- * @param {Map} profileCache - Profile cache
+ * @param {Object} profileCache - Profile cache
  * @param {Object} state - State object with isUserLoggedIn flag
  * @param {number} visibilityDelayMs - Delay before queuing
  * @returns {IntersectionObserver}
  */
-export function createFeedVisibilityObserver(queueFeedFetch, pendingVisibility, profileCache, state, visibilityDelayMs) {
+export function createFeedVisibilityObserver(queueFeedFetch, cancelFeedFetch, pendingVisibility, profileCache, state, visibilityDelayMs) {
   return new IntersectionObserver((entries) => {
     entries.forEach(entry => {
       const btn = entry.target;
@@ -36,19 +37,21 @@ export function createFeedVisibilityObserver(queueFeedFetch, pendingVisibility,
         if (!pendingVisibility.has(username) && !profileCache.has(username)) {
           const timeoutId = setTimeout(() => {
             // Still visible after delay? Queue it
+            // Keep observing: scrolling away before its turn cancels the fetch
             if (pendingVisibility.has(username)) {
               pendingVisibility.delete(username);
               queueFeedFetch(username, btn);
-              entry.target.observer?.unobserve?.(btn);
             }
           }, visibilityDelayMs);
           pendingVisibility.set(username, timeoutId);
         }
       } else {
-        // Post left viewport - cancel pending timer
+        // Post left viewport - cancel pending timer, or the queued fetch
         if (pendingVisibility.has(username)) {
           clearTimeout(pendingVisibility.get(username));
           pendingVisibility.delete(username);
+        } else {
+          cancelFeedFetch(username);
         }
       }
     });
@@ -58,13 +61,14 @@ export function createFeedVisibilityObserver(queueFeedFetch, pendingVisibility,
 /**
  * Create IntersectionObserver for followers/following
  * @param {Function} queueFollowersFetch - Function to queue follower fetches
+ * @param {Function} cancelFollowersFetch - Function to cancel a queued fetch that hasn't started
  * @param {Map} pendingFollowersVisibility - Map tracking pending visibility timers
- * @param {Map} profileCache - Profile cache
+ * @param {Object} profileCache - Profile cache
  * @param {Object} state - State object with flags
  * @param {number} visibilityDelayMs - Delay before queuing
  * @returns {IntersectionObserver}
  */
-export function createFollowersVisibilityObserver(queueFollowersFetch, pendingFollowersVisibility, profileCache, state, visibilityDelayMs) {
+export function createFollowersVisibilityObserver(queueFollowersFetch, cancelFollowersFetch, pendingFollowersVisibility, profileCache, state, visibilityDelayMs) {
   return new IntersectionObserver((entries) => {
     entries.forEach(entry => {
       const btn = entry.target;
@@ -90,23 +94,69 @@ export function createFollowersVisibilityObserver(queueFollowersFetch, pendingFo
         // User row entered viewport - start delay timer
         if (!pendingFollowersVisibility.has(username) && !profileCache.has(username)) {
           const timeoutId = setTimeout(() => {
-            // Still visible after delay? Queue the fetch
+            // Still visible after delay? Queue the fetch (and keep observing, to cancel it if scrolled away)
             if (pendingFollowersVisibility.has(username)) {
               pendingFollowersVisibility.delete(username);
               // Add to followers fetch queue
               queueFollowersFetch(username, btn);
-              entry.target.observer?.unobserve?.(btn);
             }
           }, visibilityDelayMs);
           pendingFollowersVisibility.set(username, timeoutId);
         }
       } else {
-        // User row left viewport - cancel pending timer
+        // User row left viewport - cancel pending timer, or the queued fetch
         if (pendingFollowersVisibility.has(username)) {
           clearTimeout(pendingFollowersVisibility.get(username));
           pendingFollowersVisibility.delete(username);
+        } else {
+          cancelFollowersFetch(username);
         }
       }
     });
   }, { threshold: 0.1 });
 }
+
+/**
+ * Create IntersectionObserver for stale badges (feed posts and user lists)
+ * @param {Function} queueStaleRefresh - Function to queue a refresh (username, userId, badge)
+ * @param {Map} pendingRefreshVisibility - Map tracking pending visibility timers
+ * @param {Object} state - State object with flags
+ * @param {number} visibilityDelayMs - Delay before queuing
+ * @returns {IntersectionObserver}
+ */
+export function createStaleRefreshObserver(queueStaleRefresh, pendingRefreshVisibility, state, visibilityDelayMs) {
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+      const badge = entry.target;
+      const username = badge.getAttribute('data-username');
+      const userId = badge.getAttribute('data-userid');
+      if (!userId) return;
+
+      if (entry.isIntersecting) {
+        // Stale data is still shown, so just wait until a fetch is possible
+        if (state.isUserLoggedIn === false || !state.autoQueryEnabled) return;
+
+        // Badge entered viewport - start delay timer
+        if (!pendingRefreshVisibility.has(userId)) {
+          const timeoutId = setTimeout(() => {
+            // Still visible after delay? Queue the refresh
+            if (pendingRefreshVisibility.has(userId)) {
+              pendingRefreshVisibility.delete(userId);
+              queueStaleRefresh(username, userId, badge);
+              observer.unobserve(badge);
+            }
+          }, visibilityDelayMs);
+          pendingRefreshVisibility.set(userId, timeoutId);
+        }
+      } else {
+        // Badge left viewport - cancel pending timer
+        if (pendingRefreshVisibility.has(userId)) {
+          clearTimeout(pendingRefreshVisibility.get(userId));
+          pendingRefreshVisibility.delete(userId);
+        }
+      }
+    });
+  }, { threshold: 0.1 });
+
+  return observer;
+}
@@ -0,0 +1,110 @@
+/**
+ * Scheduled cache maintenance and storage reporting
+ * Runs from a background alarm so long-running browsers keep pruning the
+ * profile store, not only on startup.
+ */
+
+import {
+  getAllProfiles,
+  getAllUserIds,
+  deleteProfiles,
+  deletePendingProfiles,
+  deleteUserIds,
+  evictLeastRecentlyUsed,
+  measureProfileStore
+} from './profileStore.js';
+import { loadTtlSettings, createTtlChecker } from './ttlPolicy.js';
+
+export const MAINTENANCE_ALARM = 'cache-maintenance';
+export const MAINTENANCE_PERIOD_MINUTES = 6 * 60;
+
+// storage.local key holding the result of the last run
+export const MAINTENANCE_RESULT_KEY = 'cacheMaintenanceLastRun';
+
+/**
+ * Prune expired entries and enforce the profile limit
+ * @param {Object} storageArea - browserAPI.storage.local (or a compatible stub)
+ * @param {number} [now] - Reference time
+ * @returns {Promise<Object>} { ranAt, expiredProfiles, expiredUserIds, evictedProfiles }
+ */
+export async function runCacheMaintenance(storageArea, now = Date.now()) {
+  const { policy, pinnedUsers, maxProfiles } = await loadTtlSettings(storageArea);
+  const ttl = createTtlChecker(policy, pinnedUsers, now);
+
+  // Profiles past their per-category TTL and the stale grace period (pinned users are kept)
+  const expiredProfiles = await getAllProfiles(ttl.isProfileExpired);
+  const expired = Object.values(expiredProfiles);
+  await deleteProfiles(expired.filter(profile => profile.userId).map(profile => profile.userId));
+  // Profiles still waiting for their userId are keyed by username
+  await deletePendingProfiles(expired.filter(profile => !profile.userId).map(profile => profile.username));
+
+  const expiredUserIds = await getAllUserIds((data) => !ttl.isUserIdFresh(data));
+  await deleteUserIds(Object.keys(expiredUserIds));
+
+  // Whatever is still fresh but over the limit goes least recently used first
+  const evicted = await evictLeastRecentlyUsed(maxProfiles, Object.keys(pinnedUsers));
+
+  const result = {
+    ranAt: now,
+    expiredProfiles: Object.keys(expiredProfiles).length,
+    expiredUserIds: Object.keys(expiredUserIds).length,
+    evictedProfiles: evicted.length
+  };
+  await storageArea.set({ [MAINTENANCE_RESULT_KEY]: result });
+  return result;
+}
+
+/**
+ * Measure bytes used per storage.local key
+ * Uses getBytesInUse where available (Chrome) and a JSON size estimate otherwise.
+ * @param {Object} storageArea - browserAPI.storage.local (or a compatible stub)
+ * @returns {Promise<Object>} { key: bytes, ... }
+ */
+async function measureStorageKeys(storageArea) {
+  const items = await storageArea.get(null);
+  const encoder = new TextEncoder();
+  const keys = {};
+
+  for (const [key, value] of Object.entries(items)) {
+    if (typeof storageArea.getBytesInUse === 'function') {
+      keys[key] = await storageArea.getBytesInUse(key);
+    } else {
+      keys[key] = encoder.encode(key + JSON.stringify(value)).length;
+    }
+  }
+  return keys;
+}
+
+/**
+ * Build a storage report for the popup
+ * @param {Object} storageArea - browserAPI.storage.local (or a compatible stub)
+ * @returns {Promise<Object>} Counts, bytes per store/key, quota and the last maintenance run
+ */
+export async function getCacheReport(storageArea) {
+  const stores = await measureProfileStore();
+  const keys = await measureStorageKeys(storageArea);
+  const settingsBytes = Object.values(keys).reduce((sum, bytes) => sum + bytes, 0);
+
+  // Origin-wide usage/quota (covers IndexedDB); not available in every browser
+  let usage = null;
+  let quota = null;
+  if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+    try {
+      ({ usage = null, quota = null } = await navigator.storage.estimate());
+    } catch (e) {
+      // Leave usage/quota unknown
+    }
+  }
+
+  const { [MAINTENANCE_RESULT_KEY]: lastMaintenance = null } = await storageArea.get([MAINTENANCE_RESULT_KEY]);
+
+  return {
+    profiles: stores.profiles,
+    userIds: stores.userIds,
+    settings: { bytes: settingsBytes, keys },
+    totalBytes: stores.profiles.bytes + stores.userIds.bytes + settingsBytes,
+    usage,
+    quota,
+    lastMaintenance
+  };
+}
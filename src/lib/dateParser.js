@@ -1,5 +1,6 @@
 // Parse joined date string and return Date object
-// Handles formats like: "2024年1月", "January 2024", "2024년 1월", "2024年1月"
+// Handles formats like: "2024年1月", "January 2024", "2024년 1월", "enero de 2024",
+// "Januar 2024", "มกราคม 2567" (Buddhist era) and "tháng 1 năm 2024"
 export function parseJoinedDate(joinedStr) {
   if (!joinedStr) return null;
 
@@ -15,32 +16,52 @@ export function parseJoinedDate(joinedStr) {
     // Korean
     '1월': 0, '2월': 1, '3월': 2, '4월': 3, '5월': 4, '6월': 5,
     '7월': 6, '8월': 7, '9월': 8, '10월': 9, '11월': 10, '12월': 11,
+    // Spanish
+    'enero': 0, 'febrero': 1, 'marzo': 2, 'abril': 3, 'mayo': 4, 'junio': 5,
+    'julio': 6, 'agosto': 7, 'septiembre': 8, 'setiembre': 8, 'octubre': 9, 'noviembre': 10, 'diciembre': 11,
+    'ene': 0, 'abr': 3, 'ago': 7, 'sept': 8, 'dic': 11,
+    // Portuguese
+    'janeiro': 0, 'fevereiro': 1, 'março': 2, 'maio': 4, 'junho': 5,
+    'julho': 6, 'setembro': 8, 'outubro': 9, 'novembro': 10, 'dezembro': 11,
+    'fev': 1, 'mai': 4, 'set': 8, 'out': 9, 'dez': 11,
+    // French
+    'janvier': 0, 'février': 1, 'mars': 2, 'avril': 3, 'juin': 5,
+    'juillet': 6, 'août': 7, 'septembre': 8, 'octobre': 9, 'novembre': 10, 'décembre': 11,
+    'janv': 0, 'févr': 1, 'avr': 3, 'juil': 6, 'déc': 11,
+    // German
+    'januar': 0, 'jänner': 0, 'februar': 1, 'märz': 2, 'juni': 5,
+    'juli': 6, 'oktober': 9, 'dezember': 11,
+    'okt': 9,
+    // Thai
+    'มกราคม': 0, 'กุมภาพันธ์': 1, 'มีนาคม': 2, 'เมษายน': 3, 'พฤษภาคม': 4, 'มิถุนายน': 5,
+    'กรกฎาคม': 6, 'สิงหาคม': 7, 'กันยายน': 8, 'ตุลาคม': 9, 'พฤศจิกายน': 10, 'ธันวาคม': 11,
   };
 
+  const normalized = joinedStr.normalize('NFC');
+
   // Extract year (4 digits)
-  const yearMatch = joinedStr.match(/(\d{4})/);
+  const yearMatch = normalized.match(/(\d{4})/);
   if (!yearMatch) return null;
-  const year = parseInt(yearMatch[1], 10);
+  let year = parseInt(yearMatch[1], 10);
+  // Thai UI shows Buddhist-era years (2567 = 2024)
+  if (year >= 2400) year -= 543;
 
   // Try to find month
   let month = null;
 
-  // Check for CJK month format (e.g., "1月", "12月")
-  const cjkMonthMatch = joinedStr.match(/(\d{1,2})[月월]/);
-  if (cjkMonthMatch) {
-    month = parseInt(cjkMonthMatch[1], 10) - 1; // 0-indexed
+  // Check for numeric month formats: CJK ("1月", "12월") and Vietnamese ("tháng 1", "thg 12")
+  const numericMonthMatch = normalized.match(/(\d{1,2})[月월]/) ||
+    normalized.match(/(?:th[áa]ng|thg)\s*(\d{1,2})(?!\d)/i);
+  if (numericMonthMatch) {
+    month = parseInt(numericMonthMatch[1], 10) - 1; // 0-indexed
   } else {
-    // Check for English month names
-    const lowerStr = joinedStr.toLowerCase();
-    for (const [name, idx] of Object.entries(monthMap)) {
-      if (lowerStr.includes(name)) {
-        month = idx;
-        break;
-      }
-    }
+    // Check for month names, whole words only so short ones ("mai", "out") don't match inside others
+    const words = normalized.toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
+    const name = words.find(word => Object.hasOwn(monthMap, word));
+    if (name) month = monthMap[name];
   }
 
-  if (month === null) return null;
+  if (month === null || month < 0 || month > 11) return null;
 
   return new Date(year, month, 1);
 }
@@ -0,0 +1,210 @@
+/**
+ * Request shape of the About-this-profile lookup
+ * The lookup replays the site's own wbloks call, so it depends on values Threads
+ * controls: the app ID, the __bkv bloks version hash (rotated with site
+ * releases), the friendly name and the referer type. They live in one
+ * versioned descriptor; the tracker adopts fresher values seen in the site's
+ * own about_this_profile traffic, remembers the last value that returned a
+ * profile, falls back to it when a newer one stops working, and reports the
+ * endpoint as outdated when nothing works any more.
+ */
+
+// Bump the version whenever the built-in values change, so stored ones from an older release are dropped
+export const ABOUT_PROFILE_ENDPOINT = {
+  version: 1,
+  path: '/async/wbloks/fetch/',
+  appid: 'com.bloks.www.text_post_app.about_this_profile_async_action',
+  type: 'app',
+  bkv: '22713cafbb647b89c4e9c1acdea97d89c8c2046e2f4b18729760e9b1ae0724f7',
+  friendlyName: 'BarcelonaProfileAboutThisProfileAsyncActionQuery',
+  refererType: 'TextPostAppProfileOverflow'
+};
+
+// storage.local key for the last known good descriptor
+export const ENDPOINT_STORAGE_KEY = 'aboutProfileEndpoint';
+
+// Consecutive endpoint-shaped failures before falling back or calling the endpoint outdated
+export const ENDPOINT_FAILURE_LIMIT = 3;
+
+// Fields the site's traffic can update
+const DISCOVERABLE_FIELDS = ['bkv', 'friendlyName', 'refererType'];
+
+/**
+ * Build the request URL for a descriptor
+ * @param {Object} descriptor
+ * @returns {string}
+ */
+export function buildEndpointUrl({ path, appid, type, bkv }) {
+  return `${path}?appid=${encodeURIComponent(appid)}&type=${encodeURIComponent(type)}&__bkv=${encodeURIComponent(bkv)}`;
+}
+
+/**
+ * Read the request shape from one of the site's own about_this_profile calls
+ * @param {Object} request
+ * @param {string} request.url
+ * @param {string} [request.friendlyName] - X-FB-Friendly-Name header
+ * @param {string|URLSearchParams} [request.body] - Form body (its params JSON carries referer_type)
+ * @returns {Object|null} { bkv, friendlyName?, refererType? }, or null if it isn't one
+ */
+export function discoverEndpoint({ url, friendlyName, body }) {
+  if (typeof url !== 'string') return null;
+  let parsed;
+  try {
+    parsed = new URL(url, 'https://www.threads.com');
+  } catch (e) {
+    return null;
+  }
+  if (parsed.searchParams.get('appid') !== ABOUT_PROFILE_ENDPOINT.appid) return null;
+  const bkv = parsed.searchParams.get('__bkv');
+  if (!bkv || !/^[0-9a-f]{16,}$/i.test(bkv)) return null;
+
+  const found = { bkv };
+  if (friendlyName) found.friendlyName = friendlyName;
+  try {
+    const form = body instanceof URLSearchParams ? body : new URLSearchParams(typeof body === 'string' ? body : '');
+    const refererType = JSON.parse(form.get('params') || '{}').referer_type;
+    if (refererType) found.refererType = refererType;
+  } catch (e) { /* not a form body */ }
+  return found;
+}
+
+/**
+ * Whether a failed lookup points at the request shape rather than the user or the network
+ * @param {Object} failure - Failure marker (see fetchErrors.js)
+ * @returns {boolean}
+ */
+export function isEndpointFailure(failure) {
+  if (failure?._error === 'unparseable') return true;
+  return failure?._error === 'httpError' && failure.status >= 400 && failure.status < 500;
+}
+
+/**
+ * Create the endpoint tracker for injected.js
+ * @param {Object} [options]
+ * @param {Function} [options.onChange] - (state) => void, when the descriptor or status changes
+ * @param {Function} [options.now] - Clock (for tests)
+ * @returns {Object} Endpoint tracker API
+ */
+export function createEndpointTracker({ onChange = () => {}, now = () => Date.now() } = {}) {
+  let current = { ...ABOUT_PROFILE_ENDPOINT };
+  let source = 'default'; // 'default', 'stored' or 'traffic'
+  let lastGood = null; // { descriptor, at } of the last lookup that returned a profile
+  let discoveredAt = 0;
+  let failures = 0;
+  let outdated = false;
+
+  /**
+   * State for the content script (persisted) and popup
+   * @returns {Object} { status: 'ok'|'outdated', version, bkv, source, discoveredAt, failures, lastGood }
+   */
+  function getState() {
+    return {
+      status: outdated ? 'outdated' : 'ok',
+      version: current.version,
+      bkv: current.bkv,
+      source,
+      discoveredAt,
+      failures,
+      lastGood
+    };
+  }
+
+  const changed = () => onChange(getState());
+
+  return {
+    getState,
+
+    /**
+     * Descriptor to send the next lookup with
+     * @returns {Object}
+     */
+    get() {
+      return current;
+    },
+
+    /**
+     * URL to send the next lookup to
+     * @returns {string}
+     */
+    getUrl() {
+      return buildEndpointUrl(current);
+    },
+
+    /**
+     * Start from the last known good descriptor saved by an earlier page
+     * @param {Object|null} stored - getState().lastGood from storage
+     */
+    load(stored) {
+      if (stored?.descriptor?.version !== ABOUT_PROFILE_ENDPOINT.version || !stored.descriptor.bkv) return;
+      lastGood = stored;
+      // The site's own traffic is fresher than anything stored
+      if (source === 'traffic') return;
+      current = { ...ABOUT_PROFILE_ENDPOINT, ...pickDiscoverable(stored.descriptor) };
+      source = 'stored';
+      changed();
+    },
+
+    /**
+     * Adopt the request shape of one of the site's own calls
+     * @param {Object} request - See discoverEndpoint()
+     * @returns {boolean} Whether anything changed
+     */
+    observe(request) {
+      const found = discoverEndpoint(request);
+      if (!found) return false;
+      discoveredAt = now();
+      const differs = DISCOVERABLE_FIELDS.some(field => found[field] && found[field] !== current[field]);
+      if (!differs && source === 'traffic') return false;
+      current = { ...current, ...found };
+      source = 'traffic';
+      // A new value deserves a fresh start; the same one failing stays outdated
+      if (differs) {
+        failures = 0;
+        outdated = false;
+      }
+      changed();
+      return differs;
+    },
+
+    /**
+     * A lookup returned a profile: this descriptor is the last known good one
+     */
+    recordSuccess() {
+      const wasGood = lastGood?.descriptor?.bkv === current.bkv && failures === 0 && !outdated;
+      lastGood = { descriptor: { ...current }, at: now() };
+      failures = 0;
+      outdated = false;
+      if (!wasGood) changed();
+    },
+
+    /**
+     * A lookup failed; endpoint-shaped failures in a row fall back to the last
+     * known good descriptor, then mark the endpoint outdated
+     * @param {Object} failure - Failure marker (see fetchErrors.js)
+     * @returns {boolean} Whether the endpoint is now considered outdated
+     */
+    recordFailure(failure) {
+      if (!isEndpointFailure(failure)) return outdated;
+      failures++;
+      if (failures < ENDPOINT_FAILURE_LIMIT) return outdated;
+
+      if (lastGood && lastGood.descriptor.bkv !== current.bkv) {
+        current = { ...ABOUT_PROFILE_ENDPOINT, ...pickDiscoverable(lastGood.descriptor) };
+        source = 'stored';
+        failures = 0;
+      } else {
+        outdated = true;
+      }
+      changed();
+      return outdated;
+    }
+  };
+}
+
+function pickDiscoverable(descriptor) {
+  const picked = {};
+  for (const field of DISCOVERABLE_FIELDS) {
+    if (descriptor[field]) picked[field] = descriptor[field];
+  }
+  return picked;
+}
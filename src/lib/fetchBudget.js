@@ -0,0 +1,255 @@
+/**
+ * Hourly and daily budget for profile lookups
+ * Counts every about-this-profile request (and profiles served from the cache,
+ * or found already known before a lookup went out, and failed lookups by
+ * reason) in hourly buckets. Auto-fetch stops while either limit is used up;
+ * manual lookups only stop if the user chose to block them too.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// storage.local keys
+export const FETCH_BUDGET_SETTINGS_KEY = 'fetchBudgetSettings';
+export const FETCH_BUDGET_USAGE_KEY = 'fetchBudgetUsage';
+
+export const DEFAULT_FETCH_BUDGET = {
+  perHour: 200,
+  perDay: 1000, // Over the last 24 hours
+  blockManual: false // Also refuse manual 📍 lookups once the budget is used up
+};
+
+// Bounds for user-entered values
+export const MIN_BUDGET = 1;
+export const MAX_PER_HOUR = 2000;
+export const MAX_PER_DAY = 20000;
+
+// Hourly buckets kept for the daily limit and the usage histogram
+export const BUDGET_HISTORY_HOURS = 24;
+
+/**
+ * Fill in missing or invalid settings with the defaults
+ * @param {Object} [settings] - Stored settings ({ perHour, perDay, blockManual })
+ * @returns {{perHour: number, perDay: number, blockManual: boolean}}
+ */
+export function normalizeFetchBudget(settings = {}) {
+  const clamp = (value, max, fallback) => {
+    const number = Math.floor(Number(value));
+    if (!Number.isFinite(number) || number < MIN_BUDGET) return fallback;
+    return Math.min(number, max);
+  };
+  return {
+    perHour: clamp(settings?.perHour, MAX_PER_HOUR, DEFAULT_FETCH_BUDGET.perHour),
+    perDay: clamp(settings?.perDay, MAX_PER_DAY, DEFAULT_FETCH_BUDGET.perDay),
+    blockManual: settings?.blockManual === true
+  };
+}
+
+/**
+ * Add failure counts into a running total
+ * @param {Object} total - { reason: count }, updated in place
+ * @param {Object} [failures] - { reason: count }
+ * @returns {Object} total
+ */
+function addFailures(total, failures) {
+  for (const [reason, count] of Object.entries(failures || {})) {
+    if (Number.isFinite(count) && count > 0) total[reason] = (total[reason] || 0) + count;
+  }
+  return total;
+}
+
+/**
+ * Create a fetch budget tracker
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - { perHour, perDay, blockManual }
+ * @param {Function} [options.now] - Clock (for tests)
+ * @returns {Object} Budget API
+ */
+export function createFetchBudget({ settings = DEFAULT_FETCH_BUDGET, now = () => Date.now() } = {}) {
+  let limits = normalizeFetchBudget(settings);
+  let buckets = []; // { hour, lookups, cacheHits, saved, rateLimited, failures: { reason: count } }, oldest first
+
+  const getHourStart = (time) => Math.floor(time / HOUR_MS) * HOUR_MS;
+
+  /**
+   * Drop buckets older than the history window
+   * @param {number} time
+   */
+  function prune(time) {
+    const oldest = getHourStart(time) - (BUDGET_HISTORY_HOURS - 1) * HOUR_MS;
+    buckets = buckets.filter(bucket => bucket.hour >= oldest);
+  }
+
+  /**
+   * Get (or start) the bucket for the current hour
+   * @returns {Object}
+   */
+  function currentBucket() {
+    const time = now();
+    prune(time);
+    const hour = getHourStart(time);
+    let bucket = buckets[buckets.length - 1];
+    if (bucket?.hour !== hour) {
+      bucket = { hour, lookups: 0, cacheHits: 0, saved: 0, rateLimited: 0, failures: {} };
+      buckets.push(bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * Time until auto-fetch may run again
+   * @returns {number} 0 if within budget, otherwise milliseconds to wait
+   */
+  function getWaitMs() {
+    const time = now();
+    prune(time);
+    const hour = getHourStart(time);
+    let waitUntil = 0;
+
+    const thisHour = buckets.find(bucket => bucket.hour === hour)?.lookups || 0;
+    if (thisHour >= limits.perHour) waitUntil = hour + HOUR_MS;
+
+    // Daily: wait until enough of the oldest hours fall out of the 24-hour window
+    let today = buckets.reduce((sum, bucket) => sum + bucket.lookups, 0);
+    for (const bucket of buckets) {
+      if (today < limits.perDay) break;
+      today -= bucket.lookups;
+      waitUntil = Math.max(waitUntil, bucket.hour + BUDGET_HISTORY_HOURS * HOUR_MS);
+    }
+
+    return Math.max(0, waitUntil - time);
+  }
+
+  return {
+    getWaitMs,
+
+    /**
+     * Count one network lookup
+     * @param {Object} [outcome]
+     * @param {boolean} [outcome.rateLimited] - Threads answered 429
+     */
+    recordLookup({ rateLimited = false } = {}) {
+      const bucket = currentBucket();
+      bucket.lookups++;
+      if (rateLimited) bucket.rateLimited++;
+    },
+
+    /**
+     * Count profiles shown from the cache instead of being looked up
+     * @param {number} count
+     */
+    recordCacheHits(count) {
+      if (count > 0) currentBucket().cacheHits += count;
+    },
+
+    /**
+     * Count queued lookups answered from profiles that were already known
+     * @param {number} count
+     */
+    recordSavedLookups(count) {
+      if (count > 0) currentBucket().saved += count;
+    },
+
+    /**
+     * Count a failed lookup
+     * @param {string} reason - One of FETCH_ERRORS (fetchErrors.js)
+     */
+    recordFailure(reason) {
+      const { failures } = currentBucket();
+      failures[reason] = (failures[reason] || 0) + 1;
+    },
+
+    /**
+     * Whether a manual lookup may go ahead
+     * @returns {boolean}
+     */
+    isManualAllowed() {
+      return !limits.blockManual || getWaitMs() === 0;
+    },
+
+    /**
+     * Update the limits
+     * @param {Object} newSettings - { perHour, perDay, blockManual }
+     */
+    configure(newSettings) {
+      limits = normalizeFetchBudget(newSettings);
+    },
+
+    /**
+     * Load persisted usage
+     * @param {Object} [usage] - From getUsage()
+     */
+    restore(usage) {
+      if (!Array.isArray(usage?.buckets)) return;
+      const restored = usage.buckets.filter(bucket => Number.isFinite(bucket?.hour));
+      // Merge with anything counted since startup
+      for (const bucket of buckets) {
+        const existing = restored.find(candidate => candidate.hour === bucket.hour);
+        if (existing) {
+          existing.lookups += bucket.lookups;
+          existing.cacheHits += bucket.cacheHits;
+          existing.saved = (existing.saved || 0) + bucket.saved;
+          existing.rateLimited += bucket.rateLimited;
+          existing.failures = addFailures({ ...existing.failures }, bucket.failures);
+        } else {
+          restored.push(bucket);
+        }
+      }
+      buckets = restored.map(bucket => ({
+        hour: bucket.hour,
+        lookups: bucket.lookups || 0,
+        cacheHits: bucket.cacheHits || 0,
+        saved: bucket.saved || 0,
+        rateLimited: bucket.rateLimited || 0,
+        failures: addFailures({}, bucket.failures)
+      })).sort((a, b) => a.hour - b.hour);
+      prune(now());
+    },
+
+    /**
+     * Usage worth persisting
+     * @returns {{buckets: Array<Object>}}
+     */
+    getUsage() {
+      prune(now());
+      return { buckets: buckets.map(bucket => ({ ...bucket, failures: { ...bucket.failures } })) };
+    },
+
+    /**
+     * Usage summary and per-hour histogram for the popup
+     * @returns {Object} { hourly, thisHour, today, cacheHits, saved, rateLimited, failures, perHour, perDay, blockManual, exhaustedUntil }
+     */
+    getReport() {
+      const time = now();
+      prune(time);
+      const currentHour = getHourStart(time);
+
+      const hourly = [];
+      for (let i = BUDGET_HISTORY_HOURS - 1; i >= 0; i--) {
+        const hour = currentHour - i * HOUR_MS;
+        const bucket = buckets.find(candidate => candidate.hour === hour);
+        hourly.push({
+          hour,
+          lookups: bucket?.lookups || 0,
+          cacheHits: bucket?.cacheHits || 0,
+          saved: bucket?.saved || 0,
+          rateLimited: bucket?.rateLimited || 0
+        });
+      }
+
+      const sum = (field) => hourly.reduce((total, bucket) => total + bucket[field], 0);
+      const waitMs = getWaitMs();
+      return {
+        hourly,
+        thisHour: hourly[hourly.length - 1].lookups,
+        today: sum('lookups'),
+        cacheHits: sum('cacheHits'),
+        saved: sum('saved'),
+        rateLimited: sum('rateLimited'),
+        // Failed lookups by reason over the last 24 hours
+        failures: buckets.reduce((total, bucket) => addFailures(total, bucket.failures), {}),
+        ...limits,
+        exhaustedUntil: waitMs > 0 ? time + waitMs : 0
+      };
+    }
+  };
+}
@@ -0,0 +1,407 @@
+/**
+ * Cross-tab fetch coordinator, owned by the background worker
+ * Every Threads tab submits its auto-fetch jobs here instead of running its
+ * own queue, so the request rate is throttled once for the whole browser.
+ * Jobs are deduplicated by username and picked by lane priority, the focused
+ * tab first; a job that has waited too long goes ahead of the rest so lower
+ * lanes aren't starved. Before anything is dispatched, newly queued jobs are
+ * checked against the profile store in one batch, so only users whose profile
+ * is genuinely unknown get a lookup. Lookups that fail for a transient reason
+ * are tried again after a backoff (see isRetryableFailure). The queue is
+ * persisted so it survives tab reloads and worker restarts.
+ * The fetch itself still runs in a tab (it needs the page's session), so a
+ * job is dispatched to one of the tabs that asked for it.
+ */
+
+import { createRateLimiter } from './rateLimiter.js';
+import { isRetryableFailure, getRetryDelayMs, MAX_FETCH_ATTEMPTS, RETRY_BASE_DELAY_MS } from './fetchErrors.js';
+
+// Lanes in priority order: manual 📍 clicks, visible posts, the followers
+// dialog, then speculative refreshes of stale badges
+export const FETCH_LANES = ['manual', 'feed', 'followers', 'refresh'];
+
+// A job queued this long goes next regardless of lane or tab (manual clicks still first)
+export const MAX_JOB_WAIT_MS = 60 * 1000;
+
+// Rows that scroll into view together are submitted a few ms apart; wait this
+// long so they are checked against the store in one batch
+export const KNOWN_PROFILE_BATCH_MS = 50;
+
+// How long a job waits after its tab reported it was still starting up
+export const NOT_READY_RETRY_MS = 1000;
+
+// storage key holding the persisted queue
+export const FETCH_QUEUE_STATE_KEY = 'fetchQueueState';
+
+/**
+ * Create a fetch coordinator
+ * @param {Object} options
+ * @param {Function} options.dispatch - async (tabId, job) => { status, reason?, httpStatus? } where status
+ *   is one of 'done', 'failed', 'skipped', 'rateLimited', 'loginRequired', 'notReady' or 'unavailable';
+ *   job.attempt counts from 1
+ * @param {Function} options.notify - (tabId, message) => void, for messages to a tab
+ * @param {Function} options.getFocusedTabId - async () => tabId of the focused tab, or null
+ * @param {Object} [options.storageArea] - Where the queue is persisted (storage.session when available)
+ * @param {Object} [options.rateLimiter] - Rate limiter shared by all tabs (see rateLimiter.js)
+ * @param {Object} [options.fetchBudget] - Hourly/daily lookup budget (see fetchBudget.js)
+ * @param {Function} [options.findKnownProfiles] - async (Array<{ username, userId }>) => { username: profile }
+ *   for users whose profile is already known and fresh (e.g. fetched by another tab since)
+ * @param {number} [options.maxJobsPerTab] - Jobs one tab may have queued per lane
+ * @param {Function} [options.now] - Clock (for tests)
+ * @returns {Object} Coordinator API
+ */
+export function createFetchCoordinator({
+  dispatch,
+  notify,
+  getFocusedTabId,
+  storageArea = null,
+  rateLimiter = createRateLimiter(),
+  fetchBudget = null,
+  findKnownProfiles = null,
+  maxJobsPerTab = 10,
+  now = () => Date.now()
+}) {
+  // username -> { username, userId, lane, tabIds (newest first), order, queuedAt, attempts?, retryAt? }
+  const jobs = new Map();
+  let running = null;
+  let timer = null;
+  let sequence = 0; // Submission order; the most recently requested job goes first
+  let savedLookups = 0; // Jobs answered from known profiles instead of a lookup
+
+  function persist() {
+    if (!storageArea) return;
+    storageArea.set({
+      [FETCH_QUEUE_STATE_KEY]: {
+        jobs: [...jobs.values()].sort((a, b) => a.order - b.order),
+        rateLimiter: rateLimiter.snapshot()
+      }
+    }).catch((err) => {
+      console.warn('[Threads Extractor] Failed to persist fetch queue:', err);
+    });
+  }
+
+  /**
+   * Remove a tab from a job, dropping the job once no tab wants it
+   * @param {Object} job
+   * @param {number} tabId
+   */
+  function detachTab(job, tabId) {
+    job.tabIds = job.tabIds.filter(id => id !== tabId);
+    if (job.tabIds.length === 0) jobs.delete(job.username);
+  }
+
+  /**
+   * Keep each tab within its per-lane limit, dropping its oldest jobs
+   * @param {number} tabId
+   * @param {string} lane
+   */
+  function trimTab(tabId, lane) {
+    const tabJobs = [...jobs.values()]
+      .filter(job => job.lane === lane && job.tabIds.includes(tabId))
+      .sort((a, b) => b.order - a.order);
+
+    const dropped = tabJobs.slice(maxJobsPerTab).filter(job => job !== running);
+    if (dropped.length === 0) return;
+
+    dropped.forEach(job => detachTab(job, tabId));
+    // Let the tab re-observe these so they can be queued again when scrolled back
+    notify(tabId, { type: 'FETCH_QUEUE_DROPPED', lane, usernames: dropped.map(job => job.username) });
+  }
+
+  /**
+   * Pick the next job: manual clicks, then jobs that have waited too long (oldest
+   * first), then the focused tab, lane priority and most recently submitted.
+   * Jobs backing off after a failed attempt sit out until their retry time.
+   * @param {number|null} focusedTabId
+   * @returns {Object|undefined}
+   */
+  function pickNextJob(focusedTabId) {
+    const time = now();
+    const unfocused = (job) => job.tabIds.includes(focusedTabId) ? 0 : 1;
+    const rank = (job) => {
+      if (job.lane === 'manual') return [0, unfocused(job), -job.order];
+      if (time - job.queuedAt >= MAX_JOB_WAIT_MS) return [1, job.queuedAt, 0];
+      return [2, unfocused(job) * FETCH_LANES.length + FETCH_LANES.indexOf(job.lane), -job.order];
+    };
+    return [...jobs.values()].filter(job => !(job.retryAt > time)).sort((a, b) => {
+      const ra = rank(a);
+      const rb = rank(b);
+      return ra[0] - rb[0] || ra[1] - rb[1] || ra[2] - rb[2];
+    })[0];
+  }
+
+  /**
+   * Take a turn from the budget and the rate limiter
+   * Manual clicks skip the budget (checked when clicked) and a 429 backoff, as
+   * they always have; they still take a token so they count towards the rate.
+   * @param {Object} job
+   * @returns {number} 0 if the job may run now, otherwise milliseconds to wait
+   */
+  function acquireTurn(job) {
+    if (job.lane === 'manual') {
+      const waitMs = rateLimiter.acquire();
+      return now() < rateLimiter.getBackoffUntil() ? 0 : waitMs;
+    }
+
+    // Budget used up: hold the queue until the hourly or daily window frees up
+    const budgetWaitMs = fetchBudget ? fetchBudget.getWaitMs() : 0;
+    if (budgetWaitMs > 0) return budgetWaitMs;
+    return rateLimiter.acquire();
+  }
+
+  /**
+   * Complete a job with a profile, sharing it with the tabs waiting for it
+   * @param {Object} job
+   * @param {Object} message - FETCH_QUEUE_PROFILE message for the tabs
+   * @param {number} [sourceTabId] - Tab that already has the profile
+   */
+  function completeJob(job, message, sourceTabId) {
+    jobs.delete(job.username);
+    for (const tabId of job.tabIds) {
+      if (tabId !== sourceTabId) notify(tabId, message);
+    }
+  }
+
+  /**
+   * Resolve newly queued jobs whose profile is already known, in one batch
+   * Manual clicks are left alone: the user asked for a lookup.
+   */
+  async function checkKnownProfiles() {
+    const isUnchecked = (job) => !job.checked && job.lane !== 'manual';
+    if (!findKnownProfiles || ![...jobs.values()].some(isUnchecked)) return;
+
+    await new Promise(resolve => setTimeout(resolve, KNOWN_PROFILE_BATCH_MS));
+    const unchecked = [...jobs.values()].filter(isUnchecked);
+    unchecked.forEach(job => { job.checked = true; });
+
+    const known = await findKnownProfiles(unchecked.map(({ username, userId }) => ({ username, userId })))
+      .catch(() => ({}));
+    let saved = 0;
+    for (const [username, profile] of Object.entries(known || {})) {
+      const job = jobs.get(username);
+      if (!job || job.lane === 'manual') continue;
+      // Tabs look the job up by the username they queued, which may be newer than the stored one
+      completeJob(job, { type: 'FETCH_QUEUE_PROFILE', profile, username, known: true });
+      saved++;
+    }
+    if (saved === 0) return;
+
+    savedLookups += saved;
+    fetchBudget?.recordSavedLookups(saved);
+    console.log(`[Threads Extractor] ${saved} of ${unchecked.length} queued profiles were already known - lookups saved`);
+    persist();
+  }
+
+  function schedule(delayMs) {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      pump();
+    }, Math.max(0, delayMs));
+  }
+
+  /**
+   * Dispatch the next job if the budget and rate limiter allow it
+   */
+  async function pump() {
+    if (running || jobs.size === 0) return;
+
+    running = true; // Claim the slot before awaiting the store and the focused tab
+    try {
+      await checkKnownProfiles();
+      const focusedTabId = await getFocusedTabId().catch(() => null);
+      const job = pickNextJob(focusedTabId);
+      if (!job) {
+        // Everything left is waiting to be retried
+        const retryAt = Math.min(...[...jobs.values()].map(other => other.retryAt || Infinity));
+        if (Number.isFinite(retryAt)) schedule(retryAt - now());
+        return;
+      }
+
+      const waitMs = acquireTurn(job);
+      if (waitMs > 0) {
+        schedule(waitMs);
+        return;
+      }
+      running = job;
+
+      const tabId = job.tabIds.includes(focusedTabId) ? focusedTabId : job.tabIds[0];
+      const attempt = (job.attempts || 0) + 1;
+      const result = await dispatch(tabId, { username: job.username, userId: job.userId, lane: job.lane, attempt })
+        .catch(() => ({ status: 'unavailable' }));
+
+      // The job may have been resolved meanwhile (the profile arrived through the store)
+      if (jobs.get(job.username) === job) {
+        switch (result?.status) {
+          case 'rateLimited':
+            // Keep the job; nothing is fetched from any tab until the backoff ends
+            rateLimiter.recordRateLimit();
+            break;
+          case 'loginRequired':
+            // This tab is logged out; its other jobs would fail the same way
+            [...jobs.values()].forEach(other => detachTab(other, tabId));
+            break;
+          case 'unavailable':
+            // Tab closed, navigated away or reloading; another requester may still take it
+            detachTab(job, tabId);
+            break;
+          case 'notReady':
+            // Tab is still starting up; move on and come back to it shortly
+            job.order = -(++sequence);
+            job.queuedAt = now();
+            job.retryAt = now() + NOT_READY_RETRY_MS;
+            break;
+          case 'failed':
+            // Transient failures are tried again later; manual clicks can just be clicked again
+            if (job.lane !== 'manual' && isRetryableFailure(result) && attempt < MAX_FETCH_ATTEMPTS) {
+              job.attempts = attempt;
+              job.retryAt = now() + getRetryDelayMs(attempt);
+              console.log(`[Threads Extractor] Lookup for @${job.username} failed (${result.reason}), attempt ${attempt} of ${MAX_FETCH_ATTEMPTS} - retrying`);
+              break;
+            }
+            jobs.delete(job.username);
+            break;
+          default:
+            jobs.delete(job.username);
+        }
+      }
+    } catch (err) {
+      // Try again after a backoff rather than waiting for the next submit
+      console.warn('[Threads Extractor] Fetch queue step failed:', err);
+      schedule(RETRY_BASE_DELAY_MS);
+      return;
+    } finally {
+      // Always release the slot, or no job would ever be dispatched again
+      running = null;
+    }
+
+    persist();
+    pump();
+  }
+
+  return {
+    /**
+     * Load the persisted queue and resume
+     * @returns {Promise<void>}
+     */
+    async restore() {
+      if (!storageArea) return;
+      const { [FETCH_QUEUE_STATE_KEY]: saved } = await storageArea.get([FETCH_QUEUE_STATE_KEY]);
+      if (!saved) return;
+
+      rateLimiter.restore(saved.rateLimiter);
+      for (const job of saved.jobs || []) {
+        if (jobs.has(job.username)) continue;
+        const queuedAt = Number.isFinite(job.queuedAt) ? job.queuedAt : now();
+        jobs.set(job.username, { ...job, order: ++sequence, queuedAt });
+      }
+      pump();
+    },
+
+    /**
+     * Queue a fetch for a tab (or move it to the front if already queued)
+     * @param {number} tabId - Requesting tab
+     * @param {Object} request - { username, userId?, lane }
+     */
+    submit(tabId, { username, userId = null, lane = 'feed' }) {
+      if (!username || !FETCH_LANES.includes(lane)) return;
+      userId = userId ? String(userId) : null;
+
+      const existing = jobs.get(username);
+      if (existing) {
+        existing.tabIds = [tabId, ...existing.tabIds.filter(id => id !== tabId)];
+        existing.userId = existing.userId || userId;
+        existing.order = ++sequence;
+        // A user wanted for a first badge outranks a stale refresh of the same user
+        if (FETCH_LANES.indexOf(lane) < FETCH_LANES.indexOf(existing.lane)) existing.lane = lane;
+        // A click doesn't wait out the retry backoff
+        if (lane === 'manual') delete existing.retryAt;
+      } else {
+        jobs.set(username, { username, userId, lane, tabIds: [tabId], order: ++sequence, queuedAt: now() });
+      }
+
+      trimTab(tabId, jobs.get(username).lane);
+      persist();
+      pump();
+    },
+
+    /**
+     * Withdraw a tab's interest in a job that hasn't started (e.g. its post scrolled out of view)
+     * The job stays queued if other tabs still want it.
+     * @param {number} tabId
+     * @param {Object} request - { username, lane }
+     */
+    cancel(tabId, { username, lane }) {
+      const job = jobs.get(username);
+      // A job upgraded to another lane (e.g. clicked meanwhile) is no longer this request
+      if (!job || job === running || job.lane !== lane) return;
+      detachTab(job, tabId);
+      persist();
+    },
+
+    /**
+     * Complete any job for a profile that just reached the store, sharing it with
+     * the other tabs that were waiting for it
+     * @param {Object} profile - Profile info
+     * @param {number} [sourceTabId] - Tab that fetched it (already has it)
+     */
+    resolve(profile, sourceTabId) {
+      const job = jobs.get(profile.username) ||
+        (profile.userId && [...jobs.values()].find(candidate => candidate.userId === String(profile.userId)));
+      if (!job) return;
+
+      completeJob(job, { type: 'FETCH_QUEUE_PROFILE', profile }, sourceTabId);
+      persist();
+    },
+
+    /**
+     * Record a 429 seen outside the queue (e.g. a manual lookup) so every tab backs off
+     * @returns {number} Time the backoff ends
+     */
+    reportRateLimit() {
+      const backoffUntil = rateLimiter.recordRateLimit();
+      persist();
+      return backoffUntil;
+    },
+
+    /**
+     * Lift the current backoff and carry on with the queue
+     */
+    resume() {
+      rateLimiter.resume();
+      persist();
+      pump();
+    },
+
+    /**
+     * Re-check the queue now (e.g. after the budget or rate settings changed)
+     */
+    wake() {
+      clearTimeout(timer);
+      timer = null;
+      pump();
+    },
+
+    /**
+     * Forget a closed tab
+     * @param {number} tabId
+     */
+    removeTab(tabId) {
+      [...jobs.values()].forEach(job => detachTab(job, tabId));
+      persist();
+    },
+
+    /**
+     * Snapshot of the queue (for debugging and tests)
+     * @returns {{jobs: Array<Object>, rateLimitedUntil: number, running: boolean, savedLookups: number}}
+     */
+    getState() {
+      return {
+        jobs: [...jobs.values()].map(job => ({ ...job })),
+        rateLimitedUntil: rateLimiter.getBackoffUntil(),
+        running: !!running,
+        savedLookups
+      };
+    }
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * Why a profile lookup failed
+ * fetchProfileInfo (injected.js) answers a failed lookup with a marker
+ * { _error: reason, status? } instead of null, next to the _rateLimited and
+ * _loginRequired markers, so buttons can say what went wrong and the Usage tab
+ * can count each reason. The retry policy the fetch queue applies to them
+ * lives here too.
+ */
+
+// Failure reasons, in the order the Usage tab lists them
+export const FETCH_ERRORS = [
+  'missingToken', // Required session tokens not found yet (see tokenManager.js)
+  'httpError', // Threads answered with an error status (see status)
+  'checkpoint', // Threads wants the account confirmed (checkpoint/challenge)
+  'unparseable', // The response wasn't the expected payload
+  'endpointOutdated', // Threads changed the lookup request; no known request shape works (see endpointDescriptor.js)
+  'notFound', // The payload had no profile data for this user
+  'timeout', // No answer from the injected script in time
+  'network' // The request itself failed (offline, blocked, ...)
+];
+
+// Button icon, tooltip and Usage tab label (i18n key, fallback) for each reason
+export const FETCH_ERROR_STATES = {
+  missingToken: {
+    icon: '🔑',
+    messageKey: 'fetchErrorMissingToken',
+    fallback: 'Threads session not ready yet. Click to retry.',
+    labelKey: 'fetchFailureMissingToken',
+    label: 'Session not ready'
+  },
+  httpError: {
+    icon: '⚠️',
+    messageKey: 'fetchErrorHttp',
+    fallback: 'Threads answered HTTP $1. Click to retry.',
+    labelKey: 'fetchFailureHttp',
+    label: 'HTTP error'
+  },
+  checkpoint: {
+    icon: '🛑',
+    messageKey: 'fetchErrorCheckpoint',
+    fallback: 'Threads wants you to confirm your account. Open threads.com, then click to retry.',
+    labelKey: 'fetchFailureCheckpoint',
+    label: 'Account checkpoint'
+  },
+  unparseable: {
+    icon: '🧩',
+    messageKey: 'fetchErrorUnparseable',
+    fallback: 'Unexpected response from Threads. Click to retry.',
+    labelKey: 'fetchFailureUnparseable',
+    label: 'Unexpected response'
+  },
+  endpointOutdated: {
+    icon: '🧭',
+    messageKey: 'fetchErrorEndpointOutdated',
+    fallback: 'Threads changed how profile info is loaded. Open a profile\'s "About this profile" once, then click to retry.',
+    labelKey: 'fetchFailureEndpointOutdated',
+    label: 'Endpoint outdated'
+  },
+  notFound: {
+    icon: '🚫',
+    messageKey: 'fetchErrorNotFound',
+    fallback: 'No profile information found. Click to retry.',
+    labelKey: 'fetchFailureNotFound',
+    label: 'No profile data'
+  },
+  timeout: {
+    icon: '⌛',
+    messageKey: 'fetchErrorTimeout',
+    fallback: 'Timed out. Click to retry.',
+    labelKey: 'fetchFailureTimeout',
+    label: 'Timed out'
+  },
+  network: {
+    icon: '📡',
+    messageKey: 'fetchErrorNetwork',
+    fallback: 'Network error. Click to retry.',
+    labelKey: 'fetchFailureNetwork',
+    label: 'Network error'
+  }
+};
+
+// Automatic retries: a queued lookup that fails for a transient reason is tried
+// this many times in all, waiting RETRY_BASE_DELAY_MS, then twice that, ...
+export const MAX_FETCH_ATTEMPTS = 3;
+export const RETRY_BASE_DELAY_MS = 5000;
+
+// Where Threads sends accounts it wants confirmed
+const CHECKPOINT_PATTERN = /\/(checkpoint|challenge)\/|"checkpoint_url"|"challenge_url"/;
+
+/**
+ * Create a failure marker
+ * @param {string} reason - One of FETCH_ERRORS
+ * @param {Object} [details] - e.g. { status } for httpError
+ * @returns {Object} { _error, ...details }
+ */
+export function fetchError(reason, details = {}) {
+  return { _error: reason, ...details };
+}
+
+/**
+ * Whether a fetch result is a failure marker
+ * @param {Object|null} result
+ * @returns {boolean}
+ */
+export function isFetchError(result) {
+  return !!result?._error;
+}
+
+/**
+ * Work out why a response didn't yield a profile
+ * @param {Object} response
+ * @param {number} response.status - HTTP status
+ * @param {string} [response.url] - Final URL after redirects
+ * @param {string} [response.text] - Response body
+ * @param {Object|null} response.parsed - parseProfileResponse() result (null if it couldn't parse)
+ * @returns {Object} Failure marker
+ */
+export function classifyFailedResponse({ status, url = '', text = '', parsed }) {
+  if (CHECKPOINT_PATTERN.test(url) || CHECKPOINT_PATTERN.test(text)) return fetchError('checkpoint');
+  if (status < 200 || status >= 300) return fetchError('httpError', { status });
+  if (!parsed) return fetchError('unparseable');
+  return fetchError('notFound');
+}
+
+/**
+ * Whether a failed job is worth trying again
+ * Timeouts, network errors, server errors and a session that wasn't read yet
+ * usually clear up on their own; 429s and logged-out tabs never get here
+ * (they have their own statuses), and the rest would fail the same way again.
+ * @param {Object} jobResult - { status, reason?, httpStatus? } (see toJobResult in queueEngine.js)
+ * @returns {boolean}
+ */
+export function isRetryableFailure({ status, reason, httpStatus } = {}) {
+  if (status !== 'failed') return false;
+  if (reason === 'httpError') return httpStatus >= 500;
+  return reason === 'timeout' || reason === 'network' || reason === 'missingToken';
+}
+
+/**
+ * How long to wait before the next attempt
+ * @param {number} failedAttempts - Attempts that have failed so far (1 or more)
+ * @returns {number} Milliseconds
+ */
+export function getRetryDelayMs(failedAttempts) {
+  return RETRY_BASE_DELAY_MS * 2 ** (Math.max(1, failedAttempts) - 1);
+}
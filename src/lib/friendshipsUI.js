@@ -6,7 +6,8 @@
 import { findUsernameContainer } from './domHelpers.js';
 import { isNewUser } from './dateParser.js';
 import { formatLocation } from './locationMapper.js';
-import { fetchProfileByUserId, updateButtonWithFetchResult } from './profileFetcher.js';
+import { fetchProfileManually, updateButtonWithFetchResult, isManualFetchAllowed, showBudgetExhausted } from './profileFetcher.js';
+import { markBadge } from './staleBadge.js';
 
 // Cross-browser compatibility
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
@@ -15,7 +16,7 @@ const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
  * Inject appropriate location UI for a user (badge, empty indicator, or fetch button)
  * @param {string} username - Username (without @)
  * @param {string} userId - User ID
- * @param {Map} profileCache - Cache of profile data
+ * @param {Object} profileCache - Cache of profile data
  * @param {IntersectionObserver} observer - Optional IntersectionObserver for auto-fetch
  */
 export function injectLocationUIForUser(username, userId, profileCache, observer = null) {
@@ -39,7 +40,7 @@ export function injectLocationUIForUser(username, userId, profileCache, observer
  * Inject a fetch location button into a specific user row
  * @param {string} username - Username (without @)
  * @param {string} userId - User ID
- * @param {Map} profileCache - Cache of profile data
+ * @param {Object} profileCache - Cache of profile data
  * @param {IntersectionObserver} observer - Optional IntersectionObserver for auto-fetch
  */
 function injectLocationButtonIntoUserRow(username, userId, profileCache, observer = null) {
@@ -89,7 +90,7 @@ function injectLocationButtonIntoUserRow(username, userId, profileCache, observe
  * Create a fetch location button for friendships list
  * @param {string} username - Username (without @)
  * @param {string} userId - User ID
- * @param {Map} profileCache - Cache of profile data
+ * @param {Object} profileCache - Cache of profile data
  * @returns {HTMLButtonElement} - The created button
  */
 function createFriendshipsLocationButton(username, userId, profileCache) {
@@ -107,8 +108,13 @@ function createFriendshipsLocationButton(username, userId, profileCache) {
     btn.disabled = true;
     btn.textContent = '⏳';
 
-    // Fetch profile info using shared utility
-    const profileInfo = await fetchProfileByUserId(userId);
+    if (!await isManualFetchAllowed()) {
+      showBudgetExhausted(btn);
+      return;
+    }
+
+    // Fetch profile info ahead of queued auto-fetches
+    const profileInfo = await fetchProfileManually(username, userId);
 
     // Update button with result using shared utility
     await updateButtonWithFetchResult(btn, username, profileInfo, profileCache, createLocationBadge);
@@ -278,5 +284,7 @@ export async function createLocationBadge(profileInfo) {
     badge.appendChild(newTag);
   }
 
+  markBadge(badge, profileInfo);
+
   return badge;
 }
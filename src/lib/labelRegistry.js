@@ -0,0 +1,118 @@
+/**
+ * Labels the About-this-profile sheet uses, per Threads UI language
+ * The parser pairs each semibold label with the value under it and needs to
+ * know which field a label stands for. The labels live in data/labels/<lang>.json
+ * (one list per field), so supporting a new language is a data change: the
+ * build picks up every file in that folder. Users can add their own labels in
+ * the popup when Threads words one differently.
+ */
+
+// Every data/labels/<locale>.json, collected when the extension is built
+import labelLanguages from 'virtual:label-languages';
+
+// Fields a label can stand for; name and formerUsername pairs are kept out of joined/location matching
+export const LABEL_FIELDS = ['joined', 'location', 'verified', 'name', 'formerUsername'];
+
+// Language files may also list hiddenLocation: the placeholder Threads shows as the
+// location value when a user doesn't share theirs (e.g. "Not shared")
+
+// Registered languages (locale code -> { field: [labels] })
+export const LABEL_LANGUAGES = labelLanguages;
+
+// storage.local key for the user's own labels ({ field: [labels] })
+export const LABEL_OVERRIDES_KEY = 'labelOverrides';
+
+// Longest label accepted from settings
+const MAX_LABEL_LENGTH = 100;
+
+/**
+ * Compare labels regardless of case, width and spacing
+ * @param {string} label
+ * @returns {string}
+ */
+export function normalizeLabel(label) {
+  return String(label).normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Clean user-entered labels: known fields only, non-empty unique strings
+ * @param {*} raw - Stored value
+ * @returns {Object} { field: [labels] }
+ */
+export function normalizeLabelOverrides(raw) {
+  const overrides = {};
+  if (!raw || typeof raw !== 'object') return overrides;
+  for (const field of LABEL_FIELDS) {
+    if (!Array.isArray(raw[field])) continue;
+    const labels = [...new Set(raw[field]
+      .filter(label => typeof label === 'string')
+      .map(label => label.trim())
+      .filter(label => label && label.length <= MAX_LABEL_LENGTH))];
+    if (labels.length > 0) overrides[field] = labels;
+  }
+  return overrides;
+}
+
+/**
+ * Create a label registry
+ * @param {Object} [options]
+ * @param {Object} [options.languages] - Locale code -> { field: [labels] } (default: every registered language)
+ * @param {Object} [options.overrides] - User labels { field: [labels] }; they win over the language files
+ * @returns {Object} { match, getLabels, isHiddenLocation, languages }
+ */
+export function createLabelRegistry({ languages = LABEL_LANGUAGES, overrides = {} } = {}) {
+  const fieldByLabel = new Map(); // normalized label -> field
+  const labelsByField = Object.fromEntries(LABEL_FIELDS.map(field => [field, []]));
+  const hiddenLocationValues = new Set(Object.values(languages)
+    .flatMap(labels => labels.hiddenLocation || [])
+    .map(normalizeLabel));
+
+  const add = (field, label) => {
+    if (!labelsByField[field]) return;
+    fieldByLabel.set(normalizeLabel(label), field);
+    if (!labelsByField[field].includes(label)) labelsByField[field].push(label);
+  };
+
+  for (const labels of Object.values(languages)) {
+    for (const field of LABEL_FIELDS) {
+      (labels[field] || []).forEach(label => add(field, label));
+    }
+  }
+  for (const [field, labels] of Object.entries(overrides)) {
+    labels.forEach(label => add(field, label));
+  }
+
+  return {
+    languages: Object.keys(languages),
+
+    /**
+     * Which field a label stands for
+     * @param {string} label
+     * @returns {string|null} One of LABEL_FIELDS, or null if unknown
+     */
+    match(label) {
+      return fieldByLabel.get(normalizeLabel(label)) || null;
+    },
+
+    /**
+     * Every label known for a field
+     * @param {string} field
+     * @returns {string[]}
+     */
+    getLabels(field) {
+      return labelsByField[field] || [];
+    },
+
+    /**
+     * Whether a location value is the placeholder for a hidden location
+     * @param {string} value
+     * @returns {boolean}
+     */
+    isHiddenLocation(value) {
+      return typeof value === 'string' && hiddenLocationValues.has(normalizeLabel(value));
+    }
+  };
+}
+
+// Every registered language, no user labels
+export const defaultLabelRegistry = createLabelRegistry();
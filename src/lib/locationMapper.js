@@ -36,12 +36,16 @@ function normalizeLanguage(lang) {
   if (lang.startsWith('zh')) return 'zh_CN';
   if (lang.startsWith('ja')) return 'ja';
   if (lang.startsWith('ko')) return 'ko';
+  for (const key of ['es', 'pt', 'fr', 'de', 'th', 'vi']) {
+    if (lang.startsWith(key)) return key;
+  }
   return 'en';
 }
 
 // Detect all user's accepted locales once at startup
 const userLocales = (() => {
   // Get all accepted languages from browser settings (in preference order)
+  if (typeof navigator === 'undefined') return ['en'];
   const langs = navigator.languages || [navigator.language || 'en'];
 
   // Normalize each to our locale keys and dedupe
@@ -86,23 +90,21 @@ function buildLookup(locales) {
 // Build lookup map for user's accepted locales
 const locationLookup = buildLookup(userLocales);
 
-/**
- * Get country flag emoji for a location string
- * @param {string} location - Location string from profile
- * @returns {string|null} - Flag emoji or null if not found
- */
-export function getLocationFlag(location) {
-  if (!location) return null;
+// Lookup across every supported locale, built on first use (exports may mix languages)
+const ALL_LOCALES = ['en', 'zh_TW', 'zh_CN', 'ja', 'ko', 'es', 'pt', 'fr', 'de', 'th', 'vi'];
+let allLocalesLookup = null;
 
+// Find the flag for a location in a lookup map
+function findFlag(location, lookup) {
   const normalized = location.toLowerCase().trim();
 
   // Direct match
-  if (locationLookup.has(normalized)) {
-    return locationLookup.get(normalized);
+  if (lookup.has(normalized)) {
+    return lookup.get(normalized);
   }
 
   // Partial match - check if location contains any known variant
-  for (const [variant, flag] of locationLookup.entries()) {
+  for (const [variant, flag] of lookup.entries()) {
     if (normalized.includes(variant) || variant.includes(normalized)) {
       return flag;
     }
@@ -111,6 +113,29 @@ export function getLocationFlag(location) {
   return null;
 }
 
+/**
+ * Get country flag emoji for a location string
+ * @param {string} location - Location string from profile
+ * @returns {string|null} - Flag emoji or null if not found
+ */
+export function getLocationFlag(location) {
+  if (!location) return null;
+  return findFlag(location, locationLookup);
+}
+
+/**
+ * Get the ISO 3166-1 alpha-2 code for a location string in any supported language
+ * @param {string} location - Location string from profile
+ * @returns {string|null} - Country code (e.g. "TW") or null if not found
+ */
+export function getLocationCountryCode(location) {
+  if (!location) return null;
+  if (!allLocalesLookup) allLocalesLookup = buildLookup(ALL_LOCALES);
+
+  const flag = findFlag(location, allLocalesLookup);
+  return flag ? LOCATION_FLAGS[flag]?.iso || null : null;
+}
+
 /**
  * Format location string with optional flag emoji
  * @param {string} location - Location string from profile
@@ -58,6 +58,13 @@ export function showRateLimitToast(cooldownMs) {
   }, cooldownMs);
 }
 
+/**
+ * Remove the rate limit toast (rate limit lifted early)
+ */
+export function hideRateLimitToast() {
+  document.getElementById('threads-rate-limit-toast')?.remove();
+}
+
 /**
  * Show login required banner notification
  */
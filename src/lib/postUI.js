@@ -1,6 +1,10 @@
 // Post UI functions for displaying profile info on Threads posts
 import { isNewUser } from './dateParser.js';
 import { formatLocation } from './locationMapper.js';
+import { getLocationChange, describeFormerUsernames } from './profileHistory.js';
+import { markBadge } from './staleBadge.js';
+import { isFetchError } from './fetchErrors.js';
+import { showFetchError } from './profileFetcher.js';
 
 // Cross-browser compatibility
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
@@ -8,7 +12,7 @@ const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 /**
  * Display profile info badge for a user by finding and updating their fetch buttons
  * @param {Object} profileInfo - Profile information object
- * @param {Map} profileCache - Profile cache
+ * @param {Object} profileCache - Profile cache
  */
 export async function displayProfileInfo(profileInfo, profileCache) {
   const username = profileInfo.username;
@@ -35,6 +39,37 @@ export async function displayProfileInfo(profileInfo, profileCache) {
   // This prevents duplicate badge insertion
 }
 
+/**
+ * Describe the most recent location change for a tooltip
+ * @param {Object} profileInfo - Profile information object (with history)
+ * @returns {string} Tooltip line, or empty string if the location never changed
+ */
+export function formatLocationChange(profileInfo) {
+  const change = getLocationChange(profileInfo);
+  if (!change) return '';
+
+  const noLocationData = browserAPI.i18n.getMessage('noLocationData') || 'No location data';
+  const from = change.from || noLocationData;
+  const to = change.to || noLocationData;
+  const date = new Date(change.changedAt).toLocaleDateString();
+
+  return browserAPI.i18n.getMessage('locationChanged', [from, to, date]) ||
+    `Location changed from ${from} to ${to} (${date})`;
+}
+
+/**
+ * Describe a profile's former usernames for a tooltip
+ * @param {Object} profileInfo - Profile information object
+ * @returns {string} Tooltip line, or empty string if none are known
+ */
+export function formatFormerUsernames(profileInfo) {
+  const formerUsernames = describeFormerUsernames(profileInfo);
+  if (formerUsernames.length === 0) return '';
+
+  const label = browserAPI.i18n.getMessage('formerUsernames') || 'Former usernames';
+  return `${label}: ${formerUsernames.join(', ')}`;
+}
+
 /**
  * Create a profile info badge element with location and joined date
  * @param {Object} profileInfo - Profile information object
@@ -47,6 +82,9 @@ export async function createProfileBadge(profileInfo) {
   const joinedLabel = browserAPI.i18n.getMessage('joined') || 'Joined';
   const isNew = isNewUser(profileInfo.joined);
   const newLabel = browserAPI.i18n.getMessage('newUser') || 'NEW';
+  const locationChange = formatLocationChange(profileInfo);
+  const formerUsernames = formatFormerUsernames(profileInfo);
+  const changeLine = (locationChange ? `\n${locationChange}` : '') + (formerUsernames ? `\n${formerUsernames}` : '');
 
   // Get showFlags setting and custom emojis
   const { showFlags = true, customLocationEmojis = {} } = await browserAPI.storage.local.get(['showFlags', 'customLocationEmojis']);
@@ -59,7 +97,7 @@ export async function createProfileBadge(profileInfo) {
 
     // Display location with optional flag emoji or custom emoji
     badge.textContent = formatLocation(profileInfo.location, false, showFlags, customEmoji);
-    badge.title = `${profileInfo.location} • ${joinedLabel}: ${profileInfo.joined || 'Unknown'}\n(${clickHint})`;
+    badge.title = `${profileInfo.location} • ${joinedLabel}: ${profileInfo.joined || 'Unknown'}${changeLine}\n(${clickHint})`;
     badge.style.cursor = 'pointer';
 
     // Click to customize emoji - opens settings with this location
@@ -76,7 +114,7 @@ export async function createProfileBadge(profileInfo) {
     // Location not available - show "無地點資料" with same hover behavior as regular location
     const noLocationData = browserAPI.i18n.getMessage('noLocationData') || 'No location data';
     badge.textContent = noLocationData;
-    badge.title = `${joinedLabel}: ${profileInfo.joined || 'Unknown'}`;
+    badge.title = `${joinedLabel}: ${profileInfo.joined || 'Unknown'}${changeLine}`;
   }
 
   // Add [NEW] label for new users (skip if verified)
@@ -87,75 +125,22 @@ export async function createProfileBadge(profileInfo) {
     badge.appendChild(newTag);
   }
 
+  markBadge(badge, profileInfo);
+
   return badge;
 }
 
 /**
- * Auto-fetch profile info for a username
- * @param {string} username - Username to fetch
+ * Show the outcome of an auto-fetch on a post button
+ * On success the badge is added by displayProfileInfo, so the button just hides.
  * @param {HTMLElement} btn - Button element to update
- * @param {Map} profileCache - Profile cache
+ * @param {Object|null} result - Profile info, rate-limit/login/failure marker, or null if the lookup failed
  */
-export async function autoFetchProfile(username, btn, profileCache) {
-  // Skip if already cached
-  if (profileCache.has(username)) {
-    const cached = profileCache.get(username);
-    displayProfileInfo(cached, profileCache);
-    btn.style.display = 'none';
-    return;
-  }
-
-  // Request user ID lookup
-  const requestId = Math.random().toString(36).substring(7);
-  const userId = await new Promise((resolve) => {
-    const handler = (event) => {
-      if (event.data?.type === 'threads-userid-response' && event.data?.requestId === requestId) {
-        window.removeEventListener('message', handler);
-        resolve(event.data.userId);
-      }
-    };
-    window.addEventListener('message', handler);
-    window.postMessage({
-      type: 'threads-userid-request',
-      requestId: requestId,
-      username: username
-    }, '*');
-    setTimeout(() => {
-      window.removeEventListener('message', handler);
-      resolve(null);
-    }, 2000);
-  });
-
-  if (!userId) {
-    btn.textContent = '❓';
-    btn.title = 'User ID not found. Click to retry.';
-    btn.disabled = false;
-    return;
-  }
-
-  // Request profile fetch
-  const fetchRequestId = Math.random().toString(36).substring(7);
-  const result = await new Promise((resolve) => {
-    const handler = (event) => {
-      if (event.data?.type === 'threads-fetch-response' && event.data?.requestId === fetchRequestId) {
-        window.removeEventListener('message', handler);
-        resolve(event.data.result);
-      }
-    };
-    window.addEventListener('message', handler);
-    window.postMessage({
-      type: 'threads-fetch-request',
-      requestId: fetchRequestId,
-      userId: userId
-    }, '*');
-    setTimeout(() => {
-      window.removeEventListener('message', handler);
-      resolve(null);
-    }, 10000);
-  });
-
+export function showAutoFetchResult(btn, result) {
   if (result) {
-    if (result._rateLimited) {
+    if (isFetchError(result)) {
+      showFetchError(btn, result);
+    } else if (result._rateLimited) {
       // Rate limited - button will show retry
       btn.textContent = '🔄';
       btn.title = 'Rate limited. Click to retry later.';
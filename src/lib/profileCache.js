@@ -0,0 +1,106 @@
+/**
+ * In-page profile cache keyed by userId
+ * Keeps the Map-style get/has/set-by-username API the UI code uses, but stores
+ * each user once under their stable userId so renames and placeholder
+ * (_userIdOnly) records collapse into a single entry.
+ */
+
+import { mergeProfileHistory } from './profileHistory.js';
+
+/**
+ * Create a profile cache
+ * @param {Object} options
+ * @param {Function} options.onAccess - Called with the userId whenever a cached profile is looked up by username
+ * @returns {Object} Cache API (get, has, set, merge, getByUserId, size)
+ */
+export function createProfileCache({ onAccess = null } = {}) {
+  const records = new Map(); // userId (or @username when unknown) -> profile
+  const aliases = new Map(); // username -> records key
+
+  /**
+   * Point a username at a record, dropping an orphaned username-only record
+   * @param {string} username
+   * @param {string} key
+   */
+  function alias(username, key) {
+    const previous = aliases.get(username);
+    if (previous && previous !== key && previous.startsWith('@')) {
+      records.delete(previous);
+    }
+    aliases.set(username, key);
+  }
+
+  /**
+   * Get a profile by current or former username
+   * @param {string} username
+   * @returns {Object|undefined}
+   */
+  function get(username) {
+    const key = aliases.get(username);
+    const record = key ? records.get(key) : undefined;
+    if (record?.userId && onAccess) onAccess(record.userId);
+    return record;
+  }
+
+  /**
+   * Check whether a username has a cached profile
+   * @param {string} username
+   * @returns {boolean}
+   */
+  function has(username) {
+    return get(username) !== undefined;
+  }
+
+  /**
+   * Get a profile by userId
+   * @param {string} userId
+   * @returns {Object|undefined}
+   */
+  function getByUserId(userId) {
+    return records.get(String(userId));
+  }
+
+  /**
+   * Store a profile under its userId and alias every username it was seen under
+   * @param {string} username - Username the profile was looked up by
+   * @param {Object} profile - Profile info (userId preferred)
+   * @returns {Object} The cache, for chaining like Map#set
+   */
+  function set(username, profile) {
+    const key = profile.userId ? String(profile.userId) : (aliases.get(username) || `@${username}`);
+    records.set(key, profile);
+
+    if (!profile._userIdOnly) alias(username, key);
+    if (profile.username && !profile._userIdOnly) alias(profile.username, key);
+    for (const entry of profile.history || []) {
+      if (entry.username && !aliases.has(entry.username)) alias(entry.username, key);
+    }
+    return api;
+  }
+
+  /**
+   * Merge a freshly fetched profile into the cached record, extending its history
+   * @param {string} username - Username the profile was looked up by
+   * @param {Object} profile - Profile info
+   * @returns {Object} The merged record now in the cache
+   */
+  function merge(username, profile) {
+    const existing = (profile.userId && getByUserId(profile.userId)) || get(username);
+    const merged = mergeProfileHistory(existing, profile);
+    set(username, merged);
+    return merged;
+  }
+
+  const api = {
+    get,
+    has,
+    set,
+    merge,
+    getByUserId,
+    get size() {
+      return records.size;
+    }
+  };
+
+  return api;
+}
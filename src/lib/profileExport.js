@@ -0,0 +1,113 @@
+/**
+ * Tabular exports of cached profiles (CSV and NDJSON)
+ * JSON stays the full-record backup format that the import reads back; these
+ * formats flatten each profile to the columns picked in the popup.
+ */
+
+import { getLocationCountryCode } from './locationMapper.js';
+import { isLocationHidden } from './ttlPolicy.js';
+
+export const EXPORT_FORMATS = ['json', 'csv', 'ndjson'];
+
+// Exportable columns, in output order
+export const EXPORT_COLUMNS = [
+  'username',
+  'displayName',
+  'location',
+  'countryCode',
+  'joined',
+  'isVerified',
+  'verifiedDate',
+  'firstSeen',
+  'lastFetched'
+];
+
+// storage.local key remembering the last chosen format and columns
+export const EXPORT_SETTINGS_KEY = 'exportSettings';
+
+// Excel only reads CSV as UTF-8 (CJK names) when the file starts with a BOM
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * Convert a timestamp to an ISO 8601 string
+ * @param {number} time
+ * @returns {string|null}
+ */
+function toIsoDate(time) {
+  return Number.isFinite(time) && time > 0 ? new Date(time).toISOString() : null;
+}
+
+/**
+ * Flatten a cached profile to the export columns
+ * @param {Object} profile - Cached profile record
+ * @param {Array<string>} columns - Columns to include (from EXPORT_COLUMNS)
+ * @returns {Object} { column: value }
+ */
+export function getExportRow(profile, columns) {
+  const hidden = isLocationHidden(profile);
+  const firstSeen = profile.history?.length > 0
+    ? Math.min(...profile.history.map(entry => entry.firstSeen))
+    : profile.timestamp;
+
+  const values = {
+    username: profile.username,
+    displayName: profile.displayName || null,
+    location: profile.location || null,
+    countryCode: hidden ? null : getLocationCountryCode(profile.location),
+    joined: profile.joined || null,
+    isVerified: !!profile.isVerified,
+    verifiedDate: profile.verifiedDate || null,
+    firstSeen: toIsoDate(firstSeen),
+    lastFetched: toIsoDate(profile.timestamp)
+  };
+
+  const row = {};
+  for (const column of columns) {
+    row[column] = values[column] ?? null;
+  }
+  return row;
+}
+
+// Leading characters spreadsheets treat as the start of a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a value for a CSV field (RFC 4180)
+ * Values a spreadsheet would evaluate as a formula get a leading apostrophe.
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeCsvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array<Object>} profiles - Cached profile records
+ * @param {Array<string>} columns - Columns to include
+ * @returns {string} CSV with a header row, CRLF line endings and a UTF-8 BOM
+ */
+export function toCsv(profiles, columns) {
+  const lines = [columns.map(escapeCsvField).join(',')];
+  for (const profile of profiles) {
+    const row = getExportRow(profile, columns);
+    lines.push(columns.map(column => escapeCsvField(row[column])).join(','));
+  }
+  return UTF8_BOM + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Build an NDJSON document (one JSON object per line)
+ * @param {Array<Object>} profiles - Cached profile records
+ * @param {Array<string>} columns - Columns to include
+ * @returns {string}
+ */
+export function toNdjson(profiles, columns) {
+  return profiles.map(profile => JSON.stringify(getExportRow(profile, columns)) + '\n').join('');
+}
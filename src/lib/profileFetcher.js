@@ -2,82 +2,167 @@
  * Shared utility functions for fetching profile data and user IDs
  */
 
+import { createRpcBridge, createSecret } from './rpcBridge.js';
+import { fetchError, isFetchError, FETCH_ERROR_STATES, MAX_FETCH_ATTEMPTS } from './fetchErrors.js';
+
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// Bridge to injected.js; content.js hands over its port and secret when it injects the script
+export const pageRpc = createRpcBridge({ side: 'content', secret: createSecret() });
+
 /**
- * Fetch profile information by user ID using postMessage to injected script
+ * Fetch profile information by user ID through the injected script
  * @param {string} userId - The user ID to fetch profile for
  * @param {number} timeoutMs - Timeout in milliseconds (default: 10000)
- * @returns {Promise<Object|null>} Profile info object or null if failed
+ * @returns {Promise<Object>} Profile info, or a rate-limit/login/failure marker (see fetchErrors.js)
  */
 export async function fetchProfileByUserId(userId, timeoutMs = 10000) {
-  const fetchRequestId = Math.random().toString(36).substring(7);
+  let result;
+  try {
+    result = await pageRpc.call('fetchProfile', { userId }, timeoutMs);
+  } catch (err) {
+    console.warn(`[Threads Extractor] Profile fetch for user ID ${userId} failed (${err.reason}): ${err.message}`);
+    const timedOut = err.reason === 'timeout' || err.reason === 'notConnected';
+    result = fetchError(timedOut ? 'timeout' : 'network');
+  }
 
-  return new Promise((resolve) => {
-    const handler = (event) => {
-      if (event.data?.type === 'threads-fetch-response' &&
-          event.data?.requestId === fetchRequestId) {
-        window.removeEventListener('message', handler);
-        resolve(event.data.result);
-      }
-    };
-    window.addEventListener('message', handler);
-
-    window.postMessage({
-      type: 'threads-fetch-request',
-      requestId: fetchRequestId,
-      userId: userId
-    }, '*');
-
-    setTimeout(() => {
-      window.removeEventListener('message', handler);
-      resolve(null);
-    }, timeoutMs);
-  });
+  // Count failures by reason for the Usage tab
+  if (isFetchError(result)) {
+    browserAPI.runtime.sendMessage({ type: 'RECORD_FETCH_FAILURE', reason: result._error }).catch(() => {
+      // Extension reloaded - nothing to record
+    });
+  }
+  return result;
 }
 
 /**
- * Look up user ID by username using postMessage to injected script
+ * Look up user ID by username through the injected script
  * @param {string} username - The username to look up (without @)
  * @param {number} timeoutMs - Timeout in milliseconds (default: 2000)
  * @returns {Promise<string|null>} User ID or null if not found
  */
 export async function getUserIdByUsername(username, timeoutMs = 2000) {
-  const requestId = Math.random().toString(36).substring(7);
+  try {
+    return await pageRpc.call('getUserId', { username }, timeoutMs);
+  } catch (err) {
+    console.warn(`[Threads Extractor] User ID lookup for @${username} failed (${err.reason}): ${err.message}`);
+    return null;
+  }
+}
+
+// Manual lookups give up if the queue never gets to them (e.g. the worker was reloaded)
+const MANUAL_FETCH_TIMEOUT_MS = 60000;
+
+// Click handlers waiting for their manual lookup, by username
+const manualWaiters = new Map();
 
+/**
+ * Fetch a profile the user clicked 📍 for
+ * The lookup goes into the shared fetch queue's manual lane, ahead of every
+ * auto-fetch, so it counts against the same rate limit as the rest. If the
+ * background worker can't be reached it is fetched directly.
+ * @param {string} username - Username (without @)
+ * @param {string} userId - The user ID to fetch profile for
+ * @returns {Promise<Object|null>} Same as fetchProfileByUserId
+ */
+export function fetchProfileManually(username, userId) {
   return new Promise((resolve) => {
-    const handler = (event) => {
-      if (event.data?.type === 'threads-userid-response' &&
-          event.data?.requestId === requestId) {
-        window.removeEventListener('message', handler);
-        resolve(event.data.userId);
-      }
-    };
-    window.addEventListener('message', handler);
-
-    window.postMessage({
-      type: 'threads-userid-request',
-      requestId: requestId,
-      username: username
-    }, '*');
-
-    setTimeout(() => {
-      window.removeEventListener('message', handler);
-      resolve(null);
-    }, timeoutMs);
+    const timeoutId = setTimeout(() => settle(null), MANUAL_FETCH_TIMEOUT_MS);
+    function settle(result) {
+      clearTimeout(timeoutId);
+      const waiting = manualWaiters.get(username) || [];
+      manualWaiters.set(username, waiting.filter(waiter => waiter !== settle));
+      if (manualWaiters.get(username).length === 0) manualWaiters.delete(username);
+      resolve(result);
+    }
+    manualWaiters.set(username, [...(manualWaiters.get(username) || []), settle]);
+
+    browserAPI.runtime.sendMessage({
+      type: 'FETCH_QUEUE_SUBMIT',
+      job: { username, userId, lane: 'manual' }
+    }).catch(async () => {
+      settle(await fetchProfileByUserId(userId));
+    });
   });
 }
 
+/**
+ * Hand the outcome of a manual lookup to the clicks waiting for it
+ * @param {string} username - Username (without @)
+ * @param {Object|null} result - Profile info, rate-limit/login marker, or null
+ */
+export function settleManualFetch(username, result) {
+  (manualWaiters.get(username) || []).forEach(settle => settle(result));
+}
+
+/**
+ * Answer every waiting manual lookup at once (e.g. the user is logged out)
+ * @param {Object|null} result
+ */
+export function settleAllManualFetches(result) {
+  [...manualWaiters.keys()].forEach(username => settleManualFetch(username, result));
+}
+
+/**
+ * Check whether a manual lookup is within the fetch budget
+ * Only refused when the user chose to cap manual lookups too.
+ * @returns {Promise<boolean>}
+ */
+export async function isManualFetchAllowed() {
+  const response = await browserAPI.runtime.sendMessage({ type: 'CHECK_FETCH_BUDGET' }).catch(() => null);
+  return response?.allowed !== false;
+}
+
+/**
+ * Show that a manual lookup was refused because the budget is used up
+ * @param {HTMLButtonElement} btn - The button element to update
+ */
+export function showBudgetExhausted(btn) {
+  btn.textContent = '⏸';
+  btn.title = browserAPI.i18n.getMessage('fetchBudgetExhausted') ||
+    'Lookup budget used up. Try again later or raise it in the popup.';
+  btn.disabled = false;
+}
+
+/**
+ * Show why a lookup failed on its button
+ * @param {HTMLButtonElement} btn - The button element to update
+ * @param {Object} result - Failure marker ({ _error, status? }); queued lookups
+ *   also carry { attempt, retrying } (see queueEngine.js)
+ */
+export function showFetchError(btn, result) {
+  const { icon, messageKey, fallback } = FETCH_ERROR_STATES[result._error] || FETCH_ERROR_STATES.network;
+  const status = String(result.status ?? '');
+  let title = browserAPI.i18n.getMessage(messageKey, [status]) || fallback.replace('$1', status);
+
+  const attempt = String(result.attempt);
+  if (result.retrying) {
+    const max = String(MAX_FETCH_ATTEMPTS);
+    title += ' ' + (browserAPI.i18n.getMessage('fetchRetrying', [attempt, max]) ||
+      `Attempt ${attempt} of ${max} - retrying automatically.`);
+  } else if (result.attempt > 1) {
+    title += ' ' + (browserAPI.i18n.getMessage('fetchRetryGaveUp', [attempt]) ||
+      `Gave up after ${attempt} attempts.`);
+  }
+
+  btn.textContent = icon;
+  btn.title = title;
+  btn.disabled = false;
+}
+
 /**
  * Update button with fetch result - replace with badge or show error state
  * @param {HTMLButtonElement} btn - The button element to update
  * @param {string} username - Username (without @)
- * @param {Object|null} profileInfo - Profile info object or null if failed
- * @param {Map} profileCache - Cache to store profile data
+ * @param {Object|null} profileInfo - Profile info, rate-limit/login/failure marker, or null
+ * @param {Object} profileCache - Cache to store profile data
  * @param {Function} createBadgeFunc - Function to create badge element (async)
  * @returns {Promise<void>}
  */
 export async function updateButtonWithFetchResult(btn, username, profileInfo, profileCache, createBadgeFunc) {
-  if (profileInfo && !profileInfo._rateLimited && !profileInfo._loginRequired) {
-    profileCache.set(username, profileInfo);
+  if (profileInfo && !profileInfo._rateLimited && !profileInfo._loginRequired && !isFetchError(profileInfo)) {
+    // Merge rather than overwrite so the cached history survives
+    profileCache.merge(username, profileInfo);
 
     // Replace button with badge
     if (profileInfo.location) {
@@ -100,6 +185,8 @@ export async function updateButtonWithFetchResult(btn, username, profileInfo, pr
     btn.title = 'Login required. Click to learn more.';
     btn.disabled = false;
     btn.setAttribute('data-login-required', 'true');
+  } else if (isFetchError(profileInfo)) {
+    showFetchError(btn, profileInfo);
   } else {
     btn.textContent = '🔄';
     btn.title = 'Failed. Click to retry.';
@@ -0,0 +1,196 @@
+/**
+ * Profile history tracking
+ * Keeps a timestamped timeline of observed profile values per user instead of
+ * overwriting the cached record on every fetch.
+ */
+
+// Fields tracked in the timeline
+export const HISTORY_FIELDS = ['location', 'displayName', 'username', 'isVerified', 'profileImage'];
+
+// Cap per user so a frequently changing profile cannot grow without bound
+export const MAX_HISTORY_ENTRIES = 50;
+
+/**
+ * Strip the signed query string from CDN image URLs
+ * Threads hands out a fresh signature on every fetch, so only the path identifies the image.
+ * @param {string|undefined} url - Profile image URL
+ * @returns {string|null}
+ */
+export function normalizeImageUrl(url) {
+  if (!url) return null;
+  return url.split('?')[0];
+}
+
+/**
+ * Take a snapshot of the tracked fields
+ * @param {Object} profile - Profile info
+ * @returns {Object} Snapshot with missing values normalized to null
+ */
+function snapshot(profile) {
+  const entry = {};
+  for (const field of HISTORY_FIELDS) {
+    entry[field] = profile[field] ?? null;
+  }
+  entry.isVerified = !!profile.isVerified;
+  return entry;
+}
+
+/**
+ * Check whether two snapshots hold the same values
+ * @param {Object} a - Snapshot
+ * @param {Object} b - Snapshot
+ * @returns {boolean}
+ */
+function sameSnapshot(a, b) {
+  return HISTORY_FIELDS.every((field) => {
+    if (field === 'profileImage') {
+      return normalizeImageUrl(a[field]) === normalizeImageUrl(b[field]);
+    }
+    return a[field] === b[field];
+  });
+}
+
+/**
+ * Build the placeholder username used when only the user ID is known
+ * @param {string} userId - Numeric user ID
+ * @returns {string}
+ */
+export function placeholderUsername(userId) {
+  return `user_${userId}`;
+}
+
+/**
+ * Reconcile placeholder (_userIdOnly) usernames between two records of the same user
+ * A placeholder never replaces a real username, and once the real username is
+ * learned the placeholder is dropped from the history as well.
+ * @param {Object|null} existing - Stored record
+ * @param {Object} incoming - Newly fetched profile info
+ * @returns {{existing: Object|null, incoming: Object}}
+ */
+function reconcileUserIdOnly(existing, incoming) {
+  if (!existing) return { existing, incoming };
+
+  if (incoming._userIdOnly && !existing._userIdOnly) {
+    const { _userIdOnly, ...rest } = incoming;
+    return { existing, incoming: { ...rest, username: existing.username } };
+  }
+
+  if (existing._userIdOnly && !incoming._userIdOnly) {
+    const placeholder = existing.username;
+    const { _userIdOnly, ...rest } = existing;
+    const history = existing.history?.map(entry =>
+      entry.username === placeholder ? { ...entry, username: incoming.username } : entry
+    );
+    return { existing: { ...rest, username: incoming.username, history }, incoming };
+  }
+
+  return { existing, incoming };
+}
+
+/**
+ * Merge a newly observed profile into the stored record, extending its history
+ * A new entry is only added when a tracked value changed; otherwise the last
+ * entry's lastSeen is bumped.
+ * @param {Object|null} existingRecord - Stored record (may already have history)
+ * @param {Object} incomingProfile - Newly fetched profile info
+ * @returns {Object} Record to store
+ */
+export function mergeProfileHistory(existingRecord, incomingProfile) {
+  const { existing, incoming } = reconcileUserIdOnly(existingRecord, incomingProfile);
+  const timestamp = incoming.timestamp || Date.now();
+  const history = existing?.history ? [...existing.history] : [];
+
+  // Records cached before history existed start their timeline with the old values
+  if (history.length === 0 && existing) {
+    const seenAt = existing.timestamp || timestamp;
+    history.push({ ...snapshot(existing), firstSeen: seenAt, lastSeen: seenAt });
+  }
+
+  const current = snapshot(incoming);
+  const last = history[history.length - 1];
+
+  if (last && sameSnapshot(last, current)) {
+    history[history.length - 1] = { ...last, ...current, lastSeen: Math.max(last.lastSeen, timestamp) };
+  } else {
+    history.push({ ...current, firstSeen: timestamp, lastSeen: timestamp });
+  }
+
+  return {
+    ...incoming,
+    history: history.slice(-MAX_HISTORY_ENTRIES)
+  };
+}
+
+/**
+ * Find the most recent location change for a profile
+ * @param {Object} profile - Stored record with history
+ * @returns {{from: string|null, to: string|null, changedAt: number}|null} Null if never changed
+ */
+export function getLocationChange(profile) {
+  const history = profile?.history;
+  if (!history || history.length < 2) return null;
+
+  const latest = history[history.length - 1];
+  for (let i = history.length - 2; i >= 0; i--) {
+    const entry = history[i];
+    if (entry.location !== latest.location) {
+      // The change happened when the first entry with the current location appeared
+      const changedEntry = history[i + 1];
+      return { from: entry.location, to: latest.location, changedAt: changedEntry.firstSeen };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List the usernames a profile was seen under before its current one
+ * @param {Object} profile - Stored record with history
+ * @returns {Array<{username: string, lastSeen: number}>} Most recent first
+ */
+export function getFormerUsernames(profile) {
+  const history = profile?.history;
+  if (!history) return [];
+
+  const former = new Map();
+  for (const entry of history) {
+    if (!entry.username || entry.username === profile.username) continue;
+    const seen = former.get(entry.username);
+    if (!seen || entry.lastSeen > seen) {
+      former.set(entry.username, entry.lastSeen);
+    }
+  }
+
+  return [...former.entries()]
+    .map(([username, lastSeen]) => ({ username, lastSeen }))
+    .sort((a, b) => b.lastSeen - a.lastSeen);
+}
+
+/**
+ * Describe every former username known for a profile
+ * Combines what Threads reports ("Former usernames" in About this profile)
+ * with renames observed by the extension itself.
+ * @param {Object} profile - Stored record
+ * @returns {Array<string>} Display strings, e.g. "@old_name (March 2024)"
+ */
+export function describeFormerUsernames(profile) {
+  const descriptions = [];
+  const listed = new Set();
+
+  for (const former of profile?.formerUsernames || []) {
+    if (former.username) {
+      listed.add(former.username);
+      descriptions.push(former.date ? `@${former.username} (${former.date})` : `@${former.username}`);
+    } else if (former.description) {
+      descriptions.push(former.description);
+    }
+  }
+
+  for (const { username } of getFormerUsernames(profile)) {
+    if (!listed.has(username)) {
+      descriptions.push(`@${username}`);
+    }
+  }
+
+  return descriptions;
+}
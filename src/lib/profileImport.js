@@ -0,0 +1,104 @@
+/**
+ * Import of exported profile JSON
+ * Validates the popup's export format ({ username: profile }) and decides how
+ * each imported profile is reconciled with what is already cached.
+ */
+
+// How to handle a profile that is already cached
+export const IMPORT_CONFLICT_POLICIES = ['newer', 'keep', 'overwrite'];
+export const DEFAULT_IMPORT_POLICY = 'newer';
+
+const USERNAME_PATTERN = /^[\w.]+$/;
+const USER_ID_PATTERN = /^\d+$/;
+
+// Optional fields and the types they must have when present
+const OPTIONAL_STRING_FIELDS = ['location', 'joined', 'displayName', 'profileImage'];
+
+/**
+ * Validate one exported profile and strip transient fields
+ * @param {string} key - Key in the export (the username at export time)
+ * @param {*} value - Exported profile
+ * @returns {Object|null} Profile ready to store, or null if invalid
+ */
+export function validateImportedProfile(key, value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+
+  const username = value.username ?? key;
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) return null;
+
+  // Exports made before profiles carried a userId have none; the store keys those by username
+  const userId = value.userId !== undefined && value.userId !== null ? String(value.userId) : null;
+  if (userId !== null && !USER_ID_PATTERN.test(userId)) return null;
+
+  if (!Number.isFinite(value.timestamp) || value.timestamp <= 0) return null;
+
+  for (const field of OPTIONAL_STRING_FIELDS) {
+    if (value[field] !== undefined && value[field] !== null && typeof value[field] !== 'string') return null;
+  }
+  if (value.history !== undefined && !Array.isArray(value.history)) return null;
+
+  const profile = {};
+  for (const [field, fieldValue] of Object.entries(value)) {
+    // Keep _userIdOnly; other underscore fields are per-session flags (e.g. _staleAt)
+    if (field.startsWith('_') && field !== '_userIdOnly') continue;
+    profile[field] = fieldValue;
+  }
+
+  if (profile.history) {
+    profile.history = profile.history.filter(entry =>
+      entry && typeof entry === 'object' && Number.isFinite(entry.firstSeen) && Number.isFinite(entry.lastSeen)
+    );
+  }
+
+  if (userId === null) {
+    delete profile.userId;
+    return { ...profile, username };
+  }
+  return { ...profile, username, userId };
+}
+
+/**
+ * Parse exported profile JSON
+ * @param {string} text - JSON text from a file or the clipboard
+ * @returns {{profiles: Array<Object>, invalid: number}} Valid profiles and the count of rejected entries
+ * @throws {Error} If the text is not JSON or not an export object
+ */
+export function parseProfileExport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Not valid JSON');
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Expected an object of profiles keyed by username');
+  }
+
+  const profiles = [];
+  let invalid = 0;
+  for (const [key, value] of Object.entries(data)) {
+    const profile = validateImportedProfile(key, value);
+    if (profile) {
+      profiles.push(profile);
+    } else {
+      invalid++;
+    }
+  }
+
+  return { profiles, invalid };
+}
+
+/**
+ * Decide what to do with an imported profile
+ * @param {Object|null} existing - Currently stored record for the same userId
+ * @param {Object} incoming - Imported profile
+ * @param {string} policy - One of IMPORT_CONFLICT_POLICIES
+ * @returns {'add'|'update'|'skip'}
+ */
+export function resolveImportConflict(existing, incoming, policy) {
+  if (!existing) return 'add';
+  if (policy === 'overwrite') return 'update';
+  if (policy === 'keep') return 'skip';
+  return incoming.timestamp > existing.timestamp ? 'update' : 'skip';
+}
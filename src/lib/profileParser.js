@@ -3,6 +3,9 @@
  * Extracted for testability
  */
 
+import { assessResponse, anonymizeTree } from './schemaDrift.js';
+import { defaultLabelRegistry } from './labelRegistry.js';
+
 function extractProfileInfo(obj, result = {}) {
   if (!obj || typeof obj !== 'object') return result;
 
@@ -15,6 +18,7 @@ function extractProfileInfo(obj, result = {}) {
   if (obj['bk.components.Text']) {
     const textComp = obj['bk.components.Text'];
     let text = textComp.text;
+    let hidden = false;
     const style = textComp.text_style;
     const onBind = textComp.on_bind;
 
@@ -38,6 +42,7 @@ function extractProfileInfo(obj, result = {}) {
         // If first value is empty, use second value (e.g., "未分享" / "Not shared")
         // Otherwise use first value (the actual location)
         text = value1 || value2;
+        hidden = !value1;
       }
     }
 
@@ -46,7 +51,7 @@ function extractProfileInfo(obj, result = {}) {
       result._currentLabel = text;
     } else if (style === 'normal' && text && result._currentLabel) {
       // This is a value - pair it with the label
-      result._pairs.push({ label: result._currentLabel, value: text });
+      result._pairs.push({ label: result._currentLabel, value: text, hidden });
       result._currentLabel = null;
     }
   }
@@ -106,75 +111,141 @@ function extractProfileInfo(obj, result = {}) {
   return result;
 }
 
-function parseProfileResponse(responseText) {
-  try {
-    let jsonStr = responseText;
-    if (jsonStr.startsWith('for (;;);')) {
-      jsonStr = jsonStr.substring(9);
+// Parse the value shown under a "Former usernames" label
+// Threads either lists the old username (optionally followed by "· date") or
+// only summarizes how often it changed, e.g. "Changed 1 time on Instagram".
+function parseFormerUsername(value) {
+  const [first, ...rest] = value.split(/\s*[·•]\s*/);
+  const date = rest.join(' · ').trim() || null;
+
+  const usernameMatch = first.trim().match(/^@?([\w.]+)$/);
+  if (usernameMatch && !/^\d+$/.test(usernameMatch[1])) {
+    return { username: usernameMatch[1], date };
+  }
+
+  const countMatch = value.match(/\d+/);
+  return {
+    username: null,
+    date,
+    description: value.trim(),
+    changeCount: countMatch ? parseInt(countMatch[0], 10) : null
+  };
+}
+
+function parseResponseJson(responseText) {
+  let jsonStr = responseText;
+  if (jsonStr.startsWith('for (;;);')) {
+    jsonStr = jsonStr.substring(9);
+  }
+  return JSON.parse(jsonStr);
+}
+
+// Build the profile from a parsed response; stats say how many label/value
+// pairs were found and how many of their labels were recognized
+function parseProfileData(data, labels = defaultLabelRegistry) {
+  const profileInfo = extractProfileInfo(data);
+  const stats = { pairs: 0, labelledPairs: 0 };
+
+  // Process pairs after all extraction is complete
+  if (profileInfo._pairs && profileInfo._pairs.length > 0) {
+    const pairs = profileInfo._pairs;
+
+    // Which field each label stands for, in any registered language (see labelRegistry.js)
+    const fieldOf = p => labels.match(p.label);
+    stats.pairs = pairs.length;
+    stats.labelledPairs = pairs.filter(p => fieldOf(p)).length;
+
+    // Filter out name and former username fields (former usernames are parsed separately below)
+    const relevantPairs = pairs.filter(p =>
+      fieldOf(p) !== 'name' && fieldOf(p) !== 'formerUsername'
+    );
+
+    const formerPairs = pairs.filter(p => fieldOf(p) === 'formerUsername');
+    if (formerPairs.length > 0) {
+      profileInfo.formerUsernames = formerPairs.map(p => parseFormerUsername(p.value));
     }
-    const data = JSON.parse(jsonStr);
-    const profileInfo = extractProfileInfo(data);
-
-    // Process pairs after all extraction is complete
-    if (profileInfo._pairs && profileInfo._pairs.length > 0) {
-      const pairs = profileInfo._pairs;
-
-      // Define label patterns for different languages
-      const joinedLabels = ['Joined', '已加入', '参加日', '가입일', '가입 날짜'];
-      const locationLabels = ['Based in', '所在地點', '所在地', '위치', '거주지'];
-      const verifiedLabels = ['Verified by Meta', 'Meta 驗證', 'Meta 验证', 'Metaにより認証', 'Metaにより認証済み', 'Meta認証', 'Meta 인증', 'Meta 인증 완료'];
-      const nameLabels = ['Name', '名稱', '名前', '이름']; // Exclude these
-      const formerUsernameLabels = ['Former usernames', 'Previous usernames', '先前的用戶名稱', '先前的使用者名稱', '先前的用户名称', '以前のユーザーネーム', '이전 사용자 이름']; // Exclude these
-
-      // Filter out name and former username fields
-      const relevantPairs = pairs.filter(p =>
-        !nameLabels.includes(p.label) && !formerUsernameLabels.includes(p.label)
-      );
-
-      // Primary: Label-based matching
-      const joinedPair = relevantPairs.find(p => joinedLabels.includes(p.label));
-      if (joinedPair) {
-        // Remove everything after · (user number like "100M+", "#2,697,767")
-        profileInfo.joined = joinedPair.value.split(/\s*[·•]\s*/)[0].trim();
-      }
 
-      const locationPair = relevantPairs.find(p => locationLabels.includes(p.label));
-      if (locationPair) {
-        profileInfo.location = locationPair.value;
-      }
+    // Primary: Label-based matching
+    const joinedPair = relevantPairs.find(p => fieldOf(p) === 'joined');
+    if (joinedPair) {
+      // Remove everything after · (user number like "100M+", "#2,697,767")
+      profileInfo.joined = joinedPair.value.split(/\s*[·•]\s*/)[0].trim();
+    }
 
-      const verifiedPair = relevantPairs.find(p => verifiedLabels.includes(p.label));
-      if (verifiedPair) {
-        profileInfo.isVerified = true;
-        profileInfo.verifiedDate = verifiedPair.value; // e.g., "May 2021"
+    const locationPair = relevantPairs.find(p => fieldOf(p) === 'location');
+    if (locationPair) {
+      profileInfo.location = locationPair.value;
+      if (locationPair.hidden || labels.isHiddenLocation(locationPair.value)) {
+        // The user chose not to share it; the value is only the localized placeholder
+        profileInfo.locationHidden = true;
       }
+    }
 
-      // Fallback: Position-based (for backward compatibility if labels don't match)
-      if (!joinedPair && relevantPairs.length >= 1) {
-        // First relevant pair is likely joined date
-        profileInfo.joined = relevantPairs[0].value.split(/\s*[·•]\s*/)[0].trim();
-      }
+    const verifiedPair = relevantPairs.find(p => fieldOf(p) === 'verified');
+    if (verifiedPair) {
+      profileInfo.isVerified = true;
+      profileInfo.verifiedDate = verifiedPair.value; // e.g., "May 2021"
+    }
 
-      if (!locationPair && relevantPairs.length >= 2) {
-        // Second relevant pair is likely location (only if not verified)
-        const secondPair = relevantPairs[1];
-        if (!verifiedLabels.includes(secondPair.label)) {
-          profileInfo.location = secondPair.value;
-        }
+    // Fallback: Position-based (for backward compatibility if labels don't match)
+    if (!joinedPair && relevantPairs.length >= 1) {
+      // First relevant pair is likely joined date
+      profileInfo.joined = relevantPairs[0].value.split(/\s*[·•]\s*/)[0].trim();
+    }
+
+    if (!locationPair && relevantPairs.length >= 2) {
+      // Second relevant pair is likely location (only if not verified)
+      const secondPair = relevantPairs[1];
+      if (fieldOf(secondPair) !== 'verified') {
+        profileInfo.location = secondPair.value;
       }
     }
+  }
+
+  // Clean up internal properties
+  delete profileInfo._pairs;
+  delete profileInfo._currentLabel;
+  delete profileInfo._pairsProcessed;
 
-    // Clean up internal properties
-    delete profileInfo._pairs;
-    delete profileInfo._currentLabel;
-    delete profileInfo._pairsProcessed;
+  return { profileInfo, stats };
+}
 
-    return profileInfo;
+/**
+ * Parse an About-this-profile response
+ * @param {string} responseText - Raw response body
+ * @param {Object} [labels] - Label registry (default: every registered language)
+ * @returns {Object|null} Profile info, or null if the body isn't JSON
+ */
+function parseProfileResponse(responseText, labels = defaultLabelRegistry) {
+  try {
+    return parseProfileData(parseResponseJson(responseText), labels).profileInfo;
   } catch (e) {
     console.error('Failed to parse response:', e);
     return null;
   }
 }
 
+/**
+ * Parse a response and check it for schema drift (see schemaDrift.js)
+ * @param {string} responseText - Raw response body
+ * @param {Object} [labels] - Label registry (default: every registered language)
+ * @returns {Object} { profile, diagnostics }; profile is null and diagnostics
+ *   null when the body isn't JSON, and diagnostics carries an anonymized
+ *   sample when drifted
+ */
+function analyzeProfileResponse(responseText, labels = defaultLabelRegistry) {
+  let data;
+  try {
+    data = parseResponseJson(responseText);
+  } catch (e) {
+    console.error('Failed to parse response:', e);
+    return { profile: null, diagnostics: null };
+  }
+  const { profileInfo, stats } = parseProfileData(data, labels);
+  const diagnostics = assessResponse({ text: responseText, data, profile: profileInfo, stats });
+  if (diagnostics.drifted) diagnostics.sample = anonymizeTree(data);
+  return { profile: profileInfo, diagnostics };
+}
+
 // Export for testing (ESM)
-export { extractProfileInfo, parseProfileResponse };
+export { extractProfileInfo, parseProfileResponse, analyzeProfileResponse, parseFormerUsername };
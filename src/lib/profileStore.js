@@ -0,0 +1,762 @@
+/**
+ * IndexedDB-backed profile store
+ * Owned by the background worker; content scripts and the popup talk to it
+ * through runtime messages instead of reading storage.local directly.
+ *
+ * Profiles are keyed by the numeric userId, which survives username changes.
+ * The userIds store doubles as the username -> userId alias index, so a
+ * profile can still be looked up by any username it was seen under.
+ * Profiles whose userId isn't known yet (e.g. from the legacy username-keyed
+ * cache) wait in the pendingProfiles store, keyed by username, and move into
+ * the profiles store as soon as an alias for their username is written.
+ */
+
+import { parseJoinedDate } from './dateParser.js';
+import { mergeProfileHistory, MAX_HISTORY_ENTRIES } from './profileHistory.js';
+import { resolveImportConflict } from './profileImport.js';
+
+const DB_NAME = 'lee-su-threads';
+const DB_VERSION = 1;
+
+export const PROFILE_STORE = 'profiles';
+export const USER_ID_STORE = 'userIds';
+export const PENDING_STORE = 'pendingProfiles';
+
+// Username given to profiles fetched before their username was known (see injected.js)
+const PLACEHOLDER_USERNAME = /^user_(\d+)$/;
+
+// Legacy storage.local keys that held the whole cache as a single object
+const LEGACY_PROFILE_KEY = 'profileCache';
+const LEGACY_USER_ID_KEY = 'userIdCache';
+const MIGRATION_FLAG_KEY = 'profileStoreMigrated';
+
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} Resolves with request.result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve once a transaction has committed
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Work out the userId a profile belongs to
+ * @param {Object} profile - Profile info or stored record
+ * @param {Map<string, string>} userIdByUsername - Known username -> userId aliases
+ * @returns {string|null} Null if the profile cannot be keyed
+ */
+function resolveUserId(profile, userIdByUsername) {
+  if (profile.userId) return String(profile.userId);
+  if (userIdByUsername.has(profile.username)) return userIdByUsername.get(profile.username);
+  const placeholder = profile._userIdOnly && PLACEHOLDER_USERNAME.exec(profile.username || '');
+  return placeholder ? placeholder[1] : null;
+}
+
+/**
+ * Combine two stored records that turned out to belong to the same user
+ * (e.g. the old and new username of a renamed account, or an imported copy)
+ * @param {Object} a - Stored record
+ * @param {Object} b - Stored record
+ * @returns {Object} Combined record with both histories
+ */
+function combineRecords(a, b) {
+  const [older, newer] = (a.timestamp || 0) <= (b.timestamp || 0) ? [a, b] : [b, a];
+  const merged = mergeProfileHistory(older, newer);
+  if (!older.history || !newer.history) return merged;
+
+  // Entries starting at the same time are the same sighting (e.g. re-importing an export)
+  const byFirstSeen = new Map();
+  for (const entry of [...older.history, ...newer.history]) {
+    const seen = byFirstSeen.get(entry.firstSeen);
+    if (!seen || entry.lastSeen > seen.lastSeen) byFirstSeen.set(entry.firstSeen, entry);
+  }
+  const history = [...byFirstSeen.values()].sort((x, y) => x.firstSeen - y.firstSeen);
+  return { ...merged, history: history.slice(-MAX_HISTORY_ENTRIES) };
+}
+
+/**
+ * Group username-keyed records by userId, combining records of the same user
+ * @param {Array<Object>} records - Records without a guaranteed userId
+ * @param {Map<string, string>} userIdByUsername - Known username -> userId aliases
+ * @returns {{records: Map<string, Object>, pending: Map<string, Object>}} Records keyed by
+ *   userId, and records whose userId is unknown keyed by username
+ */
+function groupByUserId(records, userIdByUsername) {
+  const byUserId = new Map();
+  const pending = new Map();
+
+  for (const record of records) {
+    const userId = resolveUserId(record, userIdByUsername);
+    if (!userId) {
+      // Kept under the username until an alias tells us the userId
+      const existing = pending.get(record.username);
+      pending.set(record.username, existing ? combineRecords(existing, record) : record);
+      continue;
+    }
+    const keyed = { ...record, userId };
+    const existing = byUserId.get(userId);
+    byUserId.set(userId, existing ? combineRecords(existing, keyed) : keyed);
+  }
+
+  return { records: byUserId, pending };
+}
+
+/**
+ * Open (and create if needed) the profile database
+ * The connection is shared for the lifetime of the worker.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openProfileStore() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+
+      const profiles = db.createObjectStore(PROFILE_STORE, { keyPath: 'userId' });
+      profiles.createIndex('username', 'username', { unique: false });
+      profiles.createIndex('location', 'location', { unique: false });
+      profiles.createIndex('joinedAt', 'joinedAt', { unique: false });
+      profiles.createIndex('timestamp', 'timestamp', { unique: false });
+
+      const userIds = db.createObjectStore(USER_ID_STORE, { keyPath: 'username' });
+      userIds.createIndex('userId', 'userId', { unique: false });
+
+      db.createObjectStore(PENDING_STORE, { keyPath: 'username' });
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Close the shared connection (used by tests and before deleting the database)
+ */
+export async function closeProfileStore() {
+  if (!dbPromise) return;
+  const pending = dbPromise;
+  dbPromise = null;
+  try {
+    (await pending).close();
+  } catch (e) {
+    // Opening failed - nothing to close
+  }
+}
+
+/**
+ * Build the stored record for a profile
+ * Adds a sortable joinedAt so the joined date can be indexed across locales.
+ * @param {Object} profile - Profile info from the parser
+ * @param {number} timestamp - When the profile was fetched
+ * @returns {Object} Record to store
+ */
+export function toProfileRecord(profile, timestamp = Date.now()) {
+  const joinedDate = parseJoinedDate(profile.joined);
+  return {
+    ...profile,
+    joinedAt: joinedDate ? joinedDate.getTime() : null,
+    timestamp: profile.timestamp || timestamp
+  };
+}
+
+/**
+ * Store a single profile, extending its history
+ * @param {Object} profile - Profile info (must include username)
+ * @returns {Promise<Object|null>} Stored record, or null without a username
+ */
+export async function putProfile(profile) {
+  if (!profile?.username) return null;
+
+  await applyWriteBatch({ profiles: [{ ...profile, timestamp: Date.now() }] });
+  return profile.userId ? getProfileByUserId(profile.userId) : getProfile(profile.username);
+}
+
+/**
+ * Get a single profile by its userId
+ * @param {string} userId - Numeric user ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getProfileByUserId(userId) {
+  const db = await openProfileStore();
+  const tx = db.transaction(PROFILE_STORE, 'readonly');
+  const record = await promisifyRequest(tx.objectStore(PROFILE_STORE).get(String(userId)));
+  return record || null;
+}
+
+/**
+ * Get a single profile by username
+ * Former usernames resolve to the renamed profile through the alias index.
+ * @param {string} username - Username (without @)
+ * @returns {Promise<Object|null>}
+ */
+export async function getProfile(username) {
+  const db = await openProfileStore();
+  const tx = db.transaction([PROFILE_STORE, USER_ID_STORE, PENDING_STORE], 'readonly');
+  const profileStore = tx.objectStore(PROFILE_STORE);
+
+  const alias = await promisifyRequest(tx.objectStore(USER_ID_STORE).get(username));
+  if (alias) {
+    const record = await promisifyRequest(profileStore.get(alias.userId));
+    if (record) return record;
+  }
+
+  // Alias may have expired; fall back to the current username, then to profiles not keyed yet
+  const record = await promisifyRequest(profileStore.index('username').get(username)) ||
+    await promisifyRequest(tx.objectStore(PENDING_STORE).get(username));
+  return record || null;
+}
+
+/**
+ * Look up several users in one transaction
+ * Each is found by userId when given, otherwise by current or former username.
+ * @param {Array<{username: string, userId?: string}>} users
+ * @returns {Promise<Object>} { requested username: record } for the users found
+ */
+export async function getProfilesFor(users) {
+  const db = await openProfileStore();
+  const tx = db.transaction([PROFILE_STORE, USER_ID_STORE, PENDING_STORE], 'readonly');
+  const profileStore = tx.objectStore(PROFILE_STORE);
+  const aliasStore = tx.objectStore(USER_ID_STORE);
+  const pendingStore = tx.objectStore(PENDING_STORE);
+
+  const result = {};
+  for (const { username, userId } of users) {
+    let record = userId ? await promisifyRequest(profileStore.get(String(userId))) : null;
+    if (!record && username) {
+      const alias = await promisifyRequest(aliasStore.get(username));
+      if (alias) record = await promisifyRequest(profileStore.get(alias.userId));
+      if (!record) record = await promisifyRequest(profileStore.index('username').get(username));
+      if (!record) record = await promisifyRequest(pendingStore.get(username));
+    }
+    if (record) result[username] = record;
+  }
+  return result;
+}
+
+/**
+ * Get all profiles, keyed by username (same shape as the legacy profileCache)
+ * Profiles not keyed by userId yet are included unless a keyed one has their username.
+ * @param {Function} [filter] - Optional predicate to keep a record
+ * @returns {Promise<Object>}
+ */
+export async function getAllProfiles(filter = null) {
+  const db = await openProfileStore();
+  const tx = db.transaction([PROFILE_STORE, PENDING_STORE], 'readonly');
+  const [records, pending] = await Promise.all([
+    promisifyRequest(tx.objectStore(PROFILE_STORE).getAll()),
+    promisifyRequest(tx.objectStore(PENDING_STORE).getAll())
+  ]);
+
+  const result = {};
+  for (const record of records) {
+    if (!filter || filter(record)) {
+      result[record.username] = record;
+    }
+  }
+  for (const record of pending) {
+    if (!(record.username in result) && (!filter || filter(record))) {
+      result[record.username] = record;
+    }
+  }
+  return result;
+}
+
+/**
+ * Get all profiles with an exact location
+ * @param {string} location - Location string as shown by Threads
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getProfilesByLocation(location) {
+  const db = await openProfileStore();
+  const tx = db.transaction(PROFILE_STORE, 'readonly');
+  const index = tx.objectStore(PROFILE_STORE).index('location');
+  return promisifyRequest(index.getAll(location));
+}
+
+/**
+ * Get profiles whose joined date falls in a range
+ * @param {Date|number} from - Inclusive lower bound
+ * @param {Date|number} [to] - Inclusive upper bound (defaults to open-ended)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getProfilesByJoinedDate(from, to = null) {
+  const lower = from instanceof Date ? from.getTime() : from;
+  const upper = to instanceof Date ? to.getTime() : to;
+  const range = upper === null
+    ? IDBKeyRange.lowerBound(lower)
+    : IDBKeyRange.bound(lower, upper);
+
+  const db = await openProfileStore();
+  const tx = db.transaction(PROFILE_STORE, 'readonly');
+  const index = tx.objectStore(PROFILE_STORE).index('joinedAt');
+  return promisifyRequest(index.getAll(range));
+}
+
+/**
+ * Count stored profiles, including those not keyed by userId yet
+ * @returns {Promise<number>}
+ */
+export async function countProfiles() {
+  const db = await openProfileStore();
+  const tx = db.transaction([PROFILE_STORE, PENDING_STORE], 'readonly');
+  const [keyed, pending] = await Promise.all([
+    promisifyRequest(tx.objectStore(PROFILE_STORE).count()),
+    promisifyRequest(tx.objectStore(PENDING_STORE).count())
+  ]);
+  return keyed + pending;
+}
+
+/**
+ * Delete profiles by userId
+ * @param {Array<string>} userIds
+ * @returns {Promise<void>}
+ */
+export async function deleteProfiles(userIds) {
+  if (userIds.length === 0) return;
+  const db = await openProfileStore();
+  const tx = db.transaction(PROFILE_STORE, 'readwrite');
+  const store = tx.objectStore(PROFILE_STORE);
+  for (const userId of userIds) {
+    store.delete(String(userId));
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Delete profiles not keyed by userId yet, by username
+ * @param {Array<string>} usernames
+ * @returns {Promise<void>}
+ */
+export async function deletePendingProfiles(usernames) {
+  if (usernames.length === 0) return;
+  const db = await openProfileStore();
+  const tx = db.transaction(PENDING_STORE, 'readwrite');
+  const store = tx.objectStore(PENDING_STORE);
+  for (const username of usernames) {
+    store.delete(username);
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Move a username-keyed pending profile under its userId, combining it with
+ * any record already stored there
+ * Runs inside the caller's transaction (which must include all three stores).
+ * @param {IDBTransaction} tx
+ * @param {string} username
+ * @param {string} userId
+ */
+function adoptPendingProfile(tx, username, userId) {
+  const pendingStore = tx.objectStore(PENDING_STORE);
+  const profileStore = tx.objectStore(PROFILE_STORE);
+  const pendingRequest = pendingStore.get(username);
+  pendingRequest.onsuccess = () => {
+    const pending = pendingRequest.result;
+    if (!pending) return;
+    const keyed = { ...pending, userId: String(userId) };
+    const existingRequest = profileStore.get(keyed.userId);
+    existingRequest.onsuccess = () => {
+      const existing = existingRequest.result;
+      // Pending data was stored first, so the keyed record wins a timestamp tie
+      profileStore.put(existing ? combineRecords(keyed, existing) : keyed);
+      pendingStore.delete(username);
+    };
+  };
+}
+
+/**
+ * Store username -> userId mappings
+ * Existing mappings are kept so their original timestamp survives.
+ * @param {Object} userIds - { username: userId, ... }
+ * @returns {Promise<number>} Number of new mappings written
+ */
+export async function putUserIds(userIds) {
+  if (Object.keys(userIds || {}).length === 0) return 0;
+  const written = await applyWriteBatch({ userIds });
+  return written.userIds;
+}
+
+/**
+ * Get all user ID mappings (same shape as the legacy userIdCache)
+ * @param {Function} [filter] - Optional predicate to keep a record
+ * @returns {Promise<Object>} { username: { userId, timestamp }, ... }
+ */
+export async function getAllUserIds(filter = null) {
+  const db = await openProfileStore();
+  const tx = db.transaction(USER_ID_STORE, 'readonly');
+  const records = await promisifyRequest(tx.objectStore(USER_ID_STORE).getAll());
+
+  const result = {};
+  for (const record of records) {
+    if (!filter || filter(record)) {
+      result[record.username] = { userId: record.userId, timestamp: record.timestamp };
+    }
+  }
+  return result;
+}
+
+/**
+ * Delete user ID mappings by username
+ * @param {Array<string>} usernames
+ * @returns {Promise<void>}
+ */
+export async function deleteUserIds(usernames) {
+  if (usernames.length === 0) return;
+  const db = await openProfileStore();
+  const tx = db.transaction(USER_ID_STORE, 'readwrite');
+  const store = tx.objectStore(USER_ID_STORE);
+  for (const username of usernames) {
+    store.delete(username);
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Apply a batch of profile and user ID writes in a single transaction
+ * Either everything in the batch is committed or nothing is. Profiles are
+ * merged with the stored record for the same userId so their history keeps
+ * growing across renames, and each profile refreshes its username alias.
+ * Profiles whose userId can't be resolved are kept by username until it can.
+ * @param {Object} batch
+ * @param {Array<Object>} batch.profiles - Profiles to store (each must include username)
+ * @param {Object} batch.userIds - { username: userId, ... }; existing mappings are kept
+ * @returns {Promise<{profiles: number, userIds: number}>} Number of records written
+ */
+export async function applyWriteBatch({ profiles = [], userIds = {} }) {
+  const db = await openProfileStore();
+  const tx = db.transaction([PROFILE_STORE, USER_ID_STORE, PENDING_STORE], 'readwrite');
+  const profileStore = tx.objectStore(PROFILE_STORE);
+  const userIdStore = tx.objectStore(USER_ID_STORE);
+  const pendingStore = tx.objectStore(PENDING_STORE);
+  const now = Date.now();
+  let writtenProfiles = 0;
+  let writtenUserIds = 0;
+
+  // Aliases go first so profiles later in the batch can be resolved by them
+  for (const [username, userId] of Object.entries(userIds)) {
+    const request = userIdStore.get(username);
+    request.onsuccess = () => {
+      if (!request.result) {
+        userIdStore.put({ username, userId: String(userId), timestamp: now });
+        adoptPendingProfile(tx, username, String(userId));
+        writtenUserIds++;
+      }
+    };
+  }
+
+  const putMerged = (existing, incoming) => {
+    const record = { ...mergeProfileHistory(existing, incoming), lastAccessed: now };
+    profileStore.put(record);
+    if (!record._userIdOnly) {
+      userIdStore.put({ username: record.username, userId: record.userId, timestamp: now });
+      adoptPendingProfile(tx, record.username, record.userId);
+    }
+    writtenProfiles++;
+  };
+
+  const writePending = (incoming) => {
+    const request = pendingStore.get(incoming.username);
+    request.onsuccess = () => {
+      pendingStore.put({ ...mergeProfileHistory(request.result, incoming), lastAccessed: now });
+      writtenProfiles++;
+    };
+  };
+
+  // Read and merge inside the same transaction so history entries are never lost
+  const writeProfile = (incoming) => {
+    const request = profileStore.get(incoming.userId);
+    request.onsuccess = () => {
+      if (request.result || !incoming._userIdOnly) {
+        putMerged(request.result, incoming);
+        return;
+      }
+
+      // First sighting of a placeholder profile: the username may already be known
+      // (several aliases can point at one userId after a rename; the newest is current)
+      const aliasRequest = userIdStore.index('userId').getAll(incoming.userId);
+      aliasRequest.onsuccess = () => {
+        const alias = aliasRequest.result.sort((a, b) => b.timestamp - a.timestamp)[0];
+        if (alias) {
+          const { _userIdOnly, ...resolved } = incoming;
+          putMerged(null, { ...resolved, username: alias.username });
+        } else {
+          putMerged(null, incoming);
+        }
+      };
+    };
+  };
+
+  for (const profile of profiles) {
+    if (!profile?.username) continue;
+    const incoming = toProfileRecord(profile, now);
+
+    if (incoming.userId) {
+      writeProfile({ ...incoming, userId: String(incoming.userId) });
+      continue;
+    }
+
+    // No userId on the profile itself: resolve it from this batch or the alias index
+    if (userIds[incoming.username]) {
+      writeProfile({ ...incoming, userId: String(userIds[incoming.username]) });
+      continue;
+    }
+    const request = userIdStore.get(incoming.username);
+    request.onsuccess = () => {
+      const userId = request.result?.userId || resolveUserId(incoming, new Map());
+      if (userId) {
+        writeProfile({ ...incoming, userId });
+      } else {
+        writePending(incoming);
+      }
+    };
+  }
+
+  await transactionDone(tx);
+  return { profiles: writtenProfiles, userIds: writtenUserIds };
+}
+
+/**
+ * Import exported profiles, resolving conflicts with cached ones
+ * Profiles exported before records carried a userId are keyed through the
+ * alias index (or a stored profile with the same username), and otherwise
+ * kept by username until their userId is learned.
+ * @param {Array<Object>} profiles - Validated profiles (see parseProfileExport)
+ * @param {string} policy - One of IMPORT_CONFLICT_POLICIES
+ * @returns {Promise<{added: number, updated: number, skipped: number}>}
+ */
+export async function importProfiles(profiles, policy) {
+  const db = await openProfileStore();
+  const tx = db.transaction([PROFILE_STORE, USER_ID_STORE, PENDING_STORE], 'readwrite');
+  const profileStore = tx.objectStore(PROFILE_STORE);
+  const userIdStore = tx.objectStore(USER_ID_STORE);
+  const pendingStore = tx.objectStore(PENDING_STORE);
+  const now = Date.now();
+  const counts = { added: 0, updated: 0, skipped: 0 };
+
+  // Resolve against the stored record and write the result; returns the record written, if any
+  const reconcile = (existing, incoming, put) => {
+    const action = resolveImportConflict(existing, incoming, policy);
+    if (action === 'skip') {
+      counts.skipped++;
+      return null;
+    }
+
+    // Newer wins merges both histories; overwrite takes the import as-is
+    const record = action === 'update' && policy !== 'overwrite'
+      ? combineRecords(existing, incoming)
+      : incoming;
+    put({ ...record, lastAccessed: existing?.lastAccessed || incoming.lastAccessed || now });
+    counts[action === 'add' ? 'added' : 'updated']++;
+    return record;
+  };
+
+  const importKeyed = (incoming) => {
+    const request = profileStore.get(incoming.userId);
+    request.onsuccess = () => {
+      const record = reconcile(request.result, incoming, r => profileStore.put(r));
+      if (record && !record._userIdOnly) {
+        userIdStore.put({ username: record.username, userId: record.userId, timestamp: now });
+        adoptPendingProfile(tx, record.username, record.userId);
+      }
+    };
+  };
+
+  const importPending = (incoming) => {
+    const request = pendingStore.get(incoming.username);
+    request.onsuccess = () => reconcile(request.result, incoming, r => pendingStore.put(r));
+  };
+
+  for (const profile of profiles) {
+    if (profile.userId) {
+      importKeyed(toProfileRecord({ ...profile, userId: String(profile.userId) }, now));
+      continue;
+    }
+
+    const incoming = toProfileRecord(profile, now);
+    const aliasRequest = userIdStore.get(incoming.username);
+    aliasRequest.onsuccess = () => {
+      if (aliasRequest.result) {
+        importKeyed({ ...incoming, userId: aliasRequest.result.userId });
+        return;
+      }
+      const byUsername = profileStore.index('username').get(incoming.username);
+      byUsername.onsuccess = () => {
+        if (byUsername.result) {
+          importKeyed({ ...incoming, userId: byUsername.result.userId });
+        } else {
+          importPending(incoming);
+        }
+      };
+    };
+  }
+
+  await transactionDone(tx);
+  return counts;
+}
+
+/**
+ * Record that profiles were used (shown on a page), for LRU eviction
+ * @param {Array<string>} userIds
+ * @param {number} [time] - Access time
+ * @returns {Promise<void>}
+ */
+export async function touchProfiles(userIds, time = Date.now()) {
+  if (userIds.length === 0) return;
+  const db = await openProfileStore();
+  const tx = db.transaction(PROFILE_STORE, 'readwrite');
+  const store = tx.objectStore(PROFILE_STORE);
+  for (const userId of userIds) {
+    const request = store.get(String(userId));
+    request.onsuccess = () => {
+      if (request.result) {
+        store.put({ ...request.result, lastAccessed: time });
+      }
+    };
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Evict the least recently used profiles until at most maxEntries remain
+ * Profiles never accessed since the upgrade fall back to their fetch time.
+ * @param {number} maxEntries - Maximum number of profiles to keep
+ * @param {Array<string>} [keepUserIds] - Profiles that must never be evicted (pinned)
+ * @returns {Promise<Array<string>>} userIds of evicted profiles
+ */
+export async function evictLeastRecentlyUsed(maxEntries, keepUserIds = []) {
+  const db = await openProfileStore();
+  const tx = db.transaction(PROFILE_STORE, 'readwrite');
+  const store = tx.objectStore(PROFILE_STORE);
+  const keep = new Set(keepUserIds.map(String));
+  const evicted = [];
+
+  const request = store.getAll();
+  request.onsuccess = () => {
+    const records = request.result;
+    if (records.length <= maxEntries) return;
+
+    const candidates = records
+      .filter(record => !keep.has(record.userId))
+      .sort((a, b) => (a.lastAccessed || a.timestamp || 0) - (b.lastAccessed || b.timestamp || 0));
+
+    for (const record of candidates.slice(0, records.length - maxEntries)) {
+      store.delete(record.userId);
+      evicted.push(record.userId);
+    }
+  };
+
+  await transactionDone(tx);
+  return evicted;
+}
+
+/**
+ * Count records and estimate their serialized size in each store
+ * @returns {Promise<Object>} { profiles: { count, bytes }, userIds: { count, bytes } }
+ */
+export async function measureProfileStore() {
+  const db = await openProfileStore();
+  const tx = db.transaction([PROFILE_STORE, USER_ID_STORE, PENDING_STORE], 'readonly');
+  const encoder = new TextEncoder();
+
+  const measure = (records) => ({
+    count: records.length,
+    bytes: records.reduce((sum, record) => sum + encoder.encode(JSON.stringify(record)).length, 0)
+  });
+
+  const [profiles, userIds, pending] = await Promise.all([
+    promisifyRequest(tx.objectStore(PROFILE_STORE).getAll()),
+    promisifyRequest(tx.objectStore(USER_ID_STORE).getAll()),
+    promisifyRequest(tx.objectStore(PENDING_STORE).getAll())
+  ]);
+  return { profiles: measure([...profiles, ...pending]), userIds: measure(userIds) };
+}
+
+/**
+ * Remove every profile and user ID mapping
+ * @returns {Promise<void>}
+ */
+export async function clearProfileStore() {
+  const db = await openProfileStore();
+  const tx = db.transaction([PROFILE_STORE, USER_ID_STORE, PENDING_STORE], 'readwrite');
+  tx.objectStore(PROFILE_STORE).clear();
+  tx.objectStore(USER_ID_STORE).clear();
+  tx.objectStore(PENDING_STORE).clear();
+  await transactionDone(tx);
+}
+
+/**
+ * One-time migration from the legacy profileCache/userIdCache storage keys
+ * Profiles whose userId is unknown are kept by username (see PENDING_STORE).
+ * @param {Object} storageArea - browserAPI.storage.local (or a compatible stub)
+ * @returns {Promise<{migrated: boolean, profiles: number, pending: number, userIds: number}>}
+ */
+export async function migrateLegacyCache(storageArea) {
+  const result = await storageArea.get([LEGACY_PROFILE_KEY, LEGACY_USER_ID_KEY, MIGRATION_FLAG_KEY]);
+  if (result[MIGRATION_FLAG_KEY]) {
+    return { migrated: false, profiles: 0, pending: 0, userIds: 0 };
+  }
+
+  const legacyProfiles = result[LEGACY_PROFILE_KEY] || {};
+  const legacyUserIds = result[LEGACY_USER_ID_KEY] || {};
+
+  const db = await openProfileStore();
+  const tx = db.transaction([PROFILE_STORE, USER_ID_STORE, PENDING_STORE], 'readwrite');
+  const profileStore = tx.objectStore(PROFILE_STORE);
+  const userIdStore = tx.objectStore(USER_ID_STORE);
+  const pendingStore = tx.objectStore(PENDING_STORE);
+
+  const userIdByUsername = new Map();
+  let userIds = 0;
+  for (const [username, data] of Object.entries(legacyUserIds)) {
+    if (!data?.userId) continue;
+    userIdStore.put({ username, userId: String(data.userId), timestamp: data.timestamp || Date.now() });
+    userIdByUsername.set(username, String(data.userId));
+    userIds++;
+  }
+
+  // The legacy cache was keyed by username; profiles whose userId is unknown stay keyed that way
+  const legacyRecords = Object.entries(legacyProfiles)
+    .filter(([, data]) => data && typeof data === 'object')
+    .map(([username, data]) => toProfileRecord({ ...data, username: data.username || username }, data.timestamp || Date.now()));
+  const { records, pending } = groupByUserId(legacyRecords, userIdByUsername);
+  for (const record of records.values()) {
+    profileStore.put(record);
+  }
+  for (const record of pending.values()) {
+    pendingStore.put(record);
+  }
+
+  await transactionDone(tx);
+
+  // Only drop the legacy keys once the data is safely committed to IndexedDB
+  await storageArea.remove([LEGACY_PROFILE_KEY, LEGACY_USER_ID_KEY]);
+  await storageArea.set({ [MIGRATION_FLAG_KEY]: true });
+
+  return { migrated: true, profiles: records.size, pending: pending.size, userIds };
+}
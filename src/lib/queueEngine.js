@@ -0,0 +1,230 @@
+/**
+ * Tab-side queue engine shared by every auto-fetch surface
+ * A surface (feed posts, the followers dialog, stale badges, manual clicks)
+ * registers a lane with a resolver that finds the user ID and a renderer that
+ * shows the outcome on its element. The engine does the bookkeeping they all
+ * share: holding jobs until the tab is ready and the lane is enabled,
+ * submitting and cancelling them with the background coordinator, running the
+ * jobs it dispatches back, and handing over profiles another tab fetched.
+ * A new surface (search results, profile pages, quote embeds, ...) only needs
+ * register() here and a lane in FETCH_LANES (fetchCoordinator.js), which sets
+ * its priority.
+ */
+
+/**
+ * @typedef {Object} QueueSurface
+ * @property {Function} render - async (element, result, job) => void; show a fetch result
+ *   (profile info, rate-limit/login marker, or null). element may be missing or detached.
+ * @property {Function} [resolveUserId] - async (job, element) => userId or null (default: job.userId)
+ * @property {Function} [getCached] - (job) => profile already good enough to skip the fetch, or null
+ * @property {Function} [showCached] - async (element, profile, job) => void (default: render)
+ * @property {Function} [onStart] - (element, job) => void; the fetch is about to start
+ * @property {Function} [onUserIdMissing] - (element, job) => void (default: render with null)
+ * @property {Function} [onDelivered] - async (element, profile, job) => void; another tab fetched it (default: render)
+ * @property {Function} [onDropped] - (element, job) => void; the coordinator dropped the job
+ * @property {Function} [isEnabled] - () => whether auto-fetch is on for this surface (default: always)
+ * @property {boolean} [manual] - Runs as soon as dispatched: no start-up delay, toggle or rate-limit pause
+ */
+
+import { isRetryableFailure, MAX_FETCH_ATTEMPTS } from './fetchErrors.js';
+
+/**
+ * Map a fetch result to the status reported back to the coordinator
+ * @param {Object|null} result - Profile info, rate-limit/login/failure marker, or null
+ * @returns {{status: string, reason?: string, httpStatus?: number}}
+ */
+export function toJobResult(result) {
+  if (!result) return { status: 'failed' };
+  if (result._error) {
+    return { status: 'failed', reason: result._error, ...(result.status ? { httpStatus: result.status } : {}) };
+  }
+  if (result._rateLimited) return { status: 'rateLimited' };
+  if (result._loginRequired) return { status: 'loginRequired' };
+  return { status: 'done' };
+}
+
+/**
+ * Create a queue engine
+ * @param {Object} options
+ * @param {Function} options.sendMessage - async (message) => void, to the background coordinator
+ * @param {Function} options.fetchProfile - async (userId) => profile info, rate-limit/login marker, or null
+ * @param {Function} options.isReady - () => whether auto-fetch may start in this tab yet
+ * @param {Function} options.isLoggedOut - () => whether the user is known to be logged out
+ * @param {Function} options.isPaused - () => whether auto-fetch is paused by a rate limit
+ * @param {Function} [options.onLoginRequired] - () => void, when a job finds the user logged out
+ * @returns {Object} { register, queueFetch, cancel, flush, run, drop, deliver }
+ */
+export function createQueueEngine({ sendMessage, fetchProfile, isReady, isLoggedOut, isPaused, onLoginRequired }) {
+  const surfaces = new Map(); // lane -> QueueSurface
+  const elements = new Map(); // lane -> Map(username -> element waiting on the queued job)
+  // Jobs held back until auto-fetch is ready and enabled for their lane, keyed by lane and
+  // username so a user held in two lanes keeps both
+  const held = new Map();
+  const heldKey = (lane, username) => `${lane}:${username}`;
+
+  const isEnabled = (surface) => !surface.isEnabled || surface.isEnabled();
+
+  function submit(job) {
+    sendMessage({ type: 'FETCH_QUEUE_SUBMIT', job }).catch(() => {
+      // Extension reloaded - the job is lost with the old worker
+    });
+  }
+
+  /**
+   * Take the element waiting on a job out of the registry
+   * @param {string} lane
+   * @param {string} username
+   * @returns {HTMLElement|undefined}
+   */
+  function takeElement(lane, username) {
+    const element = elements.get(lane)?.get(username);
+    elements.get(lane)?.delete(username);
+    return element;
+  }
+
+  /**
+   * Register a surface for a lane
+   * @param {string} lane - Coordinator lane (see FETCH_LANES)
+   * @param {QueueSurface} surface
+   */
+  function register(lane, surface) {
+    surfaces.set(lane, surface);
+    elements.set(lane, new Map());
+  }
+
+  /**
+   * Queue a fetch with the background coordinator
+   * @param {string} lane - Registered lane
+   * @param {string} username - Username to fetch
+   * @param {HTMLElement} [element] - Button or badge waiting for the result
+   * @param {string} [userId] - User ID, when known
+   */
+  function queueFetch(lane, username, element, userId = null) {
+    const surface = surfaces.get(lane);
+    if (!surface) return;
+    const job = { username, userId, lane };
+    // Don't queue if the cache already has what this surface needs
+    if (surface.getCached?.(job)) return;
+
+    elements.get(lane).set(username, element);
+    if (!surface.manual && (!isReady() || !isEnabled(surface))) {
+      held.delete(heldKey(lane, username));
+      held.set(heldKey(lane, username), job);
+      return;
+    }
+    submit(job);
+  }
+
+  /**
+   * Withdraw a job that hasn't started yet (e.g. its element scrolled out of view)
+   * @param {string} lane
+   * @param {string} username
+   */
+  function cancel(lane, username) {
+    // Not queued, or already running
+    if (!elements.get(lane)?.has(username)) return;
+    elements.get(lane).delete(username);
+
+    if (held.delete(heldKey(lane, username))) return;
+    sendMessage({ type: 'FETCH_QUEUE_CANCEL', username, lane }).catch(() => {
+      // Extension reloaded - the job is gone with the old worker
+    });
+  }
+
+  /**
+   * Submit held jobs whose lane can run now
+   */
+  function flush() {
+    if (!isReady()) return;
+    for (const [key, job] of held) {
+      if (!isEnabled(surfaces.get(job.lane))) continue;
+      held.delete(key);
+      submit(job);
+    }
+  }
+
+  async function runJob(job) {
+    const surface = surfaces.get(job.lane);
+    if (!surface) return { status: 'skipped' };
+    if (isLoggedOut()) return { status: 'loginRequired' };
+    if (!surface.manual) {
+      if (!isReady()) return { status: 'notReady' };
+      if (isPaused()) return { status: 'rateLimited' };
+      if (!isEnabled(surface)) return { status: 'skipped' };
+    }
+
+    const element = takeElement(job.lane, job.username);
+    // A click covers any auto-fetch queued for the same user; its handler owns the button
+    if (surface.manual) elements.forEach(lane => lane.delete(job.username));
+    console.log(`[Threads Extractor] Processing ${job.lane} job for @${job.username}`);
+
+    // Skip if already fetched while in queue
+    const cached = surface.getCached?.(job);
+    if (cached) {
+      await (surface.showCached || surface.render)(element, cached, job);
+      return { status: 'done' };
+    }
+
+    surface.onStart?.(element, job);
+    const userId = surface.resolveUserId ? await surface.resolveUserId(job, element) : job.userId;
+    if (!userId) {
+      if (surface.onUserIdMissing) surface.onUserIdMissing(element, job);
+      else await surface.render(element, null, job);
+      return { status: 'failed' };
+    }
+
+    const result = await fetchProfile(userId);
+    const jobResult = toJobResult(result);
+    if (result?._error) {
+      // The coordinator tries transient failures again (not manual ones); keep the
+      // element for the next attempt and say which attempt this was
+      const attempt = job.attempt || 1;
+      const retrying = !surface.manual && isRetryableFailure(jobResult) && attempt < MAX_FETCH_ATTEMPTS;
+      if (retrying) elements.get(job.lane).set(job.username, element);
+      await surface.render(element, { ...result, attempt, retrying }, job);
+    } else {
+      await surface.render(element, result, job);
+    }
+    return jobResult;
+  }
+
+  /**
+   * Run a job dispatched by the coordinator
+   * @param {Object} job - { username, userId, lane, attempt }
+   * @returns {Promise<{status: string}>} Outcome for the coordinator
+   */
+  async function run(job) {
+    const result = await runJob(job);
+    // The coordinator drops all of a logged-out tab's jobs, so let waiting surfaces know now
+    if (result.status === 'loginRequired') onLoginRequired?.();
+    return result;
+  }
+
+  /**
+   * Forget jobs the coordinator dropped
+   * @param {string} lane
+   * @param {Array<string>} usernames
+   */
+  function drop(lane, usernames) {
+    const surface = surfaces.get(lane);
+    for (const username of usernames) {
+      const element = takeElement(lane, username);
+      surface?.onDropped?.(element, { username, lane });
+    }
+  }
+
+  /**
+   * Finish jobs for a profile another tab fetched
+   * @param {Object} profileInfo - Profile info (already merged into the cache)
+   */
+  async function deliver(profileInfo) {
+    const { username } = profileInfo;
+    for (const [lane, surface] of surfaces) {
+      if (!elements.get(lane).has(username) && !surface.manual) continue;
+      const element = takeElement(lane, username);
+      await (surface.onDelivered || surface.render)(element, profileInfo, { username, userId: profileInfo.userId, lane });
+    }
+  }
+
+  return { register, queueFetch, cancel, flush, run, drop, deliver };
+}
@@ -0,0 +1,211 @@
+/**
+ * Adaptive rate limiter for profile lookups
+ * A token bucket allows short bursts while holding the sustained request rate.
+ * After a 429 every fetch waits out an exponential backoff (with jitter), and
+ * the rate then ramps back up gradually instead of resuming at full speed.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// storage.local key for the user's burst and sustained rate
+export const RATE_LIMIT_SETTINGS_KEY = 'rateLimitSettings';
+
+export const DEFAULT_RATE_LIMIT_SETTINGS = {
+  burst: 5, // Requests that may go out back to back
+  perMinute: 45 // Sustained requests per minute
+};
+
+// Bounds for user-entered values
+export const MIN_BURST = 1;
+export const MAX_BURST = 20;
+export const MIN_PER_MINUTE = 1;
+export const MAX_PER_MINUTE = 120;
+
+// Backoff after a 429, doubled for each further 429 before the rate has fully recovered
+export const BASE_BACKOFF_MS = 10 * MINUTE_MS;
+export const MAX_BACKOFF_MS = 2 * 60 * MINUTE_MS;
+const BACKOFF_JITTER = 0.2; // +/- 20% so tabs and installs don't resume in lockstep
+
+// After a backoff the rate starts at this fraction and climbs linearly to full over RAMP_UP_MS
+const RAMP_START = 0.25;
+export const RAMP_UP_MS = 15 * MINUTE_MS;
+
+/**
+ * Fill in missing or invalid settings with the defaults
+ * @param {Object} [settings] - Stored settings ({ burst, perMinute })
+ * @returns {{burst: number, perMinute: number}}
+ */
+export function normalizeRateLimitSettings(settings = {}) {
+  const clamp = (value, min, max, fallback) => {
+    const number = Math.floor(Number(value));
+    if (!Number.isFinite(number) || number < min) return fallback;
+    return Math.min(number, max);
+  };
+  return {
+    burst: clamp(settings?.burst, MIN_BURST, MAX_BURST, DEFAULT_RATE_LIMIT_SETTINGS.burst),
+    perMinute: clamp(settings?.perMinute, MIN_PER_MINUTE, MAX_PER_MINUTE, DEFAULT_RATE_LIMIT_SETTINGS.perMinute)
+  };
+}
+
+/**
+ * Create a rate limiter
+ * @param {Object} [options]
+ * @param {number} [options.burst] - Bucket size
+ * @param {number} [options.perMinute] - Sustained refill rate
+ * @param {Function} [options.now] - Clock (for tests)
+ * @param {Function} [options.random] - Random source for jitter (for tests)
+ * @returns {Object} Limiter API
+ */
+export function createRateLimiter({
+  burst = DEFAULT_RATE_LIMIT_SETTINGS.burst,
+  perMinute = DEFAULT_RATE_LIMIT_SETTINGS.perMinute,
+  now = () => Date.now(),
+  random = Math.random
+} = {}) {
+  let settings = normalizeRateLimitSettings({ burst, perMinute });
+  let tokens = settings.burst;
+  let refilledAt = now();
+  let backoffUntil = 0;
+  let consecutiveRateLimits = 0; // 429s since the rate last fully recovered
+  let lastRateLimitedAt = null;
+  const requestTimes = []; // Request times within the last minute
+
+  /**
+   * Fraction of the sustained rate currently allowed (0 during a backoff)
+   * @param {number} time
+   * @returns {number}
+   */
+  function getRampFactor(time) {
+    if (consecutiveRateLimits === 0) return 1;
+    if (time < backoffUntil) return 0;
+    const progress = (time - backoffUntil) / RAMP_UP_MS;
+    if (progress >= 1) return 1;
+    return RAMP_START + (1 - RAMP_START) * progress;
+  }
+
+  function refill(time) {
+    // Fully recovered: the next 429 starts from the base backoff again
+    if (consecutiveRateLimits > 0 && time >= backoffUntil + RAMP_UP_MS) {
+      consecutiveRateLimits = 0;
+    }
+
+    const factor = getRampFactor(time);
+    // No bursts while ramping up
+    const capacity = factor < 1 ? 1 : settings.burst;
+    const elapsed = Math.max(0, time - Math.max(refilledAt, backoffUntil));
+    tokens = Math.min(capacity, tokens + (elapsed / MINUTE_MS) * settings.perMinute * factor);
+    refilledAt = time;
+
+    while (requestTimes.length > 0 && requestTimes[0] <= time - MINUTE_MS) {
+      requestTimes.shift();
+    }
+  }
+
+  return {
+    /**
+     * Take a token for one request if one is available
+     * @returns {number} 0 if the request may go now, otherwise milliseconds to wait before retrying
+     */
+    acquire() {
+      const time = now();
+      refill(time);
+      if (time < backoffUntil) return backoffUntil - time;
+
+      if (tokens >= 1) {
+        tokens -= 1;
+        requestTimes.push(time);
+        return 0;
+      }
+      const rate = settings.perMinute * getRampFactor(time);
+      return Math.ceil(((1 - tokens) / rate) * MINUTE_MS);
+    },
+
+    /**
+     * Start (or extend) a backoff after a 429
+     * Reports that arrive during an active backoff belong to the same episode,
+     * e.g. the page event and the queue result for one failed request.
+     * @returns {number} Time the backoff ends
+     */
+    recordRateLimit() {
+      const time = now();
+      lastRateLimitedAt = time;
+      if (time < backoffUntil) return backoffUntil;
+
+      consecutiveRateLimits++;
+      const delay = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (consecutiveRateLimits - 1));
+      const jitter = 1 + (random() * 2 - 1) * BACKOFF_JITTER;
+      backoffUntil = time + Math.round(delay * jitter);
+      tokens = 0;
+      return backoffUntil;
+    },
+
+    /**
+     * End the backoff early (the user chose to resume); the rate still ramps up
+     */
+    resume() {
+      const time = now();
+      if (time >= backoffUntil) return;
+      backoffUntil = time;
+      refilledAt = time;
+      tokens = 1;
+    },
+
+    /**
+     * Update burst and sustained rate
+     * @param {Object} newSettings - { burst, perMinute }
+     */
+    configure(newSettings) {
+      refill(now());
+      settings = normalizeRateLimitSettings(newSettings);
+      tokens = Math.min(tokens, settings.burst);
+    },
+
+    /**
+     * @returns {number} Time the current backoff ends (0 or past if none)
+     */
+    getBackoffUntil() {
+      return backoffUntil;
+    },
+
+    /**
+     * Backoff state worth keeping across worker restarts
+     * @returns {{backoffUntil: number, consecutiveRateLimits: number, lastRateLimitedAt: number|null}}
+     */
+    snapshot() {
+      return { backoffUntil, consecutiveRateLimits, lastRateLimitedAt };
+    },
+
+    /**
+     * Resume from a snapshot
+     * @param {Object} [saved] - From snapshot()
+     */
+    restore(saved) {
+      if (!saved) return;
+      if ((saved.backoffUntil || 0) > backoffUntil) {
+        backoffUntil = saved.backoffUntil;
+        consecutiveRateLimits = Math.max(consecutiveRateLimits, saved.consecutiveRateLimits || 1);
+        tokens = 0;
+      }
+      lastRateLimitedAt = Math.max(lastRateLimitedAt || 0, saved.lastRateLimitedAt || 0) || null;
+    },
+
+    /**
+     * Current usage for the popup
+     * @returns {Object} { requestsPerMinute, availableRequests, burst, perMinute, currentPerMinute, backoffUntil, lastRateLimitedAt, consecutiveRateLimits }
+     */
+    getStats() {
+      const time = now();
+      refill(time);
+      return {
+        requestsPerMinute: requestTimes.length,
+        availableRequests: Math.floor(tokens),
+        burst: settings.burst,
+        perMinute: settings.perMinute,
+        currentPerMinute: Math.round(settings.perMinute * getRampFactor(time)),
+        backoffUntil: time < backoffUntil ? backoffUntil : 0,
+        lastRateLimitedAt,
+        consecutiveRateLimits
+      };
+    }
+  };
+}
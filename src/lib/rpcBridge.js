@@ -0,0 +1,231 @@
+/**
+ * Typed request/response bridge between the content script and injected.js
+ * Both scripts share the page's window but not its JavaScript world. The
+ * content side owns a MessageChannel and hands one of its ports to injected.js
+ * once, right after the script has loaded; from then on every message goes
+ * over that port and nothing but the handover is posted on window.
+ *
+ * A page script can see the handover too, so the port alone proves nothing.
+ * The content side also writes a per-page secret on injected.js's <script>
+ * tag, which injected.js reads and removes as it starts, and ignores the port
+ * until the secret comes back over it. A page script that grabs the port, or
+ * posts a handover of its own, is ignored unless it has read the secret off
+ * the tag in the moment before injected.js removes it; nothing in the page's
+ * world can rule out a script that is already watching for that.
+ *
+ * Requests have unique IDs and fail with a reason (timeout, unknown method,
+ * handler error) instead of resolving to null.
+ */
+
+export const RPC_CHANNEL = 'threads-extractor-rpc';
+
+// Methods injected.js answers, and how long the content script waits for each
+export const RPC_METHODS = {
+  getUserId: { timeoutMs: 2000 }, // { username } => userId or null
+  fetchProfile: { timeoutMs: 10000 }, // { userId } => profile info, rate-limit/login marker, or null
+  getTokens: { timeoutMs: 2000 }, // {} => { isLoggedIn, ...token health (see tokenManager.js) }
+  scan: { timeoutMs: 5000 } // {} => { isLoggedIn, userCount }
+};
+
+// One-way notifications: loginState, newUserIds, tokenHealth, endpointState, schemaDrift,
+// profileExtracted, rateLimited, friendshipsListLoaded and lookup from injected.js,
+// loadUserIdCache, loadEndpoint and loadLabelOverrides to it
+export const RPC_EVENTS = [
+  'loginState',
+  'newUserIds',
+  'tokenHealth',
+  'endpointState',
+  'schemaDrift',
+  'profileExtracted',
+  'rateLimited',
+  'friendshipsListLoaded',
+  'lookup',
+  'loadUserIdCache',
+  'loadEndpoint',
+  'loadLabelOverrides'
+];
+
+/**
+ * Create an error carrying why a call failed
+ * @param {string} reason - 'timeout', 'notConnected', 'unknownMethod' or 'handlerFailed'
+ * @param {string} message
+ * @returns {Error} Error with a reason property
+ */
+export function rpcError(reason, message) {
+  return Object.assign(new Error(message), { reason });
+}
+
+/**
+ * Create a per-page handshake secret
+ * @returns {string}
+ */
+export function createSecret() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Create one side of the bridge
+ * The content side holds its requests until injected.js has taken its port
+ * and sent the secret back, so calls made before the script has loaded are
+ * not lost.
+ * @param {Object} options
+ * @param {string} options.side - 'content' or 'page' (injected.js)
+ * @param {string} options.secret - Handshake secret (the content side puts it on the <script> tag)
+ * @param {Window} [options.target] - Window the port is handed over on (default: window)
+ * @returns {Object} { call, handle, notify, on, handOverPort, secret }
+ */
+export function createRpcBridge({ side, secret, target = window }) {
+  const origin = target.location.origin;
+  const pending = new Map(); // request ID -> { resolve, reject, timeoutId }
+  const handlers = new Map(); // method -> async (params) => result
+  const listeners = new Map(); // event -> Array of (data) => void
+  const outbox = []; // Messages held until the page side is ready
+  const channel = side === 'content' ? new MessageChannel() : null;
+  let portToHandOver = channel?.port2 || null;
+  let port = null;
+  let connected = false;
+  let nextId = 0;
+
+  function post(message, { hold = false } = {}) {
+    if (hold && !connected) {
+      outbox.push(message);
+      return;
+    }
+    port?.postMessage(message);
+  }
+
+  function settle(id, settleWith) {
+    const request = pending.get(id);
+    if (!request) return;
+    pending.delete(id);
+    clearTimeout(request.timeoutId);
+    settleWith(request);
+  }
+
+  async function answer({ id, method, params }) {
+    const handler = handlers.get(method);
+    if (!handler) {
+      post({ kind: 'response', id, error: { reason: 'unknownMethod', message: `No handler for ${method}` } });
+      return;
+    }
+    try {
+      post({ kind: 'response', id, result: await handler(params || {}) });
+    } catch (err) {
+      post({ kind: 'response', id, error: { reason: 'handlerFailed', message: err?.message || String(err) } });
+    }
+  }
+
+  function markConnected() {
+    connected = true;
+    outbox.splice(0).forEach(held => port.postMessage(held));
+  }
+
+  function receive({ data: message }) {
+    // Until the secret has come back, the other end of the port is not known to be injected.js
+    if (!connected) {
+      if (message?.kind === 'ready' && typeof secret === 'string' && message.secret === secret) markConnected();
+      return;
+    }
+
+    switch (message?.kind) {
+      case 'request':
+        answer(message);
+        break;
+      case 'response':
+        settle(message.id, ({ resolve, reject }) => {
+          if (message.error) reject(rpcError(message.error.reason, message.error.message));
+          else resolve(message.result);
+        });
+        break;
+      case 'event':
+        (listeners.get(message.event) || []).forEach(listener => listener(message.data));
+        break;
+    }
+  }
+
+  function listen(ownPort) {
+    port = ownPort;
+    port.onmessage = receive;
+  }
+
+  if (side === 'content') {
+    listen(channel.port1);
+  } else {
+    // Take the first port the content script hands over on this window, then stop listening
+    const onConnect = (event) => {
+      if (event.source !== target || event.origin !== origin) return;
+      if (event.data?.channel !== RPC_CHANNEL || event.data.kind !== 'connect' || !event.ports?.[0]) return;
+      target.removeEventListener('message', onConnect);
+      listen(event.ports[0]);
+      // Prove to the content side that this is the script it injected, then send what was held
+      port.postMessage({ kind: 'ready', secret });
+      markConnected();
+    };
+    target.addEventListener('message', onConnect);
+  }
+
+  /**
+   * Give injected.js its end of the channel (content side, once it has loaded)
+   * The content side only listens on it once the secret has come back.
+   */
+  function handOverPort() {
+    if (!portToHandOver) return;
+    target.postMessage({ channel: RPC_CHANNEL, kind: 'connect' }, origin, [portToHandOver]);
+    portToHandOver = null;
+  }
+
+  /**
+   * Call a method on the other side
+   * @param {string} method - One of RPC_METHODS
+   * @param {Object} [params]
+   * @param {number} [timeoutMs] - Defaults to the method's timeout
+   * @returns {Promise<*>} The result; rejects with an rpcError
+   */
+  function call(method, params = {}, timeoutMs = RPC_METHODS[method]?.timeoutMs) {
+    if (!RPC_METHODS[method]) {
+      return Promise.reject(rpcError('unknownMethod', `Unknown method ${method}`));
+    }
+    const id = `${side}-${++nextId}`;
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => settle(id, () => {
+        reject(connected
+          ? rpcError('timeout', `${method} timed out after ${timeoutMs}ms`)
+          : rpcError('notConnected', `${method}: injected script not loaded`));
+      }), timeoutMs);
+      pending.set(id, { resolve, reject, timeoutId });
+      post({ kind: 'request', id, method, params }, { hold: true });
+    });
+  }
+
+  /**
+   * Answer a method called from the other side
+   * @param {string} method - One of RPC_METHODS
+   * @param {Function} handler - async (params) => result
+   */
+  function handle(method, handler) {
+    if (!RPC_METHODS[method]) throw new Error(`Unknown RPC method ${method}`);
+    handlers.set(method, handler);
+  }
+
+  /**
+   * Send a one-way notification to the other side
+   * @param {string} event - One of RPC_EVENTS
+   * @param {*} data
+   */
+  function notify(event, data) {
+    if (!RPC_EVENTS.includes(event)) throw new Error(`Unknown RPC event ${event}`);
+    post({ kind: 'event', event, data }, { hold: true });
+  }
+
+  /**
+   * Listen for a notification from the other side
+   * @param {string} event - One of RPC_EVENTS
+   * @param {Function} listener - (data) => void
+   */
+  function on(event, listener) {
+    if (!RPC_EVENTS.includes(event)) throw new Error(`Unknown RPC event ${event}`);
+    listeners.set(event, [...(listeners.get(event) || []), listener]);
+  }
+
+  return { call, handle, notify, on, handOverPort, secret };
+}
@@ -0,0 +1,166 @@
+/**
+ * Schema-drift detection for About-this-profile responses
+ * The parser walks Bloks components (bk.components.Text, RichText, Image) and
+ * pairs semibold labels with normal values. When Meta reshapes that tree the
+ * lookups still succeed but come back empty. Each response gets a structural
+ * fingerprint (which component types and text styles it uses) and a
+ * confidence score for what was extracted; a substantial response that
+ * yielded nothing is flagged as drift and an anonymized sample of it is kept
+ * for bug reports.
+ */
+
+// storage.local key for the drift reports shown in the popup
+export const SCHEMA_DRIFT_KEY = 'schemaDriftReports';
+
+// Distinct fingerprints kept (most recently seen first)
+export const MAX_DRIFT_REPORTS = 10;
+
+// Responses shorter than this are error stubs, not reshaped profiles
+export const MIN_NONEMPTY_LENGTH = 512;
+
+// Anonymized samples larger than this are dropped (the fingerprint is kept)
+export const MAX_SAMPLE_CHARS = 20000;
+
+const COMPONENT_PREFIX = 'bk.components.';
+const MAX_SAMPLE_DEPTH = 40;
+const MAX_SAMPLE_ITEMS = 20;
+
+// Strings kept as-is in samples: structural enums, never user data
+const KEPT_SAMPLE_KEYS = new Set(['text_style']);
+
+// 32-bit FNV-1a, as 8 hex digits
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Describe the shape of a response tree
+ * @param {*} data - Parsed response JSON
+ * @returns {Object} { fingerprint, components: { type: count }, textStyles }
+ */
+export function fingerprintTree(data) {
+  const components = {};
+  const textStyles = new Set();
+
+  const walk = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(walk);
+      return;
+    }
+    for (const [key, value] of Object.entries(node)) {
+      if (key.startsWith(COMPONENT_PREFIX)) {
+        const type = key.substring(COMPONENT_PREFIX.length);
+        components[type] = (components[type] || 0) + 1;
+        if (type === 'Text' && typeof value?.text_style === 'string') textStyles.add(value.text_style);
+      }
+      walk(value);
+    }
+  };
+  walk(data);
+
+  // Counts vary from profile to profile; the set of types and styles is the shape
+  const styles = [...textStyles].sort();
+  const signature = `${Object.keys(components).sort().join(',')}|${styles.join(',')}`;
+  return { fingerprint: hashString(signature), components, textStyles: styles };
+}
+
+/**
+ * Score how much of a profile was extracted, and how reliably
+ * Username 0.3, any label/value pair 0.2, and up to 0.5 for the share of
+ * pairs whose label was recognized (the rest were matched by position only).
+ * @param {Object|null} profile - Parsed profile
+ * @param {Object} stats - { pairs, labelledPairs } from the parser
+ * @returns {number} 0 to 1
+ */
+export function scoreConfidence(profile, { pairs = 0, labelledPairs = 0 } = {}) {
+  let score = 0;
+  if (profile?.username) score += 0.3;
+  if (pairs > 0) score += 0.2 + 0.5 * (labelledPairs / pairs);
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Check a parsed response for drift
+ * @param {Object} response
+ * @param {string} response.text - Raw response body
+ * @param {*} response.data - Parsed JSON
+ * @param {Object|null} response.profile - Parsed profile
+ * @param {Object} response.stats - { pairs, labelledPairs } from the parser
+ * @returns {Object} { fingerprint, components, textStyles, confidence, drifted, reasons }
+ */
+export function assessResponse({ text, data, profile, stats }) {
+  const shape = fingerprintTree(data);
+  const confidence = scoreConfidence(profile, stats);
+  const extracted = !!(profile?.username || profile?.joined || profile?.location || profile?.isVerified);
+  const nonEmpty = text.length >= MIN_NONEMPTY_LENGTH && !data?.error;
+
+  // What's missing, in the order the parser depends on it
+  const reasons = [];
+  if (Object.keys(shape.components).length === 0) reasons.push('noComponents');
+  else if (!shape.components.Text) reasons.push('noTextComponents');
+  else if (!shape.textStyles.includes('semibold') || !shape.textStyles.includes('normal')) reasons.push('unknownTextStyles');
+  if (!profile?.username) reasons.push('noUsername');
+  if (!stats?.pairs) reasons.push('noPairs');
+  else if (!stats.labelledPairs) reasons.push('unknownLabels');
+
+  return { ...shape, confidence, drifted: nonEmpty && !extracted, reasons };
+}
+
+/**
+ * Copy a response tree with every value that could identify someone blanked
+ * Keys, component names and text styles stay; strings become <length>, URLs
+ * <url> and numbers 0. Long arrays and deep trees are cut short.
+ * @param {*} data - Parsed response JSON
+ * @returns {*} Anonymized copy, or null if it would still be too large
+ */
+export function anonymizeTree(data) {
+  const copy = (value, key, depth) => {
+    if (depth > MAX_SAMPLE_DEPTH) return '<deep>';
+    if (typeof value === 'string') {
+      if (KEPT_SAMPLE_KEYS.has(key)) return value;
+      return /^https?:/.test(value) ? '<url>' : `<${value.length}>`;
+    }
+    if (typeof value === 'number') return 0;
+    if (!value || typeof value !== 'object') return value;
+    if (Array.isArray(value)) {
+      const items = value.slice(0, MAX_SAMPLE_ITEMS).map(item => copy(item, key, depth + 1));
+      if (value.length > MAX_SAMPLE_ITEMS) items.push(`<+${value.length - MAX_SAMPLE_ITEMS}>`);
+      return items;
+    }
+    return Object.fromEntries(Object.entries(value).map(([name, child]) => [name, copy(child, name, depth + 1)]));
+  };
+
+  const sample = copy(data, null, 0);
+  return JSON.stringify(sample).length > MAX_SAMPLE_CHARS ? null : sample;
+}
+
+/**
+ * Add a drift report to the stored list, merging repeats of the same fingerprint
+ * @param {Array} reports - Stored reports
+ * @param {Object} report - assessResponse() result, plus sample and version
+ * @param {number} [now]
+ * @returns {Array} New list, most recently seen first
+ */
+export function recordDriftReport(reports, report, now = Date.now()) {
+  const list = Array.isArray(reports) ? reports : [];
+  const existing = list.find(entry => entry.fingerprint === report.fingerprint);
+  const merged = {
+    fingerprint: report.fingerprint,
+    components: report.components,
+    textStyles: report.textStyles,
+    reasons: report.reasons,
+    confidence: report.confidence,
+    version: report.version || existing?.version || null,
+    sample: report.sample || existing?.sample || null,
+    count: (existing?.count || 0) + 1,
+    firstSeen: existing?.firstSeen || now,
+    lastSeen: now
+  };
+  return [merged, ...list.filter(entry => entry !== existing)].slice(0, MAX_DRIFT_REPORTS);
+}
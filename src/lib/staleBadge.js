@@ -0,0 +1,57 @@
+/**
+ * Stale profile badges
+ * Profiles past their TTL keep their badge, dimmed and labelled with their
+ * age, until a background refetch replaces it.
+ */
+
+import { isProfileStale } from './ttlPolicy.js';
+
+// Cross-browser compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const STALE_BADGE_CLASS = 'threads-badge-stale';
+
+/**
+ * Tag a badge with the user it belongs to and mark it if its data is stale
+ * @param {HTMLElement} badge - Post or friendships badge
+ * @param {Object} profileInfo - Profile information object
+ */
+export function markBadge(badge, profileInfo) {
+  badge.setAttribute('data-username', profileInfo.username);
+  if (profileInfo.userId) badge.setAttribute('data-userid', profileInfo.userId);
+
+  if (!isProfileStale(profileInfo)) return;
+
+  const days = String(Math.max(1, Math.floor((Date.now() - profileInfo.timestamp) / DAY_MS)));
+  badge.classList.add(STALE_BADGE_CLASS);
+
+  const age = document.createElement('span');
+  age.className = 'threads-stale-age';
+  age.textContent = browserAPI.i18n.getMessage('staleAgeShort', [days]) || `${days}d ago`;
+  badge.appendChild(age);
+
+  const staleHint = browserAPI.i18n.getMessage('staleProfile', [days]) ||
+    `Last updated ${days} days ago, refreshing`;
+  badge.title = badge.title ? `${badge.title}\n${staleHint}` : staleHint;
+}
+
+/**
+ * Replace stale badges for a user once fresh data has arrived
+ * @param {Object} profileInfo - Freshly fetched profile information
+ * @param {string} selector - Badge class selector (e.g. '.threads-profile-info-badge')
+ * @param {Function} createBadge - Async badge factory for that badge type
+ */
+export async function replaceStaleBadges(profileInfo, selector, createBadge) {
+  // Match by userId first so badges survive a rename
+  const attribute = profileInfo.userId
+    ? `[data-userid="${profileInfo.userId}"]`
+    : `[data-username="${profileInfo.username}"]`;
+  const staleBadges = document.querySelectorAll(`${selector}.${STALE_BADGE_CLASS}${attribute}`);
+
+  for (const staleBadge of staleBadges) {
+    const badge = await createBadge(profileInfo);
+    staleBadge.replaceWith(badge);
+  }
+}
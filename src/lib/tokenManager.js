@@ -0,0 +1,138 @@
+/**
+ * Session-token health for injected.js
+ * Profile lookups replay the page's own session tokens. They are captured from
+ * the site's requests and scanned from its inline scripts; this tracks which
+ * of them are present, when each was last seen and where, so lookups wait
+ * for the required ones instead of going out with empty values, and the
+ * popup can show what the session looks like.
+ */
+
+// Tokens a lookup can't go without
+export const REQUIRED_TOKENS = ['fb_dtsg', 'lsd', '__hs'];
+
+// Tokens shown in the health report (the required ones, then the rest worth knowing about)
+export const TRACKED_TOKENS = [...REQUIRED_TOKENS, 'jazoest', '__user'];
+
+// Required tokens not seen again for this long are rescanned before the next lookup
+export const TOKEN_STALE_MS = 6 * 60 * 60 * 1000;
+
+// How long a lookup waits for missing required tokens before giving up
+export const TOKEN_WAIT_MS = 3000;
+
+/**
+ * Create a token manager
+ * @param {Object} [options]
+ * @param {Function} [options.onChange] - (health) => void, when the health status or missing set changes
+ * @param {Function} [options.now] - Clock (for tests)
+ * @returns {Object} Token manager API
+ */
+export function createTokenManager({ onChange = () => {}, now = () => Date.now() } = {}) {
+  let tokens = null; // Session tokens as sent with lookups
+  const seen = {}; // token -> { at, source }
+  let scannedAt = 0; // Last complete page scan
+  let waiters = []; // () => void, called when the required tokens are all present
+  let lastSignature = '';
+
+  const getMissing = () => REQUIRED_TOKENS.filter(name => !tokens?.[name]);
+
+  function isStale() {
+    const time = now();
+    return REQUIRED_TOKENS.some(name => seen[name] && time - seen[name].at >= TOKEN_STALE_MS);
+  }
+
+  /**
+   * Health report for the content script and popup
+   * @returns {Object} { status: 'ok'|'stale'|'missing', missing, scannedAt, tokens: { name: { present, seenAt, source } } }
+   */
+  function getHealth() {
+    const missing = getMissing();
+    let status = 'ok';
+    if (missing.length > 0) status = 'missing';
+    else if (isStale()) status = 'stale';
+
+    const report = {};
+    for (const name of TRACKED_TOKENS) {
+      report[name] = { present: !!tokens?.[name], seenAt: seen[name]?.at || 0, source: seen[name]?.source || null };
+    }
+    return { status, missing, scannedAt, tokens: report };
+  }
+
+  function checkChanged() {
+    const health = getHealth();
+    const signature = `${health.status}:${health.missing.join(',')}`;
+    if (signature === lastSignature) return;
+    lastSignature = signature;
+    onChange(health);
+  }
+
+  return {
+    getMissing,
+    isStale,
+    getHealth,
+
+    /**
+     * Current session tokens
+     * @returns {Object|null}
+     */
+    get() {
+      return tokens;
+    },
+
+    /**
+     * Merge newly found tokens; empty values never overwrite known ones
+     * @param {Object} fields - Token name -> value
+     * @param {string} source - 'request' (captured from the site's traffic) or 'page' (inline scripts)
+     */
+    update(fields, source) {
+      const time = now();
+      tokens = { ...tokens };
+      for (const [name, value] of Object.entries(fields)) {
+        if (value === undefined || value === null || value === '') continue;
+        tokens[name] = value;
+        seen[name] = { at: time, source };
+      }
+
+      if (getMissing().length === 0) {
+        waiters.forEach(wake => wake());
+        waiters = [];
+      }
+      checkChanged();
+    },
+
+    /**
+     * Note that the whole page has been scanned, so a token it lacks is really absent
+     */
+    markScanned() {
+      scannedAt = now();
+      checkChanged();
+    },
+
+    /**
+     * Whether the whole page has been scanned at least once
+     * @returns {boolean}
+     */
+    hasScanned() {
+      return scannedAt > 0;
+    },
+
+    /**
+     * Wait until the required tokens are present
+     * @param {number} [timeoutMs]
+     * @returns {Promise<boolean>} Whether they are
+     */
+    waitForRequired(timeoutMs = TOKEN_WAIT_MS) {
+      if (getMissing().length === 0) return Promise.resolve(true);
+      return new Promise((resolve) => {
+        const wake = () => {
+          clearTimeout(timeoutId);
+          resolve(true);
+        };
+        const timeoutId = setTimeout(() => {
+          waiters = waiters.filter(waiter => waiter !== wake);
+          resolve(false);
+        }, timeoutMs);
+        waiters.push(wake);
+      });
+    }
+  };
+}
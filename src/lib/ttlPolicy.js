@@ -0,0 +1,179 @@
+/**
+ * Cache TTL policy
+ * Decides how long each kind of cached profile (and user ID mapping) stays
+ * fresh. Values are user-editable in the popup and stored in storage.local;
+ * pinned users never expire. Past its TTL a profile is stale: pages keep
+ * showing it while it is refetched, until the grace period runs out.
+ */
+
+import { defaultLabelRegistry } from './labelRegistry.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// storage.local keys
+export const TTL_POLICY_KEY = 'cacheTtlPolicy';
+export const PINNED_USERS_KEY = 'pinnedUsers';
+export const MAX_PROFILES_KEY = 'cacheMaxProfiles';
+
+// Policy categories, in the order they are shown in the settings UI
+export const TTL_CATEGORIES = ['withLocation', 'noLocation', 'hiddenLocation', 'verified', 'userIds'];
+
+// Default TTL per category, in days
+export const DEFAULT_TTL_DAYS = {
+  withLocation: 21,
+  noLocation: 1,
+  hiddenLocation: 7,
+  verified: 30,
+  userIds: 60
+};
+
+// Bounds for user-entered values, in days
+export const MIN_TTL_DAYS = 1;
+export const MAX_TTL_DAYS = 365;
+
+// How long a stale profile is kept (and shown) past its TTL before it is pruned
+export const STALE_GRACE_DAYS = 14;
+
+// Maximum number of cached profiles before least recently used ones are evicted
+export const DEFAULT_MAX_PROFILES = 20000;
+export const MIN_MAX_PROFILES = 100;
+export const MAX_MAX_PROFILES = 200000;
+
+
+/**
+ * Fill in missing or invalid policy values with the defaults
+ * @param {Object} [policy] - Stored policy ({ category: days })
+ * @returns {Object} Complete policy in days
+ */
+export function normalizeTtlPolicy(policy = {}) {
+  const normalized = {};
+  for (const category of TTL_CATEGORIES) {
+    const days = Number(policy?.[category]);
+    normalized[category] = Number.isFinite(days) && days >= MIN_TTL_DAYS
+      ? Math.min(days, MAX_TTL_DAYS)
+      : DEFAULT_TTL_DAYS[category];
+  }
+  return normalized;
+}
+
+/**
+ * Validate the maximum cached profile count
+ * @param {*} value - Stored or user-entered value
+ * @returns {number}
+ */
+export function normalizeMaxProfiles(value) {
+  const count = Math.floor(Number(value));
+  if (!Number.isFinite(count) || count < MIN_MAX_PROFILES) return DEFAULT_MAX_PROFILES;
+  return Math.min(count, MAX_MAX_PROFILES);
+}
+
+/**
+ * Check whether a profile's location is hidden ("Not shared")
+ * @param {Object} profile - Profile info
+ * @returns {boolean}
+ */
+export function isLocationHidden(profile) {
+  // Records cached before the parser flagged locationHidden only have the placeholder,
+  // which the language files list next to the labels the parser uses
+  return !!profile.locationHidden || defaultLabelRegistry.isHiddenLocation(profile.location);
+}
+
+/**
+ * Work out which policy category a cached profile falls under
+ * Verified accounts rarely change, so they take precedence over location state.
+ * @param {Object} profile - Profile info
+ * @returns {string} One of TTL_CATEGORIES (never 'userIds')
+ */
+export function getProfileCategory(profile) {
+  if (profile.isVerified) return 'verified';
+  if (isLocationHidden(profile)) return 'hiddenLocation';
+  if (profile.location) return 'withLocation';
+  return 'noLocation';
+}
+
+/**
+ * Get the max age for a category
+ * @param {Object} policy - Normalized policy
+ * @param {string} category - One of TTL_CATEGORIES
+ * @returns {number} Max age in milliseconds
+ */
+export function getMaxAge(policy, category) {
+  return policy[category] * DAY_MS;
+}
+
+/**
+ * Create a freshness checker for one policy snapshot
+ * @param {Object} policy - Normalized policy
+ * @param {Object} [pinnedUsers] - { userId: username } of users that never expire
+ * @param {number} [now] - Reference time
+ * @returns {{isProfileFresh: Function, isProfileExpired: Function, getStaleAt: Function, isUserIdFresh: Function}}
+ */
+export function createTtlChecker(policy, pinnedUsers = {}, now = Date.now()) {
+  const isPinned = (userId) => userId !== undefined && Object.prototype.hasOwnProperty.call(pinnedUsers, String(userId));
+
+  /**
+   * @param {Object} profile - Stored profile record
+   * @returns {number|null} Time the profile goes stale, or null if it never does (pinned)
+   */
+  function getStaleAt(profile) {
+    if (isPinned(profile.userId)) return null;
+    return profile.timestamp + getMaxAge(policy, getProfileCategory(profile));
+  }
+
+  return {
+    getStaleAt,
+
+    /**
+     * @param {Object} profile - Stored profile record
+     * @returns {boolean}
+     */
+    isProfileFresh(profile) {
+      const staleAt = getStaleAt(profile);
+      return staleAt === null || now < staleAt;
+    },
+
+    /**
+     * Past its TTL and the stale grace period, so no longer worth showing
+     * @param {Object} profile - Stored profile record
+     * @returns {boolean}
+     */
+    isProfileExpired(profile) {
+      const staleAt = getStaleAt(profile);
+      return staleAt !== null && now >= staleAt + STALE_GRACE_DAYS * DAY_MS;
+    },
+
+    /**
+     * @param {Object} record - Stored user ID mapping ({ userId, timestamp })
+     * @returns {boolean}
+     */
+    isUserIdFresh(record) {
+      if (isPinned(record.userId)) return true;
+      return now - record.timestamp < getMaxAge(policy, 'userIds');
+    }
+  };
+}
+
+/**
+ * Check whether a profile handed out with its stale time (see GET_PROFILES
+ * includeStale) is past its TTL
+ * @param {Object} profile - Profile info, optionally carrying _staleAt
+ * @param {number} [now] - Reference time
+ * @returns {boolean}
+ */
+export function isProfileStale(profile, now = Date.now()) {
+  return typeof profile?._staleAt === 'number' && now >= profile._staleAt;
+}
+
+/**
+ * Load the TTL policy, pinned users and size limit from storage
+ * @param {Object} storageArea - browserAPI.storage.local (or a compatible stub)
+ * @returns {Promise<{policy: Object, pinnedUsers: Object, maxProfiles: number}>}
+ */
+export async function loadTtlSettings(storageArea) {
+  const result = await storageArea.get([TTL_POLICY_KEY, PINNED_USERS_KEY, MAX_PROFILES_KEY]);
+  return {
+    policy: normalizeTtlPolicy(result[TTL_POLICY_KEY]),
+    pinnedUsers: result[PINNED_USERS_KEY] || {},
+    maxProfiles: normalizeMaxProfiles(result[MAX_PROFILES_KEY])
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * Serialized write queue for the background profile store
+ * Batches profile and user ID updates coming from any number of tabs,
+ * coalesces them, and applies one batch at a time so no write is lost.
+ */
+
+/**
+ * Merge two user ID maps, keeping the first mapping seen for each username
+ * (matches the store, which never overwrites an existing mapping)
+ * @param {Object} target - Map to merge into (mutated)
+ * @param {Object} source - { username: userId, ... }
+ */
+function mergeUserIds(target, source) {
+  for (const [username, userId] of Object.entries(source || {})) {
+    if (!(username in target)) {
+      target[username] = userId;
+    }
+  }
+}
+
+/**
+ * Key used to coalesce pending profile updates
+ * @param {Object} profile - Profile info
+ * @returns {string} userId when known (stable across renames), otherwise @username
+ */
+function profileKey(profile) {
+  return profile.userId ? String(profile.userId) : `@${profile.username}`;
+}
+
+/**
+ * Merge two pending updates for the same profile, later fields winning
+ * A placeholder (_userIdOnly) username never replaces a real one.
+ * @param {Object} older - Earlier update
+ * @param {Object} newer - Later update
+ * @returns {Object}
+ */
+function coalesceProfiles(older, newer) {
+  if (newer._userIdOnly && !older._userIdOnly) {
+    const { _userIdOnly, ...rest } = newer;
+    return { ...older, ...rest, username: older.username };
+  }
+  if (older._userIdOnly && !newer._userIdOnly) {
+    const { _userIdOnly, ...rest } = older;
+    return { ...rest, ...newer };
+  }
+  return { ...older, ...newer };
+}
+
+/**
+ * Create a write queue
+ * @param {Function} applyBatch - async ({ profiles: Array, userIds: Object }) => void
+ * @param {Object} options
+ * @param {number} options.delayMs - How long to collect writes before flushing (default: 50)
+ * @param {number} options.retryDelayMs - Delay before retrying a failed batch (default: 1000)
+ * @returns {Object} Queue API
+ */
+export function createWriteQueue(applyBatch, { delayMs = 50, retryDelayMs = 1000 } = {}) {
+  let pendingProfiles = new Map(); // userId (or @username) -> merged profile
+  let pendingUserIds = {};
+  let flushTimer = null;
+  let flushing = null; // Promise of the batch currently being written
+
+  const hasPending = () => pendingProfiles.size > 0 || Object.keys(pendingUserIds).length > 0;
+
+  function scheduleFlush(delay = delayMs) {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flush().catch(() => {
+        // Batch was put back in the queue - retry later
+        scheduleFlush(retryDelayMs);
+      });
+    }, delay);
+  }
+
+  /**
+   * Queue a profile update
+   * Updates for the same user are merged, later fields winning.
+   * @param {Object} profile - Profile info (must include username)
+   * @returns {boolean} Whether the profile was queued
+   */
+  function enqueueProfile(profile) {
+    if (!profile?.username) return false;
+    const incoming = { ...profile, timestamp: profile.timestamp || Date.now() };
+    const key = profileKey(profile);
+    const existing = pendingProfiles.get(key);
+    pendingProfiles.set(key, existing ? coalesceProfiles(existing, incoming) : incoming);
+    scheduleFlush();
+    return true;
+  }
+
+  /**
+   * Queue user ID mappings
+   * @param {Object} userIds - { username: userId, ... }
+   */
+  function enqueueUserIds(userIds) {
+    mergeUserIds(pendingUserIds, userIds);
+    if (hasPending()) scheduleFlush();
+  }
+
+  /**
+   * Write everything queued so far
+   * Batches are applied strictly one after another; writes arriving while a
+   * batch is in flight go into the next one. On failure the batch is merged
+   * back underneath any newer writes and the returned promise rejects.
+   * @returns {Promise<void>}
+   */
+  async function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+
+    // Wait for the in-flight batch first so batches never overlap
+    while (flushing) {
+      try {
+        await flushing;
+      } catch (e) {
+        // Its entries were re-queued; they are written with ours below
+      }
+    }
+
+    if (!hasPending()) return;
+
+    const batchProfiles = pendingProfiles;
+    const batchUserIds = pendingUserIds;
+    pendingProfiles = new Map();
+    pendingUserIds = {};
+
+    flushing = (async () => {
+      try {
+        await applyBatch({ profiles: [...batchProfiles.values()], userIds: batchUserIds });
+      } catch (err) {
+        // Put the batch back, letting anything queued since then take precedence
+        for (const [key, profile] of batchProfiles) {
+          const newer = pendingProfiles.get(key);
+          pendingProfiles.set(key, newer ? coalesceProfiles(profile, newer) : profile);
+        }
+        const requeuedUserIds = { ...batchUserIds };
+        mergeUserIds(requeuedUserIds, pendingUserIds);
+        pendingUserIds = requeuedUserIds;
+        throw err;
+      }
+    })();
+
+    try {
+      await flushing;
+    } finally {
+      flushing = null;
+    }
+  }
+
+  /**
+   * Resolve once every write queued so far has been applied, or has failed
+   * Used before reads so callers always see their own writes. A failing write
+   * is logged and retried later instead of rejecting, so reads are still
+   * served from what the store already holds.
+   * @returns {Promise<void>}
+   */
+  async function idle() {
+    while (hasPending() || flushing) {
+      try {
+        await flush();
+      } catch (err) {
+        console.warn('[Threads Extractor] Write batch failed, will retry:', err);
+        scheduleFlush(retryDelayMs);
+        return;
+      }
+    }
+  }
+
+  return {
+    enqueueProfile,
+    enqueueUserIds,
+    flush,
+    idle,
+    get size() {
+      return pendingProfiles.size + Object.keys(pendingUserIds).length;
+    }
+  };
+}
@@ -1,6 +1,37 @@
 // Popup script for Threads Profile Extractor
 import { isNewUser } from './lib/dateParser.js';
 import { formatLocation } from './lib/locationMapper.js';
+import { normalizeImageUrl, describeFormerUsernames } from './lib/profileHistory.js';
+import {
+  TTL_CATEGORIES,
+  TTL_POLICY_KEY,
+  PINNED_USERS_KEY,
+  MAX_PROFILES_KEY,
+  MIN_TTL_DAYS,
+  MAX_TTL_DAYS,
+  MIN_MAX_PROFILES,
+  MAX_MAX_PROFILES,
+  normalizeTtlPolicy,
+  normalizeMaxProfiles
+} from './lib/ttlPolicy.js';
+import {
+  RATE_LIMIT_SETTINGS_KEY,
+  MIN_BURST,
+  MAX_BURST,
+  MIN_PER_MINUTE,
+  MAX_PER_MINUTE,
+  normalizeRateLimitSettings
+} from './lib/rateLimiter.js';
+import {
+  FETCH_BUDGET_SETTINGS_KEY,
+  MIN_BUDGET,
+  MAX_PER_HOUR,
+  MAX_PER_DAY,
+  normalizeFetchBudget
+} from './lib/fetchBudget.js';
+import { FETCH_ERRORS, FETCH_ERROR_STATES } from './lib/fetchErrors.js';
+import { LABEL_FIELDS, LABEL_LANGUAGES, LABEL_OVERRIDES_KEY, normalizeLabelOverrides } from './lib/labelRegistry.js';
+import { EXPORT_FORMATS, EXPORT_COLUMNS, EXPORT_SETTINGS_KEY, toCsv, toNdjson } from './lib/profileExport.js';
 import { polyfillCountryFlagEmojis } from 'country-flag-emoji-polyfill';
 import 'emoji-picker-element';
 
@@ -65,6 +96,33 @@ document.addEventListener('DOMContentLoaded', () => {
   const tabBtns = document.querySelectorAll('.tab-btn');
   const profilesTab = document.getElementById('profilesTab');
   const locationsTab = document.getElementById('locationsTab');
+  const cacheTab = document.getElementById('cacheTab');
+  const usageTab = document.getElementById('usageTab');
+  const cacheReportEl = document.getElementById('cacheReport');
+  const ttlListEl = document.getElementById('ttlList');
+  const ttlResetBtn = document.getElementById('ttlResetBtn');
+  const pinnedUsersListEl = document.getElementById('pinnedUsersList');
+  const budgetReportEl = document.getElementById('budgetReport');
+  const usageHistogramEl = document.getElementById('usageHistogram');
+  const usageAxisEl = document.getElementById('usageAxis');
+  const fetchBudgetListEl = document.getElementById('fetchBudgetList');
+  const fetchRateStatsEl = document.getElementById('fetchRateStats');
+  const tokenHealthEl = document.getElementById('tokenHealthReport');
+  const endpointEl = document.getElementById('endpointReport');
+  const schemaDriftEl = document.getElementById('schemaDriftReport');
+  const schemaDriftActionsEl = document.getElementById('schemaDriftActions');
+  const schemaDriftCopyBtn = document.getElementById('schemaDriftCopyBtn');
+  const schemaDriftClearBtn = document.getElementById('schemaDriftClearBtn');
+  const labelOverridesHintEl = document.getElementById('labelOverridesHint');
+  const labelOverridesListEl = document.getElementById('labelOverridesList');
+  const fetchRateListEl = document.getElementById('fetchRateList');
+  const usageResetBtn = document.getElementById('usageResetBtn');
+  const importTextEl = document.getElementById('importText');
+  const importPolicyEl = document.getElementById('importPolicy');
+  const importFileBtn = document.getElementById('importFileBtn');
+  const importFileInput = document.getElementById('importFileInput');
+  const importPasteBtn = document.getElementById('importPasteBtn');
+  const importResultEl = document.getElementById('importResult');
   const contentEl = document.querySelector('.content');
 
   // Variables used throughout
@@ -75,11 +133,20 @@ document.addEventListener('DOMContentLoaded', () => {
   let rateLimitCountdownInterval = null;
 
   // Rate limit handling functions
+  // Remaining time as m:ss, or h:mm:ss for long backoffs
+  function formatCountdown(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+  }
+
   function showRateLimitBanner(rateLimitedUntil) {
     const banner = document.getElementById('rateLimitBanner');
-    const countdown = document.getElementById('rateLimitCountdown');
+    const message = document.getElementById('rateLimitMessage');
 
-    if (!banner || !countdown) return;
+    if (!banner || !message) return;
 
     banner.classList.add('visible');
 
@@ -99,14 +166,9 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
       }
 
-      const minutes = Math.floor(remaining / 60000);
-      const seconds = Math.floor((remaining % 60000) / 1000);
-
-      if (minutes > 0) {
-        countdown.textContent = `${minutes} minute${minutes !== 1 ? 's' : ''}`;
-      } else {
-        countdown.textContent = `${seconds} second${seconds !== 1 ? 's' : ''}`;
-      }
+      const countdown = formatCountdown(remaining);
+      message.textContent = browserAPI.i18n.getMessage('rateLimitResumesIn', [countdown]) ||
+        `Auto-query will resume in ${countdown}`;
     };
 
     updateCountdown();
@@ -244,10 +306,16 @@ document.addEventListener('DOMContentLoaded', () => {
       // Update tab content visibility
       profilesTab.classList.toggle('active', tab === 'profiles');
       locationsTab.classList.toggle('active', tab === 'locations');
+      cacheTab.classList.toggle('active', tab === 'cache');
+      usageTab.classList.toggle('active', tab === 'usage');
 
       // Render the appropriate content
       if (tab === 'locations') {
         renderLocationStats();
+      } else if (tab === 'cache') {
+        renderCacheSettings();
+      } else if (tab === 'usage') {
+        renderUsage();
       }
     });
   });
@@ -279,18 +347,27 @@ document.addEventListener('DOMContentLoaded', () => {
     'showFlags',
     'rateLimitedUntil'
   ]).then((result) => {
-    // Check if currently rate limited
+    // Set toggles based on stored settings
+    autoQueryToggle.checked = result.autoQueryEnabled !== false;
+    autoQueryFollowersToggle.checked = result.autoQueryFollowersEnabled === true;
+    showFlagsToggle.checked = result.showFlags !== false;
+
+    // Check if currently rate limited (stored by the tab that hit the limit)
     const rateLimitedUntil = result.rateLimitedUntil || 0;
     if (Date.now() < rateLimitedUntil) {
       disableAllToggles();
       showRateLimitBanner(rateLimitedUntil);
-      return;
     }
+  });
 
-    // Set toggles based on stored settings
-    autoQueryToggle.checked = result.autoQueryEnabled !== false;
-    autoQueryFollowersToggle.checked = result.autoQueryFollowersEnabled === true;
-    showFlagsToggle.checked = result.showFlags !== false;
+  // "Resume now": lift the rate limit for every tab before the backoff ends
+  document.getElementById('rateLimitResumeBtn').addEventListener('click', async () => {
+    await browserAPI.storage.local.set({ rateLimitedUntil: 0 });
+    browserAPI.runtime.sendMessage({ type: 'RATE_LIMIT_CLEARED' }).catch(() => {
+      // Background not reachable - tabs pick up the cleared key on reload
+    });
+    hideRateLimitBanner();
+    enableAllToggles();
   });
 
   // Additional toggle change event listeners
@@ -323,13 +400,9 @@ document.addEventListener('DOMContentLoaded', () => {
   browserAPI.runtime.onMessage.addListener((message) => {
     if (message.type === 'RATE_LIMITED') {
       disableAllToggles();
-      // Get the rate limit end time from storage
-      browserAPI.storage.local.get(['rateLimitedUntil']).then((result) => {
-        const rateLimitedUntil = result.rateLimitedUntil || 0;
-        if (Date.now() < rateLimitedUntil) {
-          showRateLimitBanner(rateLimitedUntil);
-        }
-      });
+      if (Date.now() < message.rateLimitedUntil) {
+        showRateLimitBanner(message.rateLimitedUntil);
+      }
     } else if (message.type === 'RATE_LIMIT_CLEARED') {
       enableAllToggles();
       hideRateLimitBanner();
@@ -365,10 +438,10 @@ document.addEventListener('DOMContentLoaded', () => {
     renderProfileList();
   });
 
-  // Load cached profiles
+  // Load cached profiles from the background profile store
   function loadProfiles() {
-    browserAPI.storage.local.get(['profileCache']).then((result) => {
-      profiles = result.profileCache || {};
+    browserAPI.runtime.sendMessage({ type: 'GET_PROFILES', includeExpired: true }).then((result) => {
+      profiles = result || {};
       const count = Object.keys(profiles).length;
 
       // Update both profile count displays
@@ -381,23 +454,30 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
-  // Render the profile list
-  async function renderProfileList() {
-    // Get showFlags setting and custom emojis
-    const { showFlags = true, customLocationEmojis = {} } = await browserAPI.storage.local.get(['showFlags', 'customLocationEmojis']);
-
-    let entries = Object.entries(profiles);
+  // Profile entries matching the active location / no-location filter
+  function getFilteredEntries() {
+    const entries = Object.entries(profiles);
 
-    // Apply location filter
     if (filterNoLocation) {
       // Filter to show only profiles without location
-      entries = entries.filter(([, data]) => !data.location);
-    } else if (filterText) {
+      return entries.filter(([, data]) => !data.location);
+    }
+    if (filterText) {
       const lowerFilter = filterText.toLowerCase();
-      entries = entries.filter(([, data]) =>
+      return entries.filter(([, data]) =>
         data.location && data.location.toLowerCase().includes(lowerFilter)
       );
     }
+    return entries;
+  }
+
+  // Render the profile list
+  async function renderProfileList() {
+    // Get showFlags setting and custom emojis
+    const { showFlags = true, customLocationEmojis = {} } = await browserAPI.storage.local.get(['showFlags', 'customLocationEmojis']);
+
+    // Apply location filter
+    const entries = getFilteredEntries();
 
     if (entries.length === 0) {
       const emptyMsg = filterText
@@ -430,6 +510,7 @@ document.addEventListener('DOMContentLoaded', () => {
     entries.sort((a, b) => (b[1].timestamp || 0) - (a[1].timestamp || 0));
 
     const newLabel = browserAPI.i18n.getMessage('newUser') || 'NEW';
+    const formerLabel = browserAPI.i18n.getMessage('formerUsernames') || 'Former usernames';
 
     profileListEl.textContent = '';
 
@@ -485,37 +566,876 @@ document.addEventListener('DOMContentLoaded', () => {
 
       profileInfo.appendChild(profileName);
       profileInfo.appendChild(profileMeta);
+
+      const formerUsernames = describeFormerUsernames(data);
+      if (formerUsernames.length > 0) {
+        const profileFormer = document.createElement('div');
+        profileFormer.className = 'profile-former';
+        profileFormer.textContent = `${formerLabel}: ${formerUsernames.join(', ')}`;
+        profileInfo.appendChild(profileFormer);
+      }
       profileItem.appendChild(profileInfo);
 
-      // Add click handler
+      // Add click handler - show details and history
       profileItem.addEventListener('click', () => {
-        browserAPI.tabs.create({ url: `https://www.threads.com/@${username}` });
+        showProfileDetail(username, data);
       });
 
       profileListEl.appendChild(profileItem);
     });
   }
 
+  // Profile detail sheet (current values plus history timeline)
+  const profileDetailSheet = document.getElementById('profileDetailSheet');
+  const profileDetailSheetTitle = document.getElementById('profileDetailSheetTitle');
+  const profileDetailSheetContent = document.getElementById('profileDetailSheetContent');
+  const profileDetailSheetClose = document.getElementById('profileDetailSheetClose');
+
+  function hideProfileDetail() {
+    profileDetailSheet.classList.remove('visible');
+  }
+
+  profileDetailSheetClose.addEventListener('click', hideProfileDetail);
+  profileDetailSheet.addEventListener('click', (e) => {
+    if (e.target === profileDetailSheet) hideProfileDetail();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && profileDetailSheet.classList.contains('visible')) {
+      hideProfileDetail();
+    }
+  });
+
+  // Describe what changed between two history entries (or the initial values)
+  function describeHistoryChanges(entry, previous) {
+    const noLocationData = browserAPI.i18n.getMessage('noLocationData') || 'No location data';
+    const locationLabel = browserAPI.i18n.getMessage('historyLocation') || 'Location';
+    const nameLabel = browserAPI.i18n.getMessage('historyDisplayName') || 'Name';
+    const usernameLabel = browserAPI.i18n.getMessage('historyUsername') || 'Username';
+    const verifiedText = browserAPI.i18n.getMessage('historyVerified') || 'Verified by Meta';
+    const notVerifiedText = browserAPI.i18n.getMessage('historyNotVerified') || 'Not verified';
+    const lines = [];
+
+    if (!previous) {
+      lines.push(`${locationLabel}: ${entry.location || noLocationData}`);
+      if (entry.displayName) lines.push(`${nameLabel}: ${entry.displayName}`);
+      if (entry.isVerified) lines.push(verifiedText);
+      return lines;
+    }
+
+    if (entry.location !== previous.location) {
+      lines.push(`${locationLabel}: ${previous.location || noLocationData} → ${entry.location || noLocationData}`);
+    }
+    if (entry.displayName !== previous.displayName) {
+      lines.push(`${nameLabel}: ${previous.displayName || '—'} → ${entry.displayName || '—'}`);
+    }
+    if (entry.username !== previous.username) {
+      lines.push(`${usernameLabel}: @${previous.username} → @${entry.username}`);
+    }
+    if (entry.isVerified !== previous.isVerified) {
+      lines.push(entry.isVerified ? verifiedText : notVerifiedText);
+    }
+    if (normalizeImageUrl(entry.profileImage) !== normalizeImageUrl(previous.profileImage)) {
+      lines.push(browserAPI.i18n.getMessage('historyProfileImage') || 'Profile picture changed');
+    }
+    return lines;
+  }
+
+  function formatHistoryDate(entry) {
+    const first = new Date(entry.firstSeen).toLocaleDateString();
+    const last = new Date(entry.lastSeen).toLocaleDateString();
+    return first === last ? first : `${first} – ${last}`;
+  }
+
+  function showProfileDetail(username, data) {
+    profileDetailSheetTitle.textContent = data.displayName ? `${data.displayName} (@${username})` : `@${username}`;
+    profileDetailSheetContent.textContent = '';
+
+    // Summary: avatar and current values
+    const summary = document.createElement('div');
+    summary.className = 'profile-detail-summary';
+
+    const avatar = document.createElement(data.profileImage ? 'img' : 'div');
+    avatar.className = 'profile-avatar';
+    if (data.profileImage) {
+      avatar.src = data.profileImage;
+      avatar.alt = username;
+    }
+    summary.appendChild(avatar);
+
+    const fields = document.createElement('div');
+    fields.className = 'profile-detail-fields';
+    const joinedLabel = browserAPI.i18n.getMessage('joined') || 'Joined';
+    const fieldLines = describeHistoryChanges(data, null);
+    fieldLines.push(`${joinedLabel}: ${data.joined || 'Unknown'}`);
+    const formerUsernames = describeFormerUsernames(data);
+    if (formerUsernames.length > 0) {
+      const formerLabel = browserAPI.i18n.getMessage('formerUsernames') || 'Former usernames';
+      fieldLines.push(`${formerLabel}: ${formerUsernames.join(', ')}`);
+    }
+    fieldLines.forEach((line, index) => {
+      if (index > 0) fields.appendChild(document.createElement('br'));
+      fields.appendChild(document.createTextNode(line));
+    });
+    summary.appendChild(fields);
+    profileDetailSheetContent.appendChild(summary);
+
+    const openBtn = document.createElement('button');
+    openBtn.type = 'button';
+    openBtn.className = 'profile-detail-open';
+    openBtn.textContent = browserAPI.i18n.getMessage('openOnThreads') || 'Open on Threads';
+    openBtn.addEventListener('click', () => {
+      browserAPI.tabs.create({ url: `https://www.threads.com/@${username}` });
+    });
+    profileDetailSheetContent.appendChild(openBtn);
+
+    // Pinned users never expire from the cache
+    if (data.userId) {
+      const pinBtn = document.createElement('button');
+      pinBtn.type = 'button';
+      pinBtn.className = 'profile-detail-pin';
+      const updatePinLabel = (pinned) => {
+        pinBtn.textContent = pinned
+          ? (browserAPI.i18n.getMessage('unpinUser') || 'Unpin (allow expiry)')
+          : (browserAPI.i18n.getMessage('pinUser') || '📌 Pin (never expire)');
+      };
+      browserAPI.storage.local.get([PINNED_USERS_KEY]).then((result) => {
+        updatePinLabel(!!result[PINNED_USERS_KEY]?.[data.userId]);
+      });
+      pinBtn.addEventListener('click', async () => {
+        const pinned = await togglePinnedUser(data.userId, username);
+        updatePinLabel(pinned);
+      });
+      profileDetailSheetContent.appendChild(pinBtn);
+    }
+
+    // Timeline, newest first (records cached before history existed get a single entry)
+    const history = data.history?.length
+      ? data.history
+      : [{ ...data, isVerified: !!data.isVerified, firstSeen: data.timestamp, lastSeen: data.timestamp }];
+
+    const historyTitle = document.createElement('div');
+    historyTitle.className = 'profile-history-title';
+    historyTitle.textContent = browserAPI.i18n.getMessage('profileHistory') || 'History';
+    profileDetailSheetContent.appendChild(historyTitle);
+
+    const list = document.createElement('ol');
+    list.className = 'profile-history-list';
+    for (let i = history.length - 1; i >= 0; i--) {
+      const entry = history[i];
+      const previous = i > 0 ? history[i - 1] : null;
+
+      const item = document.createElement('li');
+      item.className = 'profile-history-entry';
+
+      const date = document.createElement('div');
+      date.className = 'profile-history-date';
+      date.textContent = previous
+        ? formatHistoryDate(entry)
+        : `${browserAPI.i18n.getMessage('historyFirstSeen') || 'First seen'} • ${formatHistoryDate(entry)}`;
+      item.appendChild(date);
+
+      for (const line of describeHistoryChanges(entry, previous)) {
+        const change = document.createElement('div');
+        change.className = 'profile-history-change';
+        change.textContent = line;
+        item.appendChild(change);
+      }
+
+      list.appendChild(item);
+    }
+    profileDetailSheetContent.appendChild(list);
+
+    profileDetailSheet.classList.add('visible');
+  }
+
+  // Pin or unpin a user; returns whether the user is now pinned
+  async function togglePinnedUser(userId, username) {
+    const result = await browserAPI.storage.local.get([PINNED_USERS_KEY]);
+    const pinnedUsers = { ...(result[PINNED_USERS_KEY] || {}) };
+    const pinned = !pinnedUsers[userId];
+    if (pinned) {
+      pinnedUsers[userId] = username;
+    } else {
+      delete pinnedUsers[userId];
+    }
+    await browserAPI.storage.local.set({ [PINNED_USERS_KEY]: pinnedUsers });
+    return pinned;
+  }
+
+  // Cache tab: per-category TTL inputs and the pinned user list
+  const ttlLabels = {
+    withLocation: ['ttlWithLocation', 'Profiles with location'],
+    noLocation: ['ttlNoLocation', 'Profiles without location'],
+    hiddenLocation: ['ttlHiddenLocation', 'Location not shared'],
+    verified: ['ttlVerified', 'Verified accounts'],
+    userIds: ['ttlUserIds', 'User ID lookups']
+  };
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  function appendReportRow(label, value, container = cacheReportEl) {
+    const row = document.createElement('div');
+    row.className = 'cache-report-row';
+    const name = document.createElement('span');
+    name.textContent = label;
+    const amount = document.createElement('span');
+    amount.textContent = value;
+    row.appendChild(name);
+    row.appendChild(amount);
+    container.appendChild(row);
+  }
+
+  // "Cache: 12,403 profiles, 4.1 MB" plus a per-store breakdown
+  async function renderCacheReport() {
+    const report = await browserAPI.runtime.sendMessage({ type: 'GET_CACHE_REPORT' }).catch(() => null);
+    cacheReportEl.textContent = '';
+    if (!report) return;
+
+    const count = report.profiles.count.toLocaleString();
+    const size = formatBytes(report.totalBytes);
+    const summary = document.createElement('div');
+    summary.className = 'cache-report-summary';
+    summary.textContent = browserAPI.i18n.getMessage('cacheReportSummary', [count, size]) ||
+      `Cache: ${count} profiles, ${size}`;
+    cacheReportEl.appendChild(summary);
+
+    const profilesLabel = browserAPI.i18n.getMessage('tabProfiles') || 'Profiles';
+    const userIdsLabel = browserAPI.i18n.getMessage('ttlUserIds') || 'User ID lookups';
+    const settingsLabel = browserAPI.i18n.getMessage('cacheReportSettings') || 'Settings';
+    appendReportRow(profilesLabel, `${count} • ${formatBytes(report.profiles.bytes)}`);
+    appendReportRow(userIdsLabel, `${report.userIds.count.toLocaleString()} • ${formatBytes(report.userIds.bytes)}`);
+    appendReportRow(settingsLabel, formatBytes(report.settings.bytes));
+
+    if (report.usage !== null && report.quota) {
+      const usage = formatBytes(report.usage);
+      const quota = formatBytes(report.quota);
+      appendReportRow(
+        browserAPI.i18n.getMessage('cacheReportQuota') || 'Browser storage',
+        browserAPI.i18n.getMessage('cacheReportQuotaValue', [usage, quota]) || `${usage} of ${quota}`
+      );
+    }
+
+    if (report.lastMaintenance) {
+      appendReportRow(
+        browserAPI.i18n.getMessage('cacheReportLastCleanup') || 'Last cleanup',
+        new Date(report.lastMaintenance.ranAt).toLocaleString()
+      );
+    }
+  }
+
+  // Fetch rate: live limiter stats plus the burst and sustained rate inputs
+  async function renderFetchRate() {
+    const stats = await browserAPI.runtime.sendMessage({ type: 'GET_RATE_LIMIT_STATS' }).catch(() => null);
+    fetchRateStatsEl.textContent = '';
+    if (stats) {
+      appendReportRow(
+        browserAPI.i18n.getMessage('fetchRateLastMinute') || 'Lookups in the last minute',
+        String(stats.requestsPerMinute),
+        fetchRateStatsEl
+      );
+      appendReportRow(
+        browserAPI.i18n.getMessage('fetchRateBudget') || 'Available now',
+        `${stats.availableRequests} / ${stats.burst}`,
+        fetchRateStatsEl
+      );
+      appendReportRow(
+        browserAPI.i18n.getMessage('fetchRateCurrent') || 'Current rate',
+        browserAPI.i18n.getMessage('fetchRatePerMinuteValue', [String(stats.currentPerMinute)]) ||
+          `${stats.currentPerMinute}/min`,
+        fetchRateStatsEl
+      );
+      if (stats.backoffUntil) {
+        appendReportRow(
+          browserAPI.i18n.getMessage('fetchRateBackoffUntil') || 'Paused until',
+          new Date(stats.backoffUntil).toLocaleTimeString(),
+          fetchRateStatsEl
+        );
+      }
+      appendReportRow(
+        browserAPI.i18n.getMessage('fetchRateLastLimited') || 'Last rate limit',
+        stats.lastRateLimitedAt
+          ? new Date(stats.lastRateLimitedAt).toLocaleString()
+          : browserAPI.i18n.getMessage('fetchRateNever') || 'Never',
+        fetchRateStatsEl
+      );
+    }
+
+    const result = await browserAPI.storage.local.get([RATE_LIMIT_SETTINGS_KEY]);
+    const settings = normalizeRateLimitSettings(result[RATE_LIMIT_SETTINGS_KEY]);
+    const fields = [
+      ['burst', 'fetchRateBurst', 'Burst (lookups in a row)', MIN_BURST, MAX_BURST],
+      ['perMinute', 'fetchRatePerMinute', 'Sustained lookups per minute', MIN_PER_MINUTE, MAX_PER_MINUTE]
+    ];
+
+    fetchRateListEl.textContent = '';
+    for (const [field, messageKey, fallback, min, max] of fields) {
+      const row = document.createElement('label');
+      row.className = 'ttl-row';
+
+      const name = document.createElement('span');
+      name.textContent = browserAPI.i18n.getMessage(messageKey) || fallback;
+      row.appendChild(name);
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.className = 'ttl-input';
+      input.min = min;
+      input.max = max;
+      input.value = settings[field];
+      input.addEventListener('change', async () => {
+        const { [RATE_LIMIT_SETTINGS_KEY]: stored } = await browserAPI.storage.local.get([RATE_LIMIT_SETTINGS_KEY]);
+        const updated = normalizeRateLimitSettings({ ...stored, [field]: input.value });
+        input.value = updated[field];
+        await browserAPI.storage.local.set({ [RATE_LIMIT_SETTINGS_KEY]: updated });
+      });
+      row.appendChild(input);
+
+      fetchRateListEl.appendChild(row);
+    }
+  }
+
+  // Usage tab: lookups per hour over the last day, budget limits and fetch rate
+  async function renderFetchBudget() {
+    const report = await browserAPI.runtime.sendMessage({ type: 'GET_FETCH_BUDGET_REPORT' }).catch(() => null);
+    budgetReportEl.textContent = '';
+    usageHistogramEl.textContent = '';
+    usageAxisEl.textContent = '';
+
+    if (report) {
+      const summary = document.createElement('div');
+      summary.className = 'cache-report-summary';
+      summary.textContent = browserAPI.i18n.getMessage('fetchBudgetSummary', [String(report.today), String(report.perDay)]) ||
+        `${report.today} of ${report.perDay} lookups in the last 24 hours`;
+      budgetReportEl.appendChild(summary);
+
+      const served = report.cacheHits + report.today;
+      const cachePercent = served > 0 ? Math.round((report.cacheHits / served) * 100) : 0;
+      appendReportRow(
+        browserAPI.i18n.getMessage('fetchBudgetThisHour') || 'This hour',
+        `${report.thisHour} / ${report.perHour}`,
+        budgetReportEl
+      );
+      appendReportRow(
+        browserAPI.i18n.getMessage('fetchBudgetCacheHits') || 'Served from cache',
+        `${report.cacheHits.toLocaleString()} (${cachePercent}%)`,
+        budgetReportEl
+      );
+      appendReportRow(
+        browserAPI.i18n.getMessage('fetchBudgetSaved') || 'Lookups saved (already known)',
+        report.saved.toLocaleString(),
+        budgetReportEl
+      );
+      appendReportRow(
+        browserAPI.i18n.getMessage('fetchBudgetRateLimited') || 'Rate limited (429)',
+        String(report.rateLimited),
+        budgetReportEl
+      );
+
+      // Failed lookups, with a row for each reason seen
+      const failureReasons = FETCH_ERRORS.filter(reason => report.failures?.[reason] > 0);
+      appendReportRow(
+        browserAPI.i18n.getMessage('fetchBudgetFailures') || 'Failed lookups',
+        String(failureReasons.reduce((total, reason) => total + report.failures[reason], 0)),
+        budgetReportEl
+      );
+      for (const reason of failureReasons) {
+        const { icon, labelKey, label } = FETCH_ERROR_STATES[reason];
+        appendReportRow(
+          `${icon} ${browserAPI.i18n.getMessage(labelKey) || label}`,
+          String(report.failures[reason]),
+          budgetReportEl
+        );
+      }
+      if (report.exhaustedUntil) {
+        appendReportRow(
+          browserAPI.i18n.getMessage('fetchBudgetPausedUntil') || 'Auto-query paused until',
+          new Date(report.exhaustedUntil).toLocaleTimeString(),
+          budgetReportEl
+        );
+      }
+
+      // One bar per hour, scaled to the busiest hour; red where Threads answered 429
+      const busiest = Math.max(1, ...report.hourly.map(bucket => bucket.lookups));
+      const formatHour = (time) => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      for (const bucket of report.hourly) {
+        const bar = document.createElement('div');
+        bar.className = bucket.rateLimited > 0 ? 'usage-bar rate-limited' : 'usage-bar';
+        bar.style.height = `${(bucket.lookups / busiest) * 100}%`;
+        const hour = formatHour(bucket.hour);
+        bar.title = browserAPI.i18n.getMessage('usageBarTitle', [
+          hour, String(bucket.lookups), String(bucket.cacheHits), String(bucket.rateLimited)
+        ]) || `${hour}: ${bucket.lookups} lookups, ${bucket.cacheHits} from cache, ${bucket.rateLimited} rate limited`;
+        usageHistogramEl.appendChild(bar);
+      }
+
+      const first = document.createElement('span');
+      first.textContent = formatHour(report.hourly[0].hour);
+      const last = document.createElement('span');
+      last.textContent = browserAPI.i18n.getMessage('usageNow') || 'Now';
+      usageAxisEl.appendChild(first);
+      usageAxisEl.appendChild(last);
+    }
+
+    const result = await browserAPI.storage.local.get([FETCH_BUDGET_SETTINGS_KEY]);
+    const settings = normalizeFetchBudget(result[FETCH_BUDGET_SETTINGS_KEY]);
+    const saveSetting = async (field, value) => {
+      const { [FETCH_BUDGET_SETTINGS_KEY]: stored } = await browserAPI.storage.local.get([FETCH_BUDGET_SETTINGS_KEY]);
+      const updated = normalizeFetchBudget({ ...stored, [field]: value });
+      await browserAPI.storage.local.set({ [FETCH_BUDGET_SETTINGS_KEY]: updated });
+      return updated[field];
+    };
+
+    fetchBudgetListEl.textContent = '';
+    const fields = [
+      ['perHour', 'fetchBudgetPerHour', 'Lookups per hour', MAX_PER_HOUR],
+      ['perDay', 'fetchBudgetPerDay', 'Lookups per 24 hours', MAX_PER_DAY]
+    ];
+    for (const [field, messageKey, fallback, max] of fields) {
+      const row = document.createElement('label');
+      row.className = 'ttl-row';
+      const name = document.createElement('span');
+      name.textContent = browserAPI.i18n.getMessage(messageKey) || fallback;
+      row.appendChild(name);
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.className = 'ttl-input ttl-input-wide';
+      input.min = MIN_BUDGET;
+      input.max = max;
+      input.value = settings[field];
+      input.addEventListener('change', async () => {
+        input.value = await saveSetting(field, input.value);
+      });
+      row.appendChild(input);
+      fetchBudgetListEl.appendChild(row);
+    }
+
+    const manualRow = document.createElement('label');
+    manualRow.className = 'ttl-row';
+    const manualName = document.createElement('span');
+    manualName.textContent = browserAPI.i18n.getMessage('fetchBudgetBlockManual') || 'Also block manual 📍 lookups';
+    manualRow.appendChild(manualName);
+    const manualCheckbox = document.createElement('input');
+    manualCheckbox.type = 'checkbox';
+    manualCheckbox.className = 'usage-checkbox';
+    manualCheckbox.checked = settings.blockManual;
+    manualCheckbox.addEventListener('change', async () => {
+      manualCheckbox.checked = await saveSetting('blockManual', manualCheckbox.checked);
+    });
+    manualRow.appendChild(manualCheckbox);
+    fetchBudgetListEl.appendChild(manualRow);
+  }
+
+  // Usage tab: which session tokens the Threads tab has, and when each was last seen
+  async function renderTokenHealth() {
+    const health = await browserAPI.runtime.sendMessage({ type: 'GET_TOKEN_HEALTH' }).catch(() => null);
+    tokenHealthEl.textContent = '';
+
+    const summary = document.createElement('div');
+    summary.className = 'cache-report-summary';
+    tokenHealthEl.appendChild(summary);
+    if (!health) {
+      summary.textContent = browserAPI.i18n.getMessage('tokenHealthNoTab') || 'Open threads.com to check the session';
+      return;
+    }
+
+    const statuses = {
+      ok: ['tokenHealthOk', 'Session tokens ready'],
+      stale: ['tokenHealthStale', 'Session tokens not seen for a while - rescanning before the next lookup'],
+      missing: ['tokenHealthMissing', 'Lookups wait until the missing tokens are found']
+    };
+    const [messageKey, fallback] = statuses[health.status] || statuses.missing;
+    summary.textContent = browserAPI.i18n.getMessage(messageKey) || fallback;
+
+    for (const [name, token] of Object.entries(health.tokens || {})) {
+      const seen = token.present
+        ? `✓ ${new Date(token.seenAt).toLocaleTimeString()}`
+        : `✗ ${browserAPI.i18n.getMessage('tokenHealthAbsent') || 'missing'}`;
+      appendReportRow(name, seen, tokenHealthEl);
+    }
+  }
+
+  // Usage tab: which about-this-profile request shape lookups use, and whether it still works
+  async function renderEndpointState() {
+    const endpointState = await browserAPI.runtime.sendMessage({ type: 'GET_ENDPOINT_STATE' }).catch(() => null);
+    endpointEl.textContent = '';
+
+    const summary = document.createElement('div');
+    summary.className = 'cache-report-summary';
+    endpointEl.appendChild(summary);
+    if (!endpointState) {
+      summary.textContent = browserAPI.i18n.getMessage('endpointNoTab') || 'Open threads.com to check the lookup endpoint';
+      return;
+    }
+
+    summary.textContent = endpointState.status === 'outdated'
+      ? browserAPI.i18n.getMessage('endpointOutdated') || 'Threads changed how profile info is loaded. Open a profile\'s "About this profile" once to pick up the new request.'
+      : browserAPI.i18n.getMessage('endpointOk') || 'Lookups use a working request';
+
+    const sources = {
+      default: ['endpointSourceDefault', 'built in'],
+      stored: ['endpointSourceStored', 'last known good'],
+      traffic: ['endpointSourceTraffic', 'seen on threads.com']
+    };
+    const [sourceKey, sourceFallback] = sources[endpointState.source] || sources.default;
+    appendReportRow('__bkv', `${endpointState.bkv.substring(0, 12)}… (${browserAPI.i18n.getMessage(sourceKey) || sourceFallback})`, endpointEl);
+
+    const lastGood = endpointState.lastGood?.at
+      ? new Date(endpointState.lastGood.at).toLocaleString()
+      : browserAPI.i18n.getMessage('endpointNever') || 'not yet';
+    appendReportRow(browserAPI.i18n.getMessage('endpointLastGood') || 'Last working lookup', lastGood, endpointEl);
+  }
+
+  // Usage tab: warn when profile responses came back in a shape the parser doesn't understand
+  let schemaDriftReports = [];
+
+  async function renderSchemaDrift() {
+    schemaDriftReports = await browserAPI.runtime.sendMessage({ type: 'GET_SCHEMA_DRIFT' }).catch(() => []) || [];
+    schemaDriftEl.textContent = '';
+    schemaDriftActionsEl.style.display = schemaDriftReports.length > 0 ? '' : 'none';
+
+    const summary = document.createElement('div');
+    summary.className = 'cache-report-summary';
+    schemaDriftEl.appendChild(summary);
+    if (schemaDriftReports.length === 0) {
+      summary.textContent = browserAPI.i18n.getMessage('schemaDriftNone') || 'Profile responses look as expected';
+      return;
+    }
+
+    const total = schemaDriftReports.reduce((sum, report) => sum + report.count, 0);
+    summary.classList.add('warning');
+    summary.textContent = `⚠️ ${browserAPI.i18n.getMessage('schemaDriftWarning', [String(total)])
+      || `Threads changed the profile response format: ${total} responses yielded no profile info. Copy the report to include it in a bug report.`}`;
+
+    for (const report of schemaDriftReports) {
+      appendReportRow(
+        report.fingerprint,
+        `${report.count}× • ${new Date(report.lastSeen).toLocaleString()} • ${Math.round(report.confidence * 100)}%`,
+        schemaDriftEl
+      );
+    }
+  }
+
+  schemaDriftCopyBtn.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(schemaDriftReports, null, 2));
+      showToast(browserAPI.i18n.getMessage('copySuccess') || 'Copied to clipboard!');
+    } catch (err) {
+      console.error('Failed to copy:', err);
+      showToast(browserAPI.i18n.getMessage('copyFailed') || 'Failed to copy', true);
+    }
+  });
+
+  schemaDriftClearBtn.addEventListener('click', async () => {
+    await browserAPI.runtime.sendMessage({ type: 'CLEAR_SCHEMA_DRIFT' }).catch(() => null);
+    renderSchemaDrift();
+  });
+
+  // Usage tab: the user's own About-this-profile labels, for wording the language files don't cover
+  const labelFieldNames = {
+    joined: ['labelFieldJoined', 'Joined'],
+    location: ['labelFieldLocation', 'Based in'],
+    verified: ['labelFieldVerified', 'Verified by Meta'],
+    name: ['labelFieldName', 'Name (ignored)'],
+    formerUsername: ['labelFieldFormerUsername', 'Former usernames']
+  };
+
+  async function renderLabelOverrides() {
+    const { [LABEL_OVERRIDES_KEY]: stored } = await browserAPI.storage.local.get([LABEL_OVERRIDES_KEY]);
+    const overrides = normalizeLabelOverrides(stored);
+    const languages = Object.keys(LABEL_LANGUAGES).join(', ');
+    labelOverridesHintEl.textContent = browserAPI.i18n.getMessage('labelOverridesHint', [languages])
+      || `Built in: ${languages}. Add labels Threads shows in other languages, separated by commas.`;
+
+    labelOverridesListEl.textContent = '';
+    for (const field of LABEL_FIELDS) {
+      const [messageKey, fallback] = labelFieldNames[field];
+      const row = document.createElement('label');
+      row.className = 'ttl-row';
+
+      const name = document.createElement('span');
+      name.textContent = browserAPI.i18n.getMessage(messageKey) || fallback;
+      row.appendChild(name);
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'ttl-input ttl-input-text';
+      input.value = (overrides[field] || []).join(', ');
+      input.addEventListener('change', async () => {
+        const { [LABEL_OVERRIDES_KEY]: current } = await browserAPI.storage.local.get([LABEL_OVERRIDES_KEY]);
+        const updated = normalizeLabelOverrides({ ...current, [field]: input.value.split(/[,，、]/) });
+        input.value = (updated[field] || []).join(', ');
+        await browserAPI.storage.local.set({ [LABEL_OVERRIDES_KEY]: updated });
+
+        // Parse with the new labels in every Threads tab
+        browserAPI.tabs.query({ url: 'https://www.threads.com/*' }).then((tabs) => {
+          tabs.forEach((tab) => {
+            browserAPI.tabs.sendMessage(tab.id, { type: 'LABEL_OVERRIDES_CHANGED', overrides: updated }).catch(() => {
+              // Ignore errors if tab doesn't have content script loaded
+            });
+          });
+        });
+      });
+      row.appendChild(input);
+
+      labelOverridesListEl.appendChild(row);
+    }
+  }
+
+  function renderUsage() {
+    renderFetchBudget();
+    renderTokenHealth();
+    renderEndpointState();
+    renderSchemaDrift();
+    renderLabelOverrides();
+    renderFetchRate();
+  }
+
+  usageResetBtn.addEventListener('click', async () => {
+    await browserAPI.storage.local.remove([FETCH_BUDGET_SETTINGS_KEY, RATE_LIMIT_SETTINGS_KEY]);
+    renderUsage();
+  });
+
+  async function renderCacheSettings() {
+    renderCacheReport();
+
+    const result = await browserAPI.storage.local.get([TTL_POLICY_KEY, PINNED_USERS_KEY, MAX_PROFILES_KEY]);
+    const policy = normalizeTtlPolicy(result[TTL_POLICY_KEY]);
+    const pinnedUsers = result[PINNED_USERS_KEY] || {};
+    const daysLabel = browserAPI.i18n.getMessage('ttlDays') || 'days';
+
+    ttlListEl.textContent = '';
+    for (const category of TTL_CATEGORIES) {
+      const [messageKey, fallback] = ttlLabels[category];
+      const row = document.createElement('label');
+      row.className = 'ttl-row';
+
+      const name = document.createElement('span');
+      name.textContent = browserAPI.i18n.getMessage(messageKey) || fallback;
+      row.appendChild(name);
+
+      const group = document.createElement('span');
+      group.className = 'ttl-input-group';
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.className = 'ttl-input';
+      input.min = MIN_TTL_DAYS;
+      input.max = MAX_TTL_DAYS;
+      input.value = policy[category];
+      input.addEventListener('change', async () => {
+        const { [TTL_POLICY_KEY]: stored } = await browserAPI.storage.local.get([TTL_POLICY_KEY]);
+        const updated = normalizeTtlPolicy({ ...stored, [category]: input.value });
+        input.value = updated[category];
+        await browserAPI.storage.local.set({ [TTL_POLICY_KEY]: updated });
+      });
+      group.appendChild(input);
+      group.appendChild(document.createTextNode(daysLabel));
+      row.appendChild(group);
+
+      ttlListEl.appendChild(row);
+    }
+
+    // Size limit: least recently used profiles are evicted beyond this
+    const limitRow = document.createElement('label');
+    limitRow.className = 'ttl-row';
+    const limitName = document.createElement('span');
+    limitName.textContent = browserAPI.i18n.getMessage('cacheMaxProfiles') || 'Maximum cached profiles';
+    limitRow.appendChild(limitName);
+    const limitInput = document.createElement('input');
+    limitInput.type = 'number';
+    limitInput.className = 'ttl-input ttl-input-wide';
+    limitInput.min = MIN_MAX_PROFILES;
+    limitInput.max = MAX_MAX_PROFILES;
+    limitInput.value = normalizeMaxProfiles(result[MAX_PROFILES_KEY]);
+    limitInput.addEventListener('change', async () => {
+      const maxProfiles = normalizeMaxProfiles(limitInput.value);
+      limitInput.value = maxProfiles;
+      await browserAPI.storage.local.set({ [MAX_PROFILES_KEY]: maxProfiles });
+    });
+    limitRow.appendChild(limitInput);
+    ttlListEl.appendChild(limitRow);
+
+    pinnedUsersListEl.textContent = '';
+    const pinnedEntries = Object.entries(pinnedUsers);
+    if (pinnedEntries.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'pinned-empty';
+      empty.textContent = browserAPI.i18n.getMessage('pinnedUsersEmpty') || 'Pin a user from their profile details to keep them cached.';
+      pinnedUsersListEl.appendChild(empty);
+      return;
+    }
+
+    for (const [userId, username] of pinnedEntries) {
+      const item = document.createElement('div');
+      item.className = 'pinned-user-item';
+
+      const name = document.createElement('span');
+      name.textContent = `@${username}`;
+      item.appendChild(name);
+
+      const unpinBtn = document.createElement('button');
+      unpinBtn.type = 'button';
+      unpinBtn.className = 'btn-icon';
+      unpinBtn.textContent = '✕';
+      unpinBtn.title = browserAPI.i18n.getMessage('unpinUser') || 'Unpin (allow expiry)';
+      unpinBtn.addEventListener('click', async () => {
+        await togglePinnedUser(userId, username);
+        renderCacheSettings();
+      });
+      item.appendChild(unpinBtn);
+
+      pinnedUsersListEl.appendChild(item);
+    }
+  }
+
+  ttlResetBtn.addEventListener('click', async () => {
+    await browserAPI.storage.local.remove([TTL_POLICY_KEY, MAX_PROFILES_KEY]);
+    renderCacheSettings();
+  });
+
+  importTextEl.placeholder = browserAPI.i18n.getMessage('importPastePlaceholder') || 'Paste exported JSON here';
+
+  // Import exported profiles (from a file or pasted text) into the cache
+  async function importProfilesFromText(text) {
+    if (!text.trim()) {
+      showToast(browserAPI.i18n.getMessage('importEmpty') || 'Nothing to import', true);
+      return;
+    }
+
+    const result = await browserAPI.runtime.sendMessage({
+      type: 'IMPORT_PROFILES',
+      text,
+      policy: importPolicyEl.value
+    }).catch((err) => ({ success: false, error: err.message }));
+
+    if (!result?.success) {
+      const error = result?.error || 'Unknown error';
+      importResultEl.textContent = browserAPI.i18n.getMessage('importFailed', [error]) || `Import failed: ${error}`;
+      showToast(importResultEl.textContent, true);
+      return;
+    }
+
+    // Invalid entries are reported as skipped
+    const counts = [result.added, result.updated, result.skipped + result.invalid].map(String);
+    importResultEl.textContent = browserAPI.i18n.getMessage('importResult', counts) ||
+      `${counts[0]} added, ${counts[1]} updated, ${counts[2]} skipped`;
+    showToast(importResultEl.textContent);
+    importTextEl.value = '';
+
+    loadProfiles();
+    renderCacheReport();
+
+    // Notify content script to refresh badges in all Threads tabs
+    browserAPI.tabs.query({ url: 'https://www.threads.com/*' }).then((tabs) => {
+      tabs.forEach((tab) => {
+        browserAPI.tabs.sendMessage(tab.id, { type: 'PROFILES_IMPORTED' }).catch(() => {
+          // Ignore errors if tab doesn't have content script loaded
+        });
+      });
+    });
+  }
+
+  importFileBtn.addEventListener('click', () => importFileInput.click());
+
+  importFileInput.addEventListener('change', async () => {
+    const file = importFileInput.files[0];
+    importFileInput.value = '';
+    if (file) {
+      await importProfilesFromText(await file.text());
+    }
+  });
+
+  importPasteBtn.addEventListener('click', () => importProfilesFromText(importTextEl.value));
+
   // Hide export button on iOS Safari (downloads don't work reliably)
   const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream;
   if (isIOS && exportBtn) {
     exportBtn.style.display = 'none';
   }
 
-  // Export profiles as JSON
-  exportBtn.addEventListener('click', () => {
-    const profileCount = Object.keys(profiles).length;
+  // Export options sheet
+  const exportSheet = document.getElementById('exportSheet');
+  const exportSheetClose = document.getElementById('exportSheetClose');
+  const exportFormatEl = document.getElementById('exportFormat');
+  const exportColumnsEl = document.getElementById('exportColumns');
+  const exportSummaryEl = document.getElementById('exportSummary');
+  const exportDownloadBtn = document.getElementById('exportDownloadBtn');
+
+  const exportColumnLabels = {
+    username: ['exportColumnUsername', 'Username'],
+    displayName: ['exportColumnDisplayName', 'Display name'],
+    location: ['exportColumnLocation', 'Location'],
+    countryCode: ['exportColumnCountryCode', 'Country code (ISO)'],
+    joined: ['exportColumnJoined', 'Joined'],
+    isVerified: ['exportColumnVerified', 'Verified'],
+    verifiedDate: ['exportColumnVerifiedDate', 'Verified since'],
+    firstSeen: ['exportColumnFirstSeen', 'First seen'],
+    lastFetched: ['exportColumnLastFetched', 'Last fetched']
+  };
 
-    if (profileCount === 0) {
-      showToast(browserAPI.i18n.getMessage('noDataToExport') || 'No profiles to export', true);
-      return;
+  function hideExportSheet() {
+    exportSheet.classList.remove('visible');
+  }
+
+  exportSheetClose.addEventListener('click', hideExportSheet);
+  exportSheet.addEventListener('click', (e) => {
+    if (e.target === exportSheet) hideExportSheet();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && exportSheet.classList.contains('visible')) {
+      hideExportSheet();
     }
+  });
 
-    const dataStr = JSON.stringify(profiles, null, 2);
-    const filename = `threads-profiles-${new Date().toISOString().split('T')[0]}.json`;
+  function getSelectedExportColumns() {
+    return EXPORT_COLUMNS.filter(column =>
+      exportColumnsEl.querySelector(`input[value="${column}"]`)?.checked
+    );
+  }
+
+  // JSON is the full backup; CSV/NDJSON follow the profile list filter
+  function updateExportSummary() {
+    const isJson = exportFormatEl.value === 'json';
+    exportColumnsEl.classList.toggle('disabled', isJson);
+    exportColumnsEl.querySelectorAll('input').forEach(input => {
+      input.disabled = isJson;
+    });
+
+    const total = String(Object.keys(profiles).length);
+    const count = isJson ? total : String(getFilteredEntries().length);
+    exportSummaryEl.textContent = browserAPI.i18n.getMessage('exportSummary', [count, total]) ||
+      `${count} of ${total} profiles`;
+  }
+
+  async function showExportSheet() {
+    const { [EXPORT_SETTINGS_KEY]: settings = {} } = await browserAPI.storage.local.get([EXPORT_SETTINGS_KEY]);
+    exportFormatEl.value = EXPORT_FORMATS.includes(settings.format) ? settings.format : 'json';
+    const selected = Array.isArray(settings.columns) ? settings.columns : EXPORT_COLUMNS;
+
+    exportColumnsEl.textContent = '';
+    for (const column of EXPORT_COLUMNS) {
+      const [messageKey, fallback] = exportColumnLabels[column];
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.value = column;
+      input.checked = selected.includes(column);
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(browserAPI.i18n.getMessage(messageKey) || fallback));
+      exportColumnsEl.appendChild(label);
+    }
+
+    updateExportSummary();
+    exportSheet.classList.add('visible');
+  }
 
-    // Use data URL with octet-stream to force download and preserve filename in Safari
-    const dataUrl = 'data:application/octet-stream;charset=utf-8,' + encodeURIComponent(dataStr);
+  // Use data URL with octet-stream to force download and preserve filename in Safari
+  function downloadFile(content, filename) {
+    const dataUrl = 'data:application/octet-stream;charset=utf-8,' + encodeURIComponent(content);
 
     const a = document.createElement('a');
     a.href = dataUrl;
@@ -524,6 +1444,46 @@ document.addEventListener('DOMContentLoaded', () => {
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
+  }
+
+  exportFormatEl.addEventListener('change', updateExportSummary);
+
+  // Export profiles
+  exportBtn.addEventListener('click', () => {
+    const profileCount = Object.keys(profiles).length;
+
+    if (profileCount === 0) {
+      showToast(browserAPI.i18n.getMessage('noDataToExport') || 'No profiles to export', true);
+      return;
+    }
+
+    showExportSheet();
+  });
+
+  exportDownloadBtn.addEventListener('click', async () => {
+    const format = exportFormatEl.value;
+    const columns = getSelectedExportColumns();
+    const date = new Date().toISOString().split('T')[0];
+
+    let content;
+    if (format === 'json') {
+      content = JSON.stringify(profiles, null, 2);
+    } else {
+      if (columns.length === 0) {
+        showToast(browserAPI.i18n.getMessage('exportNoColumns') || 'Select at least one column', true);
+        return;
+      }
+      const filtered = getFilteredEntries().map(([, data]) => data);
+      if (filtered.length === 0) {
+        showToast(browserAPI.i18n.getMessage('noDataToExport') || 'No profiles to export', true);
+        return;
+      }
+      content = format === 'csv' ? toCsv(filtered, columns) : toNdjson(filtered, columns);
+    }
+
+    await browserAPI.storage.local.set({ [EXPORT_SETTINGS_KEY]: { format, columns } });
+    downloadFile(content, `threads-profiles-${date}.${format}`);
+    hideExportSheet();
 
     showToast(browserAPI.i18n.getMessage('exportSuccess') || 'Exported successfully!');
   });
@@ -695,7 +1655,11 @@ document.addEventListener('DOMContentLoaded', () => {
         clearBtn.disabled = true;
 
         // Clear both profile cache and user ID cache
-        browserAPI.storage.local.set({ profileCache: {}, userIdCache: {} }).then(() => {
+        browserAPI.runtime.sendMessage({ type: 'CLEAR_PROFILE_CACHE' }).then((response) => {
+          if (!response?.success) {
+            throw new Error(response?.error || 'Unknown error');
+          }
+
           // Reload profiles from storage (now empty)
           loadProfiles();
 
@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import 'fake-indexeddb/auto';
+import {
+  applyWriteBatch,
+  countProfiles,
+  getProfileByUserId,
+  getAllUserIds,
+  touchProfiles,
+  closeProfileStore
+} from '../src/lib/profileStore.js';
+import { runCacheMaintenance, getCacheReport, MAINTENANCE_RESULT_KEY } from '../src/lib/cacheMaintenance.js';
+import { PINNED_USERS_KEY, MAX_PROFILES_KEY, TTL_POLICY_KEY } from '../src/lib/ttlPolicy.js';
+import { createStorageArea } from './helpers/storageArea.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = 1_000 * DAY_MS;
+
+function profile(userId, fields = {}) {
+  return { userId, username: `user${userId}`, location: 'Taiwan', timestamp: NOW, ...fields };
+}
+
+describe('cacheMaintenance', () => {
+  beforeEach(async () => {
+    await closeProfileStore();
+    globalThis.indexedDB = new IDBFactory();
+  });
+
+  describe('runCacheMaintenance', () => {
+    it('should prune expired profiles and user IDs but keep pinned users', async () => {
+      await applyWriteBatch({
+        profiles: [
+          profile('1'),
+          profile('2', { timestamp: NOW - 40 * DAY_MS }),
+          profile('3', { timestamp: NOW - 40 * DAY_MS })
+        ]
+      });
+      const storage = createStorageArea({ [PINNED_USERS_KEY]: { 3: 'user3' } });
+
+      const result = await runCacheMaintenance(storage, NOW + 1);
+
+      expect(result.expiredProfiles).toBe(1);
+      expect(await getProfileByUserId('2')).toBeNull();
+      expect(await getProfileByUserId('3')).not.toBeNull();
+      expect(storage.data[MAINTENANCE_RESULT_KEY]).toEqual(result);
+    });
+
+    it('should prune expired profiles still keyed by username', async () => {
+      await applyWriteBatch({
+        profiles: [
+          { username: 'fresh', location: 'Taiwan', timestamp: NOW },
+          { username: 'old', location: 'Taiwan', timestamp: NOW - 40 * DAY_MS }
+        ]
+      });
+      const storage = createStorageArea();
+
+      const result = await runCacheMaintenance(storage, NOW + 1);
+
+      expect(result.expiredProfiles).toBe(1);
+      expect(await countProfiles()).toBe(1);
+    });
+
+    it('should follow the stored TTL policy', async () => {
+      await applyWriteBatch({ profiles: [profile('1', { timestamp: NOW - 20 * DAY_MS })] });
+      const storage = createStorageArea({ [TTL_POLICY_KEY]: { withLocation: 3 } });
+
+      await runCacheMaintenance(storage, NOW);
+
+      expect(await countProfiles()).toBe(0);
+    });
+
+    it('should keep stale profiles during the grace period', async () => {
+      await applyWriteBatch({ profiles: [profile('1', { timestamp: NOW - 25 * DAY_MS })] });
+      const storage = createStorageArea();
+
+      const result = await runCacheMaintenance(storage, NOW);
+
+      expect(result.expiredProfiles).toBe(0);
+      expect(await countProfiles()).toBe(1);
+    });
+
+    it('should evict least recently used profiles over the limit', async () => {
+      const profiles = Array.from({ length: 105 }, (_, i) => profile(String(i + 1)));
+      await applyWriteBatch({ profiles });
+      // Profiles 1-5 were shown on a page most recently
+      await touchProfiles(['1', '2', '3', '4', '5'], Date.now() + 1000);
+      const storage = createStorageArea({ [MAX_PROFILES_KEY]: 100 });
+
+      const result = await runCacheMaintenance(storage, NOW);
+
+      expect(result.evictedProfiles).toBe(5);
+      expect(await countProfiles()).toBe(100);
+      expect(await getProfileByUserId('1')).not.toBeNull();
+    });
+
+    it('should prune user IDs past their TTL', async () => {
+      await applyWriteBatch({ userIds: { alice: '1' } });
+      const storage = createStorageArea();
+
+      await runCacheMaintenance(storage, Date.now() + 61 * DAY_MS);
+
+      expect(await getAllUserIds()).toEqual({});
+    });
+  });
+
+  describe('getCacheReport', () => {
+    it('should report counts and bytes per store and key', async () => {
+      await applyWriteBatch({ profiles: [profile('1'), profile('2')], userIds: { user1: '1' } });
+      const storage = createStorageArea({ showFlags: true });
+
+      const report = await getCacheReport(storage);
+
+      expect(report.profiles.count).toBe(2);
+      expect(report.profiles.bytes).toBeGreaterThan(0);
+      expect(report.userIds.count).toBe(2);
+      expect(report.settings.keys.showFlags).toBeGreaterThan(0);
+      expect(report.totalBytes).toBe(report.profiles.bytes + report.userIds.bytes + report.settings.bytes);
+      expect(report.lastMaintenance).toBeNull();
+    });
+
+    it('should prefer getBytesInUse when the browser provides it', async () => {
+      const storage = createStorageArea({ showFlags: true });
+      storage.getBytesInUse = async () => 42;
+
+      const report = await getCacheReport(storage);
+
+      expect(report.settings.keys.showFlags).toBe(42);
+    });
+  });
+});
@@ -123,6 +123,107 @@ describe('parseJoinedDate', () => {
     });
   });
 
+  describe('Spanish (es) format', () => {
+    it('should parse "enero de 2024 · Más de 100 M"', () => {
+      const result = parseJoinedDate('enero de 2024 · Más de 100 M');
+      expect(result.getFullYear()).toBe(2024);
+      expect(result.getMonth()).toBe(0);
+    });
+
+    it('should parse all Spanish months', () => {
+      const months = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio',
+        'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'];
+      months.forEach((month, idx) => {
+        expect(parseJoinedDate(`${month} de 2024`).getMonth()).toBe(idx);
+      });
+    });
+  });
+
+  describe('Portuguese (pt) format', () => {
+    it('should parse "outubro de 2023 · Mais de 100 mi"', () => {
+      const result = parseJoinedDate('outubro de 2023 · Mais de 100 mi');
+      expect(result.getFullYear()).toBe(2023);
+      expect(result.getMonth()).toBe(9);
+    });
+
+    it('should parse all Portuguese months', () => {
+      const months = ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho',
+        'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'];
+      months.forEach((month, idx) => {
+        expect(parseJoinedDate(`${month} de 2024`).getMonth()).toBe(idx);
+      });
+    });
+  });
+
+  describe('French (fr) format', () => {
+    it('should parse "août 2024"', () => {
+      const result = parseJoinedDate('août 2024');
+      expect(result.getFullYear()).toBe(2024);
+      expect(result.getMonth()).toBe(7);
+    });
+
+    it('should parse all French months', () => {
+      const months = ['janvier', 'février', 'mars', 'avril', 'mai', 'juin',
+        'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'];
+      months.forEach((month, idx) => {
+        expect(parseJoinedDate(`${month} 2024`).getMonth()).toBe(idx);
+      });
+    });
+
+    it('should parse decomposed accents', () => {
+      expect(parseJoinedDate('fe\u0301vrier 2024').getMonth()).toBe(1);
+    });
+  });
+
+  describe('German (de) format', () => {
+    it('should parse "März 2024 · Über 100 Mio."', () => {
+      const result = parseJoinedDate('März 2024 · Über 100 Mio.');
+      expect(result.getFullYear()).toBe(2024);
+      expect(result.getMonth()).toBe(2);
+    });
+
+    it('should parse all German months', () => {
+      const months = ['Januar', 'Februar', 'März', 'April', 'Mai', 'Juni',
+        'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'];
+      months.forEach((month, idx) => {
+        expect(parseJoinedDate(`${month} 2024`).getMonth()).toBe(idx);
+      });
+    });
+  });
+
+  describe('Thai (th) format', () => {
+    it('should parse "มกราคม 2567" as a Buddhist-era year', () => {
+      const result = parseJoinedDate('มกราคม 2567');
+      expect(result.getFullYear()).toBe(2024);
+      expect(result.getMonth()).toBe(0);
+    });
+
+    it('should parse all Thai months', () => {
+      const months = ['มกราคม', 'กุมภาพันธ์', 'มีนาคม', 'เมษายน', 'พฤษภาคม', 'มิถุนายน',
+        'กรกฎาคม', 'สิงหาคม', 'กันยายน', 'ตุลาคม', 'พฤศจิกายน', 'ธันวาคม'];
+      months.forEach((month, idx) => {
+        expect(parseJoinedDate(`${month} 2567`).getMonth()).toBe(idx);
+      });
+    });
+
+    it('should keep Gregorian years as-is', () => {
+      expect(parseJoinedDate('ธันวาคม 2024').getFullYear()).toBe(2024);
+    });
+  });
+
+  describe('Vietnamese (vi) format', () => {
+    it('should parse "tháng 1 năm 2024"', () => {
+      const result = parseJoinedDate('tháng 1 năm 2024');
+      expect(result.getFullYear()).toBe(2024);
+      expect(result.getMonth()).toBe(0);
+    });
+
+    it('should parse "Tháng 12, 2023" and "thg 6 2024"', () => {
+      expect(parseJoinedDate('Tháng 12, 2023').getMonth()).toBe(11);
+      expect(parseJoinedDate('thg 6 2024').getMonth()).toBe(5);
+    });
+  });
+
   describe('edge cases', () => {
     it('should return null for empty string', () => {
       expect(parseJoinedDate('')).toBeNull();
@@ -143,6 +244,15 @@ describe('parseJoinedDate', () => {
     it('should return null for year only', () => {
       expect(parseJoinedDate('2024')).toBeNull();
     });
+
+    it('should not match month names inside other words', () => {
+      expect(parseJoinedDate('Mais de 100 mi 2024')).toBeNull();
+      expect(parseJoinedDate('Outside 2024')).toBeNull();
+    });
+
+    it('should return null for out-of-range numeric months', () => {
+      expect(parseJoinedDate('tháng 13 năm 2024')).toBeNull();
+    });
   });
 });
 
@@ -175,6 +285,12 @@ describe('isNewUser', () => {
     expect(isNewUser('2023年7月', 2, referenceDate)).toBe(false);
   });
 
+  it('should handle newly supported languages', () => {
+    expect(isNewUser('noviembre de 2024', 2, referenceDate)).toBe(true);
+    expect(isNewUser('ตุลาคม 2567', 2, referenceDate)).toBe(true);
+    expect(isNewUser('tháng 9 năm 2024', 2, referenceDate)).toBe(false);
+  });
+
   it('should return false for invalid date string', () => {
     expect(isNewUser('Invalid', 2, referenceDate)).toBe(false);
     expect(isNewUser(null, 2, referenceDate)).toBe(false);
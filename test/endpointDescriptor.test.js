@@ -0,0 +1,143 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  ABOUT_PROFILE_ENDPOINT,
+  ENDPOINT_FAILURE_LIMIT,
+  buildEndpointUrl,
+  discoverEndpoint,
+  isEndpointFailure,
+  createEndpointTracker
+} from '../src/lib/endpointDescriptor.js';
+import { fetchError } from '../src/lib/fetchErrors.js';
+
+const NEW_BKV = 'abcdef0123456789abcdef0123456789';
+const siteUrl = (bkv) => `/async/wbloks/fetch/?appid=${ABOUT_PROFILE_ENDPOINT.appid}&type=app&__bkv=${bkv}`;
+
+function setup() {
+  const clock = { time: 1_000_000 };
+  const onChange = vi.fn();
+  const endpoint = createEndpointTracker({ onChange, now: () => clock.time });
+  return { clock, onChange, endpoint };
+}
+
+function failTimes(endpoint, count, failure = fetchError('unparseable')) {
+  let outdated = false;
+  for (let i = 0; i < count; i++) outdated = endpoint.recordFailure(failure);
+  return outdated;
+}
+
+describe('endpointDescriptor', () => {
+  it('should build the same URL the lookup used to hard-code', () => {
+    expect(buildEndpointUrl(ABOUT_PROFILE_ENDPOINT)).toBe(siteUrl(ABOUT_PROFILE_ENDPOINT.bkv));
+  });
+
+  describe('discoverEndpoint', () => {
+    it('should read __bkv, friendly name and referer type from a site request', () => {
+      const body = new URLSearchParams({ params: JSON.stringify({ referer_type: 'NewReferer', target_user_id: '1' }) });
+      expect(discoverEndpoint({ url: siteUrl(NEW_BKV), friendlyName: 'NewQuery', body })).toEqual({
+        bkv: NEW_BKV,
+        friendlyName: 'NewQuery',
+        refererType: 'NewReferer'
+      });
+      expect(discoverEndpoint({ url: `https://www.threads.com${siteUrl(NEW_BKV)}`, body: body.toString() }))
+        .toEqual({ bkv: NEW_BKV, refererType: 'NewReferer' });
+    });
+
+    it('should ignore other requests and malformed hashes', () => {
+      expect(discoverEndpoint({ url: '/async/wbloks/fetch/?appid=com.bloks.www.other&__bkv=' + NEW_BKV })).toBeNull();
+      expect(discoverEndpoint({ url: siteUrl('not-a-hash') })).toBeNull();
+      expect(discoverEndpoint({ url: null })).toBeNull();
+    });
+  });
+
+  it('should only count 4xx errors and unparseable responses as endpoint failures', () => {
+    expect(isEndpointFailure(fetchError('unparseable'))).toBe(true);
+    expect(isEndpointFailure(fetchError('httpError', { status: 400 }))).toBe(true);
+    expect(isEndpointFailure(fetchError('httpError', { status: 500 }))).toBe(false);
+    expect(isEndpointFailure(fetchError('notFound'))).toBe(false);
+    expect(isEndpointFailure(fetchError('network'))).toBe(false);
+  });
+
+  describe('tracker', () => {
+    it('should start from the built-in descriptor', () => {
+      const { endpoint } = setup();
+      expect(endpoint.get()).toEqual(ABOUT_PROFILE_ENDPOINT);
+      expect(endpoint.getState()).toMatchObject({ status: 'ok', source: 'default', lastGood: null });
+    });
+
+    it('should adopt the request shape seen in site traffic', () => {
+      const { onChange, endpoint } = setup();
+      expect(endpoint.observe({ url: siteUrl(NEW_BKV), friendlyName: 'NewQuery' })).toBe(true);
+
+      expect(endpoint.getUrl()).toBe(siteUrl(NEW_BKV));
+      expect(endpoint.get().friendlyName).toBe('NewQuery');
+      expect(endpoint.get().refererType).toBe(ABOUT_PROFILE_ENDPOINT.refererType);
+      expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ source: 'traffic', bkv: NEW_BKV }));
+
+      // Seeing it again changes nothing
+      onChange.mockClear();
+      expect(endpoint.observe({ url: siteUrl(NEW_BKV), friendlyName: 'NewQuery' })).toBe(false);
+      expect(onChange).not.toHaveBeenCalled();
+    });
+
+    it('should load the last known good descriptor unless traffic already brought a fresher one', () => {
+      const stored = { descriptor: { ...ABOUT_PROFILE_ENDPOINT, bkv: NEW_BKV }, at: 5 };
+      const { endpoint } = setup();
+      endpoint.load(stored);
+      expect(endpoint.get().bkv).toBe(NEW_BKV);
+      expect(endpoint.getState()).toMatchObject({ source: 'stored', lastGood: stored });
+
+      const fresh = setup().endpoint;
+      const siteBkv = 'fedcba9876543210fedcba9876543210';
+      fresh.observe({ url: siteUrl(siteBkv) });
+      fresh.load(stored);
+      expect(fresh.get().bkv).toBe(siteBkv);
+    });
+
+    it('should drop stored descriptors from another descriptor version', () => {
+      const { endpoint } = setup();
+      endpoint.load({ descriptor: { ...ABOUT_PROFILE_ENDPOINT, version: 0, bkv: NEW_BKV }, at: 5 });
+      expect(endpoint.get()).toEqual(ABOUT_PROFILE_ENDPOINT);
+    });
+
+    it('should remember a descriptor that returned a profile', () => {
+      const { onChange, endpoint } = setup();
+      endpoint.recordSuccess();
+      expect(endpoint.getState().lastGood).toEqual({ descriptor: ABOUT_PROFILE_ENDPOINT, at: 1_000_000 });
+      expect(onChange).toHaveBeenCalledTimes(1);
+
+      endpoint.recordSuccess();
+      expect(onChange).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fall back to the last known good descriptor when a new one keeps failing', () => {
+      const { endpoint } = setup();
+      endpoint.recordSuccess();
+      endpoint.observe({ url: siteUrl(NEW_BKV) });
+
+      expect(failTimes(endpoint, ENDPOINT_FAILURE_LIMIT)).toBe(false);
+      expect(endpoint.get().bkv).toBe(ABOUT_PROFILE_ENDPOINT.bkv);
+      expect(endpoint.getState()).toMatchObject({ status: 'ok', source: 'stored' });
+    });
+
+    it('should call the endpoint outdated when nothing known works', () => {
+      const { endpoint } = setup();
+      expect(failTimes(endpoint, ENDPOINT_FAILURE_LIMIT - 1)).toBe(false);
+      expect(failTimes(endpoint, 5, fetchError('network'))).toBe(false);
+      expect(failTimes(endpoint, 1)).toBe(true);
+      expect(endpoint.getState().status).toBe('outdated');
+
+      // The same value showing up in traffic doesn't clear it; a new one does
+      endpoint.observe({ url: siteUrl(ABOUT_PROFILE_ENDPOINT.bkv) });
+      expect(endpoint.getState().status).toBe('outdated');
+      endpoint.observe({ url: siteUrl(NEW_BKV) });
+      expect(endpoint.getState()).toMatchObject({ status: 'ok', failures: 0 });
+    });
+
+    it('should clear the outdated state once a lookup works again', () => {
+      const { endpoint } = setup();
+      failTimes(endpoint, ENDPOINT_FAILURE_LIMIT);
+      endpoint.recordSuccess();
+      expect(endpoint.getState()).toMatchObject({ status: 'ok', failures: 0 });
+    });
+  });
+});
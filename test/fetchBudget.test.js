@@ -0,0 +1,174 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createFetchBudget,
+  normalizeFetchBudget,
+  DEFAULT_FETCH_BUDGET,
+  MAX_PER_HOUR,
+  BUDGET_HISTORY_HOURS
+} from '../src/lib/fetchBudget.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Budget on a manual clock, starting 10 minutes into an hour
+ */
+function setup(settings = {}) {
+  const clock = { time: 1000 * HOUR_MS + 10 * 60 * 1000 };
+  const budget = createFetchBudget({ settings: { ...DEFAULT_FETCH_BUDGET, ...settings }, now: () => clock.time });
+  return { clock, budget };
+}
+
+function recordLookups(budget, count) {
+  for (let i = 0; i < count; i++) budget.recordLookup();
+}
+
+describe('normalizeFetchBudget', () => {
+  it('should return defaults for missing settings', () => {
+    expect(normalizeFetchBudget()).toEqual(DEFAULT_FETCH_BUDGET);
+    expect(normalizeFetchBudget(null)).toEqual(DEFAULT_FETCH_BUDGET);
+  });
+
+  it('should replace invalid values and clamp large ones', () => {
+    expect(normalizeFetchBudget({ perHour: 0, perDay: 'lots', blockManual: 'yes' })).toEqual(DEFAULT_FETCH_BUDGET);
+    expect(normalizeFetchBudget({ perHour: 99999, perDay: '500', blockManual: true }))
+      .toEqual({ perHour: MAX_PER_HOUR, perDay: 500, blockManual: true });
+  });
+});
+
+describe('fetchBudget', () => {
+  describe('limits', () => {
+    it('should wait for the next hour once the hourly limit is used up', () => {
+      const { clock, budget } = setup({ perHour: 3 });
+      recordLookups(budget, 2);
+      expect(budget.getWaitMs()).toBe(0);
+
+      budget.recordLookup();
+      expect(budget.getWaitMs()).toBe(50 * 60 * 1000);
+
+      clock.time += 50 * 60 * 1000;
+      expect(budget.getWaitMs()).toBe(0);
+    });
+
+    it('should wait until the oldest hours leave the 24-hour window once the daily limit is used up', () => {
+      const { clock, budget } = setup({ perHour: 10, perDay: 6 });
+      recordLookups(budget, 4);
+      const firstHour = clock.time - 10 * 60 * 1000;
+      clock.time += 5 * HOUR_MS;
+      recordLookups(budget, 2);
+
+      expect(budget.getWaitMs()).toBe(firstHour + BUDGET_HISTORY_HOURS * HOUR_MS - clock.time);
+
+      clock.time = firstHour + BUDGET_HISTORY_HOURS * HOUR_MS;
+      expect(budget.getWaitMs()).toBe(0);
+    });
+
+    it('should apply new settings', () => {
+      const { budget } = setup({ perHour: 1 });
+      budget.recordLookup();
+      expect(budget.getWaitMs()).toBeGreaterThan(0);
+
+      budget.configure({ perHour: 5 });
+
+      expect(budget.getWaitMs()).toBe(0);
+    });
+  });
+
+  describe('isManualAllowed', () => {
+    it('should allow manual lookups over budget unless they are blocked too', () => {
+      const open = setup({ perHour: 1 });
+      const blocked = setup({ perHour: 1, blockManual: true });
+      expect(blocked.budget.isManualAllowed()).toBe(true);
+
+      open.budget.recordLookup();
+      blocked.budget.recordLookup();
+
+      expect(open.budget.isManualAllowed()).toBe(true);
+      expect(blocked.budget.isManualAllowed()).toBe(false);
+    });
+  });
+
+  describe('report', () => {
+    it('should report 24 hourly buckets ending with the current hour', () => {
+      const { clock, budget } = setup();
+      budget.recordLookup({ rateLimited: true });
+      clock.time += 2 * HOUR_MS;
+      recordLookups(budget, 2);
+      budget.recordCacheHits(5);
+      budget.recordCacheHits(0);
+      budget.recordSavedLookups(3);
+
+      const report = budget.getReport();
+
+      expect(report.hourly).toHaveLength(BUDGET_HISTORY_HOURS);
+      expect(report.hourly.at(-1)).toMatchObject({ lookups: 2, cacheHits: 5, saved: 3, rateLimited: 0 });
+      expect(report.hourly.at(-3)).toMatchObject({ lookups: 1, rateLimited: 1 });
+      expect(report).toMatchObject({
+        thisHour: 2,
+        today: 3,
+        cacheHits: 5,
+        saved: 3,
+        rateLimited: 1,
+        perHour: DEFAULT_FETCH_BUDGET.perHour,
+        exhaustedUntil: 0
+      });
+    });
+
+    it('should count failed lookups by reason', () => {
+      const { clock, budget } = setup();
+      budget.recordFailure('timeout');
+      clock.time += HOUR_MS;
+      budget.recordFailure('timeout');
+      budget.recordFailure('httpError');
+
+      expect(budget.getReport().failures).toEqual({ timeout: 2, httpError: 1 });
+      expect(budget.getReport().hourly.at(-1).lookups).toBe(0);
+    });
+
+    it('should report when auto-fetch may run again', () => {
+      const { clock, budget } = setup({ perHour: 1 });
+      budget.recordLookup();
+
+      expect(budget.getReport().exhaustedUntil).toBe(clock.time + 50 * 60 * 1000);
+    });
+  });
+
+  describe('persistence', () => {
+    it('should merge restored usage with lookups counted since startup and drop old hours', () => {
+      const first = setup();
+      recordLookups(first.budget, 3);
+      const saved = first.budget.getUsage();
+      saved.buckets.unshift({ hour: first.clock.time - 30 * HOUR_MS, lookups: 50, cacheHits: 0, rateLimited: 0 });
+
+      const second = setup();
+      recordLookups(second.budget, 2);
+      second.budget.restore(saved);
+
+      expect(second.budget.getUsage().buckets).toEqual([
+        { hour: first.clock.time - 10 * 60 * 1000, lookups: 5, cacheHits: 0, saved: 0, rateLimited: 0, failures: {} }
+      ]);
+    });
+
+    it('should merge restored failure counts', () => {
+      const first = setup();
+      first.budget.recordFailure('notFound');
+      const saved = first.budget.getUsage();
+
+      const second = setup();
+      second.budget.recordFailure('notFound');
+      second.budget.recordFailure('network');
+      second.budget.restore(saved);
+
+      expect(second.budget.getReport().failures).toEqual({ notFound: 2, network: 1 });
+    });
+
+    it('should ignore missing or malformed usage', () => {
+      const { budget } = setup();
+      budget.recordLookup();
+
+      budget.restore(undefined);
+      budget.restore({ buckets: 'none' });
+
+      expect(budget.getReport().today).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,604 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createFetchCoordinator, FETCH_QUEUE_STATE_KEY, MAX_JOB_WAIT_MS, NOT_READY_RETRY_MS } from '../src/lib/fetchCoordinator.js';
+import { MAX_FETCH_ATTEMPTS, RETRY_BASE_DELAY_MS } from '../src/lib/fetchErrors.js';
+import { createRateLimiter } from '../src/lib/rateLimiter.js';
+import { createFetchBudget } from '../src/lib/fetchBudget.js';
+import { createStorageArea } from './helpers/storageArea.js';
+
+const settle = (ms = 20) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Coordinator with recorded dispatches; `results` are returned in order, then 'done'
+ */
+function setup({ results = [], focusedTabId = null, ...options } = {}) {
+  const dispatched = [];
+  const notify = vi.fn();
+  const dispatch = vi.fn(async (tabId, job) => {
+    dispatched.push({ tabId, username: job.username, lane: job.lane });
+    const result = results.shift() ?? { status: 'done' };
+    if (result instanceof Error) throw result;
+    return result;
+  });
+  const coordinator = createFetchCoordinator({
+    dispatch,
+    notify,
+    getFocusedTabId: async () => focusedTabId,
+    // Effectively unthrottled unless a test brings its own limiter
+    rateLimiter: createRateLimiter({ burst: 20, perMinute: 120 }),
+    ...options
+  });
+  return { coordinator, dispatch, dispatched, notify };
+}
+
+describe('fetchCoordinator', () => {
+  describe('submit', () => {
+    it('should fetch a username requested by several tabs once', async () => {
+      const { coordinator, dispatched } = setup();
+
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      coordinator.submit(2, { username: 'alice', lane: 'feed' });
+      expect(coordinator.getState().jobs).toEqual([
+        expect.objectContaining({ username: 'alice', tabIds: [2, 1] })
+      ]);
+
+      await settle();
+      expect(dispatched).toEqual([{ tabId: 2, username: 'alice', lane: 'feed' }]);
+      expect(coordinator.getState().jobs).toEqual([]);
+    });
+
+    it('should ignore jobs without a username or with an unknown lane', () => {
+      const { coordinator } = setup();
+
+      coordinator.submit(1, { lane: 'feed' });
+      coordinator.submit(1, { username: 'alice', lane: 'search' });
+
+      expect(coordinator.getState().jobs).toEqual([]);
+    });
+
+    it('should upgrade a queued refresh when the user is wanted for a first badge', () => {
+      const { coordinator } = setup();
+
+      coordinator.submit(1, { username: 'alice', userId: 111, lane: 'refresh' });
+      coordinator.submit(2, { username: 'alice', lane: 'feed' });
+
+      expect(coordinator.getState().jobs[0]).toMatchObject({ lane: 'feed', userId: '111' });
+    });
+
+    it('should drop a tab\'s oldest jobs beyond its limit and tell the tab', () => {
+      const { coordinator, notify } = setup({ maxJobsPerTab: 2 });
+
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      coordinator.submit(1, { username: 'bob', lane: 'feed' });
+      coordinator.submit(1, { username: 'carol', lane: 'feed' });
+
+      expect(coordinator.getState().jobs.map(job => job.username)).toEqual(['bob', 'carol']);
+      expect(notify).toHaveBeenCalledWith(1, { type: 'FETCH_QUEUE_DROPPED', lane: 'feed', usernames: ['alice'] });
+    });
+
+    it('should move a queued auto-fetch into the manual lane when clicked', () => {
+      const { coordinator } = setup();
+
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      coordinator.submit(1, { username: 'alice', userId: '111', lane: 'manual' });
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+
+      expect(coordinator.getState().jobs).toEqual([expect.objectContaining({ lane: 'manual', userId: '111' })]);
+    });
+
+    it('should count the limit per tab and per lane', () => {
+      const { coordinator, notify } = setup({ maxJobsPerTab: 1 });
+
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      coordinator.submit(2, { username: 'bob', lane: 'feed' });
+      coordinator.submit(1, { username: 'carol', lane: 'followers', userId: '333' });
+
+      expect(coordinator.getState().jobs).toHaveLength(3);
+      expect(notify).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('scheduling', () => {
+    it('should run the focused tab\'s jobs first', async () => {
+      const { coordinator, dispatched } = setup({ focusedTabId: 2 });
+
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      coordinator.submit(2, { username: 'bob', lane: 'refresh', userId: '222' });
+      coordinator.submit(1, { username: 'carol', lane: 'feed' });
+      await settle();
+
+      expect(dispatched.map(job => job.username)).toEqual(['bob', 'carol', 'alice']);
+    });
+
+    it('should run lanes in priority order, newest job first within a lane', async () => {
+      const { coordinator, dispatched } = setup();
+
+      coordinator.submit(1, { username: 'stale', lane: 'refresh', userId: '1' });
+      coordinator.submit(1, { username: 'follower', lane: 'followers', userId: '2' });
+      coordinator.submit(1, { username: 'older', lane: 'feed' });
+      coordinator.submit(1, { username: 'newer', lane: 'feed' });
+      await settle();
+
+      expect(dispatched.map(job => job.username)).toEqual(['newer', 'older', 'follower', 'stale']);
+    });
+
+    it('should run manual clicks before everything else, even from another tab', async () => {
+      const { coordinator, dispatched } = setup({ focusedTabId: 1 });
+
+      coordinator.submit(1, { username: 'visible', lane: 'feed' });
+      coordinator.submit(2, { username: 'clicked', lane: 'manual', userId: '1' });
+      coordinator.submit(1, { username: 'follower', lane: 'followers', userId: '2' });
+      await settle();
+
+      expect(dispatched.map(job => job.username)).toEqual(['clicked', 'visible', 'follower']);
+    });
+
+    it('should run a job that has waited too long ahead of newer, higher lanes', async () => {
+      const clock = { time: 1_000_000 };
+      const { coordinator, dispatched } = setup({ focusedTabId: 1, now: () => clock.time });
+
+      coordinator.submit(2, { username: 'stale', lane: 'refresh', userId: '1' });
+      coordinator.submit(2, { username: 'follower', lane: 'followers', userId: '2' });
+      clock.time += MAX_JOB_WAIT_MS;
+      coordinator.submit(1, { username: 'visible', lane: 'feed' });
+      coordinator.submit(1, { username: 'clicked', lane: 'manual', userId: '3' });
+      await settle();
+
+      expect(dispatched.map(job => job.username)).toEqual(['clicked', 'stale', 'follower', 'visible']);
+    });
+
+    it('should dispatch to the focused tab when it is one of the requesters', async () => {
+      const { coordinator, dispatched } = setup({ focusedTabId: 1 });
+
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      coordinator.submit(2, { username: 'alice', lane: 'feed' });
+      await settle();
+
+      expect(dispatched).toEqual([{ tabId: 1, username: 'alice', lane: 'feed' }]);
+    });
+
+    it('should space fetches across all tabs', async () => {
+      const times = [];
+      const coordinator = createFetchCoordinator({
+        dispatch: async () => {
+          times.push(Date.now());
+          return { status: 'done' };
+        },
+        notify: vi.fn(),
+        getFocusedTabId: async () => null,
+        rateLimiter: createRateLimiter({ burst: 1, perMinute: 120 })
+      });
+
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      coordinator.submit(2, { username: 'bob', lane: 'feed' });
+      await settle(100);
+
+      // One token every 500ms: the second job waits for the refill
+      expect(times).toHaveLength(1);
+      expect(coordinator.getState().jobs).toHaveLength(1);
+    });
+  });
+
+  describe('dispatch results', () => {
+    it('should keep the job and pause every tab when rate limited', async () => {
+      const { coordinator, dispatch } = setup({ results: [{ status: 'rateLimited' }] });
+
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      coordinator.submit(2, { username: 'bob', lane: 'feed' });
+      await settle();
+
+      expect(dispatch).toHaveBeenCalledTimes(1);
+      const { jobs, rateLimitedUntil } = coordinator.getState();
+      expect(jobs).toHaveLength(2);
+      expect(rateLimitedUntil).toBeGreaterThan(Date.now() + 5 * 60 * 1000);
+    });
+
+    it('should back off for a rate limit reported outside the queue', async () => {
+      const { coordinator, dispatch } = setup();
+
+      const backoffUntil = coordinator.reportRateLimit();
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      await settle();
+
+      expect(backoffUntil).toBeGreaterThan(Date.now());
+      expect(dispatch).not.toHaveBeenCalled();
+    });
+
+    it('should detach a logged-out tab from all of its jobs', async () => {
+      const { coordinator, dispatched } = setup({ results: [{ status: 'loginRequired' }] });
+
+      coordinator.submit(2, { username: 'shared', lane: 'feed' });
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      coordinator.submit(1, { username: 'shared', lane: 'feed' });
+      await settle();
+
+      // Tab 1 fails the first job; the shared one still runs in tab 2
+      expect(dispatched).toEqual([
+        { tabId: 1, username: 'shared', lane: 'feed' },
+        { tabId: 2, username: 'shared', lane: 'feed' }
+      ]);
+      expect(coordinator.getState().jobs).toEqual([]);
+    });
+
+    it('should hand a job to another requester when the tab is gone', async () => {
+      const { coordinator, dispatched } = setup({ results: [new Error('Receiving end does not exist')] });
+
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      coordinator.submit(2, { username: 'alice', lane: 'feed' });
+      await settle();
+
+      expect(dispatched.map(job => job.tabId)).toEqual([2, 1]);
+      expect(coordinator.getState().jobs).toEqual([]);
+    });
+
+    it('should move on from a tab that is not ready yet and retry it a little later', async () => {
+      vi.useFakeTimers();
+      const { coordinator, dispatched } = setup({ results: [{ status: 'notReady' }] });
+
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      coordinator.submit(1, { username: 'bob', lane: 'feed' });
+      await vi.advanceTimersByTimeAsync(0);
+      expect(dispatched.map(job => job.username)).toEqual(['bob', 'alice']);
+
+      await vi.advanceTimersByTimeAsync(NOT_READY_RETRY_MS);
+      expect(dispatched.map(job => job.username)).toEqual(['bob', 'alice', 'bob']);
+      vi.useRealTimers();
+    });
+
+    it('should not spin on a job whose only tab is still starting up', async () => {
+      vi.useFakeTimers();
+      const { coordinator, dispatch } = setup({ results: Array(10).fill({ status: 'notReady' }) });
+
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      await vi.advanceTimersByTimeAsync(NOT_READY_RETRY_MS - 1);
+      expect(dispatch).toHaveBeenCalledTimes(1);
+      vi.useRealTimers();
+    });
+
+    it('should not retry failed or skipped jobs', async () => {
+      const { coordinator, dispatch } = setup({ results: [{ status: 'failed' }, { status: 'skipped' }] });
+
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      coordinator.submit(1, { username: 'bob', lane: 'followers', userId: '2' });
+      await settle();
+
+      expect(dispatch).toHaveBeenCalledTimes(2);
+      expect(coordinator.getState().jobs).toEqual([]);
+    });
+  });
+
+  describe('retries', () => {
+    const timeout = { status: 'failed', reason: 'timeout' };
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should retry a transient failure with a growing backoff, up to the attempt limit', async () => {
+      vi.useFakeTimers();
+      const { coordinator, dispatch } = setup({ results: [timeout, timeout, timeout] });
+
+      coordinator.submit(1, { username: 'alice', lane: 'feed', userId: '1' });
+      await vi.advanceTimersByTimeAsync(0);
+      expect(dispatch).toHaveBeenCalledTimes(1);
+      expect(coordinator.getState().jobs[0]).toMatchObject({ attempts: 1 });
+
+      await vi.advanceTimersByTimeAsync(RETRY_BASE_DELAY_MS - 1);
+      expect(dispatch).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(dispatch).toHaveBeenCalledTimes(2);
+
+      await vi.advanceTimersByTimeAsync(RETRY_BASE_DELAY_MS * 2);
+      expect(dispatch).toHaveBeenCalledTimes(MAX_FETCH_ATTEMPTS);
+      expect(dispatch.mock.calls.map(([, job]) => job.attempt)).toEqual([1, 2, 3]);
+      expect(coordinator.getState().jobs).toEqual([]);
+    });
+
+    it('should try again after a step throws, without waiting for another submit', async () => {
+      vi.useFakeTimers();
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const notify = vi.fn(() => { throw new Error('tab gone'); });
+      const findKnownProfiles = async () => ({ bob: { username: 'bob' } });
+      const { coordinator, dispatched } = setup({ findKnownProfiles, notify });
+
+      coordinator.submit(1, { username: 'bob', lane: 'feed' });
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      await vi.advanceTimersByTimeAsync(100);
+      expect(warn).toHaveBeenCalledWith('[Threads Extractor] Fetch queue step failed:', expect.any(Error));
+      expect(dispatched).toEqual([]);
+      expect(coordinator.getState().running).toBe(false);
+
+      await vi.advanceTimersByTimeAsync(RETRY_BASE_DELAY_MS);
+      expect(dispatched.map(job => job.username)).toEqual(['alice']);
+      warn.mockRestore();
+    });
+
+    it('should only retry reasons that may clear up, and never manual clicks', async () => {
+      vi.useFakeTimers();
+      const { coordinator, dispatch } = setup({
+        // In dispatch order: clicked, flaky, empty, gone
+        results: [
+          timeout,
+          { status: 'failed', reason: 'httpError', httpStatus: 503 },
+          { status: 'failed', reason: 'notFound' },
+          { status: 'failed', reason: 'httpError', httpStatus: 404 }
+        ]
+      });
+
+      coordinator.submit(1, { username: 'gone', lane: 'feed' });
+      coordinator.submit(1, { username: 'empty', lane: 'feed' });
+      coordinator.submit(1, { username: 'clicked', lane: 'manual', userId: '3' });
+      coordinator.submit(1, { username: 'flaky', lane: 'feed' });
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(dispatch.mock.calls.map(([, job]) => job.username)).toEqual(['clicked', 'flaky', 'empty', 'gone']);
+      expect(coordinator.getState().jobs).toEqual([expect.objectContaining({ username: 'flaky', attempts: 1 })]);
+    });
+
+    it('should run other jobs while one backs off', async () => {
+      vi.useFakeTimers();
+      const { coordinator, dispatched } = setup({ results: [timeout] });
+
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      await vi.advanceTimersByTimeAsync(0);
+      coordinator.submit(1, { username: 'bob', lane: 'followers', userId: '2' });
+      await vi.advanceTimersByTimeAsync(0);
+      expect(dispatched.map(job => job.username)).toEqual(['alice', 'bob']);
+
+      await vi.advanceTimersByTimeAsync(RETRY_BASE_DELAY_MS);
+      expect(dispatched.map(job => job.username)).toEqual(['alice', 'bob', 'alice']);
+    });
+
+    it('should not make a click wait out the backoff', async () => {
+      vi.useFakeTimers();
+      const { coordinator, dispatch } = setup({ results: [timeout] });
+
+      coordinator.submit(1, { username: 'alice', lane: 'feed', userId: '1' });
+      await vi.advanceTimersByTimeAsync(0);
+      coordinator.submit(1, { username: 'alice', lane: 'manual', userId: '1' });
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(dispatch).toHaveBeenCalledTimes(2);
+      expect(dispatch.mock.calls[1][1]).toMatchObject({ lane: 'manual', attempt: 2 });
+    });
+  });
+
+  describe('resume', () => {
+    it('should run queued jobs again once the backoff is lifted', async () => {
+      const { coordinator, dispatched } = setup({ results: [{ status: 'rateLimited' }] });
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      await settle();
+
+      coordinator.resume();
+      await settle();
+
+      expect(dispatched.map(job => job.username)).toEqual(['alice', 'alice']);
+      expect(coordinator.getState().jobs).toEqual([]);
+    });
+  });
+
+  describe('manual lane', () => {
+    it('should run manual clicks during a backoff but hold everything else', async () => {
+      const { coordinator, dispatched } = setup();
+      coordinator.reportRateLimit();
+
+      coordinator.submit(1, { username: 'visible', lane: 'feed' });
+      coordinator.submit(1, { username: 'clicked', lane: 'manual', userId: '1' });
+      await settle();
+
+      expect(dispatched.map(job => job.username)).toEqual(['clicked']);
+      expect(coordinator.getState().jobs.map(job => job.username)).toEqual(['visible']);
+    });
+
+    it('should not hold manual clicks for a used-up budget', async () => {
+      const fetchBudget = createFetchBudget({ settings: { perHour: 1 } });
+      fetchBudget.recordLookup();
+      const { coordinator, dispatched } = setup({ fetchBudget });
+
+      coordinator.submit(1, { username: 'clicked', lane: 'manual', userId: '1' });
+      await settle();
+
+      expect(dispatched.map(job => job.username)).toEqual(['clicked']);
+    });
+  });
+
+  describe('cancel', () => {
+    it('should drop a job whose post scrolled out of view before its turn', async () => {
+      const { coordinator, dispatched } = setup({ rateLimiter: createRateLimiter({ burst: 1, perMinute: 1 }) });
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      coordinator.submit(1, { username: 'bob', lane: 'feed' });
+      await settle();
+      expect(dispatched.map(job => job.username)).toEqual(['bob']);
+
+      coordinator.cancel(1, { username: 'alice', lane: 'feed' });
+
+      expect(coordinator.getState().jobs).toEqual([]);
+    });
+
+    it('should keep the job for other tabs that still want it', () => {
+      const { coordinator } = setup();
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      coordinator.submit(2, { username: 'alice', lane: 'feed' });
+
+      coordinator.cancel(2, { username: 'alice', lane: 'feed' });
+
+      expect(coordinator.getState().jobs).toEqual([expect.objectContaining({ tabIds: [1] })]);
+    });
+
+    it('should not cancel a job that moved to another lane', () => {
+      const { coordinator } = setup();
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      coordinator.submit(1, { username: 'alice', userId: '1', lane: 'manual' });
+
+      coordinator.cancel(1, { username: 'alice', lane: 'feed' });
+
+      expect(coordinator.getState().jobs).toHaveLength(1);
+    });
+  });
+
+  describe('known profiles', () => {
+    it('should answer queued jobs from known profiles in one batch and only look up the rest', async () => {
+      const findKnownProfiles = vi.fn(async () => ({ bob: { username: 'bob_old', userId: '2', location: 'Japan' } }));
+      const fetchBudget = createFetchBudget();
+      const { coordinator, dispatched, notify } = setup({ findKnownProfiles, fetchBudget });
+
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      coordinator.submit(1, { username: 'bob', lane: 'followers', userId: '2' });
+      coordinator.submit(2, { username: 'bob', lane: 'followers', userId: '2' });
+      await settle(100);
+
+      expect(findKnownProfiles).toHaveBeenCalledTimes(1);
+      expect(findKnownProfiles).toHaveBeenCalledWith([
+        { username: 'alice', userId: null },
+        { username: 'bob', userId: '2' }
+      ]);
+      expect(dispatched.map(job => job.username)).toEqual(['alice']);
+      for (const tabId of [1, 2]) {
+        expect(notify).toHaveBeenCalledWith(tabId, {
+          type: 'FETCH_QUEUE_PROFILE',
+          profile: { username: 'bob_old', userId: '2', location: 'Japan' },
+          username: 'bob',
+          known: true
+        });
+      }
+      expect(coordinator.getState().savedLookups).toBe(1);
+      expect(fetchBudget.getReport().saved).toBe(1);
+    });
+
+    it('should check each job once and leave manual clicks alone', async () => {
+      const findKnownProfiles = vi.fn(async () => ({ carol: { username: 'carol' } }));
+      const { coordinator, dispatched } = setup({ findKnownProfiles });
+
+      coordinator.submit(1, { username: 'carol', lane: 'manual', userId: '3' });
+      await settle(100);
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      await settle(100);
+
+      expect(findKnownProfiles).toHaveBeenCalledTimes(1);
+      expect(findKnownProfiles).toHaveBeenCalledWith([{ username: 'alice', userId: null }]);
+      expect(dispatched.map(job => job.username)).toEqual(['carol', 'alice']);
+    });
+
+    it('should look everything up if the store check fails', async () => {
+      const { coordinator, dispatched } = setup({ findKnownProfiles: async () => { throw new Error('closed'); } });
+
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      await settle(100);
+
+      expect(dispatched.map(job => job.username)).toEqual(['alice']);
+    });
+  });
+
+  describe('fetch budget', () => {
+    it('should hold the queue while the budget is used up and run it after wake', async () => {
+      const fetchBudget = createFetchBudget({ settings: { perHour: 1 } });
+      fetchBudget.recordLookup();
+      const { coordinator, dispatched } = setup({ fetchBudget });
+
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      await settle();
+      expect(dispatched).toEqual([]);
+
+      fetchBudget.configure({ perHour: 10 });
+      coordinator.wake();
+      await settle();
+      expect(dispatched.map(job => job.username)).toEqual(['alice']);
+    });
+  });
+
+  describe('resolve', () => {
+    it('should share a fetched profile with the other waiting tabs', async () => {
+      const { coordinator, notify } = setup({ results: [{ status: 'rateLimited' }] });
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      coordinator.submit(2, { username: 'alice', lane: 'feed' });
+      await settle();
+
+      const profile = { username: 'alice', userId: '111', location: 'Taiwan' };
+      coordinator.resolve(profile, 2);
+
+      expect(notify).toHaveBeenCalledTimes(1);
+      expect(notify).toHaveBeenCalledWith(1, { type: 'FETCH_QUEUE_PROFILE', profile });
+      expect(coordinator.getState().jobs).toEqual([]);
+    });
+
+    it('should match queued jobs by userId', async () => {
+      const { coordinator } = setup({ results: [{ status: 'rateLimited' }] });
+      coordinator.submit(1, { username: 'alice', userId: '111', lane: 'followers' });
+      await settle();
+
+      coordinator.resolve({ username: 'alice_renamed', userId: 111 }, 1);
+
+      expect(coordinator.getState().jobs).toEqual([]);
+    });
+
+    it('should ignore profiles nobody queued', () => {
+      const { coordinator, notify } = setup();
+
+      coordinator.resolve({ username: 'alice', userId: '111' }, 1);
+
+      expect(notify).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeTab', () => {
+    it('should drop jobs only the closed tab wanted', async () => {
+      const { coordinator } = setup({ results: [{ status: 'rateLimited' }] });
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      coordinator.submit(1, { username: 'bob', lane: 'feed' });
+      coordinator.submit(2, { username: 'bob', lane: 'feed' });
+      await settle();
+
+      coordinator.removeTab(1);
+
+      expect(coordinator.getState().jobs).toEqual([
+        expect.objectContaining({ username: 'bob', tabIds: [2] })
+      ]);
+    });
+  });
+
+  describe('persistence', () => {
+    it('should persist the queue and rate limit', async () => {
+      const storageArea = createStorageArea();
+      const { coordinator } = setup({ storageArea, results: [{ status: 'rateLimited' }] });
+
+      coordinator.submit(1, { username: 'alice', lane: 'feed' });
+      await settle();
+
+      const saved = storageArea.data[FETCH_QUEUE_STATE_KEY];
+      expect(saved.jobs).toEqual([expect.objectContaining({ username: 'alice', tabIds: [1] })]);
+      expect(saved.rateLimiter.backoffUntil).toBeGreaterThan(Date.now());
+    });
+
+    it('should resume a persisted queue', async () => {
+      const storageArea = createStorageArea({
+        [FETCH_QUEUE_STATE_KEY]: {
+          jobs: [
+            { username: 'alice', userId: null, lane: 'feed', tabIds: [1], order: 1 },
+            { username: 'bob', userId: null, lane: 'feed', tabIds: [1], order: 2 }
+          ]
+        }
+      });
+      const { coordinator, dispatched } = setup({ storageArea });
+
+      await coordinator.restore();
+      await settle();
+
+      expect(dispatched.map(job => job.username)).toEqual(['bob', 'alice']);
+    });
+
+    it('should stay paused after a restore during a rate limit', async () => {
+      const storageArea = createStorageArea({
+        [FETCH_QUEUE_STATE_KEY]: {
+          jobs: [{ username: 'alice', userId: null, lane: 'feed', tabIds: [1], order: 1 }],
+          rateLimiter: { backoffUntil: Date.now() + 60000, consecutiveRateLimits: 1, lastRateLimitedAt: Date.now() }
+        }
+      });
+      const { coordinator, dispatch } = setup({ storageArea });
+
+      await coordinator.restore();
+      await settle();
+
+      expect(dispatch).not.toHaveBeenCalled();
+      expect(coordinator.getState().jobs).toHaveLength(1);
+    });
+  });
+});
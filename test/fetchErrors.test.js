@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import {
+  FETCH_ERRORS,
+  FETCH_ERROR_STATES,
+  fetchError,
+  isFetchError,
+  classifyFailedResponse,
+  isRetryableFailure,
+  getRetryDelayMs,
+  RETRY_BASE_DELAY_MS
+} from '../src/lib/fetchErrors.js';
+
+describe('fetchErrors', () => {
+  it('should describe every reason', () => {
+    for (const reason of FETCH_ERRORS) {
+      expect(FETCH_ERROR_STATES[reason]).toMatchObject({
+        icon: expect.any(String),
+        messageKey: expect.any(String),
+        labelKey: expect.any(String)
+      });
+    }
+  });
+
+  it('should tell failure markers from profiles and other markers', () => {
+    expect(isFetchError(fetchError('timeout'))).toBe(true);
+    expect(fetchError('httpError', { status: 500 })).toEqual({ _error: 'httpError', status: 500 });
+    expect(isFetchError({ username: 'alice' })).toBe(false);
+    expect(isFetchError({ _rateLimited: true })).toBe(false);
+    expect(isFetchError(null)).toBe(false);
+  });
+
+  describe('classifyFailedResponse', () => {
+    it('should report error statuses', () => {
+      expect(classifyFailedResponse({ status: 500, text: 'oops', parsed: null }))
+        .toEqual({ _error: 'httpError', status: 500 });
+    });
+
+    it('should spot checkpoints in the redirect URL or the payload', () => {
+      expect(classifyFailedResponse({ status: 200, url: 'https://www.threads.com/checkpoint/1501/', parsed: null }))
+        .toEqual({ _error: 'checkpoint' });
+      expect(classifyFailedResponse({ status: 400, text: 'for (;;);{"error":1357001,"checkpoint_url":"/challenge/"}', parsed: null }))
+        .toEqual({ _error: 'checkpoint' });
+    });
+
+    it('should tell unparseable payloads from ones without profile data', () => {
+      expect(classifyFailedResponse({ status: 200, text: '<html>', parsed: null })).toEqual({ _error: 'unparseable' });
+      expect(classifyFailedResponse({ status: 200, text: 'for (;;);{}', parsed: {} })).toEqual({ _error: 'notFound' });
+    });
+  });
+
+  describe('retry policy', () => {
+    it('should retry timeouts, network errors, missing tokens and server errors only', () => {
+      const failed = (reason, httpStatus) => ({ status: 'failed', reason, httpStatus });
+      expect(isRetryableFailure(failed('timeout'))).toBe(true);
+      expect(isRetryableFailure(failed('network'))).toBe(true);
+      expect(isRetryableFailure(failed('missingToken'))).toBe(true);
+      expect(isRetryableFailure(failed('httpError', 503))).toBe(true);
+
+      expect(isRetryableFailure(failed('httpError', 404))).toBe(false);
+      expect(isRetryableFailure(failed('checkpoint'))).toBe(false);
+      expect(isRetryableFailure(failed('notFound'))).toBe(false);
+      expect(isRetryableFailure({ status: 'failed' })).toBe(false);
+      expect(isRetryableFailure({ status: 'rateLimited' })).toBe(false);
+      expect(isRetryableFailure({ status: 'loginRequired' })).toBe(false);
+    });
+
+    it('should double the delay after each failed attempt', () => {
+      expect(getRetryDelayMs(1)).toBe(RETRY_BASE_DELAY_MS);
+      expect(getRetryDelayMs(2)).toBe(RETRY_BASE_DELAY_MS * 2);
+      expect(getRetryDelayMs(3)).toBe(RETRY_BASE_DELAY_MS * 4);
+    });
+  });
+});
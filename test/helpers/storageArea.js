@@ -0,0 +1,26 @@
+/**
+ * Minimal in-memory stand-in for a browserAPI.storage area (local or session)
+ * @param {Object} [initial] - Stored items
+ * @returns {Object} Storage area with get/set/remove; `data` exposes what is stored
+ */
+export function createStorageArea(initial = {}) {
+  const data = { ...initial };
+  const toKeys = (keys) => (typeof keys === 'string' ? [keys] : keys);
+  return {
+    data,
+    async get(keys) {
+      if (keys === null || keys === undefined) return { ...data };
+      const result = {};
+      for (const key of toKeys(keys)) {
+        if (key in data) result[key] = data[key];
+      }
+      return result;
+    },
+    async set(items) {
+      Object.assign(data, items);
+    },
+    async remove(keys) {
+      for (const key of toKeys(keys)) delete data[key];
+    }
+  };
+}
@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  LABEL_FIELDS,
+  LABEL_LANGUAGES,
+  createLabelRegistry,
+  normalizeLabel,
+  normalizeLabelOverrides
+} from '../src/lib/labelRegistry.js';
+import { extractProfileInfo, parseProfileResponse } from '../src/lib/profileParser.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const FIXTURES = fs.readdirSync(FIXTURES_DIR).filter(name => name.endsWith('.txt')).sort();
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf-8');
+}
+
+// Labels of every label/value pair in a fixture, in order
+function fixtureLabels(text) {
+  const data = JSON.parse(text.replace(/^for \(;;\);/, ''));
+  return extractProfileInfo(data)._pairs.map(pair => pair.label);
+}
+
+const singleLanguage = (lang) => createLabelRegistry({ languages: { [lang]: LABEL_LANGUAGES[lang] } });
+
+describe('labelRegistry', () => {
+  it('should match labels regardless of case, width and spacing', () => {
+    const registry = createLabelRegistry();
+    expect(registry.match('Joined')).toBe('joined');
+    expect(registry.match('  based   IN ')).toBe('location');
+    expect(registry.match('Ｍｅｔａ 인증')).toBe('verified');
+    expect(registry.match('Unknown')).toBeNull();
+    expect(normalizeLabel('Ｊｏｉｎｅｄ ')).toBe('joined');
+  });
+
+  it('should add user labels on top of the language files', () => {
+    const registry = createLabelRegistry({ overrides: { joined: ['Se unió'], location: ['Ubicación'] } });
+    expect(registry.match('se unió')).toBe('joined');
+    expect(registry.match('Ubicación')).toBe('location');
+    expect(registry.match('Joined')).toBe('joined');
+    expect(registry.getLabels('joined')).toContain('Se unió');
+  });
+
+  it('should let user labels win over the language files', () => {
+    const registry = createLabelRegistry({ overrides: { location: ['所在地'] } });
+    expect(registry.match('所在地')).toBe('location');
+    expect(createLabelRegistry({ overrides: { name: ['所在地'] } }).match('所在地')).toBe('name');
+  });
+
+  it('should recognize hidden-location placeholders from the language files', () => {
+    const registry = createLabelRegistry();
+    expect(registry.isHiddenLocation('Not shared')).toBe(true);
+    expect(registry.isHiddenLocation(' not  SHARED')).toBe(true);
+    expect(registry.isHiddenLocation('未分享')).toBe(true);
+    expect(registry.isHiddenLocation('Taiwan')).toBe(false);
+    expect(registry.isHiddenLocation(undefined)).toBe(false);
+    expect(singleLanguage('en').isHiddenLocation('未分享')).toBe(false);
+  });
+
+  it('should clean stored user labels', () => {
+    expect(normalizeLabelOverrides({
+      joined: [' Se unió ', '', 'Se unió', 42],
+      location: 'Ubicación',
+      bogus: ['x'],
+      verified: ['x'.repeat(101)]
+    })).toEqual({ joined: ['Se unió'] });
+    expect(normalizeLabelOverrides(null)).toEqual({});
+  });
+
+  describe('language files', () => {
+    it('should register every file in data/labels', () => {
+      const files = fs.readdirSync(path.join(__dirname, '..', 'data', 'labels'))
+        .filter(name => name.endsWith('.json'))
+        .map(name => path.basename(name, '.json'));
+      expect(Object.keys(LABEL_LANGUAGES).sort()).toEqual(files.sort());
+    });
+
+    for (const [lang, labels] of Object.entries(LABEL_LANGUAGES)) {
+      it(`${lang} should list labels for every field`, () => {
+        for (const field of LABEL_FIELDS) {
+          expect(Array.isArray(labels[field]), `${lang}.${field}`).toBe(true);
+          labels[field].forEach(label => expect(label.trim(), `${lang}.${field}`).not.toBe(''));
+        }
+        for (const value of labels.hiddenLocation || []) {
+          expect(value.trim(), `${lang}.hiddenLocation`).not.toBe('');
+        }
+        expect(labels.joined.length).toBeGreaterThan(0);
+        expect(labels.location.length).toBeGreaterThan(0);
+      });
+    }
+
+    it('should not claim one label for two fields across languages', () => {
+      const claimed = new Map(); // normalized label -> "lang.field"
+      const conflicts = [];
+      for (const [lang, labels] of Object.entries(LABEL_LANGUAGES)) {
+        for (const field of LABEL_FIELDS) {
+          for (const label of labels[field]) {
+            const key = normalizeLabel(label);
+            const previous = claimed.get(key);
+            if (previous && !previous.endsWith(`.${field}`)) conflicts.push(`"${label}": ${previous} vs ${lang}.${field}`);
+            claimed.set(key, `${lang}.${field}`);
+          }
+        }
+      }
+      expect(conflicts).toEqual([]);
+    });
+  });
+
+  // Every fixture against every registered language: a new language file must
+  // not change how the existing fixtures parse
+  describe('fixtures × languages', () => {
+    for (const fixture of FIXTURES) {
+      describe(fixture, () => {
+        const text = loadFixture(fixture);
+        const labels = fixtureLabels(text);
+        const expected = parseProfileResponse(text);
+
+        it('should have every label recognized by some registered language', () => {
+          const covering = Object.keys(LABEL_LANGUAGES)
+            .filter(lang => labels.every(label => singleLanguage(lang).match(label)));
+          expect(covering.length, `no language covers ${labels.join(', ')}`).toBeGreaterThan(0);
+        });
+
+        for (const lang of Object.keys(LABEL_LANGUAGES)) {
+          it(`should parse consistently with ${lang} alone`, () => {
+            const registry = singleLanguage(lang);
+            const profile = parseProfileResponse(text, registry);
+
+            // Username and image don't depend on labels
+            expect(profile.username).toBe(expected.username);
+            expect(profile.profileImage).toBe(expected.profileImage);
+            if (labels.every(label => registry.match(label))) {
+              expect(profile).toEqual(expected);
+            }
+          });
+        }
+      });
+    }
+  });
+});
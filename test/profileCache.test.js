@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { createProfileCache } from '../src/lib/profileCache.js';
+
+describe('profileCache', () => {
+  it('should look profiles up by username', () => {
+    const cache = createProfileCache();
+    cache.set('alice', { userId: '1', username: 'alice', location: 'Taiwan' });
+
+    expect(cache.has('alice')).toBe(true);
+    expect(cache.get('alice').location).toBe('Taiwan');
+    expect(cache.getByUserId('1').username).toBe('alice');
+    expect(cache.has('bob')).toBe(false);
+  });
+
+  it('should keep one entry per userId across a rename', () => {
+    const cache = createProfileCache();
+    cache.merge('alice', { userId: '1', username: 'alice', location: 'Taiwan', timestamp: 1000 });
+    cache.merge('alice_w', { userId: '1', username: 'alice_w', location: 'Taiwan', timestamp: 2000 });
+
+    expect(cache.size).toBe(1);
+    expect(cache.get('alice').username).toBe('alice_w');
+    expect(cache.get('alice_w').history).toHaveLength(2);
+  });
+
+  it('should fold a _userIdOnly fetch into the known profile', () => {
+    const cache = createProfileCache();
+    cache.merge('alice', { userId: '1', username: 'alice', location: 'Taiwan', timestamp: 1000 });
+    const merged = cache.merge('user_1', { userId: '1', username: 'user_1', _userIdOnly: true, location: 'Japan', timestamp: 2000 });
+
+    expect(merged.username).toBe('alice');
+    expect(cache.get('alice').location).toBe('Japan');
+    expect(cache.size).toBe(1);
+  });
+
+  it('should replace a username-only entry once the userId is known', () => {
+    const cache = createProfileCache();
+    cache.set('alice', { username: 'alice', location: 'Taiwan' });
+    cache.set('alice', { userId: '1', username: 'alice', location: 'Japan' });
+
+    expect(cache.size).toBe(1);
+    expect(cache.get('alice').location).toBe('Japan');
+  });
+
+  it('should report lookups of cached profiles', () => {
+    const accessed = [];
+    const cache = createProfileCache({ onAccess: userId => accessed.push(userId) });
+    cache.set('alice', { userId: '1', username: 'alice' });
+
+    cache.has('alice');
+    cache.get('bob');
+
+    expect(accessed).toEqual(['1']);
+  });
+});
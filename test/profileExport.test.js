@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+  EXPORT_COLUMNS,
+  getExportRow,
+  escapeCsvField,
+  toCsv,
+  toNdjson
+} from '../src/lib/profileExport.js';
+
+const profile = {
+  userId: '1',
+  username: 'alice',
+  displayName: '陳, 小明 "Alice"',
+  location: '台灣',
+  joined: 'January 2024',
+  isVerified: true,
+  verifiedDate: 'May 2021',
+  timestamp: Date.UTC(2025, 0, 2),
+  history: [
+    { location: '日本', firstSeen: Date.UTC(2024, 5, 1), lastSeen: Date.UTC(2024, 11, 1) },
+    { location: '台灣', firstSeen: Date.UTC(2025, 0, 2), lastSeen: Date.UTC(2025, 0, 2) }
+  ]
+};
+
+describe('profileExport', () => {
+  describe('getExportRow', () => {
+    it('should flatten a profile to every column', () => {
+      expect(getExportRow(profile, EXPORT_COLUMNS)).toEqual({
+        username: 'alice',
+        displayName: '陳, 小明 "Alice"',
+        location: '台灣',
+        countryCode: 'TW',
+        joined: 'January 2024',
+        isVerified: true,
+        verifiedDate: 'May 2021',
+        firstSeen: '2024-06-01T00:00:00.000Z',
+        lastFetched: '2025-01-02T00:00:00.000Z'
+      });
+    });
+
+    it('should only include the selected columns', () => {
+      expect(getExportRow(profile, ['username', 'countryCode'])).toEqual({ username: 'alice', countryCode: 'TW' });
+    });
+
+    it('should leave the country code empty for hidden or missing locations', () => {
+      expect(getExportRow({ username: 'a', location: '未分享', timestamp: 1 }, ['countryCode']).countryCode).toBeNull();
+      expect(getExportRow({ username: 'a', timestamp: 1 }, ['countryCode']).countryCode).toBeNull();
+    });
+
+    it('should fall back to the fetch time when there is no history', () => {
+      const row = getExportRow({ username: 'a', timestamp: Date.UTC(2025, 0, 1) }, ['firstSeen']);
+      expect(row.firstSeen).toBe('2025-01-01T00:00:00.000Z');
+    });
+  });
+
+  describe('escapeCsvField', () => {
+    it('should quote fields with commas, quotes and line breaks', () => {
+      expect(escapeCsvField('plain')).toBe('plain');
+      expect(escapeCsvField('a,b')).toBe('"a,b"');
+      expect(escapeCsvField('say "hi"')).toBe('"say ""hi"""');
+      expect(escapeCsvField('line\nbreak')).toBe('"line\nbreak"');
+      expect(escapeCsvField(' padded')).toBe('" padded"');
+    });
+
+    it('should neutralize values a spreadsheet would run as a formula', () => {
+      expect(escapeCsvField('=HYPERLINK("http://x")')).toBe('"\'=HYPERLINK(""http://x"")"');
+      expect(escapeCsvField('+1+1')).toBe("'+1+1");
+      expect(escapeCsvField('-2+3')).toBe("'-2+3");
+      expect(escapeCsvField('@SUM(A1)')).toBe("'@SUM(A1)");
+      expect(escapeCsvField('\t=1+1')).toBe("'\t=1+1");
+      expect(escapeCsvField('\r=1+1')).toBe('"\'\r=1+1"');
+      expect(escapeCsvField('a=b')).toBe('a=b');
+    });
+
+    it('should write empty fields for missing values', () => {
+      expect(escapeCsvField(null)).toBe('');
+      expect(escapeCsvField(false)).toBe('false');
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should write a BOM, a header and escaped CJK rows', () => {
+      const csv = toCsv([profile], ['username', 'displayName', 'location']);
+
+      expect(csv.startsWith('\uFEFF')).toBe(true);
+      expect(csv.slice(1).split('\r\n')).toEqual([
+        'username,displayName,location',
+        'alice,"陳, 小明 ""Alice""",台灣',
+        ''
+      ]);
+    });
+  });
+
+  describe('toNdjson', () => {
+    it('should write one JSON object per line', () => {
+      const lines = toNdjson([profile, { username: 'bob', timestamp: 1 }], ['username', 'location']).split('\n');
+
+      expect(lines).toHaveLength(3);
+      expect(JSON.parse(lines[0])).toEqual({ username: 'alice', location: '台灣' });
+      expect(JSON.parse(lines[1])).toEqual({ username: 'bob', location: null });
+    });
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, it, expect } from 'vitest';
+import {
+  mergeProfileHistory,
+  getLocationChange,
+  getFormerUsernames,
+  describeFormerUsernames,
+  normalizeImageUrl,
+  MAX_HISTORY_ENTRIES
+} from '../src/lib/profileHistory.js';
+
+describe('profileHistory', () => {
+  describe('mergeProfileHistory', () => {
+    it('should start a history for a new profile', () => {
+      const record = mergeProfileHistory(null, { username: 'alice', location: 'Taiwan', timestamp: 1000 });
+
+      expect(record.history).toEqual([{
+        location: 'Taiwan',
+        displayName: null,
+        username: 'alice',
+        isVerified: false,
+        profileImage: null,
+        firstSeen: 1000,
+        lastSeen: 1000
+      }]);
+    });
+
+    it('should only bump lastSeen when nothing changed', () => {
+      let record = mergeProfileHistory(null, { username: 'alice', location: 'Taiwan', timestamp: 1000 });
+      record = mergeProfileHistory(record, { username: 'alice', location: 'Taiwan', timestamp: 2000 });
+
+      expect(record.history).toHaveLength(1);
+      expect(record.history[0].firstSeen).toBe(1000);
+      expect(record.history[0].lastSeen).toBe(2000);
+    });
+
+    it('should add an entry when a tracked field changes', () => {
+      let record = mergeProfileHistory(null, { username: 'alice', location: 'Taiwan', timestamp: 1000 });
+      record = mergeProfileHistory(record, { username: 'alice', location: 'Japan', timestamp: 2000 });
+
+      expect(record.location).toBe('Japan');
+      expect(record.history.map(e => e.location)).toEqual(['Taiwan', 'Japan']);
+    });
+
+    it('should track display name, username and verification changes', () => {
+      let record = mergeProfileHistory(null, { username: 'alice', displayName: 'Alice', timestamp: 1000 });
+      record = mergeProfileHistory(record, { username: 'alice', displayName: 'Alice W', timestamp: 2000 });
+      record = mergeProfileHistory(record, { username: 'alice_w', displayName: 'Alice W', timestamp: 3000 });
+      record = mergeProfileHistory(record, { username: 'alice_w', displayName: 'Alice W', isVerified: true, timestamp: 4000 });
+
+      expect(record.history).toHaveLength(4);
+      expect(record.history[3].isVerified).toBe(true);
+    });
+
+    it('should ignore signature changes in profile image URLs', () => {
+      const base = 'https://scontent.cdninstagram.com/v/t51/123_n.jpg';
+      let record = mergeProfileHistory(null, { username: 'alice', profileImage: `${base}?oh=aaa&oe=1`, timestamp: 1000 });
+      record = mergeProfileHistory(record, { username: 'alice', profileImage: `${base}?oh=bbb&oe=2`, timestamp: 2000 });
+
+      expect(record.history).toHaveLength(1);
+      // Latest URL is kept so the image still loads
+      expect(record.history[0].profileImage).toContain('oh=bbb');
+    });
+
+    it('should seed history from a record cached before history existed', () => {
+      const legacy = { username: 'alice', location: 'Taiwan', timestamp: 500 };
+      const record = mergeProfileHistory(legacy, { username: 'alice', location: 'Japan', timestamp: 2000 });
+
+      expect(record.history.map(e => [e.location, e.firstSeen])).toEqual([['Taiwan', 500], ['Japan', 2000]]);
+    });
+
+    it('should cap the number of entries', () => {
+      let record = null;
+      for (let i = 0; i < MAX_HISTORY_ENTRIES + 10; i++) {
+        record = mergeProfileHistory(record, { username: 'alice', location: `Place ${i}`, timestamp: i + 1 });
+      }
+
+      expect(record.history).toHaveLength(MAX_HISTORY_ENTRIES);
+      expect(record.history[record.history.length - 1].location).toBe(`Place ${MAX_HISTORY_ENTRIES + 9}`);
+    });
+  });
+
+  describe('placeholder usernames', () => {
+    it('should replace the placeholder once the real username is known', () => {
+      let record = mergeProfileHistory(null, { userId: '1', username: 'user_1', _userIdOnly: true, location: 'Taiwan', timestamp: 1000 });
+      record = mergeProfileHistory(record, { userId: '1', username: 'alice', location: 'Taiwan', timestamp: 2000 });
+
+      expect(record.username).toBe('alice');
+      expect(record._userIdOnly).toBeUndefined();
+      expect(record.history).toHaveLength(1);
+      expect(record.history[0].username).toBe('alice');
+    });
+
+    it('should keep the real username when a later fetch only has the ID', () => {
+      let record = mergeProfileHistory(null, { userId: '1', username: 'alice', timestamp: 1000 });
+      record = mergeProfileHistory(record, { userId: '1', username: 'user_1', _userIdOnly: true, timestamp: 2000 });
+
+      expect(record.username).toBe('alice');
+      expect(record._userIdOnly).toBeUndefined();
+      expect(record.history).toHaveLength(1);
+    });
+  });
+
+  describe('getFormerUsernames', () => {
+    it('should list earlier usernames, most recent first', () => {
+      let record = mergeProfileHistory(null, { username: 'alice', timestamp: 1000 });
+      record = mergeProfileHistory(record, { username: 'alice_w', timestamp: 2000 });
+      record = mergeProfileHistory(record, { username: 'alice_x', timestamp: 3000 });
+
+      expect(getFormerUsernames(record)).toEqual([
+        { username: 'alice_w', lastSeen: 2000 },
+        { username: 'alice', lastSeen: 1000 }
+      ]);
+      expect(getFormerUsernames({ username: 'alice' })).toEqual([]);
+    });
+  });
+
+  describe('describeFormerUsernames', () => {
+    it('should combine reported and observed former usernames', () => {
+      let record = mergeProfileHistory(null, { username: 'alice', timestamp: 1000 });
+      record = mergeProfileHistory(record, {
+        username: 'alice_w',
+        formerUsernames: [
+          { username: 'alice', date: 'May 2024' },
+          { username: null, date: null, description: 'Changed 1 time on Instagram', changeCount: 1 }
+        ],
+        timestamp: 2000
+      });
+
+      expect(describeFormerUsernames(record)).toEqual(['@alice (May 2024)', 'Changed 1 time on Instagram']);
+    });
+
+    it('should return an empty list without former usernames', () => {
+      expect(describeFormerUsernames({ username: 'alice' })).toEqual([]);
+    });
+  });
+
+  describe('getLocationChange', () => {
+    it('should return null without a change', () => {
+      const record = mergeProfileHistory(null, { username: 'alice', location: 'Taiwan', timestamp: 1000 });
+      expect(getLocationChange(record)).toBeNull();
+      expect(getLocationChange({ username: 'alice' })).toBeNull();
+    });
+
+    it('should ignore changes to other fields', () => {
+      let record = mergeProfileHistory(null, { username: 'alice', location: 'Taiwan', timestamp: 1000 });
+      record = mergeProfileHistory(record, { username: 'alice', location: 'Taiwan', displayName: 'A', timestamp: 2000 });
+
+      expect(getLocationChange(record)).toBeNull();
+    });
+
+    it('should report the latest location change and when it happened', () => {
+      let record = mergeProfileHistory(null, { username: 'alice', location: 'Taiwan', timestamp: 1000 });
+      record = mergeProfileHistory(record, { username: 'alice', location: 'Japan', timestamp: 2000 });
+      record = mergeProfileHistory(record, { username: 'alice', location: 'Japan', displayName: 'A', timestamp: 3000 });
+
+      expect(getLocationChange(record)).toEqual({ from: 'Taiwan', to: 'Japan', changedAt: 2000 });
+    });
+
+    it('should report a location that became hidden', () => {
+      let record = mergeProfileHistory(null, { username: 'alice', location: 'Taiwan', timestamp: 1000 });
+      record = mergeProfileHistory(record, { username: 'alice', timestamp: 2000 });
+
+      expect(getLocationChange(record)).toEqual({ from: 'Taiwan', to: null, changedAt: 2000 });
+    });
+  });
+
+  describe('normalizeImageUrl', () => {
+    it('should strip the query string', () => {
+      expect(normalizeImageUrl('https://a.cdninstagram.com/x.jpg?oh=1')).toBe('https://a.cdninstagram.com/x.jpg');
+      expect(normalizeImageUrl(undefined)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseProfileExport,
+  validateImportedProfile,
+  resolveImportConflict
+} from '../src/lib/profileImport.js';
+
+describe('profileImport', () => {
+  describe('parseProfileExport', () => {
+    it('should accept the popup export format', () => {
+      const text = JSON.stringify({
+        alice: { userId: '1', username: 'alice', location: 'Taiwan', timestamp: 1000 },
+        bob: { userId: 2, username: 'bob', location: null, timestamp: 2000 }
+      });
+
+      const { profiles, invalid } = parseProfileExport(text);
+
+      expect(invalid).toBe(0);
+      expect(profiles.map(p => p.userId)).toEqual(['1', '2']);
+    });
+
+    it('should count entries that fail validation', () => {
+      const text = JSON.stringify({
+        alice: { userId: '1', username: 'alice', timestamp: 1000 },
+        noId: { username: 'noId', timestamp: 1000 },
+        noTime: { userId: '3', username: 'noTime' },
+        broken: 'not a profile'
+      });
+
+      const { profiles, invalid } = parseProfileExport(text);
+
+      expect(profiles).toHaveLength(2);
+      expect(invalid).toBe(2);
+    });
+
+    it('should accept baseline exports that have no userId', () => {
+      const text = JSON.stringify({
+        alice: { username: 'alice', location: 'Taiwan', joined: 'January 2024', timestamp: 1000 },
+        bob: { location: 'Japan', timestamp: 2000, _staleAt: 5 }
+      });
+
+      const { profiles, invalid } = parseProfileExport(text);
+
+      expect(invalid).toBe(0);
+      expect(profiles).toEqual([
+        { username: 'alice', location: 'Taiwan', joined: 'January 2024', timestamp: 1000 },
+        { username: 'bob', location: 'Japan', timestamp: 2000 }
+      ]);
+    });
+
+    it('should reject text that is not an export object', () => {
+      expect(() => parseProfileExport('{oops')).toThrow('Not valid JSON');
+      expect(() => parseProfileExport('[]')).toThrow();
+      expect(() => parseProfileExport('null')).toThrow();
+    });
+  });
+
+  describe('validateImportedProfile', () => {
+    it('should fall back to the key for the username', () => {
+      expect(validateImportedProfile('alice', { userId: '1', timestamp: 1000 }).username).toBe('alice');
+    });
+
+    it('should reject bad field types and usernames', () => {
+      expect(validateImportedProfile('a', { userId: '1', username: 'a b', timestamp: 1 })).toBeNull();
+      expect(validateImportedProfile('a', { userId: 'abc', timestamp: 1 })).toBeNull();
+      expect(validateImportedProfile('a', { userId: '1', timestamp: 1, location: 42 })).toBeNull();
+      expect(validateImportedProfile('a', { userId: '1', timestamp: 1, history: {} })).toBeNull();
+    });
+
+    it('should drop per-session flags and malformed history entries', () => {
+      const profile = validateImportedProfile('alice', {
+        userId: '1',
+        timestamp: 1000,
+        _staleAt: 500,
+        _userIdOnly: true,
+        history: [{ location: 'Taiwan', firstSeen: 1000, lastSeen: 1000 }, null, { location: 'Japan' }]
+      });
+
+      expect(profile._staleAt).toBeUndefined();
+      expect(profile._userIdOnly).toBe(true);
+      expect(profile.history).toHaveLength(1);
+    });
+  });
+
+  describe('resolveImportConflict', () => {
+    const existing = { userId: '1', timestamp: 2000 };
+
+    it('should add profiles that are not cached', () => {
+      expect(resolveImportConflict(null, { timestamp: 1000 }, 'keep')).toBe('add');
+    });
+
+    it('should follow the conflict policy', () => {
+      expect(resolveImportConflict(existing, { timestamp: 3000 }, 'newer')).toBe('update');
+      expect(resolveImportConflict(existing, { timestamp: 1000 }, 'newer')).toBe('skip');
+      expect(resolveImportConflict(existing, { timestamp: 3000 }, 'keep')).toBe('skip');
+      expect(resolveImportConflict(existing, { timestamp: 1000 }, 'overwrite')).toBe('update');
+    });
+  });
+});
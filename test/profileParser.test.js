@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { parseProfileResponse } from '../src/lib/profileParser.js';
+import { parseProfileResponse, analyzeProfileResponse, parseFormerUsername } from '../src/lib/profileParser.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -105,8 +105,19 @@ describe('parseProfileResponse', () => {
       expect(result.displayName).toBe('金針菇🇰🇷ㅊㅓㄴㄱㅜ');
       expect(result.joined).toBe('2023年7月');
       expect(result.location).toBe('未分享');
+      expect(result.locationHidden).toBe(true);
       expect(result.profileImage).toContain('cdninstagram.com');
     });
+
+    it('should flag a location hidden through on_bind', () => {
+      const result = parseProfileResponse(loadFixture('profile-not-shared-zh.txt'));
+      expect(result.locationHidden).toBe(true);
+    });
+
+    it('should not flag a shared location', () => {
+      const result = parseProfileResponse(loadFixture('profile-basic-en.txt'));
+      expect(result.locationHidden).toBeUndefined();
+    });
   });
 
   describe('profiles without location', () => {
@@ -123,26 +134,62 @@ describe('parseProfileResponse', () => {
   });
 
   describe('former username handling', () => {
-    it('should filter out Japanese former username field', () => {
+    it('should parse the Japanese former username field', () => {
       const payload = fs.readFileSync(path.join(__dirname, 'fixtures/profile-former-username-ja.txt'), 'utf8');
       const result = parseProfileResponse(payload);
 
       expect(result.joined).toBe('2025年12月');
       expect(result.location).toBe('日本');
       expect(result.displayName).toBeUndefined(); // Name field should be filtered
-      // Former username field should not appear in any extracted data
-      expect(JSON.stringify(result)).not.toContain('Instagramで1回変更');
+      expect(result.formerUsernames).toEqual([{
+        username: null,
+        date: null,
+        description: 'Instagramで1回変更',
+        changeCount: 1
+      }]);
     });
 
-    it('should filter out Chinese former username field', () => {
+    it('should parse the Chinese former username field', () => {
       const payload = fs.readFileSync(path.join(__dirname, 'fixtures/profile-former-username-zh.txt'), 'utf8');
       const result = parseProfileResponse(payload);
 
       expect(result.joined).toBe('2025年12月');
       expect(result.location).toBe('台灣');
       expect(result.displayName).toBeUndefined(); // Name field should be filtered
-      // Former username field should not appear in any extracted data
-      expect(JSON.stringify(result)).not.toContain('在 Instagram 變更過 1 次');
+      expect(result.formerUsernames).toEqual([{
+        username: null,
+        date: null,
+        description: '在 Instagram 變更過 1 次',
+        changeCount: 1
+      }]);
+    });
+
+    it('should not treat the former username field as joined date or location', () => {
+      const result = parseProfileResponse(loadFixture('profile-former-username-ja.txt'));
+
+      expect(result.joined).not.toContain('Instagram');
+      expect(result.location).not.toContain('Instagram');
+    });
+
+    it('should leave formerUsernames unset when the field is absent', () => {
+      const result = parseProfileResponse(loadFixture('profile-basic-en.txt'));
+      expect(result.formerUsernames).toBeUndefined();
+    });
+  });
+
+  describe('parseFormerUsername', () => {
+    it('should parse a listed username with its date', () => {
+      expect(parseFormerUsername('@old.name · March 2024')).toEqual({ username: 'old.name', date: 'March 2024' });
+      expect(parseFormerUsername('old_name')).toEqual({ username: 'old_name', date: null });
+    });
+
+    it('should keep a change summary as a description', () => {
+      expect(parseFormerUsername('Changed 2 times on Instagram')).toEqual({
+        username: null,
+        date: null,
+        description: 'Changed 2 times on Instagram',
+        changeCount: 2
+      });
     });
   });
 
@@ -196,3 +243,48 @@ describe('parseProfileResponse', () => {
     });
   });
 });
+
+describe('analyzeProfileResponse', () => {
+  it('should return the same profile as parseProfileResponse with a confident, undrifted report', () => {
+    const response = loadFixture('profile-basic-en.txt');
+    const { profile, diagnostics } = analyzeProfileResponse(response);
+
+    expect(profile).toEqual(parseProfileResponse(response));
+    expect(diagnostics).toMatchObject({ drifted: false, confidence: 1, reasons: [] });
+    expect(diagnostics.fingerprint).toMatch(/^[0-9a-f]{8}$/);
+    expect(diagnostics.textStyles).toEqual(['normal', 'semibold']);
+    expect(diagnostics.sample).toBeUndefined();
+  });
+
+  it('should give the same fingerprint to profiles of the same shape', () => {
+    const en = analyzeProfileResponse(loadFixture('profile-basic-en.txt')).diagnostics;
+    const zh = analyzeProfileResponse(loadFixture('profile-basic-zh.txt')).diagnostics;
+    expect(zh.fingerprint).toBe(en.fingerprint);
+  });
+
+  it('should flag a reshaped response that parses to nothing, with an anonymized sample', () => {
+    const reshaped = loadFixture('profile-basic-en.txt')
+      .replaceAll('"text_style":"semibold"', '"text_style":"emphasized"')
+      .replaceAll('bk.components.RichText', 'bk.components.StyledText');
+    const { profile, diagnostics } = analyzeProfileResponse(reshaped);
+
+    expect(profile.username).toBeUndefined();
+    expect(profile.joined).toBeUndefined();
+    expect(diagnostics.drifted).toBe(true);
+    expect(diagnostics.confidence).toBe(0);
+    expect(diagnostics.reasons).toEqual(['unknownTextStyles', 'noUsername', 'noPairs']);
+    expect(diagnostics.fingerprint).not.toBe(analyzeProfileResponse(loadFixture('profile-basic-en.txt')).diagnostics.fingerprint);
+
+    const sample = JSON.stringify(diagnostics.sample);
+    expect(sample).toContain('bk.components.StyledText');
+    expect(sample).toContain('"text_style":"emphasized"');
+    expect(sample).not.toContain('testuser');
+    expect(sample).not.toContain('Taiwan');
+    expect(sample).not.toContain('cdninstagram');
+  });
+
+  it('should not flag short error payloads or non-JSON bodies', () => {
+    expect(analyzeProfileResponse('for (;;);{"error":1357001,"errorSummary":"Not logged in"}').diagnostics.drifted).toBe(false);
+    expect(analyzeProfileResponse('<html>oops</html>')).toEqual({ profile: null, diagnostics: null });
+  });
+});
@@ -0,0 +1,371 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import 'fake-indexeddb/auto';
+import {
+  putProfile,
+  getProfile,
+  getProfileByUserId,
+  getProfilesFor,
+  getAllProfiles,
+  getProfilesByLocation,
+  getProfilesByJoinedDate,
+  countProfiles,
+  deleteProfiles,
+  putUserIds,
+  getAllUserIds,
+  clearProfileStore,
+  closeProfileStore,
+  importProfiles,
+  applyWriteBatch,
+  migrateLegacyCache
+} from '../src/lib/profileStore.js';
+import { parseProfileExport } from '../src/lib/profileImport.js';
+import { createStorageArea } from './helpers/storageArea.js';
+
+describe('profileStore', () => {
+  beforeEach(async () => {
+    await closeProfileStore();
+    globalThis.indexedDB = new IDBFactory();
+  });
+
+  describe('profiles', () => {
+    it('should store and read back a profile with a timestamp', async () => {
+      await putProfile({ userId: '1', username: 'alice', location: 'Taiwan', joined: 'January 2024' });
+
+      const profile = await getProfile('alice');
+      expect(profile.location).toBe('Taiwan');
+      expect(profile.timestamp).toBeGreaterThan(0);
+      expect(profile.joinedAt).toBe(new Date(2024, 0, 1).getTime());
+    });
+
+    it('should ignore profiles without a username', async () => {
+      expect(await putProfile({ location: 'Taiwan' })).toBeNull();
+      expect(await countProfiles()).toBe(0);
+    });
+
+    it('should keep profiles whose userId is unknown under their username', async () => {
+      const stored = await putProfile({ username: 'alice', location: 'Taiwan' });
+      expect(stored).toMatchObject({ username: 'alice', location: 'Taiwan' });
+      expect(stored.userId).toBeUndefined();
+      expect(await countProfiles()).toBe(1);
+      expect(Object.keys(await getAllProfiles())).toEqual(['alice']);
+    });
+
+    it('should re-key a username-only profile once its userId is learned', async () => {
+      await putProfile({ username: 'alice', location: 'Taiwan' });
+      await putUserIds({ alice: '1' });
+
+      const alice = await getProfileByUserId('1');
+      expect(alice).toMatchObject({ userId: '1', username: 'alice', location: 'Taiwan' });
+      expect(await countProfiles()).toBe(1);
+    });
+
+    it('should combine a username-only profile with a fetch carrying its userId', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(1000);
+      await putProfile({ username: 'alice', location: 'Taiwan' });
+      vi.setSystemTime(2000);
+      await applyWriteBatch({ profiles: [{ userId: '1', username: 'alice', location: 'Japan' }] });
+      vi.useRealTimers();
+
+      const alice = await getProfileByUserId('1');
+      expect(alice.location).toBe('Japan');
+      expect(alice.history.map(e => e.location)).toEqual(['Taiwan', 'Japan']);
+      expect(await countProfiles()).toBe(1);
+    });
+
+    it('should return null for unknown usernames', async () => {
+      expect(await getProfile('nobody')).toBeNull();
+    });
+
+    it('should return all profiles keyed by username', async () => {
+      await putProfile({ userId: '1', username: 'alice', location: 'Taiwan' });
+      await putProfile({ userId: '2', username: 'bob' });
+
+      const all = await getAllProfiles();
+      expect(Object.keys(all).sort()).toEqual(['alice', 'bob']);
+    });
+
+    it('should apply an optional filter', async () => {
+      await putProfile({ userId: '1', username: 'alice', location: 'Taiwan' });
+      await putProfile({ userId: '2', username: 'bob' });
+
+      const withLocation = await getAllProfiles((p) => !!p.location);
+      expect(Object.keys(withLocation)).toEqual(['alice']);
+    });
+
+    it('should query by location index', async () => {
+      await putProfile({ userId: '1', username: 'alice', location: 'Taiwan' });
+      await putProfile({ userId: '2', username: 'bob', location: 'Japan' });
+      await putProfile({ userId: '3', username: 'carol', location: 'Taiwan' });
+
+      const taiwan = await getProfilesByLocation('Taiwan');
+      expect(taiwan.map(p => p.username).sort()).toEqual(['alice', 'carol']);
+    });
+
+    it('should query by joined date across locales', async () => {
+      await putProfile({ userId: '4', username: 'old', joined: 'July 2023' });
+      await putProfile({ userId: '5', username: 'new-en', joined: 'January 2025' });
+      await putProfile({ userId: '6', username: 'new-zh', joined: '2025年3月' });
+      await putProfile({ userId: '7', username: 'unknown' });
+
+      const recent = await getProfilesByJoinedDate(new Date(2025, 0, 1));
+      expect(recent.map(p => p.username).sort()).toEqual(['new-en', 'new-zh']);
+    });
+
+    it('should keep a history of changed values across writes', async () => {
+      await putProfile({ userId: '1', username: 'alice', location: 'Taiwan' });
+      await putProfile({ userId: '1', username: 'alice', location: 'Japan' });
+
+      const profile = await getProfile('alice');
+      expect(profile.location).toBe('Japan');
+      expect(profile.history.map(e => e.location)).toEqual(['Taiwan', 'Japan']);
+    });
+
+    it('should delete profiles by userId', async () => {
+      await putProfile({ userId: '1', username: 'alice' });
+      await putProfile({ userId: '2', username: 'bob' });
+
+      await deleteProfiles(['1']);
+      expect(await getProfile('alice')).toBeNull();
+      expect(await countProfiles()).toBe(1);
+    });
+  });
+
+  describe('userId keys', () => {
+    it('should keep one record across a rename and resolve the old username', async () => {
+      await putProfile({ userId: '1', username: 'alice', location: 'Taiwan' });
+      await putProfile({ userId: '1', username: 'alice_w', location: 'Taiwan' });
+
+      expect(await countProfiles()).toBe(1);
+      const renamed = await getProfileByUserId('1');
+      expect(renamed.username).toBe('alice_w');
+      expect(renamed.history.map(e => e.username)).toEqual(['alice', 'alice_w']);
+      expect((await getProfile('alice')).username).toBe('alice_w');
+    });
+
+    it('should resolve a profile without userId through the alias index', async () => {
+      await putUserIds({ alice: '1' });
+      await putProfile({ username: 'alice', location: 'Taiwan' });
+
+      expect((await getProfileByUserId('1')).location).toBe('Taiwan');
+    });
+
+    it('should merge a _userIdOnly record once the username is learned', async () => {
+      await putProfile({ userId: '1', username: 'user_1', _userIdOnly: true, location: 'Taiwan' });
+      await putProfile({ userId: '1', username: 'alice', location: 'Taiwan' });
+
+      const profile = await getProfileByUserId('1');
+      expect(profile.username).toBe('alice');
+      expect(profile._userIdOnly).toBeUndefined();
+      expect(profile.history).toHaveLength(1);
+    });
+
+    it('should not let a _userIdOnly fetch replace a known username', async () => {
+      await putProfile({ userId: '1', username: 'alice', location: 'Taiwan' });
+      await putProfile({ userId: '1', username: 'user_1', _userIdOnly: true, location: 'Japan' });
+
+      const profile = await getProfileByUserId('1');
+      expect(profile.username).toBe('alice');
+      expect(profile.location).toBe('Japan');
+    });
+
+    it('should name a new _userIdOnly profile from a known alias', async () => {
+      await putUserIds({ alice: '1' });
+      await putProfile({ userId: '1', username: 'user_1', _userIdOnly: true });
+
+      expect((await getProfileByUserId('1')).username).toBe('alice');
+    });
+
+    it('should look up several users at once by userId or username', async () => {
+      await putProfile({ userId: '1', username: 'alice', location: 'Taiwan' });
+      await putProfile({ userId: '2', username: 'user_2', _userIdOnly: true, location: 'Japan' });
+      await putUserIds({ bob: '2' });
+
+      const found = await getProfilesFor([
+        { username: 'alice_renamed', userId: '1' },
+        { username: 'bob' },
+        { username: 'carol', userId: '3' }
+      ]);
+
+      expect(Object.keys(found)).toEqual(['alice_renamed', 'bob']);
+      expect(found.alice_renamed.location).toBe('Taiwan');
+      expect(found.bob.location).toBe('Japan');
+    });
+  });
+
+  describe('user IDs', () => {
+    it('should store new mappings and keep existing timestamps', async () => {
+      await putUserIds({ alice: '111' });
+      const first = await getAllUserIds();
+
+      const added = await putUserIds({ alice: '999', bob: '222' });
+      const second = await getAllUserIds();
+
+      expect(added).toBe(1);
+      expect(second.alice).toEqual(first.alice);
+      expect(second.bob.userId).toBe('222');
+    });
+  });
+
+  describe('importProfiles', () => {
+    const exported = (fields) => ({
+      userId: '1',
+      username: 'alice',
+      location: 'Japan',
+      timestamp: 3000,
+      history: [{ location: 'Japan', username: 'alice', firstSeen: 3000, lastSeen: 3000 }],
+      ...fields
+    });
+
+    it('should add unknown profiles and make them findable by username', async () => {
+      const result = await importProfiles([exported()], 'newer');
+
+      expect(result).toEqual({ added: 1, updated: 0, skipped: 0 });
+      expect((await getProfile('alice')).location).toBe('Japan');
+    });
+
+    it('should merge histories when the import is newer', async () => {
+      await applyWriteBatch({ profiles: [{ userId: '1', username: 'alice', location: 'Taiwan', timestamp: 1000 }] });
+
+      const result = await importProfiles([exported()], 'newer');
+
+      expect(result.updated).toBe(1);
+      const profile = await getProfileByUserId('1');
+      expect(profile.location).toBe('Japan');
+      expect(profile.history.map(e => e.location)).toEqual(['Taiwan', 'Japan']);
+    });
+
+    it('should not duplicate history when the same export is imported twice', async () => {
+      await importProfiles([exported()], 'newer');
+      await importProfiles([exported({ timestamp: 4000 })], 'newer');
+
+      expect((await getProfileByUserId('1')).history).toHaveLength(1);
+    });
+
+    it('should skip older or kept profiles and replace on overwrite', async () => {
+      await applyWriteBatch({ profiles: [{ userId: '1', username: 'alice', location: 'Taiwan', timestamp: 5000 }] });
+
+      expect(await importProfiles([exported()], 'newer')).toEqual({ added: 0, updated: 0, skipped: 1 });
+      expect(await importProfiles([exported()], 'keep')).toEqual({ added: 0, updated: 0, skipped: 1 });
+      expect((await getProfileByUserId('1')).location).toBe('Taiwan');
+
+      await importProfiles([exported()], 'overwrite');
+      expect((await getProfileByUserId('1')).location).toBe('Japan');
+    });
+
+    it('should import a baseline export and key it once the userId is known', async () => {
+      const { profiles } = parseProfileExport(JSON.stringify({
+        alice: { username: 'alice', location: 'Taiwan', timestamp: 1000 },
+        bob: { username: 'bob', location: 'Japan', timestamp: 2000 }
+      }));
+      await putUserIds({ alice: '111' });
+
+      const result = await importProfiles(profiles, 'newer');
+
+      expect(result).toEqual({ added: 2, updated: 0, skipped: 0 });
+      expect((await getProfileByUserId('111')).location).toBe('Taiwan');
+      expect((await getProfile('bob')).location).toBe('Japan');
+      expect(await countProfiles()).toBe(2);
+
+      await putUserIds({ bob: '222' });
+      expect((await getProfileByUserId('222')).location).toBe('Japan');
+    });
+
+    it('should resolve conflicts for baseline profiles kept by username', async () => {
+      await importProfiles([{ username: 'bob', location: 'Japan', timestamp: 2000 }], 'newer');
+
+      expect(await importProfiles([{ username: 'bob', location: 'Korea', timestamp: 1000 }], 'newer'))
+        .toEqual({ added: 0, updated: 0, skipped: 1 });
+      expect(await importProfiles([{ username: 'bob', location: 'Korea', timestamp: 3000 }], 'newer'))
+        .toEqual({ added: 0, updated: 1, skipped: 0 });
+      expect((await getProfile('bob')).location).toBe('Korea');
+      expect(await countProfiles()).toBe(1);
+    });
+  });
+
+  describe('clearProfileStore', () => {
+    it('should remove profiles and user IDs', async () => {
+      await putProfile({ userId: '1', username: 'alice' });
+      await putUserIds({ alice: '111' });
+
+      await putProfile({ username: 'bob' });
+
+      await clearProfileStore();
+
+      expect(await countProfiles()).toBe(0);
+      expect(await getAllUserIds()).toEqual({});
+    });
+  });
+
+  describe('migrateLegacyCache', () => {
+    it('should move legacy storage keys into IndexedDB once', async () => {
+      const storage = createStorageArea({
+        profileCache: {
+          alice: { username: 'alice', location: 'Taiwan', timestamp: 1000 },
+          bob: { username: 'bob', timestamp: 2000 },
+          user_222: { username: 'user_222', _userIdOnly: true, timestamp: 3000 }
+        },
+        userIdCache: {
+          alice: { userId: '111', timestamp: 500 }
+        }
+      });
+
+      const result = await migrateLegacyCache(storage);
+
+      expect(result).toEqual({ migrated: true, profiles: 2, pending: 1, userIds: 1 });
+      expect((await getProfile('alice')).timestamp).toBe(1000);
+      // bob's userId was never learned; he stays keyed by username
+      expect((await getProfile('bob')).timestamp).toBe(2000);
+      expect(await getProfileByUserId('222')).not.toBeNull();
+      expect((await getAllUserIds()).alice).toEqual({ userId: '111', timestamp: 500 });
+      expect(storage.data.profileCache).toBeUndefined();
+      expect(storage.data.userIdCache).toBeUndefined();
+      expect(storage.data.profileStoreMigrated).toBe(true);
+    });
+
+    it('should not lose any legacy profile, keyed or not', async () => {
+      const profileCache = {
+        alice: { username: 'alice', location: 'Taiwan', joined: 'January 2024', timestamp: 1000 },
+        bob: { username: 'bob', location: 'Japan', timestamp: 2000 },
+        carol: { username: 'carol', location: 'Korea', isVerified: true, timestamp: 3000 },
+        user_444: { username: 'user_444', _userIdOnly: true, location: 'France', timestamp: 4000 }
+      };
+      const storage = createStorageArea({
+        profileCache,
+        userIdCache: { alice: { userId: '111', timestamp: 500 } }
+      });
+
+      await migrateLegacyCache(storage);
+
+      const all = await getAllProfiles();
+      expect(Object.keys(all).sort()).toEqual(Object.keys(profileCache).sort());
+      for (const [username, legacy] of Object.entries(profileCache)) {
+        expect(all[username]).toMatchObject(legacy);
+      }
+
+      // Once bob's userId turns up, his record moves under it intact
+      await putUserIds({ bob: '222' });
+      expect(await getProfileByUserId('222')).toMatchObject(profileCache.bob);
+      expect(await countProfiles()).toBe(4);
+    });
+
+    it('should not migrate twice', async () => {
+      const storage = createStorageArea({ profileStoreMigrated: true, profileCache: { alice: { username: 'alice' } } });
+
+      const result = await migrateLegacyCache(storage);
+
+      expect(result.migrated).toBe(false);
+      expect(await countProfiles()).toBe(0);
+    });
+
+    it('should handle a fresh install with no legacy data', async () => {
+      const storage = createStorageArea();
+
+      const result = await migrateLegacyCache(storage);
+
+      expect(result).toEqual({ migrated: true, profiles: 0, pending: 0, userIds: 0 });
+      expect(storage.data.profileStoreMigrated).toBe(true);
+    });
+  });
+});
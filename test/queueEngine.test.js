@@ -0,0 +1,376 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createQueueEngine, toJobResult } from '../src/lib/queueEngine.js';
+import { MAX_FETCH_ATTEMPTS } from '../src/lib/fetchErrors.js';
+
+// Simulated network time for one profile lookup
+const FETCH_MS = 1000;
+
+/**
+ * Engine with recorded messages and a lookup that resolves after FETCH_MS
+ */
+function setup({ profiles = {} } = {}) {
+  const tab = { ready: true, loggedOut: false, paused: false };
+  const sendMessage = vi.fn(async () => {});
+  const fetchProfile = vi.fn((userId) => new Promise(resolve => {
+    setTimeout(() => resolve(profiles[userId] ?? null), FETCH_MS);
+  }));
+  const onLoginRequired = vi.fn();
+  const engine = createQueueEngine({
+    sendMessage,
+    fetchProfile,
+    isReady: () => tab.ready,
+    isLoggedOut: () => tab.loggedOut,
+    isPaused: () => tab.paused,
+    onLoginRequired
+  });
+  return { engine, tab, sendMessage, fetchProfile, onLoginRequired };
+}
+
+/**
+ * Surface with every hook recorded
+ */
+function createSurface(overrides = {}) {
+  return {
+    render: vi.fn(),
+    onStart: vi.fn(),
+    onDropped: vi.fn(),
+    ...overrides
+  };
+}
+
+const submitted = (sendMessage) => sendMessage.mock.calls
+  .map(([message]) => message)
+  .filter(message => message.type === 'FETCH_QUEUE_SUBMIT')
+  .map(message => message.job.username);
+
+describe('toJobResult', () => {
+  it('should map fetch results to coordinator statuses', () => {
+    expect(toJobResult({ username: 'alice' })).toEqual({ status: 'done' });
+    expect(toJobResult(null)).toEqual({ status: 'failed' });
+    expect(toJobResult({ _rateLimited: true })).toEqual({ status: 'rateLimited' });
+    expect(toJobResult({ _loginRequired: true })).toEqual({ status: 'loginRequired' });
+    expect(toJobResult({ _error: 'timeout' })).toEqual({ status: 'failed', reason: 'timeout' });
+  });
+});
+
+describe('queueEngine', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe('queueFetch', () => {
+    it('should submit jobs for registered lanes only', () => {
+      const { engine, sendMessage } = setup();
+      engine.register('feed', createSurface());
+
+      engine.queueFetch('feed', 'alice', {}, '111');
+      engine.queueFetch('search', 'bob', {});
+
+      expect(sendMessage).toHaveBeenCalledTimes(1);
+      expect(sendMessage).toHaveBeenCalledWith({
+        type: 'FETCH_QUEUE_SUBMIT',
+        job: { username: 'alice', userId: '111', lane: 'feed' }
+      });
+    });
+
+    it('should not queue what the surface already has cached', () => {
+      const { engine, sendMessage } = setup();
+      engine.register('feed', createSurface({ getCached: ({ username }) => username === 'alice' ? { username } : null }));
+
+      engine.queueFetch('feed', 'alice', {});
+      engine.queueFetch('feed', 'bob', {});
+
+      expect(submitted(sendMessage)).toEqual(['bob']);
+    });
+
+    it('should hold jobs until the tab is ready and their lane is enabled', () => {
+      const { engine, tab, sendMessage } = setup();
+      const followers = { enabled: false };
+      engine.register('feed', createSurface());
+      engine.register('followers', createSurface({ isEnabled: () => followers.enabled }));
+      tab.ready = false;
+
+      engine.queueFetch('feed', 'alice', {});
+      engine.queueFetch('followers', 'bob', {}, '222');
+      engine.flush();
+      expect(sendMessage).not.toHaveBeenCalled();
+
+      tab.ready = true;
+      engine.flush();
+      expect(submitted(sendMessage)).toEqual(['alice']);
+
+      followers.enabled = true;
+      engine.flush();
+      expect(submitted(sendMessage)).toEqual(['alice', 'bob']);
+    });
+
+    it('should submit manual jobs straight away', () => {
+      const { engine, tab, sendMessage } = setup();
+      engine.register('manual', createSurface({ manual: true, isEnabled: () => false }));
+      tab.ready = false;
+
+      engine.queueFetch('manual', 'alice', null, '111');
+
+      expect(submitted(sendMessage)).toEqual(['alice']);
+    });
+  });
+
+  describe('cancel', () => {
+    it('should withdraw a submitted job with the coordinator', () => {
+      const { engine, sendMessage } = setup();
+      engine.register('feed', createSurface());
+      engine.queueFetch('feed', 'alice', {});
+
+      engine.cancel('feed', 'alice');
+
+      expect(sendMessage).toHaveBeenLastCalledWith({ type: 'FETCH_QUEUE_CANCEL', username: 'alice', lane: 'feed' });
+    });
+
+    it('should forget a held job without telling the coordinator', () => {
+      const { engine, tab, sendMessage } = setup();
+      engine.register('feed', createSurface());
+      tab.ready = false;
+      engine.queueFetch('feed', 'alice', {});
+
+      engine.cancel('feed', 'alice');
+      tab.ready = true;
+      engine.flush();
+
+      expect(sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('should keep a user held in two lanes apart', () => {
+      const { engine, tab, sendMessage } = setup();
+      engine.register('feed', createSurface());
+      engine.register('followers', createSurface());
+      tab.ready = false;
+      engine.queueFetch('feed', 'alice', {});
+      engine.queueFetch('followers', 'alice', {});
+
+      engine.cancel('feed', 'alice');
+      tab.ready = true;
+      engine.flush();
+
+      const jobs = sendMessage.mock.calls.map(([message]) => message.job);
+      expect(jobs).toEqual([{ username: 'alice', userId: null, lane: 'followers' }]);
+    });
+
+    it('should leave a running job alone', async () => {
+      const { engine, sendMessage } = setup();
+      engine.register('feed', createSurface());
+      engine.queueFetch('feed', 'alice', {}, '111');
+      const running = engine.run({ username: 'alice', userId: '111', lane: 'feed' });
+
+      engine.cancel('feed', 'alice');
+      await vi.advanceTimersByTimeAsync(FETCH_MS);
+      await running;
+
+      expect(sendMessage).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('run', () => {
+    it('should show progress, fetch and render the result on the queued element', async () => {
+      const profile = { username: 'alice', location: 'Japan' };
+      const { engine, fetchProfile } = setup({ profiles: { 111: profile } });
+      const surface = createSurface({ resolveUserId: vi.fn(async () => '111') });
+      const btn = { id: 'btn' };
+      engine.register('feed', surface);
+      engine.queueFetch('feed', 'alice', btn);
+
+      const running = engine.run({ username: 'alice', userId: null, lane: 'feed' });
+      await vi.advanceTimersByTimeAsync(FETCH_MS - 1);
+      expect(surface.onStart).toHaveBeenCalledWith(btn, { username: 'alice', userId: null, lane: 'feed' });
+      expect(surface.resolveUserId).toHaveBeenCalledWith({ username: 'alice', userId: null, lane: 'feed' }, btn);
+      expect(fetchProfile).toHaveBeenCalledWith('111');
+      expect(surface.render).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(1);
+      expect(await running).toEqual({ status: 'done' });
+      expect(surface.render).toHaveBeenCalledWith(btn, profile, expect.objectContaining({ username: 'alice' }));
+    });
+
+    it('should use the job\'s user ID without a resolver', async () => {
+      const { engine, fetchProfile } = setup();
+      engine.register('refresh', createSurface());
+
+      const running = engine.run({ username: 'alice', userId: '111', lane: 'refresh' });
+      await vi.advanceTimersByTimeAsync(FETCH_MS);
+
+      expect(await running).toEqual({ status: 'failed' });
+      expect(fetchProfile).toHaveBeenCalledWith('111');
+    });
+
+    it('should show a profile cached while the job was queued instead of fetching', async () => {
+      const cached = { username: 'alice' };
+      const { engine, fetchProfile } = setup();
+      const surface = createSurface({ getCached: vi.fn(() => null), showCached: vi.fn() });
+      engine.register('feed', surface);
+      engine.queueFetch('feed', 'alice', 'btn');
+      surface.getCached.mockReturnValue(cached);
+
+      expect(await engine.run({ username: 'alice', lane: 'feed' })).toEqual({ status: 'done' });
+      expect(surface.showCached).toHaveBeenCalledWith('btn', cached, expect.objectContaining({ username: 'alice' }));
+      expect(fetchProfile).not.toHaveBeenCalled();
+    });
+
+    it('should report a missing user ID to the surface', async () => {
+      const { engine, fetchProfile } = setup();
+      const withHook = createSurface({ onUserIdMissing: vi.fn() });
+      const withoutHook = createSurface();
+      engine.register('feed', withHook);
+      engine.register('followers', withoutHook);
+
+      expect(await engine.run({ username: 'alice', lane: 'feed' })).toEqual({ status: 'failed' });
+      expect(await engine.run({ username: 'bob', lane: 'followers' })).toEqual({ status: 'failed' });
+
+      expect(withHook.onUserIdMissing).toHaveBeenCalled();
+      expect(withHook.render).not.toHaveBeenCalled();
+      expect(withoutHook.render).toHaveBeenCalledWith(undefined, null, expect.objectContaining({ username: 'bob' }));
+      expect(fetchProfile).not.toHaveBeenCalled();
+    });
+
+    it('should pass rate-limit markers back as rateLimited', async () => {
+      const { engine } = setup({ profiles: { 111: { _rateLimited: true } } });
+      engine.register('feed', createSurface());
+
+      const running = engine.run({ username: 'alice', userId: '111', lane: 'feed' });
+      await vi.advanceTimersByTimeAsync(FETCH_MS);
+
+      expect(await running).toEqual({ status: 'rateLimited' });
+    });
+
+    it('should keep the element for a retry and tell the surface which attempt failed', async () => {
+      const { engine } = setup({ profiles: { 111: { _error: 'httpError', status: 502 } } });
+      const surface = createSurface();
+      engine.register('feed', surface);
+      engine.queueFetch('feed', 'alice', 'btn', '111');
+
+      const first = engine.run({ username: 'alice', userId: '111', lane: 'feed', attempt: 1 });
+      await vi.advanceTimersByTimeAsync(FETCH_MS);
+      expect(await first).toEqual({ status: 'failed', reason: 'httpError', httpStatus: 502 });
+      expect(surface.render).toHaveBeenLastCalledWith('btn', expect.objectContaining({ attempt: 1, retrying: true }), expect.anything());
+
+      // The coordinator's last attempt still finds the button
+      const last = engine.run({ username: 'alice', userId: '111', lane: 'feed', attempt: MAX_FETCH_ATTEMPTS });
+      await vi.advanceTimersByTimeAsync(FETCH_MS);
+      await last;
+      expect(surface.render).toHaveBeenLastCalledWith('btn', expect.objectContaining({ attempt: MAX_FETCH_ATTEMPTS, retrying: false }), expect.anything());
+    });
+
+    it('should not expect a retry for failures that would fail again', async () => {
+      const { engine, sendMessage } = setup({ profiles: { 111: { _error: 'notFound' } } });
+      const surface = createSurface();
+      engine.register('feed', surface);
+      engine.queueFetch('feed', 'alice', 'btn', '111');
+
+      const running = engine.run({ username: 'alice', userId: '111', lane: 'feed', attempt: 1 });
+      await vi.advanceTimersByTimeAsync(FETCH_MS);
+      await running;
+
+      expect(surface.render).toHaveBeenCalledWith('btn', expect.objectContaining({ retrying: false }), expect.anything());
+      // The element is released, so there is nothing left to cancel
+      sendMessage.mockClear();
+      engine.cancel('feed', 'alice');
+      expect(sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('should refuse jobs the tab cannot run yet', async () => {
+      const { engine, tab } = setup();
+      const feed = { enabled: true };
+      engine.register('feed', createSurface({ isEnabled: () => feed.enabled }));
+      const job = { username: 'alice', userId: '111', lane: 'feed' };
+
+      tab.ready = false;
+      expect(await engine.run(job)).toEqual({ status: 'notReady' });
+      tab.ready = true;
+      tab.paused = true;
+      expect(await engine.run(job)).toEqual({ status: 'rateLimited' });
+      tab.paused = false;
+      feed.enabled = false;
+      expect(await engine.run(job)).toEqual({ status: 'skipped' });
+      expect(await engine.run({ ...job, lane: 'search' })).toEqual({ status: 'skipped' });
+    });
+
+    it('should run manual jobs regardless of start-up, pause and toggle', async () => {
+      const { engine, tab, fetchProfile } = setup();
+      engine.register('manual', createSurface({ manual: true, isEnabled: () => false }));
+      tab.ready = false;
+      tab.paused = true;
+
+      const running = engine.run({ username: 'alice', userId: '111', lane: 'manual' });
+      await vi.advanceTimersByTimeAsync(FETCH_MS);
+      await running;
+
+      expect(fetchProfile).toHaveBeenCalledWith('111');
+    });
+
+    it('should tell the tab when it is logged out, whatever the lane', async () => {
+      const { engine, tab, onLoginRequired } = setup();
+      engine.register('manual', createSurface({ manual: true }));
+      tab.loggedOut = true;
+
+      expect(await engine.run({ username: 'alice', userId: '111', lane: 'manual' })).toEqual({ status: 'loginRequired' });
+      expect(onLoginRequired).toHaveBeenCalledTimes(1);
+    });
+
+    it('should let a manual job take over auto-fetches queued for the same user', async () => {
+      const { engine } = setup();
+      const feed = createSurface();
+      engine.register('feed', feed);
+      engine.register('manual', createSurface({ manual: true }));
+      engine.queueFetch('feed', 'alice', 'btn');
+
+      const running = engine.run({ username: 'alice', userId: '111', lane: 'manual' });
+      await vi.advanceTimersByTimeAsync(FETCH_MS);
+      await running;
+      await engine.deliver({ username: 'alice' });
+
+      expect(feed.render).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('drop', () => {
+    it('should hand dropped elements back to the surface', () => {
+      const { engine } = setup();
+      const surface = createSurface();
+      engine.register('feed', surface);
+      engine.queueFetch('feed', 'alice', 'btn');
+
+      engine.drop('feed', ['alice', 'unknown']);
+
+      expect(surface.onDropped).toHaveBeenCalledWith('btn', { username: 'alice', lane: 'feed' });
+      expect(surface.onDropped).toHaveBeenCalledWith(undefined, { username: 'unknown', lane: 'feed' });
+    });
+  });
+
+  describe('deliver', () => {
+    it('should finish queued jobs with a profile fetched by another tab', async () => {
+      const { engine } = setup();
+      const feed = createSurface({ onDelivered: vi.fn() });
+      const followers = createSurface();
+      const manual = createSurface({ manual: true });
+      engine.register('feed', feed);
+      engine.register('followers', followers);
+      engine.register('manual', manual);
+      engine.queueFetch('followers', 'alice', 'row', '111');
+      const profile = { username: 'alice', userId: '111' };
+
+      await engine.deliver(profile);
+
+      expect(followers.render).toHaveBeenCalledWith('row', profile, { username: 'alice', userId: '111', lane: 'followers' });
+      expect(manual.render).toHaveBeenCalledWith(undefined, profile, expect.objectContaining({ lane: 'manual' }));
+      expect(feed.onDelivered).not.toHaveBeenCalled();
+
+      // Delivered jobs are no longer waiting
+      await engine.deliver(profile);
+      expect(followers.render).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createRateLimiter,
+  normalizeRateLimitSettings,
+  DEFAULT_RATE_LIMIT_SETTINGS,
+  BASE_BACKOFF_MS,
+  MAX_BACKOFF_MS,
+  MAX_BURST,
+  RAMP_UP_MS
+} from '../src/lib/rateLimiter.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Limiter on a manual clock with no jitter (random() = 0.5)
+ */
+function setup(options = {}) {
+  const clock = { time: 1_000_000 };
+  const limiter = createRateLimiter({ now: () => clock.time, random: () => 0.5, ...options });
+  return { clock, limiter };
+}
+
+describe('normalizeRateLimitSettings', () => {
+  it('should return defaults for missing settings', () => {
+    expect(normalizeRateLimitSettings()).toEqual(DEFAULT_RATE_LIMIT_SETTINGS);
+    expect(normalizeRateLimitSettings(null)).toEqual(DEFAULT_RATE_LIMIT_SETTINGS);
+  });
+
+  it('should replace invalid values and clamp large ones', () => {
+    expect(normalizeRateLimitSettings({ burst: 0, perMinute: 'fast' })).toEqual(DEFAULT_RATE_LIMIT_SETTINGS);
+    expect(normalizeRateLimitSettings({ burst: 1000, perMinute: '30' })).toEqual({ burst: MAX_BURST, perMinute: 30 });
+  });
+});
+
+describe('rateLimiter', () => {
+  describe('token bucket', () => {
+    it('should allow a burst, then wait for the refill', () => {
+      const { limiter } = setup({ burst: 3, perMinute: 30 });
+
+      expect([limiter.acquire(), limiter.acquire(), limiter.acquire()]).toEqual([0, 0, 0]);
+      expect(limiter.acquire()).toBe(2000);
+    });
+
+    it('should refill at the sustained rate up to the burst size', () => {
+      const { clock, limiter } = setup({ burst: 2, perMinute: 60 });
+      limiter.acquire();
+      limiter.acquire();
+
+      clock.time += 1000;
+      expect(limiter.acquire()).toBe(0);
+      expect(limiter.acquire()).toBeGreaterThan(0);
+
+      clock.time += 10 * MINUTE_MS;
+      expect(limiter.getStats().availableRequests).toBe(2);
+    });
+
+    it('should apply new settings', () => {
+      const { limiter } = setup({ burst: 5, perMinute: 30 });
+
+      limiter.configure({ burst: 1, perMinute: 60 });
+
+      expect(limiter.acquire()).toBe(0);
+      expect(limiter.acquire()).toBe(1000);
+    });
+  });
+
+  describe('backoff', () => {
+    it('should pause every request until the backoff ends', () => {
+      const { clock, limiter } = setup();
+
+      const backoffUntil = limiter.recordRateLimit();
+
+      expect(backoffUntil).toBe(clock.time + BASE_BACKOFF_MS);
+      expect(limiter.acquire()).toBe(BASE_BACKOFF_MS);
+    });
+
+    it('should double the backoff for 429s before the rate has recovered, up to the maximum', () => {
+      const { clock, limiter } = setup();
+      const delays = [];
+
+      for (let i = 0; i < 6; i++) {
+        const start = clock.time;
+        delays.push(limiter.recordRateLimit() - start);
+        clock.time = limiter.getBackoffUntil() + 1000; // 429 again soon after resuming
+      }
+
+      expect(delays.slice(0, 4)).toEqual([1, 2, 4, 8].map(factor => BASE_BACKOFF_MS * factor));
+      expect(delays[5]).toBe(MAX_BACKOFF_MS);
+    });
+
+    it('should treat 429s during a backoff as the same episode', () => {
+      const { clock, limiter } = setup();
+
+      const first = limiter.recordRateLimit();
+      clock.time += 1000;
+
+      expect(limiter.recordRateLimit()).toBe(first);
+      expect(limiter.getStats().consecutiveRateLimits).toBe(1);
+    });
+
+    it('should add up to 20% jitter', () => {
+      const low = setup({ random: () => 0 });
+      const high = setup({ random: () => 1 });
+
+      expect(low.limiter.recordRateLimit() - low.clock.time).toBe(BASE_BACKOFF_MS * 0.8);
+      expect(high.limiter.recordRateLimit() - high.clock.time).toBe(BASE_BACKOFF_MS * 1.2);
+    });
+
+    it('should start from the base backoff again once fully recovered', () => {
+      const { clock, limiter } = setup();
+      limiter.recordRateLimit();
+
+      clock.time = limiter.getBackoffUntil() + RAMP_UP_MS;
+      limiter.acquire();
+      const start = clock.time;
+
+      expect(limiter.recordRateLimit() - start).toBe(BASE_BACKOFF_MS);
+    });
+  });
+
+  describe('resume', () => {
+    it('should end the backoff early and still ramp up', () => {
+      const { clock, limiter } = setup({ burst: 5, perMinute: 40 });
+      limiter.recordRateLimit();
+      clock.time += 1000;
+
+      limiter.resume();
+
+      expect(limiter.acquire()).toBe(0);
+      expect(limiter.acquire()).toBeGreaterThan(0);
+      expect(limiter.getStats()).toMatchObject({ backoffUntil: 0, currentPerMinute: 10 });
+    });
+
+    it('should keep escalating if the next 429 comes soon after resuming', () => {
+      const { clock, limiter } = setup();
+      limiter.recordRateLimit();
+      limiter.resume();
+      clock.time += 1000;
+
+      expect(limiter.recordRateLimit() - clock.time).toBe(BASE_BACKOFF_MS * 2);
+    });
+
+    it('should do nothing without an active backoff', () => {
+      const { limiter } = setup({ burst: 2 });
+
+      limiter.resume();
+
+      expect(limiter.getStats()).toMatchObject({ availableRequests: 2, consecutiveRateLimits: 0 });
+    });
+  });
+
+  describe('ramp-up', () => {
+    it('should resume slowly after a backoff and reach the full rate gradually', () => {
+      const { clock, limiter } = setup({ burst: 5, perMinute: 40 });
+      limiter.recordRateLimit();
+
+      clock.time = limiter.getBackoffUntil();
+      expect(limiter.getStats().currentPerMinute).toBe(10);
+
+      clock.time += RAMP_UP_MS / 2;
+      expect(limiter.getStats().currentPerMinute).toBe(25);
+
+      clock.time += RAMP_UP_MS / 2;
+      expect(limiter.getStats().currentPerMinute).toBe(40);
+    });
+
+    it('should not allow bursts while ramping up', () => {
+      const { clock, limiter } = setup({ burst: 5, perMinute: 60 });
+      limiter.recordRateLimit();
+
+      clock.time = limiter.getBackoffUntil() + 5 * MINUTE_MS;
+
+      expect(limiter.acquire()).toBe(0);
+      expect(limiter.acquire()).toBeGreaterThan(0);
+    });
+  });
+
+  describe('stats', () => {
+    it('should count requests in the last minute', () => {
+      const { clock, limiter } = setup({ burst: 5 });
+      limiter.acquire();
+      clock.time += 30 * 1000;
+      limiter.acquire();
+      limiter.acquire();
+
+      expect(limiter.getStats().requestsPerMinute).toBe(3);
+
+      clock.time += 40 * 1000;
+      expect(limiter.getStats().requestsPerMinute).toBe(2);
+    });
+
+    it('should report the active backoff and the last 429', () => {
+      const { clock, limiter } = setup();
+      expect(limiter.getStats()).toMatchObject({ backoffUntil: 0, lastRateLimitedAt: null });
+
+      const backoffUntil = limiter.recordRateLimit();
+      expect(limiter.getStats()).toMatchObject({ backoffUntil, lastRateLimitedAt: clock.time, availableRequests: 0 });
+
+      clock.time = backoffUntil + 1;
+      expect(limiter.getStats().backoffUntil).toBe(0);
+    });
+  });
+
+  describe('snapshot', () => {
+    it('should carry an active backoff over to a new limiter', () => {
+      const first = setup();
+      const backoffUntil = first.limiter.recordRateLimit();
+
+      const second = setup();
+      second.limiter.restore(first.limiter.snapshot());
+
+      expect(second.limiter.acquire()).toBe(backoffUntil - second.clock.time);
+      expect(second.limiter.getStats().lastRateLimitedAt).toBe(first.clock.time);
+    });
+
+    it('should ignore a missing snapshot', () => {
+      const { limiter } = setup();
+
+      limiter.restore(undefined);
+
+      expect(limiter.acquire()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,281 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRpcBridge, RPC_CHANNEL } from '../src/lib/rpcBridge.js';
+
+const ORIGIN = 'https://www.threads.com';
+const SECRET = 's3cret';
+
+/**
+ * Window stand-in: postMessage delivers asynchronously to every listener,
+ * like the real one, and other senders can be simulated with deliver()
+ */
+function createFakeWindow() {
+  const target = new EventTarget();
+  target.location = { origin: ORIGIN };
+  target.deliver = (data, { source = target, origin = ORIGIN, ports = [] } = {}) => {
+    const event = new Event('message');
+    Object.assign(event, { data, source, origin, ports });
+    target.dispatchEvent(event);
+  };
+  target.postMessage = vi.fn((data, targetOrigin, transfer = []) => {
+    setTimeout(() => target.deliver(data, { origin: targetOrigin, ports: transfer }), 0);
+  });
+  return target;
+}
+
+/**
+ * Let posted window messages and port messages arrive, advancing fake time by `ms`
+ */
+async function flush(ms = 0) {
+  await vi.advanceTimersByTimeAsync(ms);
+  for (let i = 0; i < 5; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+    await vi.advanceTimersByTimeAsync(0);
+  }
+}
+
+describe('rpcBridge', () => {
+  let win;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+    win = createFakeWindow();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  function connect() {
+    const content = createRpcBridge({ side: 'content', secret: SECRET, target: win });
+    const page = createRpcBridge({ side: 'page', secret: SECRET, target: win });
+    content.handOverPort();
+    return { content, page };
+  }
+
+  it('should call a method and resolve with its result', async () => {
+    const { content, page } = connect();
+    page.handle('getUserId', ({ username }) => (username === 'alice' ? '1' : null));
+
+    const result = content.call('getUserId', { username: 'alice' });
+    await flush();
+    await expect(result).resolves.toBe('1');
+  });
+
+  it('should only post the port handover on window, to the page origin', async () => {
+    const { content, page } = connect();
+    page.handle('getTokens', () => ({ isLoggedIn: true, present: [] }));
+    page.notify('loginState', { isLoggedIn: true });
+    const result = content.call('getTokens');
+    await flush();
+    await result;
+
+    expect(win.postMessage).toHaveBeenCalledTimes(1);
+    const [data, targetOrigin, transfer] = win.postMessage.mock.calls[0];
+    expect(data).toEqual({ channel: RPC_CHANNEL, kind: 'connect' });
+    expect(targetOrigin).toBe(ORIGIN);
+    expect(transfer).toEqual([expect.any(MessagePort)]);
+  });
+
+  it('should hold calls made before the injected script is ready', async () => {
+    const content = createRpcBridge({ side: 'content', secret: SECRET, target: win });
+    const result = content.call('getUserId', { username: 'alice' });
+    await flush(500);
+
+    const page = createRpcBridge({ side: 'page', secret: SECRET, target: win });
+    page.handle('getUserId', () => '1');
+    content.handOverPort();
+    await flush();
+    await expect(result).resolves.toBe('1');
+  });
+
+  it('should give distinct request IDs to concurrent calls', async () => {
+    const { content, page } = connect();
+    page.handle('fetchProfile', async ({ userId }) => {
+      await new Promise(resolve => setTimeout(resolve, userId === '1' ? 100 : 10));
+      return { userId };
+    });
+
+    const first = content.call('fetchProfile', { userId: '1' });
+    const second = content.call('fetchProfile', { userId: '2' });
+    await flush();
+    await flush(100);
+    await expect(first).resolves.toEqual({ userId: '1' });
+    await expect(second).resolves.toEqual({ userId: '2' });
+  });
+
+  it('should reject with a timeout reason when no answer comes', async () => {
+    const { content, page } = connect();
+    page.handle('fetchProfile', () => new Promise(() => {}));
+
+    const result = content.call('fetchProfile', { userId: '1' }, 1000);
+    const assertion = expect(result).rejects.toMatchObject({ reason: 'timeout' });
+    await flush();
+    await flush(1000);
+    await assertion;
+  });
+
+  it('should reject with notConnected when the injected script never loads', async () => {
+    const content = createRpcBridge({ side: 'content', secret: SECRET, target: win });
+    const result = content.call('getUserId', { username: 'alice' }, 1000);
+    const assertion = expect(result).rejects.toMatchObject({ reason: 'notConnected' });
+    await flush(1000);
+    await assertion;
+  });
+
+  it('should pass on handler errors and missing handlers as reasons', async () => {
+    const { content, page } = connect();
+    page.handle('scan', () => {
+      throw new Error('boom');
+    });
+
+    const failed = content.call('scan');
+    const missing = content.call('getTokens');
+    const assertions = [
+      expect(failed).rejects.toMatchObject({ reason: 'handlerFailed', message: 'boom' }),
+      expect(missing).rejects.toMatchObject({ reason: 'unknownMethod' })
+    ];
+    await flush();
+    await Promise.all(assertions);
+  });
+
+  it('should refuse methods and events outside the protocol', async () => {
+    const { content, page } = connect();
+    await expect(content.call('eval')).rejects.toMatchObject({ reason: 'unknownMethod' });
+    expect(() => page.handle('eval', () => {})).toThrow();
+    expect(() => content.notify('anything', {})).toThrow();
+  });
+
+  it('should deliver notifications to the other side only', async () => {
+    const { content, page } = connect();
+    const onContent = vi.fn();
+    const onPage = vi.fn();
+    content.on('loginState', onContent);
+    page.on('loginState', onPage);
+
+    page.notify('loginState', { isLoggedIn: false });
+    await flush();
+    expect(onContent).toHaveBeenCalledWith({ isLoggedIn: false });
+    expect(onPage).not.toHaveBeenCalled();
+  });
+
+  describe('spoofing', () => {
+    it('should ignore a page script replaying what it saw on window', async () => {
+      // A third-party listener copies every bridge message posted on window
+      const seen = [];
+      win.addEventListener('message', (event) => seen.push(event.data));
+
+      const { content, page } = connect();
+      page.handle('fetchProfile', () => new Promise(() => {}));
+      const onUserIds = vi.fn();
+      content.on('newUserIds', onUserIds);
+      const result = content.call('fetchProfile', { userId: '1' }, 1000);
+      const assertion = expect(result).rejects.toMatchObject({ reason: 'timeout' });
+      await flush();
+
+      // Nothing it saw can identify the bridge, so it forges answers from the copies
+      expect(seen).toEqual([{ channel: RPC_CHANNEL, kind: 'connect' }]);
+      for (const copied of [...seen]) {
+        for (let i = 1; i <= 3; i++) {
+          win.deliver({ ...copied, from: 'page', kind: 'response', id: `content-${i}`, result: { location: 'Fake' } });
+        }
+        win.deliver({ ...copied, from: 'page', kind: 'event', event: 'newUserIds', data: { mallory: '9' } });
+      }
+      await flush(1000);
+
+      await assertion;
+      expect(onUserIds).not.toHaveBeenCalled();
+    });
+
+    it('should ignore the port until the secret comes back over it', async () => {
+      // A page script grabs the port from the handover and answers before injected.js does
+      win.addEventListener('message', (event) => {
+        const [stolen] = event.ports;
+        if (!stolen) return;
+        stolen.postMessage({ kind: 'ready', secret: 'guess' });
+        stolen.postMessage({ kind: 'response', id: 'content-1', result: { location: 'Fake' } });
+        stolen.postMessage({ kind: 'event', event: 'newUserIds', data: { mallory: '9' } });
+      });
+      const content = createRpcBridge({ side: 'content', secret: SECRET, target: win });
+      const onUserIds = vi.fn();
+      content.on('newUserIds', onUserIds);
+      const result = content.call('fetchProfile', { userId: '1' }, 1000);
+      const assertion = expect(result).rejects.toMatchObject({ reason: 'notConnected' });
+      content.handOverPort();
+      await flush();
+      await flush(1000);
+
+      await assertion;
+      expect(onUserIds).not.toHaveBeenCalled();
+    });
+
+    it('should not take a handover answered by a script without the secret', async () => {
+      // A page script posing as injected.js: it takes the port but cannot prove itself
+      const impostor = createRpcBridge({ side: 'page', target: win });
+      impostor.handle('getUserId', () => 'forged');
+      const content = createRpcBridge({ side: 'content', secret: SECRET, target: win });
+      const result = content.call('getUserId', { username: 'alice' }, 1000);
+      const assertion = expect(result).rejects.toMatchObject({ reason: 'notConnected' });
+      content.handOverPort();
+      await flush();
+      await flush(1000);
+      await assertion;
+    });
+
+    it('should not put the secret on window', async () => {
+      const seen = [];
+      win.addEventListener('message', (event) => seen.push(event.data));
+      const { content, page } = connect();
+      page.handle('getTokens', () => ({ isLoggedIn: true }));
+      const result = content.call('getTokens');
+      await flush();
+      await result;
+
+      expect(JSON.stringify(seen)).not.toContain(SECRET);
+    });
+
+    it('should only take a port handed over by this window and origin, once', async () => {
+      const page = createRpcBridge({ side: 'page', secret: SECRET, target: win });
+      page.handle('getUserId', () => 'secret');
+      const forged = { channel: RPC_CHANNEL, kind: 'connect' };
+      const evil = new MessageChannel();
+      const evilAnswers = vi.fn();
+      evil.port1.onmessage = evilAnswers;
+
+      win.deliver(forged, { source: {}, ports: [evil.port2] });
+      win.deliver(forged, { origin: 'https://evil.example', ports: [evil.port2] });
+      await flush();
+      expect(evilAnswers).not.toHaveBeenCalled();
+
+      const content = createRpcBridge({ side: 'content', secret: SECRET, target: win });
+      content.handOverPort();
+      await flush();
+      const late = new MessageChannel();
+      late.port1.onmessage = evilAnswers;
+      win.deliver(forged, { ports: [late.port2] });
+      late.port1.postMessage({ kind: 'request', id: 'x', method: 'getUserId', params: {} });
+      const result = content.call('getUserId', { username: 'alice' });
+      await flush();
+
+      await expect(result).resolves.toBe('secret');
+      expect(evilAnswers).not.toHaveBeenCalled();
+      [evil.port1, late.port1].forEach(port => port.close());
+    });
+
+    it('should keep an already connected older copy out of a new bridge', async () => {
+      const oldContent = createRpcBridge({ side: 'content', secret: 'old', target: win });
+      const stale = createRpcBridge({ side: 'page', secret: 'old', target: win });
+      stale.handle('getUserId', () => 'stale');
+      oldContent.handOverPort();
+      await flush();
+
+      const content = createRpcBridge({ side: 'content', secret: SECRET, target: win });
+      const page = createRpcBridge({ side: 'page', secret: SECRET, target: win });
+      page.handle('getUserId', () => 'fresh');
+      content.handOverPort();
+
+      const result = content.call('getUserId', { username: 'alice' });
+      await flush();
+      await expect(result).resolves.toBe('fresh');
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+  fingerprintTree,
+  scoreConfidence,
+  assessResponse,
+  anonymizeTree,
+  recordDriftReport,
+  MAX_DRIFT_REPORTS,
+  MIN_NONEMPTY_LENGTH
+} from '../src/lib/schemaDrift.js';
+
+const text = (value, style) => ({ 'bk.components.Text': { text: value, text_style: style } });
+const tree = (...children) => ({ 'bk.components.Flexbox': { children } });
+
+describe('schemaDrift', () => {
+  describe('fingerprintTree', () => {
+    it('should count component types and collect text styles', () => {
+      const shape = fingerprintTree(tree(text('Joined', 'semibold'), text('May 2024', 'normal'), text('Based in', 'semibold')));
+      expect(shape.components).toEqual({ Flexbox: 1, Text: 3 });
+      expect(shape.textStyles).toEqual(['normal', 'semibold']);
+    });
+
+    it('should ignore how many components there are, but not which', () => {
+      const short = fingerprintTree(tree(text('a', 'semibold'), text('b', 'normal')));
+      const long = fingerprintTree(tree(text('a', 'semibold'), text('b', 'normal'), text('c', 'semibold'), text('d', 'normal')));
+      const restyled = fingerprintTree(tree(text('a', 'bold'), text('b', 'normal')));
+      expect(long.fingerprint).toBe(short.fingerprint);
+      expect(restyled.fingerprint).not.toBe(short.fingerprint);
+    });
+  });
+
+  describe('scoreConfidence', () => {
+    it('should weigh the username, pairs and recognized labels', () => {
+      expect(scoreConfidence({ username: 'a' }, { pairs: 2, labelledPairs: 2 })).toBe(1);
+      expect(scoreConfidence({ username: 'a' }, { pairs: 2, labelledPairs: 1 })).toBe(0.75);
+      expect(scoreConfidence({ username: 'a' }, { pairs: 0, labelledPairs: 0 })).toBe(0.3);
+      expect(scoreConfidence({}, { pairs: 2, labelledPairs: 0 })).toBe(0.2);
+      expect(scoreConfidence(null)).toBe(0);
+    });
+  });
+
+  describe('assessResponse', () => {
+    const longText = 'x'.repeat(MIN_NONEMPTY_LENGTH);
+
+    it('should flag substantial responses that yielded nothing', () => {
+      const result = assessResponse({ text: longText, data: { payload: {} }, profile: {}, stats: { pairs: 0, labelledPairs: 0 } });
+      expect(result.drifted).toBe(true);
+      expect(result.reasons).toEqual(['noComponents', 'noUsername', 'noPairs']);
+    });
+
+    it('should not flag short responses, error payloads or partial profiles', () => {
+      const stats = { pairs: 0, labelledPairs: 0 };
+      expect(assessResponse({ text: 'short', data: {}, profile: {}, stats }).drifted).toBe(false);
+      expect(assessResponse({ text: longText, data: { error: 1 }, profile: {}, stats }).drifted).toBe(false);
+      expect(assessResponse({ text: longText, data: {}, profile: { username: 'a' }, stats }).drifted).toBe(false);
+    });
+
+    it('should note pairs whose labels were all unknown', () => {
+      const data = tree(text('Rejoint', 'semibold'), text('mai 2024', 'normal'));
+      const result = assessResponse({ text: longText, data, profile: { username: 'a', joined: 'mai 2024' }, stats: { pairs: 1, labelledPairs: 0 } });
+      expect(result).toMatchObject({ drifted: false, confidence: 0.5, reasons: ['unknownLabels'] });
+    });
+  });
+
+  describe('anonymizeTree', () => {
+    it('should keep structure and text styles but blank user data', () => {
+      const sample = anonymizeTree({
+        'bk.components.Text': { text: 'Taiwan', text_style: 'normal', size: 14 },
+        'bk.components.Image': { url: 'https://scontent.cdninstagram.com/a.jpg' },
+        list: Array.from({ length: 25 }, (_, i) => i)
+      });
+      expect(sample['bk.components.Text']).toEqual({ text: '<6>', text_style: 'normal', size: 0 });
+      expect(sample['bk.components.Image']).toEqual({ url: '<url>' });
+      expect(sample.list).toHaveLength(21);
+      expect(sample.list[20]).toBe('<+5>');
+    });
+
+    it('should drop samples that are still too large', () => {
+      const wide = Object.fromEntries(Array.from({ length: 2000 }, (_, i) => [`key${i}`, 'value']));
+      expect(anonymizeTree(wide)).toBeNull();
+    });
+  });
+
+  describe('recordDriftReport', () => {
+    const report = (fingerprint, extra = {}) => ({ fingerprint, components: {}, textStyles: [], reasons: ['noPairs'], confidence: 0, ...extra });
+
+    it('should merge repeats of a fingerprint, keeping the first sample', () => {
+      let reports = recordDriftReport(undefined, report('aaaa', { sample: { a: 1 }, version: '1.0.0' }), 100);
+      reports = recordDriftReport(reports, report('bbbb'), 150);
+      reports = recordDriftReport(reports, report('aaaa'), 200);
+
+      expect(reports.map(entry => entry.fingerprint)).toEqual(['aaaa', 'bbbb']);
+      expect(reports[0]).toMatchObject({ count: 2, firstSeen: 100, lastSeen: 200, sample: { a: 1 }, version: '1.0.0' });
+    });
+
+    it('should keep only the most recently seen fingerprints', () => {
+      let reports = [];
+      for (let i = 0; i < MAX_DRIFT_REPORTS + 3; i++) reports = recordDriftReport(reports, report(`f${i}`), i);
+      expect(reports).toHaveLength(MAX_DRIFT_REPORTS);
+      expect(reports[0].fingerprint).toBe(`f${MAX_DRIFT_REPORTS + 2}`);
+    });
+  });
+});
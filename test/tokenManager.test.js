@@ -0,0 +1,102 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createTokenManager, REQUIRED_TOKENS, TOKEN_STALE_MS } from '../src/lib/tokenManager.js';
+
+const READY = { fb_dtsg: 'dtsg', lsd: 'lsd', __hs: 'hs' };
+
+function setup() {
+  const clock = { time: 1_000_000 };
+  const onChange = vi.fn();
+  const tokens = createTokenManager({ onChange, now: () => clock.time });
+  return { clock, onChange, tokens };
+}
+
+describe('tokenManager', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should report every required token missing at first', () => {
+    const { tokens } = setup();
+
+    expect(tokens.get()).toBeNull();
+    expect(tokens.getMissing()).toEqual(REQUIRED_TOKENS);
+    expect(tokens.getHealth()).toMatchObject({ status: 'missing', missing: REQUIRED_TOKENS, scannedAt: 0 });
+  });
+
+  it('should merge tokens without letting empty values overwrite known ones', () => {
+    const { tokens } = setup();
+    tokens.update({ fb_dtsg: 'a', lsd: 'b' }, 'page');
+    tokens.update({ fb_dtsg: 'c', lsd: '', __hs: undefined }, 'request');
+
+    expect(tokens.get()).toEqual({ fb_dtsg: 'c', lsd: 'b' });
+    expect(tokens.getMissing()).toEqual(['__hs']);
+    expect(tokens.getHealth().tokens.lsd).toEqual({ present: true, seenAt: 1_000_000, source: 'page' });
+    expect(tokens.getHealth().tokens.fb_dtsg.source).toBe('request');
+  });
+
+  it('should go stale when required tokens are not seen again for a while', () => {
+    const { clock, tokens } = setup();
+    tokens.update(READY, 'page');
+    expect(tokens.getHealth().status).toBe('ok');
+
+    clock.time += TOKEN_STALE_MS;
+    expect(tokens.isStale()).toBe(true);
+    expect(tokens.getHealth().status).toBe('stale');
+
+    tokens.update(READY, 'page');
+    expect(tokens.getHealth().status).toBe('ok');
+  });
+
+  it('should report changes in status or missing tokens only', () => {
+    const { onChange, tokens } = setup();
+    tokens.update({ fb_dtsg: 'a' }, 'page');
+    tokens.update({ fb_dtsg: 'b' }, 'request');
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'missing', missing: ['lsd', '__hs'] }));
+
+    tokens.update({ lsd: 'l', __hs: 'h' }, 'request');
+    expect(onChange).toHaveBeenCalledTimes(2);
+    expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'ok', missing: [] }));
+  });
+
+  it('should remember when the whole page was scanned', () => {
+    const { tokens } = setup();
+    expect(tokens.hasScanned()).toBe(false);
+
+    tokens.markScanned();
+    expect(tokens.hasScanned()).toBe(true);
+    expect(tokens.getHealth().scannedAt).toBe(1_000_000);
+  });
+
+  describe('waitForRequired', () => {
+    it('should resolve at once when the tokens are there', async () => {
+      const { tokens } = setup();
+      tokens.update(READY, 'page');
+
+      await expect(tokens.waitForRequired(1000)).resolves.toBe(true);
+    });
+
+    it('should resolve when the missing tokens arrive', async () => {
+      const { tokens } = setup();
+      const waiting = tokens.waitForRequired(1000);
+
+      tokens.update({ fb_dtsg: 'a' }, 'page');
+      await vi.advanceTimersByTimeAsync(500);
+      tokens.update({ lsd: 'b', __hs: 'c' }, 'request');
+
+      await expect(waiting).resolves.toBe(true);
+    });
+
+    it('should give up after the timeout', async () => {
+      const { tokens } = setup();
+      const waiting = tokens.waitForRequired(1000);
+
+      await vi.advanceTimersByTimeAsync(1000);
+      await expect(waiting).resolves.toBe(false);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { LABEL_LANGUAGES } from '../src/lib/labelRegistry.js';
+import {
+  DEFAULT_TTL_DAYS,
+  MAX_TTL_DAYS,
+  normalizeTtlPolicy,
+  getProfileCategory,
+  createTtlChecker,
+  isProfileStale,
+  loadTtlSettings,
+  STALE_GRACE_DAYS,
+  TTL_POLICY_KEY,
+  PINNED_USERS_KEY
+} from '../src/lib/ttlPolicy.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = 1_000 * DAY_MS;
+
+describe('ttlPolicy', () => {
+  describe('normalizeTtlPolicy', () => {
+    it('should fall back to defaults for missing or invalid values', () => {
+      expect(normalizeTtlPolicy()).toEqual(DEFAULT_TTL_DAYS);
+      expect(normalizeTtlPolicy({ withLocation: 'abc', noLocation: 0 }).withLocation).toBe(DEFAULT_TTL_DAYS.withLocation);
+      expect(normalizeTtlPolicy({ noLocation: 0 }).noLocation).toBe(DEFAULT_TTL_DAYS.noLocation);
+    });
+
+    it('should accept numeric strings and clamp large values', () => {
+      const policy = normalizeTtlPolicy({ withLocation: '45', verified: 10_000 });
+      expect(policy.withLocation).toBe(45);
+      expect(policy.verified).toBe(MAX_TTL_DAYS);
+    });
+  });
+
+  describe('getProfileCategory', () => {
+    it('should categorize profiles', () => {
+      expect(getProfileCategory({ location: 'Taiwan' })).toBe('withLocation');
+      expect(getProfileCategory({})).toBe('noLocation');
+      expect(getProfileCategory({ location: '未分享', locationHidden: true })).toBe('hiddenLocation');
+      expect(getProfileCategory({ location: 'Not shared' })).toBe('hiddenLocation');
+      expect(getProfileCategory({ location: 'Taiwan', isVerified: true })).toBe('verified');
+    });
+
+    it('should treat every hidden-location placeholder in the language files as hidden', () => {
+      const placeholders = Object.values(LABEL_LANGUAGES).flatMap(labels => labels.hiddenLocation || []);
+      expect(placeholders.length).toBeGreaterThan(0);
+      for (const location of placeholders) {
+        expect(getProfileCategory({ location }), location).toBe('hiddenLocation');
+      }
+    });
+  });
+
+  describe('createTtlChecker', () => {
+    const policy = normalizeTtlPolicy({ withLocation: 10, noLocation: 1, hiddenLocation: 5, verified: 30, userIds: 60 });
+
+    it('should apply the TTL of each category', () => {
+      const ttl = createTtlChecker(policy, {}, NOW);
+
+      expect(ttl.isProfileFresh({ location: 'Taiwan', timestamp: NOW - 9 * DAY_MS })).toBe(true);
+      expect(ttl.isProfileFresh({ location: 'Taiwan', timestamp: NOW - 11 * DAY_MS })).toBe(false);
+      expect(ttl.isProfileFresh({ timestamp: NOW - 2 * DAY_MS })).toBe(false);
+      expect(ttl.isProfileFresh({ location: '未分享', locationHidden: true, timestamp: NOW - 4 * DAY_MS })).toBe(true);
+      expect(ttl.isProfileFresh({ isVerified: true, timestamp: NOW - 20 * DAY_MS })).toBe(true);
+    });
+
+    it('should apply the user ID TTL', () => {
+      const ttl = createTtlChecker(policy, {}, NOW);
+
+      expect(ttl.isUserIdFresh({ userId: '1', timestamp: NOW - 59 * DAY_MS })).toBe(true);
+      expect(ttl.isUserIdFresh({ userId: '1', timestamp: NOW - 61 * DAY_MS })).toBe(false);
+    });
+
+    it('should never expire pinned users', () => {
+      const ttl = createTtlChecker(policy, { 1: 'alice' }, NOW);
+
+      expect(ttl.isProfileFresh({ userId: '1', timestamp: 0 })).toBe(true);
+      expect(ttl.isUserIdFresh({ userId: '1', timestamp: 0 })).toBe(true);
+      expect(ttl.isProfileFresh({ userId: '2', timestamp: 0 })).toBe(false);
+      expect(ttl.isProfileExpired({ userId: '1', timestamp: 0 })).toBe(false);
+      expect(ttl.getStaleAt({ userId: '1', timestamp: 0 })).toBeNull();
+    });
+
+    it('should keep stale profiles until the grace period runs out', () => {
+      const ttl = createTtlChecker(policy, {}, NOW);
+      const stale = { location: 'Taiwan', timestamp: NOW - 11 * DAY_MS };
+      const expired = { location: 'Taiwan', timestamp: NOW - (10 + STALE_GRACE_DAYS + 1) * DAY_MS };
+
+      expect(ttl.getStaleAt(stale)).toBe(stale.timestamp + 10 * DAY_MS);
+      expect(ttl.isProfileExpired(stale)).toBe(false);
+      expect(ttl.isProfileExpired(expired)).toBe(true);
+    });
+  });
+
+  describe('isProfileStale', () => {
+    it('should compare against the stale time handed out with the profile', () => {
+      expect(isProfileStale({ _staleAt: NOW - 1 }, NOW)).toBe(true);
+      expect(isProfileStale({ _staleAt: NOW + 1 }, NOW)).toBe(false);
+      // Pinned, or fetched during this page session
+      expect(isProfileStale({ _staleAt: null }, NOW)).toBe(false);
+      expect(isProfileStale({}, NOW)).toBe(false);
+    });
+  });
+
+  describe('loadTtlSettings', () => {
+    it('should read the policy and pinned users from storage', async () => {
+      const storage = {
+        async get() {
+          return { [TTL_POLICY_KEY]: { withLocation: 3 }, [PINNED_USERS_KEY]: { 1: 'alice' } };
+        }
+      };
+
+      const { policy, pinnedUsers } = await loadTtlSettings(storage);
+      expect(policy.withLocation).toBe(3);
+      expect(policy.noLocation).toBe(DEFAULT_TTL_DAYS.noLocation);
+      expect(pinnedUsers).toEqual({ 1: 'alice' });
+    });
+  });
+});
@@ -0,0 +1,202 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import 'fake-indexeddb/auto';
+import { createWriteQueue } from '../src/lib/writeQueue.js';
+import {
+  applyWriteBatch,
+  getAllProfiles,
+  getAllUserIds,
+  closeProfileStore
+} from '../src/lib/profileStore.js';
+
+const tick = () => new Promise(r => setTimeout(r, 0));
+
+describe('writeQueue', () => {
+  beforeEach(async () => {
+    await closeProfileStore();
+    globalThis.indexedDB = new IDBFactory();
+  });
+
+  describe('coalescing', () => {
+    it('should merge updates for the same username into one write', async () => {
+      const applyBatch = vi.fn().mockResolvedValue();
+      const queue = createWriteQueue(applyBatch, { delayMs: 1000 });
+
+      queue.enqueueProfile({ username: 'alice', location: 'Taiwan' });
+      queue.enqueueProfile({ username: 'alice', joined: 'July 2023' });
+      await queue.flush();
+
+      expect(applyBatch).toHaveBeenCalledTimes(1);
+      const { profiles } = applyBatch.mock.calls[0][0];
+      expect(profiles).toHaveLength(1);
+      expect(profiles[0]).toMatchObject({ username: 'alice', location: 'Taiwan', joined: 'July 2023' });
+    });
+
+    it('should keep the first user ID seen for a username', async () => {
+      const applyBatch = vi.fn().mockResolvedValue();
+      const queue = createWriteQueue(applyBatch, { delayMs: 1000 });
+
+      queue.enqueueUserIds({ alice: '111' });
+      queue.enqueueUserIds({ alice: '999', bob: '222' });
+      await queue.flush();
+
+      expect(applyBatch.mock.calls[0][0].userIds).toEqual({ alice: '111', bob: '222' });
+    });
+
+    it('should coalesce by userId and never let a placeholder replace a username', async () => {
+      const applyBatch = vi.fn().mockResolvedValue();
+      const queue = createWriteQueue(applyBatch, { delayMs: 1000 });
+
+      queue.enqueueProfile({ userId: '1', username: 'alice', location: 'Taiwan' });
+      queue.enqueueProfile({ userId: '1', username: 'user_1', _userIdOnly: true, location: 'Japan' });
+      await queue.flush();
+
+      const { profiles } = applyBatch.mock.calls[0][0];
+      expect(profiles).toHaveLength(1);
+      expect(profiles[0]).toMatchObject({ userId: '1', username: 'alice', location: 'Japan' });
+      expect(profiles[0]._userIdOnly).toBeUndefined();
+    });
+
+    it('should ignore profiles without a username', async () => {
+      const applyBatch = vi.fn().mockResolvedValue();
+      const queue = createWriteQueue(applyBatch);
+
+      expect(queue.enqueueProfile({ location: 'Taiwan' })).toBe(false);
+      await queue.flush();
+
+      expect(applyBatch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('serialization', () => {
+    it('should never run two batches at the same time', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      const applyBatch = vi.fn(async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await tick();
+        running--;
+      });
+      const queue = createWriteQueue(applyBatch, { delayMs: 1000 });
+
+      queue.enqueueProfile({ username: 'a' });
+      const first = queue.flush();
+      queue.enqueueProfile({ username: 'b' });
+      const second = queue.flush();
+      await Promise.all([first, second]);
+
+      expect(maxRunning).toBe(1);
+      expect(applyBatch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should re-queue a failed batch under newer writes', async () => {
+      const applyBatch = vi.fn()
+        .mockRejectedValueOnce(new Error('disk full'))
+        .mockResolvedValue();
+      const queue = createWriteQueue(applyBatch, { delayMs: 1000 });
+
+      queue.enqueueProfile({ username: 'alice', location: 'Taiwan', timestamp: 1 });
+      await expect(queue.flush()).rejects.toThrow('disk full');
+
+      queue.enqueueProfile({ username: 'alice', location: 'Japan', timestamp: 2 });
+      await queue.flush();
+
+      const { profiles } = applyBatch.mock.calls[1][0];
+      expect(profiles).toEqual([{ username: 'alice', location: 'Japan', timestamp: 2 }]);
+    });
+
+    it('should let idle() resolve while a write keeps failing, and retry later', async () => {
+      vi.useFakeTimers();
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      try {
+        const applyBatch = vi.fn()
+          .mockRejectedValueOnce(new Error('disk full'))
+          .mockResolvedValue();
+        const queue = createWriteQueue(applyBatch, { delayMs: 1000, retryDelayMs: 500 });
+
+        queue.enqueueProfile({ username: 'alice', timestamp: 1 });
+        await expect(queue.idle()).resolves.toBeUndefined();
+        expect(warn).toHaveBeenCalled();
+        expect(queue.size).toBe(1);
+
+        await vi.advanceTimersByTimeAsync(500);
+        expect(applyBatch).toHaveBeenCalledTimes(2);
+        expect(queue.size).toBe(0);
+      } finally {
+        warn.mockRestore();
+        vi.useRealTimers();
+      }
+    });
+
+    it('should flush automatically after the delay', async () => {
+      vi.useFakeTimers();
+      try {
+        const applyBatch = vi.fn().mockResolvedValue();
+        const queue = createWriteQueue(applyBatch, { delayMs: 50 });
+
+        queue.enqueueProfile({ username: 'alice' });
+        expect(applyBatch).not.toHaveBeenCalled();
+
+        await vi.advanceTimersByTimeAsync(50);
+        expect(applyBatch).toHaveBeenCalledTimes(1);
+        expect(queue.size).toBe(0);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+
+  describe('interleaved messages against the profile store', () => {
+    it('should keep every profile and user ID sent from several tabs', async () => {
+      const queue = createWriteQueue(applyWriteBatch, { delayMs: 1 });
+      const tabs = 3;
+      const perTab = 40;
+
+      // Each "tab" fires PROFILE_INFO_EXTRACTED and STORE_USER_IDS messages,
+      // yielding between messages so their writes interleave with flushes
+      const senders = Array.from({ length: tabs }, async (_, tab) => {
+        for (let i = 0; i < perTab; i++) {
+          const username = `tab${tab}_user${i}`;
+          queue.enqueueUserIds({ [username]: `${tab}${i}` });
+          if (i % 7 === 0) await tick();
+          queue.enqueueProfile({ username, location: `Place ${i}` });
+          if (i % 5 === 0) await queue.flush();
+        }
+      });
+      await Promise.all(senders);
+      await queue.idle();
+
+      const profiles = await getAllProfiles();
+      const userIds = await getAllUserIds();
+      expect(Object.keys(profiles)).toHaveLength(tabs * perTab);
+      expect(Object.keys(userIds)).toHaveLength(tabs * perTab);
+      expect(profiles.tab2_user39.location).toBe('Place 39');
+      expect(userIds.tab1_user7.userId).toBe('17');
+    });
+
+    it('should not lose writes queued while a batch is in flight', async () => {
+      let releaseFirst;
+      const gate = new Promise(r => { releaseFirst = r; });
+      let calls = 0;
+      const queue = createWriteQueue(async (batch) => {
+        if (calls++ === 0) await gate;
+        await applyWriteBatch(batch);
+      }, { delayMs: 1000 });
+
+      queue.enqueueProfile({ userId: '1', username: 'first' });
+      const inFlight = queue.flush();
+      await tick();
+
+      queue.enqueueProfile({ userId: '2', username: 'second' });
+      queue.enqueueUserIds({ second: '2' });
+      releaseFirst();
+      await inFlight;
+      await queue.idle();
+
+      const profiles = await getAllProfiles();
+      expect(Object.keys(profiles).sort()).toEqual(['first', 'second']);
+      expect((await getAllUserIds()).second.userId).toBe('2');
+    });
+  });
+});
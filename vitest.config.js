@@ -0,0 +1,6 @@
+import { defineConfig } from 'vitest/config';
+import { labelLanguagesVitePlugin } from './scripts/label-languages.js';
+
+export default defineConfig({
+  plugins: [labelLanguagesVitePlugin()]
+});